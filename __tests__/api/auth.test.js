@@ -0,0 +1,167 @@
+import callback from '../../pages/api/auth/callback';
+import session from '../../pages/api/auth/session';
+import signin from '../../pages/api/auth/signin';
+import signout from '../../pages/api/auth/signout';
+import tokens from '../../pages/api/auth/tokens';
+import { accessTokenFor, decodeSigned } from '../../lib/auth';
+import { sessionCookie, TEST_USER, tokensCookie } from '../helpers/auth';
+import { call } from '../helpers/http';
+import { reply, stubFetch } from '../helpers/ra';
+
+const HOST = { host: 'unitest.test' };
+
+function cookieValue(setCookie, name) {
+  const cookies = Array.isArray(setCookie) ? setCookie : [setCookie];
+  const match = cookies.find((cookie) => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.split(';')[0].slice(name.length + 1)) : null;
+}
+
+async function startSignIn(returnTo = '/acme/widget') {
+  const res = await call(signin, { method: 'GET', query: { returnTo }, headers: HOST, user: null });
+  const location = new URL(res.headers.location);
+  return { res, location, stateCookie: cookieValue(res.headers['set-cookie'], 'unitest_oauth') };
+}
+
+describe('/api/auth', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('redirects to GitHub with a state that is also kept in a cookie', async () => {
+    const { res, location, stateCookie } = await startSignIn();
+
+    expect(res.statusCode).toBe(302);
+    expect(`${location.origin}${location.pathname}`).toBe('https://github.com/login/oauth/authorize');
+    expect(location.searchParams.get('client_id')).toBe('test-client-id');
+    expect(location.searchParams.get('redirect_uri')).toBe('http://unitest.test/api/auth/callback');
+    expect(decodeSigned(stateCookie)).toMatchObject({ state: location.searchParams.get('state'), returnTo: '/acme/widget' });
+    expect(res.headers['set-cookie']).toMatch(/HttpOnly; SameSite=Lax/);
+  });
+
+  it('reports missing OAuth configuration', async () => {
+    const clientId = process.env.GITHUB_CLIENT_ID;
+    delete process.env.GITHUB_CLIENT_ID;
+    try {
+      const res = await call(signin, { method: 'GET', query: {}, headers: HOST, user: null });
+      expect(res.statusCode).toBe(500);
+      expect(res.body.code).toBe('config_error');
+    } finally {
+      process.env.GITHUB_CLIENT_ID = clientId;
+    }
+  });
+
+  it('signs the user in and returns to where they started', async () => {
+    const { location, stateCookie } = await startSignIn();
+    const { calls } = stubFetch({
+      'POST https://github.com/login/oauth/access_token': () => ({ access_token: 'gho_abc' }),
+      'GET https://api.github.com/user': () => ({ id: 1, login: 'alice', name: 'Alice', avatar_url: null })
+    });
+
+    const res = await call(callback, {
+      method: 'GET',
+      query: { code: 'code-1', state: location.searchParams.get('state') },
+      headers: { ...HOST, cookie: `unitest_oauth=${stateCookie}` },
+      user: null
+    });
+
+    expect(res.statusCode).toBe(302);
+    expect(res.headers.location).toBe('/acme/widget');
+    expect(decodeSigned(cookieValue(res.headers['set-cookie'], 'unitest_session'))).toMatchObject(TEST_USER);
+    expect(cookieValue(res.headers['set-cookie'], 'unitest_oauth')).toBe('');
+    expect(calls[0].body).toMatchObject({ client_id: 'test-client-id', client_secret: 'test-client-secret', code: 'code-1' });
+    expect(calls[1].headers.Authorization).toBe('Bearer gho_abc');
+    // The sign-in token is kept, encrypted, as the user's github.com access token
+    const tokensHeader = `unitest_tokens=${encodeURIComponent(cookieValue(res.headers['set-cookie'], 'unitest_tokens'))}`;
+    expect(tokensHeader).not.toContain('gho_abc');
+    expect(accessTokenFor({ headers: { cookie: tokensHeader } }, TEST_USER, 'github.com')).toBe('gho_abc');
+    // Sign-ins are routine, so they are only logged with UNITEST_DEBUG set
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  it('refuses a callback whose state does not match', async () => {
+    const { stateCookie } = await startSignIn();
+    const { calls } = stubFetch();
+
+    const res = await call(callback, {
+      method: 'GET',
+      query: { code: 'code-1', state: 'forged' },
+      headers: { ...HOST, cookie: `unitest_oauth=${stateCookie}` },
+      user: null
+    });
+
+    expect(res.headers.location).toBe('/?error=signin_failed');
+    expect(res.headers['set-cookie']).toBeUndefined();
+    expect(calls).toHaveLength(0);
+  });
+
+  it('does not sign in when GitHub rejects the code', async () => {
+    const { location, stateCookie } = await startSignIn();
+    stubFetch({
+      'POST https://github.com/login/oauth/access_token': () => reply(200, { error: 'bad_verification_code' })
+    });
+
+    const res = await call(callback, {
+      method: 'GET',
+      query: { code: 'stale', state: location.searchParams.get('state') },
+      headers: { ...HOST, cookie: `unitest_oauth=${stateCookie}` },
+      user: null
+    });
+
+    expect(res.headers.location).toBe('/?error=signin_failed');
+    expect(res.headers['set-cookie']).toBeUndefined();
+  });
+
+  it('reports the session user', async () => {
+    expect((await call(session, { method: 'GET' })).body).toEqual({ user: TEST_USER });
+    expect((await call(session, { method: 'GET', user: null })).body).toEqual({ user: null });
+  });
+
+  it('signs out with POST only', async () => {
+    expect((await call(signout, { method: 'GET' })).statusCode).toBe(405);
+
+    const res = await call(signout, { method: 'POST' });
+    expect(res.statusCode).toBe(303);
+    expect(res.headers.location).toBe('/');
+    expect(res.headers['set-cookie'][0]).toMatch(/^unitest_session=; .*Max-Age=0/);
+    expect(res.headers['set-cookie'][1]).toMatch(/^unitest_tokens=; .*Max-Age=0/);
+  });
+});
+
+describe('/api/auth/tokens', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rejects other methods and signed-out requests', async () => {
+    const other = await call(tokens, { method: 'PUT' });
+    expect(other.statusCode).toBe(405);
+    expect(other.headers.allow).toEqual(['GET', 'POST', 'DELETE']);
+    expect((await call(tokens, { method: 'GET', user: null })).statusCode).toBe(401);
+  });
+
+  it('lists hosts with a token but never the token itself', async () => {
+    const res = await call(tokens, { method: 'GET', headers: { cookie: tokensCookie({ 'gitlab.com': 'glpat-secret' }) } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ tokens: [{ host: 'gitlab.com', source: 'user' }] });
+    expect(res.headers['cache-control']).toBe('private, no-store');
+  });
+
+  it('stores and removes a token for a host', async () => {
+    const saved = await call(tokens, { method: 'POST', body: { host: 'GitLab.com', token: 'glpat-secret' } });
+    expect(saved.statusCode).toBe(200);
+    expect(saved.body.tokens).toEqual([{ host: 'gitlab.com', source: 'user' }]);
+    expect(JSON.stringify(saved.body)).not.toContain('glpat-secret');
+    const cookie = `${sessionCookie()}; unitest_tokens=${encodeURIComponent(cookieValue(saved.headers['set-cookie'], 'unitest_tokens'))}`;
+    expect(accessTokenFor({ headers: { cookie } }, TEST_USER, 'gitlab.com')).toBe('glpat-secret');
+
+    const removed = await call(tokens, { method: 'DELETE', query: { host: 'gitlab.com' }, headers: { cookie } });
+    expect(removed.body.tokens).toEqual([]);
+    expect(removed.headers['set-cookie']).toMatch(/^unitest_tokens=; .*Max-Age=0/);
+  });
+
+  it('rejects unsupported hosts and malformed tokens', async () => {
+    const host = await call(tokens, { method: 'POST', body: { host: '127.0.0.1', token: 'abc' } });
+    expect(host.statusCode).toBe(400);
+    expect(host.body.code).toBe('unsupported_repo');
+
+    const token = await call(tokens, { method: 'POST', body: { host: 'github.com', token: 'two words' } });
+    expect(token.statusCode).toBe(400);
+    expect(token.body.code).toBe('invalid_token');
+  });
+});
@@ -0,0 +1,87 @@
+import handler from '../../pages/api/chat';
+import { rememberAgentPrivacy } from '../../lib/access';
+import { call } from '../helpers/http';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../helpers/ra';
+
+describe('POST /api/chat', () => {
+  beforeEach(() => {
+    setRAEnv();
+    // A public repository's agent; access to private ones is covered in lib/access.test.js
+    rememberAgentPrivacy('ut-a', false);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods', async () => {
+    const res = await call(handler, { method: 'GET' });
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.allow).toEqual(['POST']);
+  });
+
+  it('requires an agent and a message', async () => {
+    expect((await call(handler, { method: 'POST', body: { agentName: 'ut-a' } })).statusCode).toBe(400);
+    expect((await call(handler, { method: 'POST', body: { message: 'hi' } })).statusCode).toBe(400);
+    expect((await call(handler, { method: 'POST' })).statusCode).toBe(400);
+  });
+
+  it('requires a signed-in user', async () => {
+    const { calls } = stubFetch();
+    const res = await call(handler, { method: 'POST', body: { agentName: 'ut-a', message: 'hi' }, user: null });
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('unauthorized');
+    expect(calls).toHaveLength(0);
+  });
+
+  it('reports missing RA configuration', async () => {
+    clearRAEnv();
+    const { calls } = stubFetch();
+    const res = await call(handler, { method: 'POST', body: { agentName: 'ut-a', message: 'hi' } });
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('config_error');
+    expect(calls).toHaveLength(0);
+  });
+
+  it('posts the message as a chat response', async () => {
+    const { calls } = stubFetch({
+      'POST /api/v0/agents/ut-a/responses': () => ({ id: 'resp-2', status: 'pending' })
+    });
+    const res = await call(handler, { method: 'POST', body: { agentName: 'ut-a', message: 'Why did it fail?' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ id: 'resp-2', status: 'pending' });
+    expect(calls[0].headers.Authorization).toBe('Bearer test-admin-token');
+    expect(calls[0].body.input.content[0].content).toBe('Why did it fail?');
+    expect(calls[0].body.metadata).toEqual({
+      run_type: 'chat',
+      template: { id: 'chat-message', version: 1 },
+      started_by: { id: 'github:1', login: 'alice' }
+    });
+  });
+
+  it('answers 429 with Retry-After once the user sends too many messages', async () => {
+    const { calls } = stubFetch({
+      'POST /api/v0/agents/ut-a/responses': () => ({ id: 'resp-2', status: 'pending' })
+    });
+    for (let i = 0; i < 10; i++) {
+      expect((await call(handler, { method: 'POST', body: { agentName: 'ut-a', message: 'hi' } })).statusCode).toBe(200);
+    }
+
+    const res = await call(handler, { method: 'POST', body: { agentName: 'ut-a', message: 'hi' } });
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(res.body).toMatchObject({ code: 'rate_limited', limit: 10, retryAfter: Number(res.headers['retry-after']) });
+    expect(res.body.error).toMatch(/^Too many chat messages\. Try again in \d+ seconds?\.$/);
+    expect(calls).toHaveLength(10);
+  });
+
+  it('passes upstream client errors through', async () => {
+    stubFetch({
+      'POST /api/v0/agents/ut-a/responses': () => reply(404, { detail: 'Agent not found' })
+    });
+    const res = await call(handler, { method: 'POST', body: { agentName: 'ut-a', message: 'hi' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ error: 'Failed to send message to agent', code: 'upstream_error', details: { detail: 'Agent not found' } });
+  });
+});
@@ -0,0 +1,89 @@
+import handler from '../../../../pages/api/ra/agents/[agent]/compare';
+import { rememberAgentPrivacy } from '../../../../lib/access';
+import { call } from '../../../helpers/http';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../../../helpers/ra';
+
+function run(id, coverage, tests) {
+  return {
+    id,
+    status: 'completed',
+    metadata: { run_type: 'test_run', target: { sha: `${id}-sha` } },
+    output_content: [{
+      type: 'json',
+      content: JSON.stringify({
+        schema: 'unitest.results/v1',
+        scenario: 'B',
+        frameworks: ['Jest'],
+        coverage: { before: null, after: coverage },
+        totals: { total: tests.length, passed: tests.filter((test) => test.status === 'passed').length, failed: tests.filter((test) => test.status === 'failed').length, skipped: 0 },
+        files: [{ path: 'src/a.js', coverage }],
+        tests
+      })
+    }]
+  };
+}
+
+const query = { agent: 'ut-a', base: 'r1', head: 'r2' };
+
+describe('GET /api/ra/agents/[agent]/compare', () => {
+  beforeEach(() => {
+    setRAEnv();
+    // A public repository's agent; access to private ones is covered in lib/access.test.js
+    rememberAgentPrivacy('ut-a', false);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods', async () => {
+    const res = await call(handler, { method: 'POST', query });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('requires an agent, base and head', async () => {
+    expect((await call(handler, { method: 'GET', query: { agent: 'ut-a', base: 'r1' } })).statusCode).toBe(400);
+    expect((await call(handler, { method: 'GET', query: { base: 'r1', head: 'r2' } })).statusCode).toBe(400);
+  });
+
+  it('reports missing RA configuration', async () => {
+    clearRAEnv();
+    const res = await call(handler, { method: 'GET', query });
+    expect(res.statusCode).toBe(500);
+  });
+
+  it('compares coverage and test outcomes', async () => {
+    stubFetch({
+      'GET /api/v0/agents/ut-a/responses/r1': () => run('r1', 60, [{ name: 'adds', file: 't.js', status: 'passed' }, { name: 'parses', file: 't.js', status: 'failed' }]),
+      'GET /api/v0/agents/ut-a/responses/r2': () => run('r2', 75, [{ name: 'adds', file: 't.js', status: 'failed' }, { name: 'parses', file: 't.js', status: 'passed' }])
+    });
+
+    const res = await call(handler, { method: 'GET', query });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.base.id).toBe('r1');
+    expect(res.body.head.sha).toBe('r2-sha');
+    expect(res.body.coverageDelta).toBe(15);
+    expect(res.body.newlyFailed.map((test) => test.name)).toEqual(['adds']);
+    expect(res.body.fixed.map((test) => test.name)).toEqual(['parses']);
+  });
+
+  it('refuses to compare chat replies', async () => {
+    stubFetch({
+      'GET /api/v0/agents/ut-a/responses/r1': () => run('r1', 60, []),
+      'GET /api/v0/agents/ut-a/responses/r2': () => ({ id: 'r2', metadata: { run_type: 'chat' } })
+    });
+    const res = await call(handler, { method: 'GET', query });
+    expect(res.statusCode).toBe(422);
+  });
+
+  it('passes upstream client errors through', async () => {
+    stubFetch({
+      'GET /api/v0/agents/ut-a/responses/r1': () => run('r1', 60, []),
+      'GET /api/v0/agents/ut-a/responses/r2': () => reply(404, { detail: 'Response not found' })
+    });
+    const res = await call(handler, { method: 'GET', query });
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toMatchObject({ error: 'Failed to fetch run for comparison', details: { detail: 'Response not found' } });
+  });
+});
@@ -0,0 +1,60 @@
+import handler from '../../../../pages/api/ra/agents/[agent]/responses';
+import { rememberAgentPrivacy } from '../../../../lib/access';
+import { call } from '../../../helpers/http';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../../../helpers/ra';
+
+describe('GET /api/ra/agents/[agent]/responses', () => {
+  beforeEach(() => {
+    setRAEnv();
+    // A public repository's agent; access to private ones is covered in lib/access.test.js
+    rememberAgentPrivacy('ut-a', false);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods', async () => {
+    const res = await call(handler, { method: 'POST', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('requires an agent name', async () => {
+    const res = await call(handler, { method: 'GET', query: {} });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('reports missing RA configuration', async () => {
+    clearRAEnv();
+    const res = await call(handler, { method: 'GET', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('config_error');
+  });
+
+  it('returns the agent responses', async () => {
+    const { calls } = stubFetch({
+      'GET /api/v0/agents/ut-a/responses': () => [{ id: 'r1' }, { id: 'r2' }]
+    });
+    const res = await call(handler, { method: 'GET', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual([{ id: 'r1' }, { id: 'r2' }]);
+    expect(calls[0].query).toEqual({ limit: '50' });
+  });
+
+  it('answers 404 for private repositories the user has no grant for', async () => {
+    const { calls } = stubFetch({
+      'GET /api/v0/agents/ut-s': () => ({ name: 'ut-s', metadata: { repository: { owner: 'acme', name: 'secret', private: true } } })
+    });
+    const res = await call(handler, { method: 'GET', query: { agent: 'ut-s' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('not_found');
+    expect(calls.some((request) => request.path.endsWith('/responses'))).toBe(false);
+  });
+
+  it('passes upstream client errors through', async () => {
+    stubFetch({ 'GET /api/v0/agents/ut-a/responses': () => reply(404, { detail: 'Agent not found' }) });
+    const res = await call(handler, { method: 'GET', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toMatchObject({ error: 'Failed to fetch agent responses', details: { detail: 'Agent not found' } });
+  });
+});
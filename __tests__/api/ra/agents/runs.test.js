@@ -0,0 +1,65 @@
+import handler from '../../../../pages/api/ra/agents/[agent]/runs';
+import { rememberAgentPrivacy } from '../../../../lib/access';
+import { call } from '../../../helpers/http';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../../../helpers/ra';
+
+const results = {
+  schema: 'unitest.results/v1',
+  scenario: 'B',
+  frameworks: ['Jest'],
+  coverage: { before: 40, after: 82 },
+  totals: { total: 10, passed: 9, failed: 1, skipped: 0 },
+  files: [],
+  tests: []
+};
+
+describe('GET /api/ra/agents/[agent]/runs', () => {
+  beforeEach(() => {
+    setRAEnv();
+    // A public repository's agent; access to private ones is covered in lib/access.test.js
+    rememberAgentPrivacy('ut-a', false);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods', async () => {
+    const res = await call(handler, { method: 'POST', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('requires an agent name', async () => {
+    const res = await call(handler, { method: 'GET', query: {} });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('reports missing RA configuration', async () => {
+    clearRAEnv();
+    const res = await call(handler, { method: 'GET', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(500);
+  });
+
+  it('lists test runs newest first without chat replies', async () => {
+    stubFetch({
+      'GET /api/v0/agents/ut-a/responses': () => [
+        { id: 'old', status: 'completed', created_at: '2026-01-01T00:00:00Z', metadata: { run_type: 'test_run', target: { sha: 'aaa' } }, output_content: [{ type: 'json', content: JSON.stringify(results) }] },
+        { id: 'chat', status: 'completed', created_at: '2026-01-03T00:00:00Z', metadata: { run_type: 'chat' } },
+        { id: 'new', status: 'processing', created_at: '2026-01-02T00:00:00Z', metadata: { run_type: 'test_run', target: { sha: 'bbb' } } }
+      ]
+    });
+
+    const res = await call(handler, { method: 'GET', query: { agent: 'ut-a' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.runs.map((run) => [run.id, run.sha])).toEqual([['new', 'bbb'], ['old', 'aaa']]);
+    expect(res.body.runs[1].stats).toEqual({ coverage: 82, passed: 9, failed: 1, total: 10 });
+  });
+
+  it('passes upstream client errors through', async () => {
+    stubFetch({ 'GET /api/v0/agents/ut-a/responses': () => reply(404, { detail: 'Agent not found' }) });
+    const res = await call(handler, { method: 'GET', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Failed to fetch run history');
+  });
+});
@@ -0,0 +1,47 @@
+import handler from '../../../../pages/api/ra/agents/[agent]/state';
+import { call } from '../../../helpers/http';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../../../helpers/ra';
+
+describe('GET /api/ra/agents/[agent]/state', () => {
+  beforeEach(setRAEnv);
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods', async () => {
+    const res = await call(handler, { method: 'DELETE', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('requires an agent name', async () => {
+    const res = await call(handler, { method: 'GET', query: {} });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('reports missing RA configuration', async () => {
+    clearRAEnv();
+    const res = await call(handler, { method: 'GET', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(500);
+  });
+
+  it('returns the agent', async () => {
+    stubFetch({ 'GET /api/v0/agents/ut-a': () => ({ name: 'ut-a', state: 'slept' }) });
+    const res = await call(handler, { method: 'GET', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.state).toBe('slept');
+  });
+
+  it('passes upstream client errors through', async () => {
+    stubFetch({ 'GET /api/v0/agents/ut-a': () => reply(404, { detail: 'Agent not found' }) });
+    const res = await call(handler, { method: 'GET', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Failed to fetch agent state');
+  });
+
+  it('maps a rejected admin token to 502', async () => {
+    stubFetch({ 'GET /api/v0/agents/ut-a': () => reply(401, { detail: 'Invalid token' }) });
+    const res = await call(handler, { method: 'GET', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(502);
+  });
+});
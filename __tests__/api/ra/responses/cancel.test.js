@@ -0,0 +1,81 @@
+import handler from '../../../../pages/api/ra/responses/[agent]/[response]/cancel';
+import { rememberAgentPrivacy } from '../../../../lib/access';
+import { call } from '../../../helpers/http';
+import { OTHER_USER, TEST_USER } from '../../../helpers/auth';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../../../helpers/ra';
+
+const query = { agent: 'ut-a', response: 'resp-1' };
+const current = { 'GET /api/v0/agents/ut-a/responses/resp-1': () => ({ id: 'resp-1', status: 'processing', metadata: { started_by: { id: TEST_USER.id, login: TEST_USER.login } } }) };
+
+describe('POST /api/ra/responses/[agent]/[response]/cancel', () => {
+  beforeEach(() => {
+    setRAEnv();
+    // A public repository's agent; access to private ones is covered in lib/access.test.js
+    rememberAgentPrivacy('ut-a', false);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods', async () => {
+    const res = await call(handler, { method: 'GET', query });
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.allow).toEqual(['POST']);
+  });
+
+  it('requires an agent and a response id', async () => {
+    const res = await call(handler, { method: 'POST', query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('reports missing RA configuration', async () => {
+    clearRAEnv();
+    const res = await call(handler, { method: 'POST', query });
+    expect(res.statusCode).toBe(500);
+  });
+
+  it('cancels the response upstream', async () => {
+    const { calls } = stubFetch({ ...current, 'POST /api/v0/agents/ut-a/responses/resp-1/cancel': () => ({ id: 'resp-1', status: 'cancelled' }) });
+    const res = await call(handler, { method: 'POST', query });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe('cancelled');
+    expect(calls.map((request) => request.method)).toEqual(['GET', 'POST']);
+  });
+
+  it('reports the run as cancelled when RA answers with an empty body', async () => {
+    stubFetch({ ...current, 'POST /api/v0/agents/ut-a/responses/resp-1/cancel': () => new Response(null, { status: 204 }) });
+    const res = await call(handler, { method: 'POST', query });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ status: 'cancelled' });
+  });
+
+  it('requires a signed-in user', async () => {
+    const res = await call(handler, { method: 'POST', query, user: null });
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('only lets the user who started a response cancel it', async () => {
+    const { calls } = stubFetch(current);
+    const res = await call(handler, { method: 'POST', query, user: OTHER_USER });
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toMatchObject({ code: 'forbidden', error: 'Only alice can cancel this response' });
+    expect(calls.some((request) => request.method === 'POST')).toBe(false);
+  });
+
+  it('lets anyone signed in cancel a response that records no owner', async () => {
+    stubFetch({
+      'GET /api/v0/agents/ut-a/responses/resp-1': () => ({ id: 'resp-1', status: 'processing', metadata: null }),
+      'POST /api/v0/agents/ut-a/responses/resp-1/cancel': () => ({ id: 'resp-1', status: 'cancelled' })
+    });
+    const res = await call(handler, { method: 'POST', query, user: OTHER_USER });
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('passes upstream client errors through', async () => {
+    stubFetch({ ...current, 'POST /api/v0/agents/ut-a/responses/resp-1/cancel': () => reply(409, { detail: 'Already completed' }) });
+    const res = await call(handler, { method: 'POST', query });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Failed to cancel response on RA');
+  });
+});
@@ -0,0 +1,82 @@
+import handler from '../../../../pages/api/ra/responses/[agent]/[response]/export';
+import { rememberAgentPrivacy } from '../../../../lib/access';
+import { call } from '../../../helpers/http';
+import { clearRAEnv, setRAEnv, stubFetch } from '../../../helpers/ra';
+
+const SHA = 'c0ffee0000000000000000000000000000000000';
+const QUERY = { agent: 'ut-a', response: 'resp-1' };
+
+function routes(status = 'completed') {
+  return {
+    'GET /api/v0/agents/ut-a': () => ({
+      name: 'ut-a',
+      metadata: { repository: { owner: 'acme', name: 'widget', url: 'https://github.com/acme/widget' } }
+    }),
+    'GET /api/v0/agents/ut-a/responses/resp-1': () => ({
+      id: 'resp-1',
+      status,
+      metadata: { run_type: 'test_run', target: { kind: 'branch', ref: 'main', sha: SHA } },
+      output_content: [{ type: 'markdown', content: '# Report\n\nAll **good**.' }]
+    })
+  };
+}
+
+describe('GET /api/ra/responses/[agent]/[response]/export', () => {
+  beforeEach(() => {
+    setRAEnv();
+    rememberAgentPrivacy('ut-a', false);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods and unknown formats', async () => {
+    const post = await call(handler, { method: 'POST', query: QUERY });
+    expect(post.statusCode).toBe(405);
+    expect(post.headers.allow).toEqual(['GET']);
+
+    const { calls } = stubFetch();
+    const res = await call(handler, { query: { ...QUERY, format: 'pdf' } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('invalid_format');
+    expect(calls).toHaveLength(0);
+  });
+
+  it('downloads a standalone HTML report', async () => {
+    stubFetch(routes());
+    const res = await call(handler, { query: QUERY });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="ut-a-report-c0ffee0.html"');
+    expect(res.headers['content-security-policy']).toContain("default-src 'none'");
+    expect(res.headers['content-security-policy']).not.toContain('img-src');
+    expect(res.body).toContain('<p>All <strong>good</strong>.</p>');
+  });
+
+  it('shows the print view in the browser', async () => {
+    stubFetch(routes());
+    const res = await call(handler, { query: { ...QUERY, format: 'print' } });
+
+    expect(res.headers['content-disposition']).toBe('inline; filename="ut-a-report-c0ffee0.html"');
+    expect(res.body).toContain('@page');
+  });
+
+  it('downloads the structured data as JSON', async () => {
+    stubFetch(routes());
+    const res = await call(handler, { query: { ...QUERY, format: 'json' } });
+
+    expect(res.headers['content-disposition']).toBe('attachment; filename="ut-a-report-c0ffee0.json"');
+    const data = JSON.parse(res.body);
+    expect(data).toMatchObject({ schema: 'unitest.report/v1', agent: 'ut-a', repository: { full_name: 'acme/widget' }, results: { source: 'markdown' } });
+    expect(data.report).toBe('# Report\n\nAll **good**.');
+  });
+
+  it('answers 409 for runs that have not completed', async () => {
+    stubFetch(routes('in_progress'));
+    const res = await call(handler, { query: QUERY });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('run_not_completed');
+  });
+});
@@ -0,0 +1,74 @@
+import { unzipSync, strFromU8 } from 'fflate';
+import handler from '../../../../pages/api/ra/responses/[agent]/[response]/files';
+import { rememberAgentPrivacy } from '../../../../lib/access';
+import { FILES_SCHEMA_ID } from '../../../../lib/generatedFiles';
+import { call } from '../../../helpers/http';
+import { clearRAEnv, setRAEnv, stubFetch } from '../../../helpers/ra';
+
+const SHA = 'c0ffee0000000000000000000000000000000000';
+
+function run(output) {
+  return {
+    'GET /api/v0/agents/ut-a/responses/resp-1': () => ({
+      id: 'resp-1',
+      status: 'completed',
+      metadata: { run_type: 'test_run', target: { kind: 'branch', ref: 'main', sha: SHA } },
+      output_content: output
+    })
+  };
+}
+
+const filesItem = {
+  type: 'json',
+  content: JSON.stringify({ schema: FILES_SCHEMA_ID, files: [{ path: 'test/a.test.js', status: 'created', content: 'it()\n' }] })
+};
+
+describe('GET /api/ra/responses/[agent]/[response]/files', () => {
+  beforeEach(() => {
+    setRAEnv();
+    rememberAgentPrivacy('ut-a', false);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods and unknown formats', async () => {
+    const post = await call(handler, { method: 'POST', query: { agent: 'ut-a', response: 'resp-1' } });
+    expect(post.statusCode).toBe(405);
+    expect(post.headers.allow).toEqual(['GET']);
+
+    const { calls } = stubFetch();
+    const res = await call(handler, { query: { agent: 'ut-a', response: 'resp-1', format: 'tar' } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('invalid_format');
+    expect(calls).toHaveLength(0);
+  });
+
+  it('downloads the generated files as a zip', async () => {
+    stubFetch(run([{ type: 'markdown', content: '# Report' }, filesItem]));
+    const res = await call(handler, { query: { agent: 'ut-a', response: 'resp-1', format: 'zip' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="ut-a-tests-c0ffee0.zip"');
+    expect(strFromU8(unzipSync(new Uint8Array(res.body))['test/a.test.js'])).toBe('it()\n');
+  });
+
+  it('downloads them as a patch', async () => {
+    stubFetch(run([filesItem]));
+    const res = await call(handler, { query: { agent: 'ut-a', response: 'resp-1', format: 'patch' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="ut-a-tests-c0ffee0.patch"');
+    expect(res.body).toMatch(/^UniTest generated tests for main at c0ffee0/);
+    expect(res.body).toContain('+++ b/test/a.test.js\n@@ -0,0 +1,1 @@\n+it()\n');
+  });
+
+  it('answers 404 when the run returned no files', async () => {
+    stubFetch(run([{ type: 'markdown', content: '# Report' }]));
+    const res = await call(handler, { query: { agent: 'ut-a', response: 'resp-1' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('no_files');
+  });
+});
@@ -0,0 +1,181 @@
+import handler from '../../../../pages/api/ra/responses/[agent]/[response]/pull-request';
+import { rememberAgentPrivacy } from '../../../../lib/access';
+import { FILES_SCHEMA_ID } from '../../../../lib/generatedFiles';
+import { tokensCookie } from '../../../helpers/auth';
+import { call } from '../../../helpers/http';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../../../helpers/ra';
+
+const GITHUB = 'https://api.github.com/repos/acme/widget';
+const GITLAB = 'https://gitlab.com/api/v4/projects/acme%2Fwidget';
+const SHA = 'c0ffee0000000000000000000000000000000000';
+const TOKEN = `ghp_${'t'.repeat(36)}`;
+const QUERY = { agent: 'ut-a', response: 'resp-1' };
+const HOST = { host: 'unitest.test' };
+
+const agent = {
+  name: 'ut-a',
+  metadata: {
+    repository: { owner: 'acme', name: 'widget', url: 'https://github.com/acme/widget' },
+    target: { type: 'tree', ref: 'develop', number: null }
+  }
+};
+
+const filesItem = {
+  type: 'json',
+  content: JSON.stringify({ schema: FILES_SCHEMA_ID, files: [{ path: 'test/a.test.js', status: 'created', content: 'it()\n' }] })
+};
+
+const BRANCH_TARGET = { kind: 'branch', ref: 'develop', sha: SHA, path: null };
+
+function runRoutes({ agentRecord = agent, output = [filesItem], status = 'completed', target = BRANCH_TARGET } = {}) {
+  return {
+    'GET /api/v0/agents/ut-a': () => agentRecord,
+    'GET /api/v0/agents/ut-a/responses/resp-1': () => ({
+      id: 'resp-1',
+      status,
+      metadata: { run_type: 'test_run', target },
+      output_content: output
+    }),
+    'PATCH /api/v0/agents/ut-a': ({ body }) => ({ ...agentRecord, metadata: body.metadata })
+  };
+}
+
+function githubRoutes() {
+  return {
+    [`GET ${GITHUB}/git/commits/${SHA}`]: () => ({ sha: SHA, tree: { sha: 'tree-0' } }),
+    [`POST ${GITHUB}/git/trees`]: () => reply(201, { sha: 'tree-1' }),
+    [`POST ${GITHUB}/git/commits`]: () => reply(201, { sha: 'commit-1' }),
+    [`POST ${GITHUB}/git/refs`]: () => reply(201, { ref: 'refs/heads/x' }),
+    [`POST ${GITHUB}/pulls`]: () => reply(201, { number: 42, html_url: 'https://github.com/acme/widget/pull/42' })
+  };
+}
+
+function post(cookieTokens = { 'github.com': TOKEN }) {
+  return call(handler, { method: 'POST', query: QUERY, headers: { ...HOST, cookie: tokensCookie(cookieTokens) } });
+}
+
+describe('POST /api/ra/responses/[agent]/[response]/pull-request', () => {
+  beforeEach(() => {
+    setRAEnv();
+    rememberAgentPrivacy('ut-a', false);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods and signed-out users', async () => {
+    const get = await call(handler, { method: 'GET', query: QUERY });
+    expect(get.statusCode).toBe(405);
+    expect(get.headers.allow).toEqual(['POST']);
+
+    const signedOut = await call(handler, { method: 'POST', query: QUERY, user: null });
+    expect(signedOut.statusCode).toBe(401);
+  });
+
+  it('commits the generated files to a new branch and opens a pull request', async () => {
+    const { calls } = stubFetch({ ...runRoutes(), ...githubRoutes() });
+    const res = await post();
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({
+      existing: false,
+      pullRequest: { number: 42, url: 'https://github.com/acme/widget/pull/42', branch: 'unitest/tests-c0ffee0-resp1', opened_by: { login: 'alice' } }
+    });
+
+    const tree = calls.find((request) => request.path === `${GITHUB}/git/trees`);
+    expect(tree.headers.Authorization).toBe(`Bearer ${TOKEN}`);
+    expect(tree.body).toEqual({
+      base_tree: 'tree-0',
+      tree: [{ path: 'test/a.test.js', mode: '100644', type: 'blob', content: 'it()\n' }]
+    });
+    expect(calls.find((request) => request.path === `${GITHUB}/git/commits` && request.method === 'POST').body.parents).toEqual([SHA]);
+    expect(calls.find((request) => request.path === `${GITHUB}/git/refs`).body).toEqual({ ref: 'refs/heads/unitest/tests-c0ffee0-resp1', sha: 'commit-1' });
+    const pull = calls.find((request) => request.path === `${GITHUB}/pulls`).body;
+    expect(pull).toMatchObject({ head: 'unitest/tests-c0ffee0-resp1', base: 'develop' });
+    expect(pull.body).toContain('[Full UniTest report](http://unitest.test/acme/widget/tree/develop)');
+    expect(pull.body).not.toContain('Tests run');
+
+    const patch = calls.find((request) => request.method === 'PATCH');
+    expect(patch.body.metadata.repository).toEqual(agent.metadata.repository);
+    expect(patch.body.metadata.pull_requests['resp-1']).toEqual(res.body.pullRequest);
+  });
+
+  it('returns the pull request a run already opened', async () => {
+    const opened = { number: 42, url: 'https://github.com/acme/widget/pull/42', branch: 'unitest/tests-c0ffee0-resp1' };
+    const { calls } = stubFetch(runRoutes({ agentRecord: { ...agent, metadata: { ...agent.metadata, pull_requests: { 'resp-1': opened } } } }));
+    const res = await post();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ pullRequest: opened, existing: true });
+    expect(calls.some((request) => request.method !== 'GET')).toBe(false);
+  });
+
+  it('opens merge requests on GitLab', async () => {
+    const gitlabAgent = { ...agent, metadata: { ...agent.metadata, repository: { provider: 'gitlab', host: 'gitlab.com', owner: 'acme', name: 'widget' } } };
+    const { calls } = stubFetch({
+      ...runRoutes({ agentRecord: gitlabAgent }),
+      [`POST ${GITLAB}/repository/commits`]: () => reply(201, { id: 'commit-1' }),
+      [`POST ${GITLAB}/merge_requests`]: () => reply(201, { iid: 7, web_url: 'https://gitlab.com/acme/widget/-/merge_requests/7' })
+    });
+    const res = await post({ 'gitlab.com': 'glpat-secret' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.pullRequest).toMatchObject({ number: 7, url: 'https://gitlab.com/acme/widget/-/merge_requests/7' });
+    expect(calls.find((request) => request.path === `${GITLAB}/repository/commits`).body).toMatchObject({
+      branch: 'unitest/tests-c0ffee0-resp1',
+      start_sha: SHA,
+      actions: [{ action: 'create', file_path: 'test/a.test.js', content: 'it()\n' }]
+    });
+    expect(calls.find((request) => request.path === `${GITLAB}/merge_requests`).body).toMatchObject({ target_branch: 'develop', remove_source_branch: true });
+  });
+
+  it('opens pull requests into the head branch of pull requests from this repository', async () => {
+    const { calls } = stubFetch({ ...runRoutes({ target: { kind: 'pull', ref: 'gears', number: 7, sha: SHA, path: null, fork: false } }), ...githubRoutes() });
+    const res = await post();
+
+    expect(res.statusCode).toBe(201);
+    expect(calls.find((request) => request.path === `${GITHUB}/pulls`).body).toMatchObject({ base: 'gears' });
+  });
+
+  it('refuses pull requests from forks', async () => {
+    // The fork's `main` is not this repository's `main`
+    const { calls } = stubFetch({ ...runRoutes({ target: { kind: 'pull', ref: 'main', number: 8, sha: SHA, path: null, fork: true } }), ...githubRoutes() });
+    const res = await post();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('fork_pull_request');
+    expect(calls.every((request) => request.method === 'GET' && !request.path.startsWith(GITHUB))).toBe(true);
+  });
+
+  it('asks for an access token before writing anything', async () => {
+    const { calls } = stubFetch(runRoutes());
+    const res = await post({});
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.code).toBe('token_required');
+    expect(calls.every((request) => request.method === 'GET')).toBe(true);
+  });
+
+  it('reports tokens the provider does not let push', async () => {
+    stubFetch({ ...runRoutes(), ...githubRoutes(), [`POST ${GITHUB}/git/trees`]: () => reply(403, { message: 'Resource not accessible' }) });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const res = await post();
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.code).toBe('token_rejected');
+  });
+
+  it('answers 404 without generated files and 409 for unfinished runs', async () => {
+    stubFetch(runRoutes({ output: [{ type: 'markdown', content: '# Report' }] }));
+    const missing = await post();
+    expect(missing.statusCode).toBe(404);
+    expect(missing.body.code).toBe('no_files');
+
+    jest.restoreAllMocks();
+    stubFetch(runRoutes({ status: 'in_progress' }));
+    const running = await post();
+    expect(running.statusCode).toBe(409);
+    expect(running.body.code).toBe('run_not_completed');
+  });
+});
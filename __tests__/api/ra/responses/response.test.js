@@ -0,0 +1,73 @@
+import handler from '../../../../pages/api/ra/responses/[agent]/[response]';
+import { rememberAgentPrivacy } from '../../../../lib/access';
+import { call } from '../../../helpers/http';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../../../helpers/ra';
+
+const query = { agent: 'ut-a', response: 'resp-1' };
+
+describe('GET /api/ra/responses/[agent]/[response]', () => {
+  beforeEach(() => {
+    setRAEnv();
+    // A public repository's agent; access to private ones is covered in lib/access.test.js
+    rememberAgentPrivacy('ut-a', false);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods', async () => {
+    const res = await call(handler, { method: 'POST', query });
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.allow).toEqual(['GET']);
+  });
+
+  it('requires an agent and a response id', async () => {
+    expect((await call(handler, { method: 'GET', query: { agent: 'ut-a' } })).statusCode).toBe(400);
+    expect((await call(handler, { method: 'GET', query: { response: 'resp-1' } })).statusCode).toBe(400);
+  });
+
+  it('reports missing RA configuration', async () => {
+    clearRAEnv();
+    const res = await call(handler, { method: 'GET', query });
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toMatch(/Missing environment variables/);
+  });
+
+  it('returns the response with structured results attached', async () => {
+    stubFetch({
+      'GET /api/v0/agents/ut-a/responses/resp-1': () => ({
+        id: 'resp-1',
+        status: 'completed',
+        metadata: { run_type: 'test_run' },
+        output_content: [{ type: 'markdown', content: '## Executive Summary\n\n- **Coverage:** 40% → 85%\n- **Total tests:** 12 (11 passed, 1 failed, 0 skipped)' }]
+      })
+    });
+
+    const res = await call(handler, { method: 'GET', query });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.id).toBe('resp-1');
+    expect(res.body.results).toMatchObject({ source: 'markdown', coverage: { after: 85 } });
+  });
+
+  it('leaves in-progress responses untouched', async () => {
+    stubFetch({ 'GET /api/v0/agents/ut-a/responses/resp-1': () => ({ id: 'resp-1', status: 'processing' }) });
+    const res = await call(handler, { method: 'GET', query });
+    expect(res.body).toEqual({ id: 'resp-1', status: 'processing' });
+  });
+
+  it('passes upstream client errors through', async () => {
+    stubFetch({ 'GET /api/v0/agents/ut-a/responses/resp-1': () => reply(404, { detail: 'Response not found' }) });
+    const res = await call(handler, { method: 'GET', query });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.details).toEqual({ detail: 'Response not found' });
+  });
+
+  it('maps non-JSON upstream answers to 502', async () => {
+    stubFetch({ 'GET /api/v0/agents/ut-a/responses/resp-1': () => new Response('<html>gateway</html>', { status: 200 }) });
+    const res = await call(handler, { method: 'GET', query });
+    expect(res.statusCode).toBe(502);
+    expect(res.body.details).toContain('gateway');
+  });
+});
@@ -0,0 +1,84 @@
+import handler from '../../../../pages/api/ra/responses/[agent]/[response]/stream';
+import { rememberAgentPrivacy } from '../../../../lib/access';
+import { subscribe } from '../../../../lib/responseStream';
+import { createRequest, createResponse } from '../../../helpers/http';
+import { clearRAEnv, setRAEnv } from '../../../helpers/ra';
+
+jest.mock('../../../../lib/responseStream', () => ({ subscribe: jest.fn() }));
+
+const query = { agent: 'ut-a', response: 'resp-1' };
+
+async function open(request) {
+  const req = createRequest({ method: 'GET', ...request });
+  const res = createResponse();
+  await handler(req, res);
+  return { req, res };
+}
+
+describe('GET /api/ra/responses/[agent]/[response]/stream', () => {
+  let emit;
+  let unsubscribe;
+
+  beforeEach(() => {
+    setRAEnv();
+    // A public repository's agent; access to private ones is covered in lib/access.test.js
+    rememberAgentPrivacy('ut-a', false);
+    jest.useFakeTimers();
+    unsubscribe = jest.fn();
+    subscribe.mockImplementation((agent, responseId, listener) => {
+      emit = listener;
+      return unsubscribe;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    subscribe.mockReset();
+    clearRAEnv();
+  });
+
+  it('rejects other methods', async () => {
+    const { res } = await open({ method: 'POST', query });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('requires an agent and a response id', async () => {
+    const { res } = await open({ query: { agent: 'ut-a' } });
+    expect(res.statusCode).toBe(400);
+    expect(subscribe).not.toHaveBeenCalled();
+  });
+
+  it('reports missing RA configuration', async () => {
+    clearRAEnv();
+    const { res } = await open({ query });
+    expect(res.statusCode).toBe(500);
+    expect(subscribe).not.toHaveBeenCalled();
+  });
+
+  it('relays events and closes on end', async () => {
+    const { res } = await open({ query: { ...query, watch_state: '1' } });
+
+    expect(res.headers['content-type']).toBe('text/event-stream');
+    expect(subscribe).toHaveBeenCalledWith('ut-a', 'resp-1', expect.any(Function), { watchAgentState: true });
+
+    emit('response', { id: 'resp-1', status: 'processing' });
+    expect(res.chunks).toEqual(['event: response\ndata: {"id":"resp-1","status":"processing"}\n\n']);
+
+    emit('end', { status: 'completed' });
+    expect(res.ended).toBe(true);
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+  });
+
+  it('sends heartbeats and unsubscribes when the browser disconnects', async () => {
+    const { req, res } = await open({ query });
+
+    jest.advanceTimersByTime(15000);
+    expect(res.chunks).toContain(': ping\n\n');
+
+    req.emit('close');
+    req.emit('close');
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+    expect(res.ended).toBe(true);
+  });
+});
@@ -0,0 +1,113 @@
+import handler from '../../pages/api/recent-tests';
+import { call } from '../helpers/http';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../helpers/ra';
+
+const agent = (name, repoName, target = null) => ({
+  name,
+  metadata: { repository: { owner: 'acme', name: repoName, url: `https://github.com/acme/${repoName}` }, target }
+});
+
+describe('GET /api/recent-tests', () => {
+  beforeEach(setRAEnv);
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods', async () => {
+    const res = await call(handler, { method: 'POST' });
+    expect(res.statusCode).toBe(405);
+  });
+
+  it('reports missing RA configuration', async () => {
+    clearRAEnv();
+    const res = await call(handler, { method: 'GET' });
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toMatch(/RA_APPS_UNITEST_ADMIN_TOKEN, RA_HOST_URL/);
+  });
+
+  it('lists the latest completed run per agent, newest first', async () => {
+    const { calls } = stubFetch({
+      'GET /api/v0/agents': () => ({ items: [agent('ut-a', 'alpha'), agent('ut-b', 'beta', { type: 'pull', number: 3 }), { name: 'ut-c', metadata: {} }] }),
+      'GET /api/v0/agents/ut-a/responses': () => [
+        { id: 'a2', status: 'processing', updated_at: '2026-01-03T00:00:00Z' },
+        { id: 'a1', status: 'completed', updated_at: '2026-01-01T00:00:00Z' }
+      ],
+      'GET /api/v0/agents/ut-b/responses': () => [{ id: 'b1', status: 'failed', updated_at: '2026-01-02T00:00:00Z' }],
+      'GET /api/v0/agents/ut-c/responses': () => [{ id: 'c1', status: 'completed', updated_at: '2026-01-04T00:00:00Z' }]
+    });
+
+    const res = await call(handler, { method: 'GET' });
+
+    expect(res.statusCode).toBe(200);
+    expect(calls[0].query).toEqual({ tags: 'unitest', limit: '50' });
+    expect(res.body.tests.map((test) => [test.name, test.responseId])).toEqual([['beta', 'b1'], ['alpha', 'a1']]);
+    expect(res.body.tests[0].target).toEqual({ type: 'pull', number: 3 });
+    expect(res.headers['cache-control']).toMatch(/max-age=30/);
+  });
+
+  it('requires a signed-in user', async () => {
+    const res = await call(handler, { method: 'GET', user: null });
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('keeps only targets the user created or started runs on for scope=mine', async () => {
+    const alice = { id: 'github:1', login: 'alice' };
+    const bob = { id: 'github:2', login: 'bob' };
+    stubFetch({
+      'GET /api/v0/agents': () => ({
+        items: [
+          { ...agent('ut-a', 'alpha'), metadata: { ...agent('ut-a', 'alpha').metadata, created_by: alice } },
+          agent('ut-b', 'beta'),
+          agent('ut-c', 'gamma')
+        ]
+      }),
+      'GET /api/v0/agents/ut-a/responses': () => [{ id: 'a1', status: 'completed', updated_at: '2026-01-01T00:00:00Z', metadata: { started_by: bob } }],
+      'GET /api/v0/agents/ut-b/responses': () => [
+        { id: 'b2', status: 'completed', updated_at: '2026-01-03T00:00:00Z', metadata: { started_by: bob } },
+        { id: 'b1', status: 'completed', updated_at: '2026-01-02T00:00:00Z', metadata: { started_by: alice } }
+      ],
+      'GET /api/v0/agents/ut-c/responses': () => [{ id: 'c1', status: 'completed', updated_at: '2026-01-04T00:00:00Z', metadata: { started_by: bob } }]
+    });
+
+    const mine = await call(handler, { method: 'GET', query: { scope: 'mine' } });
+    expect(mine.body.tests.map((test) => [test.agentName, test.startedBy])).toEqual([['ut-b', 'bob'], ['ut-a', 'bob']]);
+    expect(mine.headers['cache-control']).toMatch(/^private/);
+
+    const all = await call(handler, { method: 'GET', query: { scope: 'all' } });
+    expect(all.body.tests.map((test) => test.agentName)).toEqual(['ut-c', 'ut-b', 'ut-a']);
+  });
+
+  it('lists private repositories only to users who worked on them', async () => {
+    const bob = { id: 'github:2', login: 'bob' };
+    const secret = { ...agent('ut-s', 'secret'), metadata: { ...agent('ut-s', 'secret').metadata, repository: { owner: 'acme', name: 'secret', private: true } } };
+    stubFetch({
+      'GET /api/v0/agents': () => ({ items: [secret, agent('ut-a', 'alpha')] }),
+      'GET /api/v0/agents/ut-s/responses': () => [{ id: 's1', status: 'completed', updated_at: '2026-01-02T00:00:00Z', metadata: { started_by: bob } }],
+      'GET /api/v0/agents/ut-a/responses': () => [{ id: 'a1', status: 'completed', updated_at: '2026-01-01T00:00:00Z' }]
+    });
+
+    const alice = await call(handler, { method: 'GET', query: { scope: 'all' } });
+    expect(alice.body.tests.map((test) => test.agentName)).toEqual(['ut-a']);
+
+    const owner = await call(handler, { method: 'GET', query: { scope: 'all' }, user: { ...bob, name: 'Bob', avatarUrl: null } });
+    expect(owner.body.tests.map((test) => [test.agentName, test.private])).toEqual([['ut-s', true], ['ut-a', false]]);
+  });
+
+  it('skips agents whose responses cannot be loaded', async () => {
+    stubFetch({
+      'GET /api/v0/agents': () => ({ items: [agent('ut-a', 'alpha'), agent('ut-b', 'beta')] }),
+      'GET /api/v0/agents/ut-a/responses': () => reply(403, { detail: 'forbidden' }),
+      'GET /api/v0/agents/ut-b/responses': () => [{ id: 'b1', status: 'completed', updated_at: '2026-01-02T00:00:00Z' }]
+    });
+    const res = await call(handler, { method: 'GET' });
+    expect(res.body.tests.map((test) => test.agentName)).toEqual(['ut-b']);
+  });
+
+  it('passes upstream client errors through', async () => {
+    stubFetch({ 'GET /api/v0/agents': () => reply(422, { detail: 'bad tags' }) });
+    const res = await call(handler, { method: 'GET' });
+    expect(res.statusCode).toBe(422);
+    expect(res.body).toMatchObject({ error: 'Failed to fetch recent tests', details: { detail: 'bad tags' } });
+  });
+});
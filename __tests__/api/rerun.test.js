@@ -0,0 +1,260 @@
+import handler from '../../pages/api/rerun';
+import startRun from '../../pages/api/runs';
+import { tokensCookie } from '../helpers/auth';
+import { call } from '../helpers/http';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../helpers/ra';
+
+const GITHUB = 'https://api.github.com/repos/acme/widget';
+const SHA = 'c0ffee0000000000000000000000000000000000';
+
+const agent = {
+  name: 'ut-widget-1234',
+  metadata: {
+    repository: { owner: 'acme', name: 'widget', url: 'https://github.com/acme/widget' },
+    target: { type: 'default', ref: null, number: null },
+    options: { coverage_target: 70 }
+  }
+};
+
+function githubRoutes() {
+  return {
+    [`GET ${GITHUB}`]: () => ({ private: false, default_branch: 'main' }),
+    [`GET ${GITHUB}/commits/main`]: () => ({ sha: SHA })
+  };
+}
+
+describe('POST /api/rerun', () => {
+  beforeEach(setRAEnv);
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods', async () => {
+    const res = await call(handler, { method: 'GET' });
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.allow).toEqual(['POST']);
+  });
+
+  it('requires an agent name', async () => {
+    const res = await call(handler, { method: 'POST', body: {} });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('reports missing RA configuration', async () => {
+    clearRAEnv();
+    const res = await call(handler, { method: 'POST', body: { agentName: agent.name } });
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('config_error');
+  });
+
+  it('passes an unknown agent through as 404', async () => {
+    stubFetch({ 'GET /api/v0/agents/ut-widget-1234': () => reply(404, { detail: 'not found' }) });
+    const res = await call(handler, { method: 'POST', body: { agentName: agent.name } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Failed to fetch agent');
+  });
+
+  it('refuses to start while the previous run is still going', async () => {
+    const { calls } = stubFetch({
+      'GET /api/v0/agents/ut-widget-1234': () => agent,
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [],
+      'GET /api/v0/agents/ut-widget-1234/responses/resp-1': () => ({ id: 'resp-1', status: 'processing' })
+    });
+    const res = await call(handler, { method: 'POST', body: { agentName: agent.name, previousResponseId: 'resp-1' } });
+    expect(res.statusCode).toBe(409);
+    expect(calls.some((request) => request.method === 'POST')).toBe(false);
+  });
+
+  it('answers 502 when the ref can no longer be resolved', async () => {
+    stubFetch({
+      'GET /api/v0/agents/ut-widget-1234': () => agent,
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [],
+      [`GET ${GITHUB}`]: () => reply(404, { message: 'Not Found' })
+    });
+    const res = await call(handler, { method: 'POST', body: { agentName: agent.name } });
+    expect(res.statusCode).toBe(502);
+    expect(res.body.error).toBe('Failed to resolve repository ref');
+  });
+
+  it('starts a run at the current head with the stored options', async () => {
+    const { calls } = stubFetch({
+      ...githubRoutes(),
+      'GET /api/v0/agents/ut-widget-1234': () => agent,
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [],
+      'GET /api/v0/agents/ut-widget-1234/responses/resp-1': () => ({ id: 'resp-1', status: 'completed' }),
+      'POST /api/v0/agents/ut-widget-1234/responses': ({ body }) => ({ id: 'resp-2', status: 'pending', metadata: body.metadata })
+    });
+
+    const res = await call(handler, { method: 'POST', body: { agentName: agent.name, previousResponseId: 'resp-1' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.id).toBe('resp-2');
+    expect(res.body.metadata).toMatchObject({
+      run_type: 'test_run',
+      supersedes: 'resp-1',
+      options: { coverage_target: 70, mode: 'generate' },
+      target: { type: 'default', kind: 'branch', ref: 'main', sha: SHA },
+      template: { id: 'test-run', version: 2 },
+      started_by: { id: 'github:1', login: 'alice' }
+    });
+    const post = calls.find((request) => request.method === 'POST');
+    expect(post.body.input.content[0].content).toContain(SHA);
+    expect(calls.some((request) => request.method === 'PATCH')).toBe(false);
+  });
+
+  it('stores newly requested options on the agent', async () => {
+    const { calls } = stubFetch({
+      ...githubRoutes(),
+      'GET /api/v0/agents/ut-widget-1234': () => agent,
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [],
+      'POST /api/v0/agents/ut-widget-1234/responses': () => ({ id: 'resp-2', status: 'pending' }),
+      'PATCH /api/v0/agents/ut-widget-1234': ({ body }) => ({ ...agent, metadata: body.metadata })
+    });
+
+    const res = await call(handler, { method: 'POST', body: { agentName: agent.name, options: { coverage_target: 95, mode: 'run-only' } } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.metadata.options).toMatchObject({ coverage_target: 95, mode: 'run-only' });
+    const patch = calls.find((request) => request.method === 'PATCH');
+    expect(patch.body.metadata.options).toMatchObject({ coverage_target: 95, mode: 'run-only' });
+    expect(patch.body.metadata.repository).toEqual(agent.metadata.repository);
+  });
+
+  it('counts re-runs against the daily quota', async () => {
+    process.env.RUN_DAILY_QUOTA = '1';
+    try {
+      const { calls } = stubFetch({
+        ...githubRoutes(),
+        'GET /api/v0/agents/ut-widget-1234': () => agent,
+        'GET /api/v0/agents/ut-widget-1234/responses': () => [],
+        'POST /api/v0/agents/ut-widget-1234/responses': () => ({ id: 'resp-2', status: 'pending' })
+      });
+      expect((await call(handler, { method: 'POST', body: { agentName: agent.name } })).statusCode).toBe(200);
+
+      const res = await call(handler, { method: 'POST', body: { agentName: agent.name } });
+      expect(res.statusCode).toBe(429);
+      expect(res.body).toMatchObject({ code: 'quota_exceeded', limit: 1 });
+      expect(calls.filter((request) => request.method === 'POST')).toHaveLength(1);
+    } finally {
+      delete process.env.RUN_DAILY_QUOTA;
+    }
+  });
+
+  it('attaches to a run someone else started since the page loaded', async () => {
+    const { calls } = stubFetch({
+      ...githubRoutes(),
+      'GET /api/v0/agents/ut-widget-1234': () => agent,
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [
+        { id: 'resp-3', status: 'processing', created_at: '2026-01-02T00:00:00Z', metadata: { run_type: 'test_run' } },
+        { id: 'resp-1', status: 'completed', created_at: '2026-01-01T00:00:00Z', metadata: { run_type: 'test_run' } }
+      ],
+      'GET /api/v0/agents/ut-widget-1234/responses/resp-1': () => ({ id: 'resp-1', status: 'completed' })
+    });
+
+    const res = await call(handler, { method: 'POST', body: { agentName: agent.name, previousResponseId: 'resp-1' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ id: 'resp-3', joined: true });
+    expect(calls.some((request) => request.method === 'POST')).toBe(false);
+  });
+
+  it('starts one run for simultaneous re-runs of the same target', async () => {
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const { calls } = stubFetch({
+      ...githubRoutes(),
+      'GET /api/v0/agents/ut-widget-1234': () => agent,
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [],
+      'POST /api/v0/agents/ut-widget-1234/responses': async () => {
+        await gate;
+        return { id: 'resp-2', status: 'pending' };
+      }
+    });
+
+    const first = call(handler, { method: 'POST', body: { agentName: agent.name } });
+    const second = call(handler, { method: 'POST', body: { agentName: agent.name } });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    release();
+    const [a, b] = await Promise.all([first, second]);
+
+    expect([a.body.id, b.body.id]).toEqual(['resp-2', 'resp-2']);
+    expect([a.body.joined, b.body.joined]).toEqual([false, true]);
+    expect(calls.filter((request) => request.method === 'POST')).toHaveLength(1);
+  });
+
+  it('gives a run start that joins the re-run the agent to follow', async () => {
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const { calls } = stubFetch({
+      ...githubRoutes(),
+      'GET /api/v0/agents/ut-widget-1234': () => agent,
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [],
+      'POST /api/v0/agents/ut-widget-1234/responses': async () => {
+        await gate;
+        return { id: 'resp-2', status: 'pending' };
+      }
+    });
+
+    const rerun = call(handler, { method: 'POST', body: { agentName: agent.name } });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    const start = call(startRun, { method: 'POST', body: { owner: 'acme', name: 'widget' } });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    release();
+    const [a, b] = await Promise.all([rerun, start]);
+
+    expect(a.body).toMatchObject({ id: 'resp-2', joined: false });
+    expect(b.statusCode).toBe(200);
+    expect(b.body).toMatchObject({ agentName: 'ut-widget-1234', responseId: 'resp-2', joined: true });
+    expect(calls.filter((request) => request.method === 'POST')).toHaveLength(1);
+  });
+
+  it('treats private agents as missing for users without a token', async () => {
+    const privateAgent = { ...agent, metadata: { ...agent.metadata, repository: { ...agent.metadata.repository, private: true } } };
+    const { calls } = stubFetch({ 'GET /api/v0/agents/ut-widget-1234': () => privateAgent });
+    const res = await call(handler, { method: 'POST', body: { agentName: agent.name } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('not_found');
+    expect(calls).toHaveLength(1);
+  });
+
+  it('refreshes the clone secrets from the user re-running a private repository', async () => {
+    const token = `ghp_${'t'.repeat(36)}`;
+    const { calls } = stubFetch({
+      ...githubRoutes(),
+      [`GET ${GITHUB}`]: () => ({ private: true, default_branch: 'main' }),
+      'GET /api/v0/agents/ut-widget-1234': () => agent,
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [],
+      'PATCH /api/v0/agents/ut-widget-1234': ({ body }) => ({ ...agent, metadata: body.metadata }),
+      'POST /api/v0/agents/ut-widget-1234/responses': ({ body }) => ({ id: 'resp-2', status: 'pending', metadata: body.metadata })
+    });
+
+    const res = await call(handler, {
+      method: 'POST',
+      body: { agentName: agent.name },
+      headers: { cookie: tokensCookie({ 'github.com': token }) }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(calls.find((request) => request.path === GITHUB).headers.Authorization).toBe(`Bearer ${token}`);
+    const patch = calls.find((request) => request.method === 'PATCH');
+    expect(patch.body.secrets).toEqual({ UNITEST_GIT_USERNAME: 'x-access-token', UNITEST_GIT_TOKEN: token });
+    expect(patch.body.metadata.repository.private).toBe(true);
+    const prompt = calls.find((request) => request.method === 'POST').body.input.content[0].content;
+    expect(prompt).toContain('UNITEST_GIT_TOKEN');
+    expect(prompt).not.toContain(token);
+    expect(res.headers['set-cookie']).toMatch(/^unitest_access=/);
+  });
+
+  it('passes upstream errors from enqueueing through', async () => {
+    stubFetch({
+      ...githubRoutes(),
+      'GET /api/v0/agents/ut-widget-1234': () => agent,
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [],
+      'POST /api/v0/agents/ut-widget-1234/responses': () => reply(409, { detail: 'busy' })
+    });
+    const res = await call(handler, { method: 'POST', body: { agentName: agent.name } });
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toMatchObject({ error: 'Failed to start a new test run', details: { detail: 'busy' } });
+  });
+});
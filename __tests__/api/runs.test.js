@@ -0,0 +1,390 @@
+import { agentNameFor } from '../../lib/agents';
+import { setRateLimitStore } from '../../lib/rateLimit';
+import handler from '../../pages/api/runs';
+import { tokensCookie } from '../helpers/auth';
+import { call } from '../helpers/http';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../helpers/ra';
+
+const GITHUB = 'https://api.github.com/repos/acme/widget';
+const SHA = 'c0ffee0000000000000000000000000000000000';
+const PULL_SHA = 'beef000000000000000000000000000000000000';
+
+function githubRoutes(extra = {}) {
+  return {
+    [`GET ${GITHUB}`]: () => ({ private: false, default_branch: 'main' }),
+    [`GET ${GITHUB}/commits/main`]: () => ({ sha: SHA }),
+    [`GET ${GITHUB}/pulls/7`]: () => ({
+      title: 'Add gears',
+      head: { ref: 'gears', sha: PULL_SHA, repo: { full_name: 'contributor/widget' } },
+      base: { ref: 'main', repo: { full_name: 'acme/widget' } }
+    }),
+    ...extra
+  };
+}
+
+const existingAgent = {
+  name: 'ut-widget-1234',
+  metadata: { repository: { owner: 'acme', name: 'widget' }, options: { coverage_target: 60 } }
+};
+
+describe('POST /api/runs', () => {
+  beforeEach(setRAEnv);
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('rejects other methods', async () => {
+    const res = await call(handler, { method: 'GET' });
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.allow).toEqual(['POST']);
+  });
+
+  it('requires a signed-in user', async () => {
+    const { calls } = stubFetch();
+    const res = await call(handler, { method: 'POST', body: { owner: 'acme', name: 'widget' }, user: null });
+    expect(res.statusCode).toBe(401);
+    expect(calls).toHaveLength(0);
+  });
+
+  it('requires an owner and a name', async () => {
+    expect((await call(handler, { method: 'POST', body: { owner: 'acme' } })).statusCode).toBe(400);
+    expect((await call(handler, { method: 'POST', body: { owner: ' ', name: 'widget' } })).statusCode).toBe(400);
+  });
+
+  it('reports missing RA configuration', async () => {
+    clearRAEnv();
+    const { calls } = stubFetch();
+    const res = await call(handler, { method: 'POST', body: { owner: 'acme', name: 'widget' } });
+    expect(res.statusCode).toBe(500);
+    expect(calls).toHaveLength(0);
+  });
+
+  it('rejects missing or private repositories and unknown refs', async () => {
+    stubFetch({ [`GET ${GITHUB}`]: () => ({ private: true }) });
+    const privateRes = await call(handler, { method: 'POST', body: { owner: 'acme', name: 'widget' } });
+    expect(privateRes.statusCode).toBe(404);
+    expect(privateRes.body.code).toBe('repo_inaccessible');
+
+    jest.restoreAllMocks();
+    stubFetch(githubRoutes());
+    const refRes = await call(handler, { method: 'POST', body: { owner: 'acme', name: 'widget', target: { type: 'tree', ref: 'nope' } } });
+    expect(refRes.statusCode).toBe(422);
+    expect(refRes.body.code).toBe('ref_not_found');
+  });
+
+  it('creates an agent and enqueues a run for a new target', async () => {
+    const { calls } = stubFetch(githubRoutes({
+      'GET /api/v0/agents': () => ({ items: [] }),
+      'POST /api/v0/agents': ({ body }) => reply(201, { name: body.name }),
+      'POST /api/v0/agents/ut-widget-1386/responses': ({ body }) => reply(201, { id: 'run-1', status: 'pending', metadata: body.metadata })
+    }));
+
+    const res = await call(handler, {
+      method: 'POST',
+      body: { owner: 'acme', name: 'widget', target: { type: 'pull', number: 7 }, options: { coverage_target: 90 } }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({ agentName: 'ut-widget-1386', responseId: 'run-1', reused: false });
+    expect(res.body.target).toMatchObject({ kind: 'pull', label: '#7', sha: PULL_SHA });
+
+    const created = calls.find((request) => request.path === '/api/v0/agents' && request.method === 'POST').body;
+    expect(created).toMatchObject({
+      name: 'ut-widget-1386',
+      tags: ['unitest', 'acme/widget@pull/7'],
+      busy_timeout_seconds: 1800,
+      metadata: {
+        source: 'unitest',
+        repository: { owner: 'acme', name: 'widget', url: 'https://github.com/acme/widget' },
+        target: { type: 'pull', ref: null, number: 7 },
+        options: { coverage_target: 90 },
+        instructions_template: { id: 'agent-instructions', version: 1 },
+        created_by: { id: 'github:1', login: 'alice' }
+      }
+    });
+    expect(created.instructions).toMatch(/^You are UniTest/);
+    expect(res.body.response.metadata).toMatchObject({
+      run_type: 'test_run',
+      target: { sha: PULL_SHA, fork: true },
+      options: { coverage_target: 90 },
+      started_by: { id: 'github:1', login: 'alice' }
+    });
+  });
+
+  it('starts runs for repositories on other providers', async () => {
+    const gitlab = 'https://gitlab.com/api/v4/projects/group%2Fapp';
+    const agentName = agentNameFor('app', 'gitlab.com/group/app@pull/3');
+    const { calls } = stubFetch({
+      [`GET ${gitlab}`]: () => ({ visibility: 'public', default_branch: 'main' }),
+      [`GET ${gitlab}/merge_requests/3`]: () => ({ sha: PULL_SHA, source_branch: 'gears', title: 'Add gears' }),
+      'GET /api/v0/agents': () => ({ items: [] }),
+      'POST /api/v0/agents': ({ body }) => reply(201, { name: body.name }),
+      [`POST /api/v0/agents/${agentName}/responses`]: ({ body }) => reply(201, { id: 'run-1', status: 'pending', metadata: body.metadata })
+    });
+
+    const res = await call(handler, {
+      method: 'POST',
+      body: { host: 'gitlab.com', owner: 'group', name: 'app', target: { type: 'pull', number: 3 } }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.target).toMatchObject({ kind: 'pull', label: '!3', sha: PULL_SHA });
+    const created = calls.find((request) => request.path === '/api/v0/agents' && request.method === 'POST').body;
+    expect(created.tags).toEqual(['unitest', 'gitlab.com/group/app@pull/3']);
+    expect(created.metadata.repository).toEqual({ provider: 'gitlab', host: 'gitlab.com', owner: 'group', name: 'app', url: 'https://gitlab.com/group/app' });
+
+    const prompt = calls.find((request) => request.path === `/api/v0/agents/${agentName}/responses`).body.input.content[0].content;
+    expect(prompt).toContain('Clone https://gitlab.com/group/app.git, fetch pull request !3 with `git fetch origin merge-requests/3/head`');
+  });
+
+  it('tests a monorepo package given after the ref of a pasted link', async () => {
+    const agentName = agentNameFor('widget-api', 'acme/widget@tree/main:packages/api');
+    const { calls } = stubFetch(githubRoutes({
+      [`GET ${GITHUB}/commits/main/packages/api`]: () => reply(404, { message: 'No commit found' }),
+      [`GET ${GITHUB}/branches/main`]: () => ({ name: 'main' }),
+      'GET /api/v0/agents': () => ({ items: [] }),
+      'POST /api/v0/agents': ({ body }) => reply(201, { name: body.name }),
+      [`POST /api/v0/agents/${agentName}/responses`]: ({ body }) => reply(201, { id: 'run-1', status: 'pending', metadata: body.metadata })
+    }));
+
+    const res = await call(handler, {
+      method: 'POST',
+      body: { owner: 'acme', name: 'widget', target: { type: 'tree', ref: 'main/packages/api' } }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.target).toMatchObject({ kind: 'branch', ref: 'main', sha: SHA, path: 'packages/api' });
+    const created = calls.find((request) => request.path === '/api/v0/agents' && request.method === 'POST').body;
+    expect(created.tags).toEqual(['unitest', 'acme/widget@tree/main:packages/api']);
+    expect(created.metadata.target).toEqual({ type: 'tree', ref: 'main', number: null, path: 'packages/api' });
+
+    const run = calls.find((request) => request.path === `/api/v0/agents/${agentName}/responses`).body;
+    expect(run.metadata.target.path).toBe('packages/api');
+    expect(run.input.content[0].content).toContain('Only work on the package in the `packages/api` directory');
+  });
+
+  it('rejects package paths outside the repository', async () => {
+    const { calls } = stubFetch();
+    const res = await call(handler, { method: 'POST', body: { owner: 'acme', name: 'widget', target: { type: 'default', path: '../secrets' } } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('invalid_path');
+    expect(calls).toHaveLength(0);
+  });
+
+  it('tests private repositories with the user\'s token without putting it in the prompt', async () => {
+    const token = `ghp_${'t'.repeat(36)}`;
+    const agentName = agentNameFor('widget', 'acme/widget');
+    const { calls } = stubFetch(githubRoutes({
+      [`GET ${GITHUB}`]: () => ({ private: true, default_branch: 'main' }),
+      'GET /api/v0/agents': () => ({ items: [] }),
+      'POST /api/v0/agents': ({ body }) => reply(201, { name: body.name }),
+      [`POST /api/v0/agents/${agentName}/responses`]: ({ body }) => reply(201, { id: 'run-1', status: 'pending', metadata: body.metadata })
+    }));
+
+    const res = await call(handler, {
+      method: 'POST',
+      body: { owner: 'acme', name: 'widget' },
+      headers: { cookie: tokensCookie({ 'github.com': token }) }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(calls.filter((request) => request.path.startsWith(GITHUB)).every((request) => request.headers.Authorization === `Bearer ${token}`)).toBe(true);
+
+    const created = calls.find((request) => request.path === '/api/v0/agents' && request.method === 'POST').body;
+    expect(created.secrets).toEqual({ UNITEST_GIT_USERNAME: 'x-access-token', UNITEST_GIT_TOKEN: token });
+    expect(created.metadata.repository.private).toBe(true);
+    expect(JSON.stringify({ ...created, secrets: null })).not.toContain(token);
+
+    const prompt = calls.find((request) => request.path === `/api/v0/agents/${agentName}/responses`).body.input.content[0].content;
+    expect(prompt).toContain('The repository is private');
+    expect(prompt).toContain('UNITEST_GIT_TOKEN');
+    expect(prompt).not.toContain(token);
+
+    // The user just proved access, so the report may be served to them
+    expect(res.headers['set-cookie']).toMatch(/^unitest_access=/);
+  });
+
+  it('rejects hosts that are not public Git servers', async () => {
+    const { calls } = stubFetch();
+    const res = await call(handler, { method: 'POST', body: { host: '127.0.0.1:8080', owner: 'acme', name: 'widget' } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('unsupported_repo');
+    expect(calls).toHaveLength(0);
+  });
+
+  it('enqueues a run on an existing agent that has none, using its stored options', async () => {
+    const { calls } = stubFetch(githubRoutes({
+      'GET /api/v0/agents': () => ({ items: [existingAgent] }),
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [{ id: 'chat-1', metadata: { run_type: 'chat' } }],
+      'POST /api/v0/agents/ut-widget-1234/responses': ({ body }) => ({ id: 'run-1', status: 'pending', metadata: body.metadata })
+    }));
+
+    const res = await call(handler, { method: 'POST', body: { owner: 'acme', name: 'widget' } });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.response.metadata.options).toMatchObject({ coverage_target: 60 });
+    expect(calls.some((request) => request.path === '/api/v0/agents' && request.method === 'POST')).toBe(false);
+    expect(calls.some((request) => request.method === 'PATCH')).toBe(false);
+  });
+
+  it('reuses the latest run instead of starting another', async () => {
+    const { calls } = stubFetch(githubRoutes({
+      'GET /api/v0/agents': () => ({ items: [existingAgent] }),
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [{ id: 'run-1', status: 'processing', metadata: { run_type: 'test_run' } }]
+    }));
+
+    const res = await call(handler, { method: 'POST', body: { owner: 'acme', name: 'widget' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ agentName: 'ut-widget-1234', responseId: 'run-1', reused: true });
+    expect(calls.some((request) => request.method === 'POST')).toBe(false);
+  });
+
+  describe('concurrent starts', () => {
+    const body = { owner: 'acme', name: 'widget', target: { type: 'pull', number: 7 } };
+
+    it('lets simultaneous requests for one target share a single new run', async () => {
+      let release;
+      const gate = new Promise((resolve) => { release = resolve; });
+      const { calls } = stubFetch(githubRoutes({
+        'GET /api/v0/agents': () => ({ items: [] }),
+        'POST /api/v0/agents': async ({ body: agent }) => {
+          await gate;
+          return reply(201, { name: agent.name });
+        },
+        'POST /api/v0/agents/ut-widget-1386/responses': () => reply(201, { id: 'run-1', status: 'pending' })
+      }));
+
+      const first = call(handler, { method: 'POST', body });
+      const second = call(handler, { method: 'POST', body });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      release();
+      const [a, b] = await Promise.all([first, second]);
+
+      expect([a.statusCode, b.statusCode]).toEqual([201, 200]);
+      expect(b.body).toMatchObject({ responseId: 'run-1', joined: true });
+      expect(calls.filter((request) => request.method === 'POST')).toHaveLength(2);
+    });
+
+    it('attaches to the agent when another server created it first', async () => {
+      const { calls } = stubFetch(githubRoutes({
+        'GET /api/v0/agents': () => ({ items: [] }),
+        'POST /api/v0/agents': () => reply(409, { detail: 'Agent ut-widget-1386 already exists' }),
+        'GET /api/v0/agents/ut-widget-1386': () => ({ name: 'ut-widget-1386', tags: ['unitest', 'acme/widget@pull/7'], metadata: {} }),
+        'GET /api/v0/agents/ut-widget-1386/responses': () => [{ id: 'run-9', status: 'pending', metadata: { run_type: 'test_run' } }]
+      }));
+
+      const res = await call(handler, { method: 'POST', body });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ agentName: 'ut-widget-1386', responseId: 'run-9', reused: true });
+      expect(calls.filter((request) => request.method === 'POST')).toHaveLength(1);
+    });
+
+    it('picks another name when the name belongs to a different target', async () => {
+      const { calls } = stubFetch(githubRoutes({
+        'GET /api/v0/agents': () => ({ items: [] }),
+        'POST /api/v0/agents': ({ body: agent }) => agent.name === 'ut-widget-1386'
+          ? reply(409, { detail: 'exists' })
+          : reply(201, { name: agent.name }),
+        'GET /api/v0/agents/ut-widget-1386': () => ({ name: 'ut-widget-1386', tags: ['unitest', 'other/widget'] }),
+        'POST /api/v0/agents/ut-widget-1386-2/responses': () => reply(201, { id: 'run-1', status: 'pending' })
+      }));
+
+      const res = await call(handler, { method: 'POST', body });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.agentName).toBe('ut-widget-1386-2');
+      expect(calls.filter((request) => request.path === '/api/v0/agents' && request.method === 'POST').map((request) => request.body.name))
+        .toEqual(['ut-widget-1386', 'ut-widget-1386-2']);
+    });
+
+    it('gives up after a few taken names', async () => {
+      stubFetch(githubRoutes({
+        'GET /api/v0/agents': () => ({ items: [] }),
+        'POST /api/v0/agents': () => reply(409, { detail: 'exists' }),
+        'GET /api/v0/agents/ut-widget-1386': () => ({ tags: [] }),
+        'GET /api/v0/agents/ut-widget-1386-2': () => ({ tags: [] }),
+        'GET /api/v0/agents/ut-widget-1386-3': () => ({ tags: [] }),
+        'GET /api/v0/agents/ut-widget-1386-4': () => ({ tags: [] }),
+        'GET /api/v0/agents/ut-widget-1386-5': () => ({ tags: [] })
+      }));
+
+      const res = await call(handler, { method: 'POST', body });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.code).toBe('agent_name_conflict');
+    });
+  });
+
+  describe('daily quota', () => {
+    beforeEach(() => {
+      process.env.RUN_DAILY_QUOTA = '1';
+    });
+    afterEach(() => {
+      delete process.env.RUN_DAILY_QUOTA;
+    });
+
+    it('refuses to create anything once the quota is used', async () => {
+      const { calls } = stubFetch(githubRoutes({
+        'GET /api/v0/agents': () => ({ items: [] }),
+        'POST /api/v0/agents': ({ body }) => reply(201, { name: body.name }),
+        'POST /api/v0/agents/ut-widget-1386/responses': () => reply(201, { id: 'run-1', status: 'pending' })
+      }));
+      const body = { owner: 'acme', name: 'widget', target: { type: 'pull', number: 7 } };
+      expect((await call(handler, { method: 'POST', body })).statusCode).toBe(201);
+
+      const agentPosts = calls.filter((request) => request.method === 'POST').length;
+      const res = await call(handler, { method: 'POST', body });
+      expect(res.statusCode).toBe(429);
+      expect(res.body.code).toBe('quota_exceeded');
+      expect(res.headers['retry-after']).toBeDefined();
+      expect(calls.filter((request) => request.method === 'POST')).toHaveLength(agentPosts);
+    });
+
+    it('gives the run back when starting it fails', async () => {
+      let fail = true;
+      stubFetch(githubRoutes({
+        'GET /api/v0/agents': () => ({ items: [] }),
+        'POST /api/v0/agents': ({ body }) => reply(201, { name: body.name }),
+        'POST /api/v0/agents/ut-widget-1386/responses': () => (fail ? reply(503, { detail: 'busy' }) : reply(201, { id: 'run-1', status: 'pending' }))
+      }));
+      const body = { owner: 'acme', name: 'widget', target: { type: 'pull', number: 7 } };
+      expect((await call(handler, { method: 'POST', body })).statusCode).toBe(502);
+
+      fail = false;
+      expect((await call(handler, { method: 'POST', body })).statusCode).toBe(201);
+    });
+
+    it('still returns an existing run', async () => {
+      stubFetch(githubRoutes({
+        'GET /api/v0/agents': () => ({ items: [existingAgent] }),
+        'GET /api/v0/agents/ut-widget-1234/responses': () => [{ id: 'run-1', status: 'completed', metadata: { run_type: 'test_run' } }]
+      }));
+      const body = { owner: 'acme', name: 'widget' };
+      expect((await call(handler, { method: 'POST', body })).statusCode).toBe(200);
+      expect((await call(handler, { method: 'POST', body })).statusCode).toBe(200);
+    });
+  });
+
+  it('answers with JSON when the rate limit store fails', async () => {
+    setRateLimitStore({ increment: async () => { throw new Error('store down'); }, decrement: async () => 0 });
+    stubFetch(githubRoutes());
+
+    const res = await call(handler, { method: 'POST', body: { owner: 'acme', name: 'widget' } });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ error: 'Internal server error' });
+  });
+
+  it('passes upstream errors through', async () => {
+    stubFetch(githubRoutes({
+      'GET /api/v0/agents': () => ({ items: [] }),
+      'POST /api/v0/agents': () => reply(422, { detail: 'invalid name' })
+    }));
+    const res = await call(handler, { method: 'POST', body: { owner: 'acme', name: 'widget' } });
+    expect(res.statusCode).toBe(422);
+    expect(res.body).toMatchObject({ error: 'Failed to start a test run', details: { detail: 'invalid name' } });
+  });
+});
@@ -0,0 +1,17 @@
+import { encodeSealed, encodeSigned, SESSION_COOKIE, SESSION_MAX_AGE_SECONDS, TOKENS_COOKIE } from '../../lib/auth';
+
+export const AUTH_SECRET = 'test-session-secret';
+export const TEST_USER = { id: 'github:1', login: 'alice', name: 'Alice', avatarUrl: null };
+export const OTHER_USER = { id: 'github:2', login: 'bob', name: 'Bob', avatarUrl: null };
+
+// Cookie header for a signed-in request.
+export function sessionCookie(user = TEST_USER) {
+  return `${SESSION_COOKIE}=${encodeSigned(user, SESSION_MAX_AGE_SECONDS)}`;
+}
+
+// Cookie header for a signed-in request that also carries access tokens, e.g.
+// { 'github.com': 'ghp_...' }.
+export function tokensCookie(tokens, user = TEST_USER) {
+  const stored = Object.fromEntries(Object.entries(tokens).map(([host, token]) => [host, { token, source: 'user' }]));
+  return `${sessionCookie(user)}; ${TOKENS_COOKIE}=${encodeSealed({ uid: user.id, tokens: stored }, SESSION_MAX_AGE_SECONDS)}`;
+}
@@ -0,0 +1,73 @@
+import { sessionCookie, TEST_USER } from './auth';
+
+// Minimal stand-ins for the Next.js API request/response objects. Requests are signed in as
+// TEST_USER unless `user` is given; pass `user: null` for a signed-out request.
+export function createRequest({ method = 'GET', query = {}, body, headers = {}, user = TEST_USER } = {}) {
+  const listeners = {};
+  return {
+    method,
+    query,
+    body,
+    headers: user ? { cookie: sessionCookie(user), ...headers } : headers,
+    on(event, listener) {
+      listeners[event] = listener;
+    },
+    emit(event) {
+      listeners[event]?.();
+    }
+  };
+}
+
+export function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    ended: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(payload) {
+      res.body = payload;
+      res.ended = true;
+      return res;
+    },
+    send(payload) {
+      res.body = payload;
+      res.ended = true;
+      return res;
+    },
+    redirect(code, url) {
+      res.statusCode = code;
+      res.headers.location = url;
+      res.ended = true;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return res.headers[name.toLowerCase()];
+    },
+    writeHead(code, headers = {}) {
+      res.statusCode = code;
+      for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+    },
+    write(chunk) {
+      res.chunks.push(chunk);
+    },
+    end() {
+      res.ended = true;
+    }
+  };
+  return res;
+}
+
+export async function call(handler, request) {
+  const req = createRequest(request);
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+}
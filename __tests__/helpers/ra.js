@@ -0,0 +1,41 @@
+// Stubbed RA backend: replaces global fetch with a router over RA (and GitHub) URLs.
+export const RA_HOST = 'http://ra.test';
+export const RA_TOKEN = 'test-admin-token';
+
+export function setRAEnv() {
+  process.env.RA_HOST_URL = `${RA_HOST}/`;
+  process.env.RA_APPS_UNITEST_ADMIN_TOKEN = RA_TOKEN;
+}
+
+export function clearRAEnv() {
+  delete process.env.RA_HOST_URL;
+  delete process.env.RA_APPS_UNITEST_ADMIN_TOKEN;
+}
+
+export function reply(status, body) {
+  return new Response(body === undefined ? '' : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// routes: { 'GET /api/v0/agents/x': (request) => body | reply(status, body), ... }
+// Keys match the method and the path without query string; RA paths are relative to
+// RA_HOST and GitHub paths are written as full URLs. Unmatched requests answer 404.
+export function stubFetch(routes = {}) {
+  const calls = [];
+  const spy = jest.spyOn(global, 'fetch').mockImplementation(async (input, init = {}) => {
+    const url = new URL(String(input));
+    const method = (init.method || 'GET').toUpperCase();
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    const path = url.origin === RA_HOST ? url.pathname : `${url.origin}${url.pathname}`;
+    const request = { method, path, query: Object.fromEntries(url.searchParams), body, headers: init.headers || {} };
+    calls.push(request);
+
+    const route = routes[`${method} ${path}`];
+    if (!route) return reply(404, { detail: `No stub for ${method} ${path}` });
+    const result = await route(request);
+    return result instanceof Response ? result : reply(200, result);
+  });
+  return { spy, calls };
+}
@@ -0,0 +1,30 @@
+import { clearAccessCache } from '../../lib/access';
+import { MemoryStore, setRateLimitStore } from '../../lib/rateLimit';
+
+// Sign-in settings; sessions are signed with this secret (see helpers/auth.js).
+process.env.AUTH_SECRET = 'test-session-secret';
+process.env.GITHUB_CLIENT_ID = 'test-client-id';
+process.env.GITHUB_CLIENT_SECRET = 'test-client-secret';
+
+// Routes log every RA call and failure; keep test output to the results.
+beforeEach(() => {
+  for (const level of ['log', 'warn', 'error']) {
+    jest.spyOn(console, level).mockImplementation(() => {});
+  }
+});
+
+// Every test starts with fresh rate-limit counters.
+beforeEach(() => {
+  setRateLimitStore(new MemoryStore());
+});
+
+// Agent privacy is cached per process; every test looks it up afresh.
+beforeEach(() => {
+  clearAccessCache();
+});
+
+// Tests have no DNS: generic Git hosts resolve to a public documentation address unless a test
+// says otherwise.
+jest.mock('node:dns/promises', () => ({
+  lookup: jest.fn(async () => [{ address: '203.0.113.10', family: 4 }])
+}));
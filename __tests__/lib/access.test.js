@@ -0,0 +1,81 @@
+import { assertAgentAccess, grantAccess, hasAccessGrant, rememberAgentPrivacy } from '../../lib/access';
+import { OTHER_USER, sessionCookie, TEST_USER } from '../helpers/auth';
+import { createResponse } from '../helpers/http';
+import { clearRAEnv, setRAEnv, stubFetch } from '../helpers/ra';
+
+const privateAgent = { name: 'ut-secret', metadata: { repository: { owner: 'acme', name: 'secret', private: true } } };
+const publicAgent = { name: 'ut-widget', metadata: { repository: { owner: 'acme', name: 'widget' } } };
+
+// The request a browser sends back after receiving the response's cookies.
+function followCookies(res, user = TEST_USER) {
+  const cookie = [].concat(res.headers['set-cookie']).map((header) => header.split(';')[0]).join('; ');
+  return { headers: { cookie: `${sessionCookie(user)}; ${cookie}` } };
+}
+
+describe('access grants', () => {
+  it('grants a user access to an agent for an hour', () => {
+    const res = createResponse();
+    grantAccess({ headers: {} }, res, TEST_USER, 'ut-secret', 1_000_000);
+    expect(res.headers['set-cookie']).toMatch(/^unitest_access=.*Max-Age=3600/);
+
+    const req = followCookies(res);
+    expect(hasAccessGrant(req, TEST_USER, 'ut-secret', 1_000_000)).toBe(true);
+    expect(hasAccessGrant(req, TEST_USER, 'ut-other', 1_000_000)).toBe(false);
+    expect(hasAccessGrant(req, TEST_USER, 'ut-secret', 1_000_000 + 3600 * 1000)).toBe(false);
+  });
+
+  it('keeps earlier grants and other cookies being set', () => {
+    const first = createResponse();
+    grantAccess({ headers: {} }, first, TEST_USER, 'ut-one');
+
+    const second = createResponse();
+    second.setHeader('Set-Cookie', 'theme=dark');
+    grantAccess(followCookies(first), second, TEST_USER, 'ut-two');
+    expect(second.headers['set-cookie'][0]).toBe('theme=dark');
+
+    const req = followCookies(second);
+    expect(hasAccessGrant(req, TEST_USER, 'ut-one')).toBe(true);
+    expect(hasAccessGrant(req, TEST_USER, 'ut-two')).toBe(true);
+  });
+
+  it('does not carry over to another user', () => {
+    const res = createResponse();
+    grantAccess({ headers: {} }, res, TEST_USER, 'ut-secret');
+    expect(hasAccessGrant(followCookies(res, OTHER_USER), OTHER_USER, 'ut-secret')).toBe(false);
+  });
+});
+
+describe('assertAgentAccess', () => {
+  beforeEach(setRAEnv);
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('lets everyone read agents of public repositories', async () => {
+    const { calls } = stubFetch({ 'GET /api/v0/agents/ut-widget': () => publicAgent });
+    await expect(assertAgentAccess({ headers: {} }, TEST_USER, 'ut-widget')).resolves.toBeUndefined();
+    // Privacy is cached, so polling does not look the agent up every time
+    await assertAgentAccess({ headers: {} }, TEST_USER, 'ut-widget');
+    expect(calls).toHaveLength(1);
+  });
+
+  it('keeps a bounded number of agents in the privacy cache', async () => {
+    const { calls } = stubFetch({ 'GET /api/v0/agents/ut-widget': () => publicAgent });
+    await assertAgentAccess({ headers: {} }, TEST_USER, 'ut-widget');
+    for (let index = 0; index < 1000; index += 1) rememberAgentPrivacy(`ut-other-${index}`, false);
+
+    await assertAgentAccess({ headers: {} }, TEST_USER, 'ut-widget');
+    expect(calls).toHaveLength(2);
+  });
+
+  it('hides private agents from users without a grant', async () => {
+    stubFetch({ 'GET /api/v0/agents/ut-secret': () => privateAgent });
+    await expect(assertAgentAccess({ headers: { cookie: sessionCookie() } }, TEST_USER, 'ut-secret'))
+      .rejects.toMatchObject({ status: 404, code: 'not_found' });
+
+    const res = createResponse();
+    grantAccess({ headers: {} }, res, TEST_USER, 'ut-secret');
+    await expect(assertAgentAccess(followCookies(res), TEST_USER, 'ut-secret')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,161 @@
+import {
+  accessTokenFor,
+  accessTokenSummary,
+  decodeSealed,
+  decodeSigned,
+  encodeSealed,
+  encodeSigned,
+  getSessionUser,
+  isOwnedBy,
+  isValidAccessToken,
+  removeAccessToken,
+  requireUser,
+  safeReturnTo,
+  setAccessToken,
+  setSessionCookie,
+  signInPath
+} from '../../lib/auth';
+import { OTHER_USER, sessionCookie, TEST_USER, tokensCookie } from '../helpers/auth';
+import { createResponse } from '../helpers/http';
+
+describe('signed tokens', () => {
+  it('round-trips a payload until it expires', () => {
+    const token = encodeSigned({ id: 'github:1' }, 60, 1_000_000);
+    expect(decodeSigned(token, 1_000_000)).toMatchObject({ id: 'github:1', exp: 1060 });
+    expect(decodeSigned(token, 1_060_000)).toBeNull();
+  });
+
+  it('rejects tampered or malformed tokens', () => {
+    const token = encodeSigned({ id: 'github:1' }, 60);
+    const [body, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ id: 'github:2', exp: 9999999999 })).toString('base64url');
+    expect(decodeSigned(`${forged}.${signature}`)).toBeNull();
+    expect(decodeSigned(`${body}.${signature.slice(1)}`)).toBeNull();
+    expect(decodeSigned(`${token}.extra`)).toBeNull();
+    expect(decodeSigned('garbage')).toBeNull();
+    expect(decodeSigned(undefined)).toBeNull();
+  });
+
+  it('rejects tokens signed with another secret', () => {
+    const token = encodeSigned({ id: 'github:1' }, 60);
+    process.env.AUTH_SECRET = 'rotated';
+    try {
+      expect(decodeSigned(token)).toBeNull();
+    } finally {
+      process.env.AUTH_SECRET = 'test-session-secret';
+    }
+  });
+});
+
+describe('sealed tokens', () => {
+  it('round-trips an encrypted payload until it expires', () => {
+    const token = encodeSealed({ secret: 'ghp_value' }, 60, 1_000_000);
+    expect(token).not.toContain(Buffer.from('ghp_value').toString('base64url'));
+    expect(decodeSealed(token, 1_000_000)).toMatchObject({ secret: 'ghp_value', exp: 1060 });
+    expect(decodeSealed(token, 1_060_000)).toBeNull();
+  });
+
+  it('rejects tampered or malformed tokens', () => {
+    const [iv, ciphertext, tag] = encodeSealed({ secret: 'x' }, 60).split('.');
+    const flipped = Buffer.from(ciphertext, 'base64url');
+    flipped[0] ^= 1;
+    expect(decodeSealed(`${iv}.${flipped.toString('base64url')}.${tag}`)).toBeNull();
+    expect(decodeSealed(`${iv}.${ciphertext}`)).toBeNull();
+    expect(decodeSealed('garbage')).toBeNull();
+    expect(decodeSealed(undefined)).toBeNull();
+  });
+});
+
+// Builds a request carrying whatever Set-Cookie the response just sent.
+function followCookies(res) {
+  const cookie = [].concat(res.headers['set-cookie']).map((header) => header.split(';')[0]).join('; ');
+  return { headers: { cookie: `${sessionCookie()}; ${cookie}` } };
+}
+
+describe('access tokens', () => {
+  it('stores tokens per host without revealing them in the summary', () => {
+    const res = createResponse();
+    const summary = setAccessToken({ headers: {} }, res, TEST_USER, 'gitlab.com', ' glpat-abc ');
+    expect(summary).toEqual([{ host: 'gitlab.com', source: 'user' }]);
+
+    const req = followCookies(res);
+    expect(accessTokenFor(req, TEST_USER, 'gitlab.com')).toBe('glpat-abc');
+    expect(accessTokenFor(req, TEST_USER, 'github.com')).toBeNull();
+    expect(JSON.stringify(accessTokenSummary(req, TEST_USER))).not.toContain('glpat');
+
+    const removed = createResponse();
+    expect(removeAccessToken(req, removed, TEST_USER, 'gitlab.com')).toEqual([]);
+    expect(removed.headers['set-cookie']).toMatch(/^unitest_tokens=; .*Max-Age=0/);
+  });
+
+  it('only hands tokens to the user they were stored for', () => {
+    const req = { headers: { cookie: tokensCookie({ 'github.com': 'ghp_abc' }) } };
+    expect(accessTokenFor(req, TEST_USER, 'github.com')).toBe('ghp_abc');
+    expect(accessTokenFor(req, OTHER_USER, 'github.com')).toBeNull();
+    expect(accessTokenFor(req, null, 'github.com')).toBeNull();
+  });
+
+  it('keeps the sign-in token unless the user added their own', () => {
+    const signIn = createResponse();
+    setSessionCookie({ headers: {} }, signIn, TEST_USER, { accessToken: 'gho_oauth' });
+    expect(accessTokenSummary(followCookies(signIn), TEST_USER)).toEqual([{ host: 'github.com', source: 'oauth' }]);
+
+    const again = createResponse();
+    setSessionCookie({ headers: { cookie: tokensCookie({ 'github.com': 'ghp_mine' }) } }, again, TEST_USER, { accessToken: 'gho_oauth' });
+    expect(accessTokenFor(followCookies(again), TEST_USER, 'github.com')).toBe('ghp_mine');
+  });
+
+  it('accepts single-line tokens of reasonable length', () => {
+    expect(isValidAccessToken('ghp_abc')).toBe(true);
+    expect(isValidAccessToken('user:app-password')).toBe(true);
+    expect(isValidAccessToken('two words')).toBe(false);
+    expect(isValidAccessToken(' ')).toBe(false);
+    expect(isValidAccessToken('x'.repeat(513))).toBe(false);
+    expect(isValidAccessToken(42)).toBe(false);
+  });
+});
+
+describe('sessions', () => {
+  it('reads the user from the cookie header or parsed cookies', () => {
+    const cookie = sessionCookie();
+    expect(getSessionUser({ headers: { cookie: `theme=dark; ${cookie}` } })).toEqual(TEST_USER);
+    expect(getSessionUser({ cookies: { unitest_session: cookie.split('=')[1] } })).toEqual(TEST_USER);
+    expect(getSessionUser({ headers: {} })).toBeNull();
+  });
+
+  it('answers 401 for signed-out requests and 500 without a secret', () => {
+    const res = createResponse();
+    expect(requireUser({ headers: {} }, res)).toBeNull();
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('unauthorized');
+
+    const secret = process.env.AUTH_SECRET;
+    delete process.env.AUTH_SECRET;
+    try {
+      const unconfigured = createResponse();
+      expect(requireUser({ headers: { cookie: 'unitest_session=x' } }, unconfigured)).toBeNull();
+      expect(unconfigured.statusCode).toBe(500);
+      expect(unconfigured.body.code).toBe('config_error');
+    } finally {
+      process.env.AUTH_SECRET = secret;
+    }
+  });
+
+  it('matches records to the user who started them', () => {
+    expect(isOwnedBy({ metadata: { started_by: { id: 'github:1', login: 'alice' } } }, TEST_USER)).toBe(true);
+    expect(isOwnedBy({ metadata: { started_by: { id: 'github:2', login: 'bob' } } }, TEST_USER)).toBe(false);
+    expect(isOwnedBy({ metadata: {} }, TEST_USER)).toBe(false);
+    expect(isOwnedBy({ metadata: { started_by: { id: 'github:1' } } }, null)).toBe(false);
+  });
+});
+
+describe('return paths', () => {
+  it('only follows same-site paths', () => {
+    expect(safeReturnTo('/acme/widget?coverage_target=90')).toBe('/acme/widget?coverage_target=90');
+    expect(safeReturnTo('//evil.example')).toBe('/');
+    expect(safeReturnTo('/\\evil.example')).toBe('/');
+    expect(safeReturnTo('https://evil.example')).toBe('/');
+    expect(safeReturnTo(undefined)).toBe('/');
+    expect(signInPath('/acme/widget')).toBe('/api/auth/signin?returnTo=%2Facme%2Fwidget');
+  });
+});
@@ -0,0 +1,53 @@
+import { coverageTone, formatDelta, formatPercent, formatTimeAgo, formatWait } from '../../lib/format';
+
+describe('formatTimeAgo', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-03-15T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it.each([
+    ['2026-03-15T11:59:30Z', 'just now'],
+    ['2026-03-15T11:55:00Z', '5m ago'],
+    ['2026-03-15T09:00:00Z', '3h ago'],
+    ['2026-03-13T12:00:00Z', '2d ago']
+  ])('formats %p as %p', (input, expected) => {
+    expect(formatTimeAgo(input)).toBe(expected);
+  });
+
+  it('falls back to a date after a week', () => {
+    expect(formatTimeAgo('2026-02-01T12:00:00Z')).toBe('Feb 1');
+  });
+});
+
+describe('formatPercent and formatDelta', () => {
+  it('rounds to one decimal and handles missing values', () => {
+    expect(formatPercent(86.14)).toBe('86.1%');
+    expect(formatPercent(null)).toBe('—');
+    expect(formatDelta(4.26)).toBe('+4.3');
+    expect(formatDelta(-2)).toBe('-2');
+    expect(formatDelta(undefined)).toBe('—');
+  });
+});
+
+describe('coverageTone', () => {
+  it('grades coverage against the target', () => {
+    expect([80, 79.9, 40, 39.9, null].map((value) => coverageTone(value, 80))).toEqual(['good', 'fair', 'fair', 'poor', 'unknown']);
+  });
+});
+
+describe('formatWait', () => {
+  it.each([
+    [0, '1 second'],
+    [42, '42 seconds'],
+    [61, '2 minutes'],
+    [3600, '1 hour'],
+    [3601, '2 hours']
+  ])('formats %p seconds as %p', (seconds, expected) => {
+    expect(formatWait(seconds)).toBe(expected);
+  });
+});
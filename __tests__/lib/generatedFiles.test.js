@@ -0,0 +1,96 @@
+import { unzipSync, strFromU8 } from 'fflate';
+import { buildPatch, buildZip, extractGeneratedFiles, FILES_SCHEMA_ID, generatedFilesSummary, isGeneratedFilesItem, normalizeFilePath } from '../../lib/generatedFiles';
+
+function runWith(files) {
+  return {
+    output_content: [
+      { type: 'markdown', content: '# Report' },
+      { type: 'json', content: JSON.stringify({ schema: FILES_SCHEMA_ID, files }) }
+    ]
+  };
+}
+
+describe('extractGeneratedFiles', () => {
+  it('finds the generated files item among the output', () => {
+    const resp = runWith([{ path: './test/a.test.js', status: 'created', content: 'it()\n' }]);
+    expect(isGeneratedFilesItem(resp.output_content[1])).toBe(true);
+    expect(isGeneratedFilesItem(resp.output_content[0])).toBe(false);
+    expect(extractGeneratedFiles(resp)).toEqual({
+      files: [{ path: 'test/a.test.js', status: 'created', content: 'it()\n', diff: null }],
+      errors: []
+    });
+    expect(extractGeneratedFiles({ output_content: [{ type: 'markdown', content: 'x' }] })).toBeNull();
+  });
+
+  it('reports items that do not match the schema', () => {
+    const { files, errors } = extractGeneratedFiles(runWith([{ path: 'a.test.js', status: 'deleted' }]));
+    expect(files).toEqual([]);
+    expect(errors).toEqual(['$.files[0].content is required', '$.files[0].status must be one of created, modified']);
+  });
+
+  it('leaves out files outside the repository', () => {
+    const { files, errors } = extractGeneratedFiles(runWith([
+      { path: '../escape.js', status: 'created', content: '' },
+      { path: '.git/hooks/post-checkout', status: 'created', content: '' },
+      { path: 'test/ok.test.js', status: 'created', content: 'old' },
+      { path: 'test/ok.test.js', status: 'created', content: 'new' }
+    ]));
+    expect(files.map((file) => [file.path, file.content])).toEqual([['test/ok.test.js', 'new']]);
+    expect(errors).toHaveLength(2);
+  });
+
+  it('summarizes the files for the repo page', () => {
+    expect(generatedFilesSummary(runWith([
+      { path: 'a.test.js', status: 'created', content: '' },
+      { path: 'b.test.js', status: 'modified', content: '' }
+    ]))).toEqual({ count: 2, created: 1 });
+    expect(generatedFilesSummary(runWith([]))).toBeNull();
+  });
+});
+
+describe('normalizeFilePath', () => {
+  it('accepts relative paths inside the repository only', () => {
+    expect(normalizeFilePath(' ./packages/api/test/a.test.js ')).toBe('packages/api/test/a.test.js');
+    expect(normalizeFilePath('/etc/passwd')).toBeNull();
+    expect(normalizeFilePath('test//a.js')).toBeNull();
+    expect(normalizeFilePath('test/./a.js')).toBeNull();
+    expect(normalizeFilePath('test\\a.js')).toBeNull();
+    expect(normalizeFilePath('.github/workflows/test.yml')).toBe('.github/workflows/test.yml');
+    expect(normalizeFilePath(42)).toBeNull();
+  });
+});
+
+describe('archives', () => {
+  const files = [
+    { path: 'test/a.test.js', status: 'created', content: "it('adds', () => {});\n" },
+    { path: 'test/empty.js', status: 'created', content: '' },
+    { path: 'test/b.test.js', status: 'created', content: 'one\ntwo' },
+    { path: 'test/setup.js', status: 'modified', content: 'setup()\n', diff: 'diff --git a/test/setup.js b/test/setup.js\n--- a/test/setup.js\n+++ b/test/setup.js\n@@ -1 +1 @@\n-old()\n+setup()' },
+    { path: 'jest.config.js', status: 'modified', content: 'module.exports = {};\n', diff: null }
+  ];
+
+  it('zips the full contents', () => {
+    const entries = unzipSync(buildZip(files));
+    expect(Object.keys(entries).sort()).toEqual(['jest.config.js', 'test/a.test.js', 'test/b.test.js', 'test/empty.js', 'test/setup.js']);
+    expect(strFromU8(entries['test/a.test.js'])).toBe("it('adds', () => {});\n");
+  });
+
+  it('writes a patch git can apply', () => {
+    const patch = buildPatch(files, { title: 'UniTest generated tests for main' });
+    expect(patch).toContain([
+      'diff --git a/test/a.test.js b/test/a.test.js',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/test/a.test.js',
+      '@@ -0,0 +1,1 @@',
+      "+it('adds', () => {});",
+      'diff --git a/test/empty.js b/test/empty.js',
+      'new file mode 100644',
+      'diff --git a/test/b.test.js b/test/b.test.js'
+    ].join('\n'));
+    expect(patch).toContain('@@ -0,0 +1,2 @@\n+one\n+two\n\\ No newline at end of file\n');
+    expect(patch).toContain('-old()\n+setup()\n');
+    expect(patch.startsWith('UniTest generated tests for main\n')).toBe(true);
+    expect(patch.slice(0, patch.indexOf('diff --git'))).toContain('  jest.config.js');
+  });
+});
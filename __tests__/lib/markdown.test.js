@@ -0,0 +1,149 @@
+import { COLLAPSE_LINES, renderMarkdown, renderReport, sanitizeReportHtml, withRenderedOutput } from '../../lib/markdown';
+
+describe('renderMarkdown', () => {
+  it('keeps the markup reports are made of', () => {
+    const html = renderMarkdown([
+      '## Coverage',
+      '',
+      '| File | Lines |',
+      '| :--- | ---: |',
+      '| `src/a.js` | **85%** |',
+      '',
+      '- [x] generate tests',
+      '- [ ] raise coverage',
+      '',
+      '```js',
+      'expect(sum(1, 2)).toBe(3);',
+      '```',
+      '',
+      'See [the docs](https://example.com/docs "Docs") or [mail us](mailto:team@example.com).'
+    ].join('\n'));
+
+    expect(html).toContain('<h2 id="report-coverage">Coverage</h2>');
+    expect(html).toContain('<th align="left">File</th>');
+    expect(html).toContain('<td align="right"><strong>85%</strong></td>');
+    expect(html).toContain('<code>src/a.js</code>');
+    expect(html).toContain('<input checked disabled type="checkbox" />');
+    expect(html).toContain('<code class="hljs language-js">');
+    expect(html).toContain('<a href="https://example.com/docs" title="Docs" rel="noopener noreferrer nofollow">the docs</a>');
+    expect(html).toContain('href="mailto:team@example.com"');
+  });
+
+  it('shows HTML written as code instead of running it', () => {
+    expect(renderMarkdown('Use `<script>alert(1)</script>`')).toContain('<code>&lt;script&gt;alert(1)&lt;/script&gt;</code>');
+  });
+
+  it('highlights fenced code by language', () => {
+    const html = renderMarkdown('```python\ndef test_sum():\n    assert sum(1, 2) == 3\n```');
+    expect(html).toContain('<code class="hljs language-python"><span class="hljs-keyword">def</span> <span class="hljs-title function_">test_sum</span>');
+    expect(renderMarkdown('```brainfuck\n<+>\n```')).toContain('<code class="hljs language-brainfuck">&lt;+&gt;\n</code>');
+  });
+
+  it('folds long command output but not long code', () => {
+    const output = Array.from({ length: COLLAPSE_LINES + 1 }, (_, index) => `PASS test ${index}`).join('\n');
+    expect(renderMarkdown(`\`\`\`\n${output}\n\`\`\``)).toMatch(/^<details><summary>Show output \(31 lines\)<\/summary>\n<pre>/);
+    expect(renderMarkdown(`\`\`\`console\n${output}\n\`\`\``)).toContain('<details>');
+    expect(renderMarkdown(`\`\`\`js\n${output}\n\`\`\``)).not.toContain('<details>');
+    expect(renderMarkdown('```\nshort\n```')).not.toContain('<details>');
+  });
+
+  it('tolerates missing content', () => {
+    expect(renderMarkdown(undefined)).toBe('');
+    expect(renderMarkdown({ text: 'x' })).toBe('');
+  });
+});
+
+describe('renderReport', () => {
+  it('outlines the headings with unique ids', () => {
+    const { html, outline } = renderReport('# Report\n## Summary & Scope\ntext\n## Summary & Scope\n### `src/a.js`');
+    expect(outline).toEqual([
+      { id: 'report-report', level: 1, text: 'Report' },
+      { id: 'report-summary-scope', level: 2, text: 'Summary & Scope' },
+      { id: 'report-summary-scope-1', level: 2, text: 'Summary & Scope' },
+      { id: 'report-srcajs', level: 3, text: 'src/a.js' }
+    ]);
+    expect(html).toContain('<h2 id="report-summary-scope-1">Summary &amp; Scope</h2>');
+  });
+
+  it('drops heading ids that are not ours', () => {
+    expect(sanitizeReportHtml('<h2 id="__next">x</h2><h3 id="report-x">y</h3>')).toBe('<h2>x</h2><h3 id="report-x">y</h3>');
+  });
+});
+
+describe('injection payloads', () => {
+  const payloads = [
+    '<script>alert(1)</script>',
+    '<img src=x onerror=alert(1)>',
+    '<svg onload=alert(1)></svg>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="  JaVaScRiPt:alert(1)">x</a>',
+    '<a href="java&#x09;script:alert(1)">x</a>',
+    '<a href="javascript&#58;alert(1)">x</a>',
+    '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+    '<a href="vbscript:msgbox(1)">x</a>',
+    '[x](javascript:alert(1))',
+    '[x](JAVASCRIPT:alert(1))',
+    '![x](javascript:alert(1))',
+    '<p style="background:url(javascript:alert(1))" onclick="alert(1)">x</p>',
+    '<style>body{display:none}</style>',
+    '<form action="https://evil.example"><button>Go</button></form>',
+    '<input type="text" autofocus onfocus="alert(1)">',
+    '<details open ontoggle=alert(1)>x</details>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>',
+    '<object data="javascript:alert(1)"></object>',
+    '<embed src="javascript:alert(1)">',
+    '<base href="https://evil.example/">',
+    '<meta http-equiv="refresh" content="0;url=https://evil.example">',
+    '<!--><img src=x onerror=alert(1)>-->',
+    '<code class="x" onmouseover="alert(1)">x</code>',
+    '```js" onmouseover="alert(1)\nx\n```',
+    '# <img src=x onerror=alert(1)>'
+  ];
+
+  it.each(payloads)('neutralizes %s', (payload) => {
+    const html = renderMarkdown(payload);
+    expect(html).not.toMatch(/<(script|style|svg|iframe|object|embed|form|base|meta|math)\b/i);
+    expect(html).not.toMatch(/\son\w+\s*=/i);
+    expect(html).not.toMatch(/(href|src)\s*=\s*"\s*(javascript|vbscript|data):/i);
+    expect(html).not.toMatch(/javascript&#0*58;|java\s+script:/i);
+    expect(html).not.toMatch(/\sstyle\s*=/i);
+  });
+
+  it('drops images that load from other protocols and links relative to other hosts', () => {
+    expect(renderMarkdown('![x](data:image/png;base64,AAAA)')).not.toContain('src=');
+    expect(renderMarkdown('![x](//evil.example/pixel.png)')).not.toContain('src=');
+    expect(renderMarkdown('![badge](https://img.example/badge.svg)')).toContain('src="https://img.example/badge.svg"');
+    expect(renderReport('![badge](https://img.example/badge.svg)', { images: false }).html)
+      .toBe('<p><a href="https://img.example/badge.svg" rel="noopener noreferrer nofollow">badge</a></p>\n');
+  });
+
+  it('forces rel on links the output brings along', () => {
+    expect(sanitizeReportHtml('<a href="https://example.com" rel="opener" target="_top">x</a>'))
+      .toBe('<a href="https://example.com" rel="noopener noreferrer nofollow">x</a>');
+  });
+});
+
+describe('withRenderedOutput', () => {
+  it('renders markdown and text output and leaves other items alone', () => {
+    const json = { type: 'json', content: '{}' };
+    const resp = withRenderedOutput({
+      id: 'resp-1',
+      output_content: [
+        { type: 'markdown', content: '## Summary\n<img src=x onerror=alert(1)>', html: '<script>alert(1)</script>' },
+        { type: 'text', content: 'done' },
+        json
+      ]
+    });
+    expect(resp.output_content[0]).toMatchObject({
+      html: '<h2 id="report-summary">Summary</h2>\n<img src="x" />',
+      outline: [{ id: 'report-summary', level: 2, text: 'Summary' }]
+    });
+    expect(resp.output_content[1].html).toBe('<p>done</p>\n');
+    expect(resp.output_content[2]).toBe(json);
+  });
+
+  it('handles lists and responses without output', () => {
+    expect(withRenderedOutput([{ id: 'a', output_content: null }, null])).toEqual([{ id: 'a', output_content: null }, null]);
+  });
+});
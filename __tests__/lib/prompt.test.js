@@ -0,0 +1,95 @@
+import {
+  buildAgentInstructions,
+  buildChatPrompt,
+  buildTestPrompt,
+  GIT_CREDENTIAL_SECRETS,
+  renderPrompt,
+  renderTemplate,
+  TEMPLATES
+} from '../../lib/prompt';
+import { FILES_SCHEMA_ID } from '../../lib/generatedFiles';
+import { RESULTS_SCHEMA_ID } from '../../lib/results';
+
+const REPO_URL = 'https://github.com/acme/widget';
+const SHA = 'c0ffee0000000000000000000000000000000000';
+const BRANCH = { kind: 'branch', ref: 'main', sha: SHA, path: null };
+
+describe('renderTemplate', () => {
+  it('fills placeholders, including dotted names', () => {
+    expect(renderTemplate('{{ a }} and {{b.c}}', { a: 1, b: { c: 'two' } })).toBe('1 and two');
+  });
+
+  it('refuses to render with missing variables', () => {
+    expect(() => renderTemplate('{{a.b}}', { a: null })).toThrow('Missing prompt variable "a.b"');
+  });
+});
+
+describe('renderPrompt', () => {
+  it('returns the content with the template id and version', () => {
+    expect(renderPrompt('chat-message', { message: 'Why?' })).toEqual({
+      content: 'Why?',
+      template: { id: 'chat-message', version: TEMPLATES['chat-message'].version }
+    });
+    expect(buildChatPrompt('Hi').content).toBe('Hi');
+    expect(buildAgentInstructions().template.id).toBe('agent-instructions');
+  });
+
+  it('rejects unknown templates', () => {
+    expect(() => renderPrompt('nope')).toThrow('Unknown prompt template "nope"');
+  });
+});
+
+describe('buildTestPrompt', () => {
+  it('checks out the exact commit of the target', () => {
+    const { content, template } = buildTestPrompt(REPO_URL, BRANCH);
+    expect(template).toEqual({ id: 'test-run', version: TEMPLATES['test-run'].version });
+    expect(content).toMatch(/^Clone https:\/\/github.com\/acme\/widget and check out commit c0ffee0{34} \(branch `main`\)\./);
+    expect(buildTestPrompt(REPO_URL, { kind: 'commit', ref: null, sha: SHA }).content).toContain(`check out commit ${SHA}.`);
+    expect(content).not.toContain('{{');
+  });
+
+  it('fetches pull requests by their provider ref', () => {
+    expect(buildTestPrompt(REPO_URL, { kind: 'pull', number: 7, sha: SHA }).content)
+      .toContain('fetch pull request #7 with `git fetch origin pull/7/head` and check out commit');
+    expect(buildTestPrompt(REPO_URL, { kind: 'pull', number: 3, label: '!3', fetchRef: 'merge-requests/3/head', sha: SHA }).content)
+      .toContain('fetch pull request !3 with `git fetch origin merge-requests/3/head`');
+  });
+
+  it('asks for both json output items with their schemas', () => {
+    const { content } = buildTestPrompt(REPO_URL, BRANCH);
+    expect(content).toContain(`Set \`schema\` to \`${RESULTS_SCHEMA_ID}\``);
+    expect(content).toContain(`with \`schema\` set to \`${FILES_SCHEMA_ID}\``);
+    expect(content).toContain('"uncovered_ranges"');
+  });
+
+  it('renders the run options', () => {
+    const { content } = buildTestPrompt(REPO_URL, BRANCH, { coverage_target: 65, include: ['src'], exclude: ['vendor'], framework: 'Vitest', max_test_files: 1 });
+    expect(content).toContain('**Scenario B** - Has partial tests (<65% coverage)');
+    expect(content).toContain('until coverage reaches 65%');
+    expect(content).toContain('- Only analyze and test code under: `src`');
+    expect(content).toContain('- Ignore these paths entirely (no coverage, no tests): `vendor`');
+    expect(content).toContain('- Use Vitest as the test framework');
+    expect(content).toContain('- Create at most 1 new test file; prioritize');
+    expect(buildTestPrompt(REPO_URL, BRANCH).content).not.toContain('**Run options:**');
+  });
+
+  it('does not generate tests in run-only mode', () => {
+    const { content } = buildTestPrompt(REPO_URL, BRANCH, { mode: 'run-only', max_test_files: 4 });
+    expect(content).toContain('- Run-only mode: do NOT create or modify any test files');
+    expect(content).toContain('List the most important uncovered code instead of generating tests');
+    expect(content).not.toContain('Generate tests for uncovered code');
+    expect(content).not.toContain('Create at most');
+  });
+
+  it('limits monorepo runs to the package directory', () => {
+    expect(buildTestPrompt(REPO_URL, { ...BRANCH, path: 'packages/api' }).content)
+      .toContain('Only work on the package in the `packages/api` directory');
+  });
+
+  it('names the credential secrets for private repositories without their values', () => {
+    const { content } = buildTestPrompt(REPO_URL, BRANCH, undefined, { privateRepo: true });
+    expect(content).toMatch(/^The repository is private\./);
+    expect(content).toContain(`$${GIT_CREDENTIAL_SECRETS.token}`);
+    expect(buildTestPrompt(REPO_URL, BRANCH).content).not.toContain(GIT_CREDENTIAL_SECRETS.token);
+  });
+});
@@ -0,0 +1,48 @@
+import bitbucket from '../../../lib/providers/bitbucket';
+import { reply, stubFetch } from '../../helpers/ra';
+
+const REPO = { provider: 'bitbucket', host: 'bitbucket.org', owner: 'team', name: 'app' };
+const API = 'https://api.bitbucket.org/2.0/repositories/team/app';
+const SHA = 'b'.repeat(40);
+
+describe('bitbucket provider', () => {
+  it('builds web and clone URLs', () => {
+    expect(bitbucket.webUrl(REPO)).toBe('https://bitbucket.org/team/app');
+    expect(bitbucket.cloneUrl(REPO)).toBe('https://bitbucket.org/team/app.git');
+    expect(bitbucket.commitUrl(REPO, SHA)).toBe(`https://bitbucket.org/team/app/commits/${SHA}`);
+  });
+
+  it('reads repository info', async () => {
+    stubFetch({
+      [`GET ${API}`]: () => ({ is_private: false, mainbranch: { name: 'develop' }, description: 'App', language: 'python' })
+    });
+    await expect(bitbucket.fetchRepoInfo(REPO)).resolves.toEqual({ private: false, defaultBranch: 'develop', description: 'App', language: 'python' });
+  });
+
+  it('resolves the default branch and tells tags from branches', async () => {
+    stubFetch({
+      [`GET ${API}/commit/develop`]: () => ({ hash: SHA }),
+      [`GET ${API}/commit/v2`]: () => ({ hash: SHA }),
+      [`GET ${API}/refs/branches/v2`]: () => reply(404, { type: 'error' })
+    });
+
+    await expect(bitbucket.resolveTarget(REPO, { type: 'default', ref: null, number: null }, { defaultBranch: 'develop' })).resolves.toMatchObject({
+      kind: 'branch', ref: 'develop', sha: SHA, webUrl: 'https://bitbucket.org/team/app/src/develop'
+    });
+    await expect(bitbucket.resolveTarget(REPO, { type: 'tree', ref: 'v2', number: null })).resolves.toMatchObject({ kind: 'tag', sha: SHA });
+  });
+
+  it('expands the abbreviated head hash of a pull request', async () => {
+    stubFetch({
+      [`GET ${API}/pullrequests/5`]: () => ({
+        title: 'Fix it',
+        source: { branch: { name: 'fix' }, commit: { hash: 'bbbbbbbbbbbb' } },
+        links: { html: { href: 'https://bitbucket.org/team/app/pull-requests/5' } }
+      }),
+      [`GET ${API}/commit/bbbbbbbbbbbb`]: () => ({ hash: SHA })
+    });
+    await expect(bitbucket.resolveTarget(REPO, { type: 'pull', ref: null, number: 5 })).resolves.toMatchObject({
+      kind: 'pull', ref: 'fix', sha: SHA, fetchRef: 'fix', label: '#5', title: 'Fix it'
+    });
+  });
+});
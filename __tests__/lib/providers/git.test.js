@@ -0,0 +1,123 @@
+import { lookup } from 'node:dns/promises';
+import http from 'node:http';
+import { Agent } from 'undici';
+import git, { isPrivateAddress, parseRefAdvertisement, pinnedLookup } from '../../../lib/providers/git';
+import { stubFetch } from '../../helpers/ra';
+
+const REPO = { provider: 'git', host: 'gitea.example.com', owner: 'team', name: 'app' };
+const MAIN = '1'.repeat(40);
+const DEV = '2'.repeat(40);
+const TAG_OBJECT = '3'.repeat(40);
+const TAG_COMMIT = '4'.repeat(40);
+
+function pkt(line) {
+  return `${(Buffer.byteLength(line) + 4).toString(16).padStart(4, '0')}${line}`;
+}
+
+function advertisement({ symref = 'refs/heads/main' } = {}) {
+  const caps = ['multi_ack', symref && `symref=HEAD:${symref}`, 'agent=git/2.43'].filter(Boolean).join(' ');
+  return [
+    pkt('# service=git-upload-pack\n'),
+    '0000',
+    pkt(`${MAIN} HEAD\0${caps}\n`),
+    pkt(`${DEV} refs/heads/dev\n`),
+    pkt(`${MAIN} refs/heads/main\n`),
+    pkt(`${TAG_OBJECT} refs/tags/v1.0\n`),
+    pkt(`${TAG_COMMIT} refs/tags/v1.0^{}\n`),
+    '0000'
+  ].join('');
+}
+
+function advertise(body) {
+  return () => new Response(body, { status: 200, headers: { 'Content-Type': 'application/x-git-upload-pack-advertisement' } });
+}
+
+describe('parseRefAdvertisement', () => {
+  it('reads refs, peeled tags and the default branch', () => {
+    expect(parseRefAdvertisement(new TextEncoder().encode(advertisement()))).toEqual({
+      defaultBranch: 'main',
+      refs: { 'refs/heads/dev': DEV, 'refs/heads/main': MAIN, 'refs/tags/v1.0': TAG_COMMIT }
+    });
+  });
+
+  it('falls back to the branch HEAD points at when there is no symref', () => {
+    expect(parseRefAdvertisement(new TextEncoder().encode(advertisement({ symref: null }))).defaultBranch).toBe('main');
+  });
+
+  it('rejects anything that is not pkt-lines', () => {
+    expect(() => parseRefAdvertisement(new TextEncoder().encode('<html>'))).toThrow('Malformed ref advertisement');
+  });
+});
+
+describe('git provider', () => {
+  const INFO_REFS = 'GET https://gitea.example.com/team/app.git/info/refs';
+  afterEach(() => jest.restoreAllMocks());
+
+  it('resolves branches, tags and commits from the ref advertisement', async () => {
+    const { calls } = stubFetch({ [INFO_REFS]: advertise(advertisement()) });
+    const info = await git.fetchRepoInfo(REPO);
+    expect(calls[0].query).toEqual({ service: 'git-upload-pack' });
+    expect(info).toMatchObject({ private: false, defaultBranch: 'main' });
+
+    await expect(git.resolveTarget(REPO, { type: 'default', ref: null, number: null }, info)).resolves.toMatchObject({ kind: 'branch', ref: 'main', sha: MAIN });
+    await expect(git.resolveTarget(REPO, { type: 'tree', ref: 'v1.0', number: null }, info)).resolves.toMatchObject({ kind: 'tag', sha: TAG_COMMIT });
+    await expect(git.resolveTarget(REPO, { type: 'tree', ref: '2222222', number: null }, info)).resolves.toMatchObject({ kind: 'commit', sha: DEV, label: '2222222' });
+    await expect(git.resolveTarget(REPO, { type: 'tree', ref: 'abcdef0', number: null }, info)).rejects.toThrow('did not resolve');
+  });
+
+  it('treats servers without smart HTTP as inaccessible', async () => {
+    stubFetch({ [INFO_REFS]: () => new Response('<html>', { status: 200, headers: { 'Content-Type': 'text/html' } }) });
+    await expect(git.fetchRepoInfo(REPO)).rejects.toThrow('does not serve Git over smart HTTP');
+  });
+
+  it('refuses hosts that resolve to private addresses', async () => {
+    const { calls } = stubFetch({ [INFO_REFS]: advertise(advertisement()) });
+    lookup.mockResolvedValueOnce([{ address: '203.0.113.10', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+    await expect(git.fetchRepoInfo(REPO)).rejects.toThrow('gitea.example.com resolves to a private address');
+    lookup.mockRejectedValueOnce(new Error('ENOTFOUND'));
+    await expect(git.fetchRepoInfo(REPO)).rejects.toThrow('gitea.example.com could not be resolved');
+    expect(calls).toHaveLength(0);
+  });
+
+  it('fetches through a dispatcher pinned to the checked addresses', async () => {
+    const { spy } = stubFetch({ [INFO_REFS]: advertise(advertisement()) });
+    await git.fetchRepoInfo(REPO);
+    expect(spy.mock.calls[0][1].dispatcher).toBeInstanceOf(Agent);
+  });
+
+  it('does not support pull requests', async () => {
+    await expect(git.resolveTarget(REPO, { type: 'pull', ref: null, number: 1 }, { refs: {} })).rejects.toThrow('not supported');
+  });
+});
+
+describe('isPrivateAddress', () => {
+  it.each([
+    ['127.0.0.1', true], ['10.1.2.3', true], ['172.16.0.1', true], ['172.32.0.1', false], ['192.168.1.1', true],
+    ['169.254.169.254', true], ['100.64.0.1', true], ['0.0.0.0', true], ['224.0.0.1', true], ['8.8.8.8', false],
+    ['::1', true], ['::', true], ['fd00::1', true], ['fe80::1', true], ['ff02::1', true], ['2606:4700::1111', false],
+    ['::ffff:127.0.0.1', true], ['::ffff:7f00:1', true], ['::ffff:808:808', false],
+    ['64:ff9b::10.0.0.1', true], ['64:ff9b::a9fe:a9fe', true], ['64:ff9b::808:808', false],
+    ['::192.168.0.1', true], ['::7f00:1', true], ['::808:808', false]
+  ])('reads %s as private: %p', (address, expected) => {
+    expect(isPrivateAddress(address)).toBe(expected);
+  });
+});
+
+describe('pinnedLookup', () => {
+  let server;
+  beforeAll(async () => {
+    server = http.createServer((req, res) => res.end(req.headers.host));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  it('connects to the given address whatever the name resolves to', async () => {
+    const dispatcher = new Agent({ connect: { lookup: pinnedLookup([{ address: '127.0.0.1', family: 4 }]) } });
+    try {
+      const res = await fetch(`http://git.example.invalid:${server.address().port}/`, { dispatcher });
+      expect(await res.text()).toBe(`git.example.invalid:${server.address().port}`);
+    } finally {
+      await dispatcher.destroy();
+    }
+  });
+});
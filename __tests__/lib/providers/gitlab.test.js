@@ -0,0 +1,94 @@
+import { PROVIDER_TIMEOUT_MS } from '../../../lib/providers/common';
+import gitlab from '../../../lib/providers/gitlab';
+import { reply, stubFetch } from '../../helpers/ra';
+
+const REPO = { provider: 'gitlab', host: 'gitlab.com', owner: 'group/sub', name: 'app' };
+const API = 'https://gitlab.com/api/v4/projects/group%2Fsub%2Fapp';
+const SHA = 'c'.repeat(40);
+
+describe('gitlab provider', () => {
+  afterEach(() => {
+    delete process.env.GITLAB_API_URL;
+  });
+
+  it('builds web and clone URLs with subgroups', () => {
+    expect(gitlab.webUrl(REPO)).toBe('https://gitlab.com/group/sub/app');
+    expect(gitlab.cloneUrl(REPO)).toBe('https://gitlab.com/group/sub/app.git');
+    expect(gitlab.commitUrl(REPO, SHA)).toBe(`https://gitlab.com/group/sub/app/-/commit/${SHA}`);
+  });
+
+  it('reads project info and treats anything but public as private', async () => {
+    stubFetch({
+      [`GET ${API}`]: () => ({ visibility: 'internal', default_branch: 'main', description: '' })
+    });
+    await expect(gitlab.fetchRepoInfo(REPO)).resolves.toEqual({ private: true, defaultBranch: 'main', description: null, language: null });
+  });
+
+  it('uses GITLAB_API_URL for gitlab.com and the host API for self-hosted GitLab', async () => {
+    process.env.GITLAB_API_URL = 'http://mock.test/gitlab/';
+    const { calls } = stubFetch({
+      'GET http://mock.test/gitlab/projects/group%2Fsub%2Fapp': () => ({ visibility: 'public', default_branch: 'main' }),
+      'GET https://code.acme.dev/api/v4/projects/team%2Fapp': () => ({ visibility: 'public', default_branch: 'trunk' })
+    });
+    await gitlab.fetchRepoInfo(REPO);
+    await expect(gitlab.fetchRepoInfo({ provider: 'gitlab', host: 'code.acme.dev', owner: 'team', name: 'app' }))
+      .resolves.toMatchObject({ defaultBranch: 'trunk' });
+    expect(calls).toHaveLength(2);
+  });
+
+  it('resolves branches and tags to commits', async () => {
+    stubFetch({
+      [`GET ${API}/repository/commits/main`]: () => ({ id: SHA }),
+      [`GET ${API}/repository/branches/main`]: () => ({ name: 'main' }),
+      [`GET ${API}/repository/commits/v1.0`]: () => ({ id: SHA })
+    });
+
+    await expect(gitlab.resolveTarget(REPO, { type: 'default', ref: null, number: null }, { defaultBranch: 'main' })).resolves.toMatchObject({
+      kind: 'branch', ref: 'main', sha: SHA, label: 'main', webUrl: 'https://gitlab.com/group/sub/app/-/tree/main'
+    });
+    await expect(gitlab.resolveTarget(REPO, { type: 'tree', ref: 'v1.0', number: null })).resolves.toMatchObject({
+      kind: 'tag', ref: 'v1.0', sha: SHA
+    });
+  });
+
+  it('resolves merge requests to their head commit', async () => {
+    stubFetch({
+      [`GET ${API}/merge_requests/4`]: () => ({
+        sha: SHA, source_branch: 'feature', source_project_id: 9, target_project_id: 9, title: 'Add things', web_url: 'https://gitlab.com/group/sub/app/-/merge_requests/4'
+      }),
+      [`GET ${API}/merge_requests/5`]: () => ({ sha: SHA, source_branch: 'main', source_project_id: 12, target_project_id: 9 })
+    });
+    await expect(gitlab.resolveTarget(REPO, { type: 'pull', ref: null, number: 4 })).resolves.toEqual({
+      type: 'pull',
+      number: 4,
+      kind: 'pull',
+      ref: 'feature',
+      sha: SHA,
+      fork: false,
+      fetchRef: 'merge-requests/4/head',
+      label: '!4',
+      title: 'Add things',
+      webUrl: 'https://gitlab.com/group/sub/app/-/merge_requests/4'
+    });
+    await expect(gitlab.resolveTarget(REPO, { type: 'pull', ref: null, number: 5 })).resolves.toMatchObject({ ref: 'main', fork: true });
+  });
+
+  it('fails when the ref does not exist', async () => {
+    stubFetch({ [`GET ${API}/repository/commits/nope`]: () => reply(404, { message: '404 Commit Not Found' }) });
+    await expect(gitlab.resolveTarget(REPO, { type: 'tree', ref: 'nope', number: null })).rejects.toThrow('GitLab responded with 404');
+  });
+
+  it('gives up on a host that stops answering', async () => {
+    jest.useFakeTimers();
+    try {
+      jest.spyOn(global, 'fetch').mockImplementation((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      }));
+      const outcome = gitlab.fetchRepoInfo(REPO).catch((error) => error);
+      await jest.advanceTimersByTimeAsync(PROVIDER_TIMEOUT_MS);
+      expect(await outcome).toMatchObject({ name: 'ProviderError', status: 504, message: `GitLab did not respond within ${PROVIDER_TIMEOUT_MS}ms` });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,214 @@
+import {
+  extractRepoPath,
+  normalizeSubdirectory,
+  parseRepoSlug,
+  providerForHost,
+  repoFor,
+  repoFromMetadata,
+  repoKey,
+  resolveTarget,
+  targetFromMetadata,
+  targetKey,
+  targetPath
+} from '../../../lib/providers';
+import { reply, stubFetch } from '../../helpers/ra';
+
+const GITHUB = { provider: 'github', host: 'github.com' };
+
+describe('extractRepoPath', () => {
+  it.each([
+    ['facebook/react', '/facebook/react'],
+    ['  facebook/react  ', '/facebook/react'],
+    ['github.com/facebook/react', '/facebook/react'],
+    ['https://github.com/facebook/react', '/facebook/react'],
+    ['https://github.com/facebook/react/', '/facebook/react'],
+    ['https://GitHub.com/facebook/react', '/facebook/react'],
+    ['https://github.com/facebook/react/tree/main', '/facebook/react/tree/main'],
+    ['https://github.com/facebook/react/tree/release/18.x', '/facebook/react/tree/release/18.x'],
+    ['https://github.com/facebook/react/commit/1a2b3c4', '/facebook/react/tree/1a2b3c4'],
+    ['https://github.com/facebook/react/pull/42', '/facebook/react/pull/42'],
+    ['https://github.com/facebook/react/pull/42/files', '/facebook/react/pull/42'],
+    ['git@github.com:facebook/react.git', '/facebook/react'],
+    ['https://gitlab.com/gitlab-org/gitlab', '/gitlab.com/gitlab-org/gitlab'],
+    ['gitlab.com/group/sub/project', '/gitlab.com/group/sub/project'],
+    ['https://gitlab.com/group/sub/project/-/tree/feature/x', '/gitlab.com/group/sub/project/-/tree/feature/x'],
+    ['https://gitlab.com/group/project/-/commit/1a2b3c4', '/gitlab.com/group/project/-/tree/1a2b3c4'],
+    ['https://gitlab.com/group/project/-/merge_requests/12/diffs', '/gitlab.com/group/project/-/pull/12'],
+    ['https://bitbucket.org/team/app', '/bitbucket.org/team/app'],
+    ['https://bitbucket.org/team/app/src/develop/lib/index.js', '/bitbucket.org/team/app/-/tree/develop'],
+    ['https://bitbucket.org/team/app/branch/feature/x', '/bitbucket.org/team/app/-/tree/feature/x'],
+    ['https://bitbucket.org/team/app/pull-requests/5/diff', '/bitbucket.org/team/app/-/pull/5'],
+    ['https://gitea.example.com/team/app.git', '/gitea.example.com/team/app'],
+    ['https://gitea.example.com/team/app/src/branch/release/1.x', '/gitea.example.com/team/app/-/tree/release/1.x'],
+    ['https://gitea.example.com/team/app/commit/1a2b3c4', '/gitea.example.com/team/app/-/tree/1a2b3c4'],
+    ['git@git.example.org:platform/tools/app.git', '/git.example.org/platform/tools/app']
+  ])('turns %p into %p', (input, expected) => {
+    expect(extractRepoPath(input)).toBe(expected);
+  });
+
+  it.each([
+    [''],
+    ['   '],
+    ['react'],
+    ['http://github.com/facebook/react'],
+    ['https://gitlab.com/facebook'],
+    ['https://localhost/team/app'],
+    ['https://10.0.0.5/team/app'],
+    ['https://git.corp.internal/team/app'],
+    ['https://gitea.example.com/team/app/pulls/3'],
+    ['https://github.com/../../user'],
+    ['https://github.com/facebook'],
+    ['facebook/react/issues/1'],
+    ['facebook/react/pull/abc'],
+    ['facebook/react/tree/']
+  ])('rejects %p', (input) => {
+    expect(extractRepoPath(input)).toBeNull();
+  });
+});
+
+describe('parseRepoSlug', () => {
+  it('parses the default branch, refs and pull requests', () => {
+    expect(parseRepoSlug(['acme', 'widget'])).toEqual({ ...GITHUB, owner: 'acme', name: 'widget', target: { type: 'default', ref: null, number: null } });
+    expect(parseRepoSlug(['acme', 'widget', 'tree', 'feature', 'x'])).toEqual({ ...GITHUB, owner: 'acme', name: 'widget', target: { type: 'tree', ref: 'feature/x', number: null } });
+    expect(parseRepoSlug(['acme', 'widget', 'pull', '7'])).toEqual({ ...GITHUB, owner: 'acme', name: 'widget', target: { type: 'pull', ref: null, number: 7 } });
+  });
+
+  it('reads the host from the first segment for other providers', () => {
+    expect(parseRepoSlug(['gitlab.com', 'group', 'sub', 'project'])).toEqual({
+      provider: 'gitlab', host: 'gitlab.com', owner: 'group/sub', name: 'project', target: { type: 'default', ref: null, number: null }
+    });
+    expect(parseRepoSlug(['bitbucket.org', 'team', 'app', '-', 'pull', '5'])).toEqual({
+      provider: 'bitbucket', host: 'bitbucket.org', owner: 'team', name: 'app', target: { type: 'pull', ref: null, number: 5 }
+    });
+    expect(parseRepoSlug(['Gitea.Example.com', 'team', 'app', '-', 'tree', 'v1.0'])).toEqual({
+      provider: 'git', host: 'gitea.example.com', owner: 'team', name: 'app', target: { type: 'tree', ref: 'v1.0', number: null }
+    });
+  });
+
+  it('rejects anything else', () => {
+    expect(parseRepoSlug(['acme'])).toBeNull();
+    expect(parseRepoSlug(['acme', 'widget', 'pull', 'x'])).toBeNull();
+    expect(parseRepoSlug(['acme', 'widget', 'blob', 'main'])).toBeNull();
+    expect(parseRepoSlug(null)).toBeNull();
+    expect(parseRepoSlug(['gitlab.com', 'group', 'project', '-'])).toBeNull();
+    expect(parseRepoSlug(['bitbucket.org', 'team', 'sub', 'app'])).toBeNull();
+    expect(parseRepoSlug(['gitea.example.com', 'team', 'app', '-', 'pull', '3'])).toBeNull();
+    expect(parseRepoSlug(['localhost:3000', 'team', 'app'])).toBeNull();
+  });
+});
+
+describe('targets', () => {
+  it('builds keys and paths', () => {
+    expect(targetKey({ type: 'default' })).toBeNull();
+    expect(targetKey({ type: 'tree', ref: 'v1.0' })).toBe('tree/v1.0');
+    expect(targetPath({ ...GITHUB, owner: 'acme', name: 'widget' }, { type: 'pull', number: 3 })).toBe('/acme/widget/pull/3');
+    expect(targetPath({ provider: 'gitlab', host: 'gitlab.com', owner: 'group/sub', name: 'app' }, { type: 'tree', ref: 'dev' })).toBe('/gitlab.com/group/sub/app/-/tree/dev');
+  });
+
+  it('restores targets stored in agent metadata', () => {
+    expect(targetFromMetadata({ type: 'pull', number: 3 })).toEqual({ type: 'pull', ref: null, number: 3, path: null });
+    expect(targetFromMetadata({ type: 'tree', ref: 'dev', path: 'packages/api' })).toEqual({ type: 'tree', ref: 'dev', number: null, path: 'packages/api' });
+    expect(targetFromMetadata(undefined)).toEqual({ type: 'default', ref: null, number: null, path: null });
+  });
+
+  it('puts package paths after the ref of tree routes and in the query otherwise', () => {
+    const repo = { ...GITHUB, owner: 'acme', name: 'mono' };
+    expect(targetPath(repo, { type: 'tree', ref: 'main', path: 'packages/api' })).toBe('/acme/mono/tree/main/packages/api');
+    expect(targetPath(repo, { type: 'default', path: 'packages/api' })).toBe('/acme/mono?path=packages%2Fapi');
+    expect(targetPath({ provider: 'gitlab', host: 'gitlab.com', owner: 'group', name: 'mono' }, { type: 'pull', number: 4, path: 'web' }))
+      .toBe('/gitlab.com/group/mono/-/pull/4?path=web');
+  });
+});
+
+describe('package paths', () => {
+  it('normalizes slashes and refuses paths outside the repository', () => {
+    expect(normalizeSubdirectory(' /packages//api/ ')).toBe('packages/api');
+    expect(normalizeSubdirectory('')).toBeNull();
+    expect(normalizeSubdirectory('/')).toBeNull();
+    expect(normalizeSubdirectory('packages/../..')).toBeNull();
+    expect(normalizeSubdirectory('./api')).toBeNull();
+    expect(normalizeSubdirectory('C:\\api')).toBeNull();
+    expect(normalizeSubdirectory('a'.repeat(201))).toBeNull();
+    expect(normalizeSubdirectory(undefined)).toBeNull();
+  });
+});
+
+describe('resolveTarget', () => {
+  const API = 'https://api.github.com/repos/acme/mono';
+  const repo = { ...GITHUB, owner: 'acme', name: 'mono' };
+  const SHA = 'c0ffee0000000000000000000000000000000000';
+
+  afterEach(() => jest.restoreAllMocks());
+
+  function githubWithBranches(...branches) {
+    const routes = {};
+    for (const branch of branches) {
+      routes[`GET ${API}/commits/${branch}`] = () => ({ sha: SHA });
+      routes[`GET ${API}/branches/${branch}`] = () => ({ name: branch });
+    }
+    return routes;
+  }
+
+  it('splits a route ref into the shortest ref that resolves and the package path', async () => {
+    stubFetch(githubWithBranches('feature/x'));
+    const target = await resolveTarget(repo, { type: 'tree', ref: 'feature/x/packages/api', number: null }, null, { refMayIncludePath: true });
+    expect(target).toMatchObject({ kind: 'branch', ref: 'feature/x', sha: SHA, path: 'packages/api' });
+  });
+
+  it('takes refs from metadata as they are', async () => {
+    const { calls } = stubFetch(githubWithBranches('feature/x'));
+    const target = await resolveTarget(repo, { type: 'tree', ref: 'feature/x', number: null, path: 'web' }, null);
+    expect(target).toMatchObject({ ref: 'feature/x', path: 'web' });
+    expect(calls[0].path).toBe(`${API}/commits/feature/x`);
+  });
+
+  it('reports unknown refs', async () => {
+    stubFetch({ [`GET ${API}/commits/nope`]: () => reply(404, { message: 'No commit found' }) });
+    await expect(resolveTarget(repo, { type: 'tree', ref: 'nope/packages', number: null }, null, { refMayIncludePath: true }))
+      .rejects.toThrow();
+  });
+});
+
+describe('repos', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('picks the provider from the host', () => {
+    expect(providerForHost('github.com').id).toBe('github');
+    expect(providerForHost('www.GitHub.com').id).toBe('github');
+    expect(providerForHost('gitlab.com').id).toBe('gitlab');
+    expect(providerForHost('bitbucket.org').id).toBe('bitbucket');
+    expect(providerForHost('gitlab.acme.dev').id).toBe('git');
+
+    process.env.GITLAB_HOSTS = 'gitlab.acme.dev, code.acme.dev';
+    expect(providerForHost('gitlab.acme.dev').id).toBe('gitlab');
+  });
+
+  it('only accepts generic Git hosts from GIT_ALLOWED_HOSTS when it is set', () => {
+    process.env.GIT_ALLOWED_HOSTS = 'gitea.acme.dev';
+    expect(providerForHost('gitea.acme.dev').id).toBe('git');
+    expect(providerForHost('git.example.com')).toBeNull();
+    expect(providerForHost('gitlab.com').id).toBe('gitlab');
+  });
+
+  it('validates repo paths', () => {
+    expect(repoFor({ owner: 'acme', name: 'widget' })).toEqual({ ...GITHUB, owner: 'acme', name: 'widget' });
+    expect(repoFor({ host: 'github.com', owner: 'acme/sub', name: 'widget' })).toBeNull();
+    expect(repoFor({ host: 'gitlab.com', owner: 'acme/..', name: 'widget' })).toBeNull();
+    expect(repoFor({ host: '169.254.169.254', owner: 'latest', name: 'meta-data' })).toBeNull();
+  });
+
+  it('reads repos from agent metadata, defaulting to GitHub', () => {
+    expect(repoFromMetadata({ owner: 'acme', name: 'widget', url: 'https://github.com/acme/widget' })).toEqual({ ...GITHUB, owner: 'acme', name: 'widget' });
+    expect(repoFromMetadata({ provider: 'gitlab', host: 'gitlab.com', owner: 'group', name: 'app' })).toEqual({ provider: 'gitlab', host: 'gitlab.com', owner: 'group', name: 'app' });
+    expect(repoFromMetadata(undefined)).toBeNull();
+  });
+
+  it('keys GitHub repos by owner/name and others by host too', () => {
+    expect(repoKey({ ...GITHUB, owner: 'acme', name: 'widget' })).toBe('acme/widget');
+    expect(repoKey({ provider: 'gitlab', host: 'gitlab.com', owner: 'group/sub', name: 'app' })).toBe('gitlab.com/group/sub/app');
+  });
+});
@@ -0,0 +1,57 @@
+import { pullRequestBase, pullRequestBranch, pullRequestContent } from '../../lib/pullRequests';
+
+const SHA = 'c0ffee0000000000000000000000000000000000';
+const files = [
+  { path: 'test/a.test.js', status: 'created', content: 'it()\n' },
+  { path: 'test/setup.js', status: 'modified', content: 'setup()\n' }
+];
+
+describe('pullRequestBranch', () => {
+  it('names the branch after the commit and the run', () => {
+    expect(pullRequestBranch({ sha: SHA }, 'resp_01HZX-AB12CD34')).toBe('unitest/tests-c0ffee0-ab12cd34');
+  });
+});
+
+describe('pullRequestBase', () => {
+  it('targets the tested branch, or the default branch for tags and commits', () => {
+    expect(pullRequestBase({ kind: 'branch', ref: 'develop' }, 'main')).toBe('develop');
+    expect(pullRequestBase({ kind: 'pull', ref: 'feature-7', number: 7, fork: false }, 'main')).toBe('feature-7');
+    expect(pullRequestBase({ kind: 'tag', ref: 'v1.0.0' }, 'main')).toBe('main');
+    expect(pullRequestBase({ kind: 'commit', ref: null }, null)).toBeNull();
+  });
+
+  it('has no base for pull requests from forks', () => {
+    // A fork's pull request from its `main` must not go into this repository's `main`
+    expect(pullRequestBase({ kind: 'pull', ref: 'main', number: 8, fork: true }, 'main')).toBeNull();
+    expect(pullRequestBase({ kind: 'pull', ref: 'main', number: 8 }, 'main')).toBeNull();
+  });
+});
+
+describe('pullRequestContent', () => {
+  const target = { kind: 'branch', ref: 'main', sha: SHA, path: null };
+
+  it('summarises coverage, tests and files', () => {
+    const results = {
+      source: 'json',
+      tests: [{ name: 'a', generated: true }, { name: 'b', generated: false }],
+      totals: { total: 2, passed: 1, failed: 1, skipped: 0 },
+      coverage: { before: 41.5, after: 78 }
+    };
+    const { title, body, message } = pullRequestContent({ target, results, files, reportUrl: 'https://unitest.test/acme/widget' });
+
+    expect(title).toBe('Add unit tests generated by UniTest (coverage 41.5% → 78%)');
+    expect(body).toContain('| Coverage | 41.5% | 78% |');
+    expect(body).toContain('- Tests added: 1');
+    expect(body).toContain('- Tests run: 2 (1 passed, 1 failed, 0 skipped)');
+    expect(body).toContain('- Some tests fail; check the report before merging.');
+    expect(body).toContain('### Files (1 new, 1 changed)\n\n- `test/a.test.js`\n- `test/setup.js` (changed)');
+    expect(body).toContain('[Full UniTest report](https://unitest.test/acme/widget)');
+    expect(message).toBe(`${title}\n\nGenerated by UniTest for main at ${SHA}.`);
+  });
+
+  it('leaves out what the run did not report', () => {
+    const { title, body } = pullRequestContent({ target: { ...target, path: 'packages/api' }, results: null, files: files.slice(0, 1) });
+    expect(title).toBe('Add unit tests generated by UniTest');
+    expect(body).toBe('Unit tests generated by UniTest for `packages/api` on `main` (`c0ffee0`).\n\n### Files (1 new, 0 changed)\n\n- `test/a.test.js`');
+  });
+});
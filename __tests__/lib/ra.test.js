@@ -0,0 +1,107 @@
+import { RAConfigError, RAError, createResponse, getAgent, getResponse, listAgents, raRequest } from '../../lib/ra';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../helpers/ra';
+
+// Runs a request to completion while fake timers drive the retry backoff.
+async function settle(promise) {
+  const outcome = promise.then((value) => ({ value }), (error) => ({ error }));
+  await jest.runAllTimersAsync();
+  return outcome;
+}
+
+describe('RA client', () => {
+  beforeEach(() => {
+    setRAEnv();
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('trims the host and sends the admin token', async () => {
+    const { calls } = stubFetch({ 'GET /api/v0/agents': () => ({ items: [] }) });
+    await expect(listAgents({ tags: 'acme/widget@pull/3', limit: 1 })).resolves.toEqual({ items: [] });
+    expect(calls[0].query).toEqual({ tags: 'acme/widget@pull/3', limit: '1' });
+    expect(calls[0].headers).toMatchObject({ Authorization: 'Bearer test-admin-token', 'User-Agent': 'unitest-app' });
+  });
+
+  it('logs successful requests only with UNITEST_DEBUG set', async () => {
+    stubFetch({ 'GET /api/v0/agents': () => ({ items: [] }) });
+    await listAgents();
+    expect(console.log).not.toHaveBeenCalled();
+
+    process.env.UNITEST_DEBUG = '1';
+    try {
+      await listAgents();
+      expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^\[UniTest RA\] GET \/api\/v0\/agents -> ok \(\d+ms\)$/));
+    } finally {
+      delete process.env.UNITEST_DEBUG;
+    }
+  });
+
+  it('serves responses with secrets redacted and reports rendered', async () => {
+    stubFetch({
+      'GET /api/v0/agents/ut-a/responses/r1': () => ({
+        id: 'r1',
+        output_content: [{ type: 'markdown', content: '**cloned https://user:ghp_' + 'a'.repeat(36) + '@github.com/acme/widget**' }]
+      })
+    });
+    const { output_content: [item] } = await getResponse('ut-a', 'r1');
+    expect(item.html).toBe('<p><strong>cloned https://[REDACTED]@github.com/acme/widget</strong></p>\n');
+  });
+
+  it('throws a config error before calling RA', async () => {
+    clearRAEnv();
+    const { calls } = stubFetch();
+    await expect(getAgent('ut-a')).rejects.toBeInstanceOf(RAConfigError);
+    expect(calls).toHaveLength(0);
+  });
+
+  it('retries 5xx answers with backoff', async () => {
+    let attempts = 0;
+    stubFetch({ 'GET /api/v0/agents/ut-a': () => (++attempts < 3 ? reply(503, { detail: 'busy' }) : { name: 'ut-a' }) });
+    const { value } = await settle(getAgent('ut-a'));
+    expect(value).toEqual({ name: 'ut-a' });
+    expect(attempts).toBe(3);
+  });
+
+  it('gives up after the last retry with a 502', async () => {
+    const { calls } = stubFetch({ 'GET /api/v0/agents/ut-a': () => reply(500, { detail: 'boom' }) });
+    const { error } = await settle(getAgent('ut-a'));
+    expect(error).toBeInstanceOf(RAError);
+    expect(error).toMatchObject({ status: 502, upstreamStatus: 500, details: { detail: 'boom' } });
+    expect(calls).toHaveLength(3);
+  });
+
+  it('does not retry client errors', async () => {
+    const { calls } = stubFetch({ 'GET /api/v0/agents/ut-a': () => reply(404, { detail: 'missing' }) });
+    const { error } = await settle(getAgent('ut-a'));
+    expect(error.status).toBe(404);
+    expect(calls).toHaveLength(1);
+  });
+
+  it('does not retry POST unless it is idempotent', async () => {
+    const { calls } = stubFetch({
+      'POST /api/v0/agents/ut-a/responses': () => reply(500, {}),
+      'POST /api/v0/agents/ut-a/responses/r1/cancel': () => reply(500, {})
+    });
+    await settle(createResponse('ut-a', { input: {} }));
+    await settle(raRequest('/api/v0/agents/ut-a/responses/r1/cancel', { method: 'POST', retry: true }));
+    expect(calls.filter((request) => request.path.endsWith('/responses'))).toHaveLength(1);
+    expect(calls.filter((request) => request.path.endsWith('/cancel'))).toHaveLength(3);
+  });
+
+  it('maps network failures to 502 and timeouts to 504', async () => {
+    jest.spyOn(global, 'fetch').mockRejectedValueOnce(new TypeError('fetch failed'));
+    const network = await settle(raRequest('/api/v0/agents', { retries: 0 }));
+    expect(network.error).toMatchObject({ status: 502, code: 'network_error' });
+
+    jest.spyOn(global, 'fetch').mockImplementation((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+    }));
+    const timeout = await settle(raRequest('/api/v0/agents', { retries: 0, timeoutMs: 50 }));
+    expect(timeout.error).toMatchObject({ status: 504, code: 'timeout' });
+  });
+});
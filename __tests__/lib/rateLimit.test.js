@@ -0,0 +1,139 @@
+import {
+  clientIp,
+  consumeRateLimit,
+  consumeRunQuota,
+  getRateLimitStore,
+  MemoryStore,
+  RateLimitError,
+  setRateLimitStore
+} from '../../lib/rateLimit';
+import { OTHER_USER, TEST_USER } from '../helpers/auth';
+
+const NOW = Date.parse('2026-03-15T12:00:10Z');
+const req = (ip = '10.0.0.1', headers = {}) => ({ headers, socket: { remoteAddress: ip } });
+
+async function attempts(count, action, request = req(), user = TEST_USER) {
+  for (let i = 0; i < count; i++) await consumeRateLimit(request, user, action, NOW);
+}
+
+describe('MemoryStore', () => {
+  it('counts until the key expires', async () => {
+    let now = 0;
+    const store = new MemoryStore({ now: () => now });
+    expect(await store.increment('k', 1000)).toBe(1);
+    expect(await store.increment('k', 1000)).toBe(2);
+    expect(await store.get('k')).toBe(2);
+    now = 1000;
+    expect(await store.get('k')).toBe(0);
+    expect(await store.increment('k', 1000)).toBe(1);
+    expect(await store.decrement('k')).toBe(0);
+    expect(await store.decrement('k')).toBe(0);
+  });
+});
+
+describe('consumeRateLimit', () => {
+  afterEach(() => {
+    delete process.env.RATE_LIMIT_CHAT_PER_MINUTE;
+    delete process.env.TRUST_PROXY;
+  });
+
+  it('allows the per-user limit and then refuses until the minute is over', async () => {
+    await attempts(10, 'chat');
+    const error = await consumeRateLimit(req(), TEST_USER, 'chat', NOW).catch((err) => err);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error).toMatchObject({ status: 429, code: 'rate_limited', retryAfterSeconds: 50, limit: 10 });
+    expect(error.message).toBe('Too many chat messages. Try again in 50 seconds.');
+
+    await expect(consumeRateLimit(req(), TEST_USER, 'chat', NOW + 50000)).resolves.toBeUndefined();
+  });
+
+  it('counts users, IP addresses and actions separately', async () => {
+    await attempts(10, 'chat');
+    await expect(consumeRateLimit(req(), OTHER_USER, 'chat', NOW)).resolves.toBeUndefined();
+    await expect(consumeRateLimit(req(), TEST_USER, 'run', NOW)).resolves.toBeUndefined();
+  });
+
+  it('limits one IP address across users', async () => {
+    const users = Array.from({ length: 5 }, (_, i) => ({ id: `github:${i + 10}`, login: `user${i}` }));
+    for (const user of users.slice(0, 4)) await attempts(10, 'chat', req(), user);
+    await expect(consumeRateLimit(req(), users[4], 'chat', NOW)).rejects.toMatchObject({ limit: 40 });
+    await expect(consumeRateLimit(req('10.0.0.2'), users[4], 'chat', NOW)).resolves.toBeUndefined();
+  });
+
+  it('reads limits from the environment; 0 turns a limit off', async () => {
+    process.env.RATE_LIMIT_CHAT_PER_MINUTE = '1';
+    await attempts(1, 'chat');
+    await expect(consumeRateLimit(req(), TEST_USER, 'chat', NOW)).rejects.toBeInstanceOf(RateLimitError);
+
+    process.env.RATE_LIMIT_CHAT_PER_MINUTE = '0';
+    await expect(attempts(50, 'chat')).resolves.toBeUndefined();
+  });
+
+  it('only trusts X-Forwarded-For behind a proxy', () => {
+    const forwarded = req('10.0.0.1', { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' });
+    expect(clientIp(forwarded)).toBe('10.0.0.1');
+    process.env.TRUST_PROXY = '1';
+    expect(clientIp(forwarded)).toBe('203.0.113.7');
+  });
+
+  it('uses the configured store', async () => {
+    const store = { increment: jest.fn(async () => 99), decrement: jest.fn(async () => 98) };
+    const previous = getRateLimitStore();
+    setRateLimitStore(store);
+    try {
+      await expect(consumeRateLimit(req(), TEST_USER, 'run', NOW)).rejects.toBeInstanceOf(RateLimitError);
+      expect(store.increment).toHaveBeenCalledWith(expect.stringMatching(/^run:user:github:1:/), 50000);
+    } finally {
+      setRateLimitStore(previous);
+    }
+  });
+});
+
+describe('daily run quota', () => {
+  let previous;
+  beforeEach(() => {
+    previous = getRateLimitStore();
+    setRateLimitStore(new MemoryStore({ now: () => NOW }));
+  });
+  afterEach(() => {
+    setRateLimitStore(previous);
+    delete process.env.RUN_DAILY_QUOTA;
+  });
+
+  it('refuses once the day\'s runs are used, until UTC midnight', async () => {
+    process.env.RUN_DAILY_QUOTA = '2';
+    await consumeRunQuota(TEST_USER, NOW);
+    await consumeRunQuota(TEST_USER, NOW);
+
+    const error = await consumeRunQuota(TEST_USER, NOW).catch((err) => err);
+    expect(error).toMatchObject({ code: 'quota_exceeded', limit: 2, retryAfterSeconds: 12 * 3600 - 10 });
+    expect(error.message).toBe('Daily limit of 2 test runs reached. Try again in 12 hours.');
+
+    await expect(consumeRunQuota(OTHER_USER, NOW)).resolves.toBeInstanceOf(Function);
+    await expect(consumeRunQuota(TEST_USER, Date.parse('2026-03-16T00:00:00Z'))).resolves.toBeInstanceOf(Function);
+  });
+
+  it('lets only one of simultaneous starts take the last run', async () => {
+    process.env.RUN_DAILY_QUOTA = '1';
+    const outcomes = await Promise.allSettled([consumeRunQuota(TEST_USER, NOW), consumeRunQuota(TEST_USER, NOW)]);
+    expect(outcomes.map((outcome) => outcome.status).sort()).toEqual(['fulfilled', 'rejected']);
+  });
+
+  it('gives a run back once when it was not started', async () => {
+    process.env.RUN_DAILY_QUOTA = '1';
+    const release = await consumeRunQuota(TEST_USER, NOW);
+    await expect(consumeRunQuota(TEST_USER, NOW)).rejects.toBeInstanceOf(RateLimitError);
+
+    await release();
+    await release();
+    await expect(consumeRunQuota(TEST_USER, NOW)).resolves.toBeInstanceOf(Function);
+    await expect(consumeRunQuota(TEST_USER, NOW)).rejects.toBeInstanceOf(RateLimitError);
+  });
+
+  it('is off when set to 0', async () => {
+    process.env.RUN_DAILY_QUOTA = '0';
+    await expect(consumeRunQuota(TEST_USER, NOW)).resolves.toBeInstanceOf(Function);
+    await expect(consumeRunQuota(TEST_USER, NOW)).resolves.toBeInstanceOf(Function);
+  });
+});
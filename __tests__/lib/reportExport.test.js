@@ -0,0 +1,99 @@
+import { RESULTS_SCHEMA_ID } from '../../lib/results';
+import { FILES_SCHEMA_ID } from '../../lib/generatedFiles';
+import { REPORT_SCHEMA_ID, renderStandaloneReport, reportExportData } from '../../lib/reportExport';
+
+const SHA = 'c0ffee0000000000000000000000000000000000';
+const repo = { provider: 'github', host: 'github.com', owner: 'acme', name: 'widget' };
+
+const results = {
+  schema: RESULTS_SCHEMA_ID,
+  scenario: 'B',
+  frameworks: ['Jest'],
+  coverage: { before: 40, after: 85 },
+  totals: { total: 2, passed: 1, failed: 1, skipped: 0, duration_ms: 1200 },
+  files: [{ path: 'src/a.js', coverage: 85, lines_uncovered: 3, uncovered_ranges: '10-12' }],
+  tests: [
+    { name: 'adds', file: 'test/a.test.js', status: 'passed', generated: true },
+    { name: 'subtracts <b>', file: 'test/a.test.js', status: 'failed', message: 'Expected 1' }
+  ]
+};
+
+const resp = {
+  id: 'resp-1',
+  status: 'completed',
+  created_at: '2026-03-01T10:00:00Z',
+  updated_at: '2026-03-01T10:05:00Z',
+  metadata: {
+    run_type: 'test_run',
+    target: { kind: 'branch', ref: 'main', sha: SHA, path: null },
+    started_by: { id: 'github:1', login: 'alice' },
+    options: { coverage_target: 70 }
+  },
+  output_content: [
+    { type: 'markdown', content: '# Report\n## Summary\n## Details\n<script>alert(1)</script>\n```\n' + 'line\n'.repeat(40) + '```' },
+    { type: 'json', content: JSON.stringify(results) },
+    { type: 'json', content: JSON.stringify({ schema: FILES_SCHEMA_ID, files: [{ path: 'test/a.test.js', status: 'created', content: 'it()\n' }] }) }
+  ]
+};
+
+describe('reportExportData', () => {
+  it('collects the run, its results and the markdown report', () => {
+    const data = reportExportData({ agent: 'ut-a', repo, resp, exportedAt: '2026-03-02T00:00:00Z' });
+    expect(data).toMatchObject({
+      schema: REPORT_SCHEMA_ID,
+      exported_at: '2026-03-02T00:00:00Z',
+      repository: { owner: 'acme', name: 'widget', full_name: 'acme/widget', url: 'https://github.com/acme/widget' },
+      agent: 'ut-a',
+      response: { id: 'resp-1', status: 'completed', updated_at: '2026-03-01T10:05:00Z' },
+      target: { ref: 'main', sha: SHA },
+      options: { coverage_target: 70 },
+      started_by: { login: 'alice' },
+      results: { source: 'json', coverage: { before: 40, after: 85 } },
+      generated_files: [{ path: 'test/a.test.js', status: 'created' }]
+    });
+    expect(data.report).toMatch(/^# Report/);
+  });
+});
+
+describe('renderStandaloneReport', () => {
+  const data = reportExportData({ agent: 'ut-a', repo, resp, exportedAt: '2026-03-02T00:00:00Z' });
+
+  it('renders a self-contained document', () => {
+    const html = renderStandaloneReport(data);
+    expect(html).toMatch(/^<!doctype html>/);
+    expect(html).toContain('<title>UniTest report: acme/widget (main)</title>');
+    expect(html).toContain('<a href="https://github.com/acme/widget/commit/c0ffee0000000000000000000000000000000000"><code>c0ffee0</code></a>');
+    expect(html).toContain('Report produced 2026-03-01 10:05 UTC, started by alice');
+    expect(html).toContain('<span class="stat__value">85%</span><span class="stat__label">Coverage after</span>');
+    expect(html).toContain('<code>subtracts &lt;b&gt;</code>');
+    expect(html).toContain('<a href="#report-summary">Summary</a>');
+    expect(html).toContain('<details><summary>');
+    expect(html).not.toMatch(/<script|<link|@import/i);
+  });
+
+  it('shows the commit without a link when the host has no commit pages', () => {
+    const gitData = reportExportData({ agent: 'ut-a', repo: { ...repo, provider: 'git', host: 'gitea.example.com' }, resp });
+    const html = renderStandaloneReport(gitData);
+    expect(html).toContain(' at <code>c0ffee0</code>.');
+    expect(html).not.toContain('href=""');
+  });
+
+  it('turns images into links so opening the file loads nothing', () => {
+    const html = renderStandaloneReport({ ...data, report: '![coverage badge](https://img.example/badge.svg) ![](https://img.example/pixel.png)' });
+    expect(html).not.toContain('<img');
+    expect(html).toContain('<a href="https://img.example/badge.svg" rel="noopener noreferrer nofollow">coverage badge</a>');
+    expect(html).toContain('<a href="https://img.example/pixel.png" rel="noopener noreferrer nofollow">image</a>');
+  });
+
+  it('lists failing tests first', () => {
+    const html = renderStandaloneReport(data);
+    expect(html.indexOf('subtracts')).toBeLessThan(html.indexOf('<code>adds</code>'));
+  });
+
+  it('lays the print view out for paper', () => {
+    const html = renderStandaloneReport(data, { print: true });
+    expect(html).toContain('@page');
+    expect(html).toContain('<details open><summary>');
+    expect(renderStandaloneReport(data)).not.toContain('@page');
+  });
+});
@@ -0,0 +1,48 @@
+import { POLL_INTERVAL_MS, subscribe } from '../../lib/responseStream';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../helpers/ra';
+
+const RESPONSE = 'GET /api/v0/agents/ut-a/responses/resp-1';
+
+describe('subscribe', () => {
+  beforeEach(() => {
+    setRAEnv();
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('ends the stream once RA no longer has the response', async () => {
+    const { calls } = stubFetch({ [RESPONSE]: () => reply(404, { detail: 'Response not found' }) });
+    const listener = jest.fn();
+    const unsubscribe = subscribe('ut-a', 'resp-1', listener);
+
+    await jest.advanceTimersByTimeAsync(POLL_INTERVAL_MS * 3);
+    expect(listener.mock.calls).toEqual([['end', { status: 'error', error: 'RA responded with 404', code: 'not_found' }]]);
+    expect(calls).toHaveLength(1);
+    unsubscribe();
+  });
+
+  it('keeps polling through transient failures', async () => {
+    let failing = true;
+    const { calls } = stubFetch({
+      [RESPONSE]: () => (failing ? reply(503, { detail: 'unavailable' }) : { id: 'resp-1', status: 'completed' })
+    });
+    const listener = jest.fn();
+    subscribe('ut-a', 'resp-1', listener);
+
+    await jest.advanceTimersByTimeAsync(POLL_INTERVAL_MS);
+    expect(listener).toHaveBeenCalledWith('poll-error', expect.objectContaining({ error: 'RA responded with 503' }));
+    expect(listener).not.toHaveBeenCalledWith('end', expect.anything());
+
+    failing = false;
+    await jest.advanceTimersByTimeAsync(POLL_INTERVAL_MS * 2);
+    expect(listener).toHaveBeenCalledWith('end', { status: 'completed' });
+    const polls = calls.length;
+    await jest.advanceTimersByTimeAsync(POLL_INTERVAL_MS * 2);
+    expect(calls).toHaveLength(polls);
+  });
+});
@@ -0,0 +1,276 @@
+import {
+  compareResults,
+  extractResults,
+  extractResultsFromMarkdown,
+  isResultsItem,
+  normalizeTestStatus,
+  RESULTS_SCHEMA_ID,
+  schemaErrors,
+  summarizeResults,
+  validateResults,
+  withResults
+} from '../../lib/results';
+
+const valid = {
+  schema: RESULTS_SCHEMA_ID,
+  scenario: 'B',
+  frameworks: ['Jest'],
+  coverage: { before: 42.5, after: 81 },
+  totals: { total: 3, passed: 2, failed: 1, skipped: 0 },
+  files: [
+    { path: 'src/a.js', coverage: 90, lines_total: 40, lines_covered: 36 },
+    { path: 'src/b.js', coverage: 70, coverage_before: 10, lines_uncovered: 6, uncovered_ranges: '3-8' }
+  ],
+  tests: [
+    { name: 'adds', file: 'test/a.test.js', status: 'passed', duration_ms: 4, generated: true },
+    { name: 'subtracts', file: 'test/a.test.js', status: 'passed' },
+    { name: 'divides by zero', status: 'failed', message: 'Expected Infinity' }
+  ]
+};
+
+function run(...output) {
+  return { status: 'completed', metadata: { run_type: 'test_run' }, output_content: output };
+}
+
+const json = (value) => ({ type: 'json', content: JSON.stringify(value) });
+
+const SCENARIO_A = `# UniTest Report
+
+## Executive Summary
+- **Scenario:** A (existing tests meet the target)
+- Coverage: 91.2%
+- 48 passed, 0 failed, 2 skipped (50 total)
+- Framework: pytest
+
+## Test Results
+| Test | File | Status | Duration |
+| --- | --- | --- | --- |
+| test_parse | tests/test_parser.py | ✅ Passed | 0.12s |
+| test_render | tests/test_render.py | ⏭️ Skipped | 0 ms |
+`;
+
+const SCENARIO_B = `# UniTest Report
+
+## Executive Summary
+Scenario B: partial tests.
+Coverage improved from 45% → 82.5%.
+Total tests: 24, passed: 23, failed: 1.
+
+## Coverage by File
+| File | Before | After | Uncovered |
+| --- | --- | --- | --- |
+| \`src/cart.js\` | 40% | **85%** | 12-18 |
+| src/price.js | 50% | 80% | 4 |
+| **Total** | 45% | 82.5% | |
+
+## Failures
+| Test | Status | Error |
+| --- | --- | --- |
+| applies discount | ❌ FAIL | expected 90 to be 81 |
+
+Run with \`npx jest --coverage\`.
+`;
+
+const SCENARIO_C = `# UniTest Report
+
+## Executive Summary
+**Scenario: C** - the repository had no tests.
+- Initial coverage: 0%
+- Final coverage: 67%
+- 12 tests created with Vitest, all passing
+
+## Generated tests
+- ✅ parses an empty cart - returns no items
+- ✅ totals line items
+- ❌ rounds currency — off by one cent
+`;
+
+describe('normalizeTestStatus', () => {
+  it.each([
+    ['✅', 'passed'], ['PASS', 'passed'], ['ok', 'passed'],
+    ['❌', 'failed'], ['Failure', 'failed'], ['errored', 'failed'],
+    ['skipped', 'skipped'], ['xfail', 'skipped'], ['⚠️', 'skipped'],
+    ['flaky?', null], [undefined, null]
+  ])('reads %s as %s', (value, status) => {
+    expect(normalizeTestStatus(value)).toBe(status);
+  });
+});
+
+describe('validateResults', () => {
+  it('accepts results that match the schema and fills optional fields', () => {
+    const { results, errors } = validateResults(valid);
+    expect(errors).toEqual([]);
+    expect(results.totals).toEqual({ total: 3, passed: 2, failed: 1, skipped: 0, duration_ms: null });
+    expect(results.files[0]).toEqual({
+      path: 'src/a.js', coverage: 90, coverage_before: null, lines_total: 40, lines_covered: 36, lines_uncovered: 4, uncovered_ranges: null
+    });
+    expect(results.files[1]).toMatchObject({ coverage_before: 10, lines_uncovered: 6, uncovered_ranges: '3-8' });
+    expect(results.tests[2]).toEqual({ name: 'divides by zero', file: null, status: 'failed', duration_ms: null, message: 'Expected Infinity', generated: false });
+  });
+
+  it('reports every mismatch with its path', () => {
+    const { results, errors } = validateResults({
+      ...valid,
+      scenario: 'D',
+      coverage: { before: null, after: 120 },
+      totals: { total: 2.5, passed: 2, failed: 0 },
+      tests: [{ name: 'x', status: 'broken' }]
+    });
+    expect(results).toBeNull();
+    expect(errors).toEqual([
+      '$.scenario must be one of A, B, C',
+      '$.coverage.after must be <= 100',
+      '$.totals.skipped is required',
+      '$.totals.total must be integer',
+      '$.tests[0].status must be one of passed, failed, skipped'
+    ]);
+  });
+
+  it('rejects values that are not results objects', () => {
+    expect(validateResults(null).errors).toEqual(['$ must be object']);
+    expect(schemaErrors({ type: 'object', required: ['schema'] }, {})).toEqual(['$.schema is required']);
+  });
+});
+
+describe('extractResults', () => {
+  it('prefers a valid json output item', () => {
+    const results = extractResults(run({ type: 'markdown', content: SCENARIO_A }, json(valid)));
+    expect(results).toMatchObject({ source: 'json', validation_errors: [], scenario: 'B', coverage: { before: 42.5, after: 81 } });
+  });
+
+  it('accepts the item as an already parsed object', () => {
+    expect(extractResults(run({ type: 'json', content: valid })).source).toBe('json');
+  });
+
+  it('falls back to the markdown and keeps the errors of an invalid item', () => {
+    const results = extractResults(run({ type: 'markdown', content: SCENARIO_B }, json({ ...valid, totals: { total: 3 } })));
+    expect(results.source).toBe('markdown');
+    expect(results.validation_errors).toEqual(['$.totals.passed is required', '$.totals.failed is required', '$.totals.skipped is required']);
+    expect(results.coverage).toEqual({ before: 45, after: 82.5 });
+  });
+
+  it('ignores json items that are not results or cannot be parsed', () => {
+    const results = extractResults(run(
+      { type: 'markdown', content: SCENARIO_C },
+      { type: 'json', content: '{"schema": "unitest.results/v1",' },
+      json({ schema: 'something-else' })
+    ));
+    expect(results).toMatchObject({ source: 'markdown', validation_errors: [], scenario: 'C' });
+    expect(isResultsItem({ type: 'json', content: '{' })).toBe(false);
+  });
+
+  it('reads nothing from runs without output', () => {
+    expect(extractResults({ output_content: null })).toMatchObject({
+      source: 'markdown',
+      scenario: null,
+      coverage: { before: null, after: null },
+      totals: { total: null, passed: null, failed: null, skipped: null },
+      files: [],
+      tests: []
+    });
+  });
+});
+
+describe('extractResultsFromMarkdown', () => {
+  it('reads a scenario A report', () => {
+    const results = extractResultsFromMarkdown(SCENARIO_A);
+    expect(results).toMatchObject({
+      scenario: 'A',
+      frameworks: ['pytest'],
+      coverage: { before: null, after: 91.2 },
+      totals: { total: 50, passed: 48, failed: 0, skipped: 2 }
+    });
+    expect(results.tests).toEqual([
+      { name: 'test_parse', file: 'tests/test_parser.py', status: 'passed', duration_ms: 120, message: null, generated: false },
+      { name: 'test_render', file: 'tests/test_render.py', status: 'skipped', duration_ms: 0, message: null, generated: false }
+    ]);
+  });
+
+  it('reads a scenario B report with before and after coverage per file', () => {
+    const results = extractResultsFromMarkdown(SCENARIO_B);
+    expect(results).toMatchObject({
+      scenario: 'B',
+      frameworks: ['Jest'],
+      coverage: { before: 45, after: 82.5 },
+      // Counts the summary leaves out come from the tests listed in the report
+      totals: { total: 24, passed: 23, failed: 1, skipped: 0 }
+    });
+    expect(results.files).toEqual([
+      { path: 'src/cart.js', coverage: 85, coverage_before: 40, lines_total: null, lines_covered: null, lines_uncovered: null, uncovered_ranges: '12-18' },
+      { path: 'src/price.js', coverage: 80, coverage_before: 50, lines_total: null, lines_covered: null, lines_uncovered: 4, uncovered_ranges: null }
+    ]);
+    expect(results.tests).toEqual([
+      { name: 'applies discount', file: null, status: 'failed', duration_ms: null, message: 'expected 90 to be 81', generated: false }
+    ]);
+  });
+
+  it('reads a scenario C report from its summary and test list', () => {
+    const results = extractResultsFromMarkdown(SCENARIO_C);
+    expect(results).toMatchObject({
+      scenario: 'C',
+      frameworks: ['Vitest'],
+      coverage: { before: 0, after: 67 }
+    });
+    expect(results.tests.map(({ name, status }) => [name, status])).toEqual([
+      ['parses an empty cart', 'passed'],
+      ['totals line items', 'passed'],
+      ['rounds currency', 'failed']
+    ]);
+    // "12 tests created" is not a count of passed tests; the list is all there is
+    expect(results.totals).toMatchObject({ total: 3, passed: 2, failed: 1, skipped: 0 });
+  });
+
+  it('prefers the executive summary over numbers elsewhere in the report', () => {
+    const markdown = '## Executive Summary\n5 passed, 1 failed\n\n## Earlier run\n9 passed, 3 failed';
+    expect(extractResultsFromMarkdown(markdown).totals).toMatchObject({ total: 6, passed: 5, failed: 1 });
+  });
+
+  it('reads counts from reports without an executive summary', () => {
+    expect(extractResultsFromMarkdown('7 tests passed and 1 failed').totals).toMatchObject({ total: 8, passed: 7, failed: 1, skipped: null });
+    expect(extractResultsFromMarkdown('').totals).toMatchObject({ total: null, passed: null, failed: null, skipped: null });
+  });
+});
+
+describe('withResults', () => {
+  it('attaches results to completed test runs only', () => {
+    expect(withResults(run(json(valid))).results.source).toBe('json');
+    expect(withResults({ ...run(json(valid)), status: 'in_progress' }).results).toBeUndefined();
+    expect(withResults({ ...run(json(valid)), metadata: { run_type: 'chat' } }).results).toBeUndefined();
+    expect(withResults(null)).toBeNull();
+  });
+});
+
+describe('summarizeResults and compareResults', () => {
+  const base = validateResults(valid).results;
+  const head = validateResults({
+    ...valid,
+    coverage: { before: 81, after: 88.25 },
+    files: [{ path: 'src/a.js', coverage: 95 }, { path: 'src/c.js', coverage: 60 }],
+    tests: [
+      { name: 'adds', file: 'test/a.test.js', status: 'failed' },
+      { name: 'divides by zero', status: 'passed' },
+      { name: 'multiplies', status: 'failed' }
+    ]
+  }).results;
+
+  it('summarizes the headline numbers', () => {
+    expect(summarizeResults(base)).toEqual({ coverage: 81, passed: 2, failed: 1, total: 3 });
+    expect(summarizeResults(null)).toEqual({ coverage: null, passed: null, failed: null, total: null });
+  });
+
+  it('compares coverage per file and test status changes', () => {
+    expect(compareResults(base, head)).toEqual({
+      coverageDelta: 7.25,
+      files: [
+        { path: 'src/a.js', before: 90, after: 95, delta: 5 },
+        { path: 'src/b.js', before: 70, after: null, delta: null },
+        { path: 'src/c.js', before: null, after: 60, delta: null }
+      ],
+      newlyFailed: [
+        { name: 'adds', file: 'test/a.test.js', isNew: false },
+        { name: 'multiplies', file: null, isNew: true }
+      ],
+      fixed: [{ name: 'divides by zero', file: null }]
+    });
+  });
+});
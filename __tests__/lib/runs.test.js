@@ -0,0 +1,57 @@
+import { findLatestTestRun, findSupersededRun, isChatResponse, isTestRunResponse, normalizeResponse, runMetadata } from '../../lib/runs';
+
+describe('normalizeResponse', () => {
+  it('fills in missing segments and output', () => {
+    expect(normalizeResponse({ id: 'r1', status: 'pending' })).toEqual({ id: 'r1', status: 'pending', segments: [], output_content: [] });
+    expect(normalizeResponse({ id: 'r1', segments: 'bad', output_content: null })).toMatchObject({ segments: [], output_content: [] });
+  });
+
+  it('keeps existing arrays', () => {
+    const segments = [{ type: 'commentary', text: 'hi' }];
+    expect(normalizeResponse({ id: 'r1', segments }).segments).toBe(segments);
+  });
+
+  it('returns null for anything that is not a response', () => {
+    expect(normalizeResponse(null)).toBeNull();
+    expect(normalizeResponse('r1')).toBeNull();
+  });
+});
+
+describe('run detection', () => {
+  const legacyRun = { id: 'legacy', input_content: [{ content: 'Clone https://github.com/a/b and check out...\n**Step 1: Detect existing tests**' }] };
+  const legacyChat = { id: 'chat', input_content: [{ content: 'why?' }] };
+
+  it('uses run metadata when present', () => {
+    expect(isTestRunResponse({ metadata: { run_type: 'test_run' } })).toBe(true);
+    expect(isTestRunResponse({ metadata: { run_type: 'chat' }, input_content: legacyRun.input_content })).toBe(false);
+    expect(isChatResponse({ metadata: { run_type: 'chat' } })).toBe(true);
+  });
+
+  it('falls back to the prompt for responses without metadata', () => {
+    expect(isTestRunResponse(legacyRun)).toBe(true);
+    expect(isChatResponse(legacyChat)).toBe(true);
+  });
+
+  it('finds the newest test run and the run it superseded', () => {
+    const responses = [
+      { id: 'r1', created_at: '2026-01-01T00:00:00Z', status: 'completed', metadata: { run_type: 'test_run', target: { sha: 'aaa' } } },
+      { id: 'c1', created_at: '2026-01-03T00:00:00Z', metadata: { run_type: 'chat' } },
+      { id: 'r2', created_at: '2026-01-02T00:00:00Z', status: 'completed', metadata: { run_type: 'test_run', supersedes: 'r1' } }
+    ];
+    const latest = findLatestTestRun(responses);
+    expect(latest.id).toBe('r2');
+    expect(findSupersededRun(responses, latest)).toMatchObject({ id: 'r1', sha: 'aaa' });
+  });
+
+  it('records the target, options and prompt template of a run', () => {
+    const metadata = runMetadata({ type: 'pull', kind: 'pull', ref: 'feature', number: 4, sha: 'abc', title: 'ignored' }, { options: { coverage_target: 90 }, template: { id: 'test-run', version: 1 }, startedBy: { id: 'github:1', login: 'alice' } });
+    expect(metadata).toEqual({
+      run_type: 'test_run',
+      template: { id: 'test-run', version: 1 },
+      options: { coverage_target: 90 },
+      target: { type: 'pull', kind: 'pull', ref: 'feature', number: 4, sha: 'abc', path: null, fork: false },
+      supersedes: null,
+      started_by: { id: 'github:1', login: 'alice' }
+    });
+  });
+});
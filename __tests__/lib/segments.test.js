@@ -0,0 +1,50 @@
+import { describeSegment, extractLatestCommentary, formatCommentary } from '../../lib/segments';
+
+describe('extractLatestCommentary', () => {
+  it('returns the last non-empty commentary', () => {
+    const segments = [
+      { type: 'commentary', text: 'Cloning the repository.' },
+      { type: 'tool_call', tool: 'shell' },
+      { type: 'Commentary', content: 'Running tests.' },
+      { type: 'commentary', text: '   ' },
+      null
+    ];
+    expect(extractLatestCommentary(segments)).toBe('Running tests.');
+  });
+
+  it('returns null when there is none', () => {
+    expect(extractLatestCommentary([{ type: 'tool_call' }])).toBeNull();
+    expect(extractLatestCommentary(undefined)).toBeNull();
+  });
+});
+
+describe('formatCommentary', () => {
+  it('collapses whitespace in short commentary', () => {
+    expect(formatCommentary('Running\n  the   tests.')).toBe('Running the tests.');
+  });
+
+  it('prefers the last sentence of long commentary', () => {
+    const long = `${'Setting things up. '.repeat(10)}Now running the tests.`;
+    expect(formatCommentary(long)).toBe('Now running the tests.');
+  });
+
+  it('truncates long commentary without a short last sentence', () => {
+    const formatted = formatCommentary('x'.repeat(200));
+    expect(formatted).toHaveLength(138);
+    expect(formatted.endsWith('…')).toBe(true);
+  });
+
+  it('returns null for empty commentary', () => {
+    expect(formatCommentary('')).toBeNull();
+    expect(formatCommentary('   ')).toBeNull();
+    expect(formatCommentary(null)).toBeNull();
+  });
+});
+
+describe('describeSegment', () => {
+  it('classifies commands, tools and outputs', () => {
+    expect(describeSegment({ type: 'tool_call', tool: 'shell', args: '{"command":"npm test"}' })).toMatchObject({ kind: 'command', command: 'npm test' });
+    expect(describeSegment({ type: 'tool_call', name: 'read_file', arguments: { path: 'a.js' } })).toMatchObject({ kind: 'tool', title: 'read_file' });
+    expect(describeSegment({ type: 'tool_result', tool: 'shell', output: 'ok' })).toMatchObject({ kind: 'output', title: 'shell output', body: 'ok' });
+  });
+});
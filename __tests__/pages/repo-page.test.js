@@ -0,0 +1,205 @@
+import { getServerSideProps } from '../../pages/[...slug]';
+import { sessionCookie, TEST_USER, tokensCookie } from '../helpers/auth';
+import { createResponse } from '../helpers/http';
+import { clearRAEnv, reply, setRAEnv, stubFetch } from '../helpers/ra';
+
+const GITHUB = 'https://api.github.com/repos/acme/widget';
+const SHA = 'c0ffee0000000000000000000000000000000000';
+
+function context(slug, query = {}, user = TEST_USER) {
+  return {
+    params: { slug },
+    query: { slug, ...query },
+    req: { headers: user ? { cookie: sessionCookie(user) } : {} },
+    resolvedUrl: `/${slug.join('/')}`
+  };
+}
+
+function githubRoutes(extra = {}) {
+  return {
+    [`GET ${GITHUB}`]: () => ({ private: false, default_branch: 'main', description: 'Widgets', language: 'JavaScript' }),
+    [`GET ${GITHUB}/commits/main`]: () => ({ sha: SHA }),
+    ...extra
+  };
+}
+
+const existingAgent = {
+  name: 'ut-widget-1234',
+  metadata: { repository: { owner: 'acme', name: 'widget' }, options: { coverage_target: 60 } }
+};
+
+describe('repo page getServerSideProps', () => {
+  beforeEach(setRAEnv);
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearRAEnv();
+  });
+
+  it('sends unknown paths home', async () => {
+    stubFetch();
+    await expect(getServerSideProps(context(['acme']))).resolves.toEqual({ redirect: { destination: '/', permanent: false } });
+  });
+
+  it('sends signed-out visitors to sign in and back', async () => {
+    const { calls } = stubFetch();
+    await expect(getServerSideProps(context(['acme', 'widget', 'pull', '7'], {}, null))).resolves.toEqual({
+      redirect: { destination: '/api/auth/signin?returnTo=%2Facme%2Fwidget%2Fpull%2F7', permanent: false }
+    });
+    expect(calls).toHaveLength(0);
+  });
+
+  it('shows a setup error when sign-in is not configured', async () => {
+    const secret = process.env.GITHUB_CLIENT_SECRET;
+    delete process.env.GITHUB_CLIENT_SECRET;
+    try {
+      stubFetch();
+      const { props } = await getServerSideProps(context(['acme', 'widget']));
+      expect(props.setupError).toMatch(/Sign-in is not configured/);
+    } finally {
+      process.env.GITHUB_CLIENT_SECRET = secret;
+    }
+  });
+
+  it('shows private repositories to users whose token can read them', async () => {
+    const token = `ghp_${'t'.repeat(36)}`;
+    const { calls } = stubFetch(githubRoutes({
+      [`GET ${GITHUB}`]: () => ({ private: true, default_branch: 'main' }),
+      'GET /api/v0/agents': () => ({ items: [existingAgent] }),
+      'GET /api/v0/agents/ut-widget-1234/responses': () => []
+    }));
+    const res = createResponse();
+
+    const { props } = await getServerSideProps({
+      ...context(['acme', 'widget']),
+      req: { headers: { cookie: tokensCookie({ 'github.com': token }) } },
+      res
+    });
+
+    expect(props).toMatchObject({ isPrivate: true, agentName: 'ut-widget-1234' });
+    expect(calls.find((request) => request.path === GITHUB).headers.Authorization).toBe(`Bearer ${token}`);
+    expect(JSON.stringify(props)).not.toContain(token);
+    expect(res.headers['set-cookie']).toMatch(/^unitest_access=/);
+  });
+
+  it('redirects when the repository is missing or private', async () => {
+    stubFetch({ [`GET ${GITHUB}`]: () => reply(404, { message: 'Not Found' }) });
+    expect((await getServerSideProps(context(['acme', 'widget']))).redirect.destination).toBe('/?error=repo_inaccessible');
+
+    jest.restoreAllMocks();
+    stubFetch({ [`GET ${GITHUB}`]: () => ({ private: true }) });
+    expect((await getServerSideProps(context(['acme', 'widget']))).redirect.destination).toBe('/?error=repo_inaccessible');
+  });
+
+  it('redirects when the ref does not resolve', async () => {
+    stubFetch(githubRoutes());
+    const result = await getServerSideProps(context(['acme', 'widget', 'tree', 'nope']));
+    expect(result.redirect.destination).toBe('/?error=ref_not_found');
+  });
+
+  it('shows a setup error without RA configuration', async () => {
+    clearRAEnv();
+    const { calls } = stubFetch(githubRoutes());
+    const { props } = await getServerSideProps(context(['acme', 'widget']));
+    expect(props.setupError).toMatch(/RA credentials are missing/);
+    expect(props.agentName).toBeNull();
+    expect(calls.every((request) => request.path.startsWith('https://api.github.com'))).toBe(true);
+  });
+
+  it('looks up repositories on the provider named by the route', async () => {
+    const project = 'https://gitlab.com/api/v4/projects/group%2Fsub%2Fapp';
+    const { calls } = stubFetch({
+      [`GET ${project}`]: () => ({ visibility: 'public', default_branch: 'main', description: 'Apps' }),
+      [`GET ${project}/repository/commits/main`]: () => ({ id: SHA }),
+      'GET /api/v0/agents': () => ({ items: [] })
+    });
+
+    const { props } = await getServerSideProps(context(['gitlab.com', 'group', 'sub', 'app']));
+
+    expect(props).toMatchObject({
+      provider: 'gitlab',
+      host: 'gitlab.com',
+      owner: 'group/sub',
+      name: 'app',
+      repoUrl: 'https://gitlab.com/group/sub/app',
+      target: { kind: 'branch', ref: 'main', sha: SHA },
+      repoStats: { description: 'Apps' }
+    });
+    expect(calls.find((request) => request.path === '/api/v0/agents').query).toEqual({ tags: 'gitlab.com/group/sub/app', limit: '1' });
+  });
+
+  it('targets the monorepo package that follows the ref', async () => {
+    const { calls } = stubFetch(githubRoutes({
+      [`GET ${GITHUB}/commits/main/packages/api`]: () => reply(404, { message: 'No commit found' }),
+      [`GET ${GITHUB}/branches/main`]: () => ({ name: 'main' }),
+      'GET /api/v0/agents': () => ({ items: [] })
+    }));
+
+    const { props } = await getServerSideProps(context(['acme', 'widget', 'tree', 'main', 'packages', 'api']));
+
+    expect(props.target).toMatchObject({ kind: 'branch', ref: 'main', sha: SHA, path: 'packages/api' });
+    expect(calls.find((request) => request.path === '/api/v0/agents').query).toEqual({ tags: 'acme/widget@tree/main:packages/api', limit: '1' });
+  });
+
+  it('takes the package path from the query for other targets, and refuses invalid ones', async () => {
+    const { calls } = stubFetch(githubRoutes({ 'GET /api/v0/agents': () => ({ items: [] }) }));
+    const { props } = await getServerSideProps(context(['acme', 'widget'], { path: 'web/' }));
+    expect(props.target.path).toBe('web');
+    expect(calls.find((request) => request.path === '/api/v0/agents').query.tags).toBe('acme/widget:web');
+
+    const result = await getServerSideProps(context(['acme', 'widget'], { path: '../..' }));
+    expect(result.redirect.destination).toBe('/?error=invalid_path');
+  });
+
+  it('reuses an agent and shows its latest test run', async () => {
+    const { calls } = stubFetch(githubRoutes({
+      'GET /api/v0/agents': () => ({ items: [existingAgent] }),
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [
+        { id: 'chat-1', created_at: '2026-01-03T00:00:00Z', status: 'completed', metadata: { run_type: 'chat' } },
+        { id: 'run-2', created_at: '2026-01-02T00:00:00Z', status: 'completed', metadata: { run_type: 'test_run', supersedes: 'run-1', target: { sha: 'old' } }, output_content: [] },
+        { id: 'run-1', created_at: '2026-01-01T00:00:00Z', status: 'completed', metadata: { run_type: 'test_run' } }
+      ]
+    }));
+
+    const { props } = await getServerSideProps(context(['acme', 'widget']));
+
+    expect(calls.find((request) => request.path === '/api/v0/agents').query).toEqual({ tags: 'acme/widget', limit: '1' });
+    expect(props).toMatchObject({ agentName: 'ut-widget-1234', responseId: 'run-2', commitSha: 'old', setupError: null });
+    expect(props.supersededRun).toMatchObject({ id: 'run-1' });
+    expect(props.repoStats).toEqual({ description: 'Widgets', language: 'JavaScript' });
+    expect(calls.some((request) => request.method === 'POST')).toBe(false);
+  });
+
+  it('offers to start a run when no agent exists, without writing anything', async () => {
+    const { calls } = stubFetch(githubRoutes({
+      'GET /api/v0/agents': () => ({ items: [] })
+    }));
+
+    const { props } = await getServerSideProps(context(['acme', 'widget'], { coverage_target: '90' }));
+
+    expect(props).toMatchObject({ agentName: null, response: null, responseId: null, setupError: null, commitSha: null, user: TEST_USER });
+    expect(props.target).toMatchObject({ kind: 'branch', ref: 'main', sha: SHA });
+    expect(props.initialOptions).toMatchObject({ coverage_target: 90 });
+    expect(calls.every((request) => request.method === 'GET')).toBe(true);
+  });
+
+  it('offers to start a run on an existing agent that has none, with its stored options', async () => {
+    const { calls } = stubFetch(githubRoutes({
+      'GET /api/v0/agents': () => ({ items: [existingAgent] }),
+      'GET /api/v0/agents/ut-widget-1234/responses': () => [{ id: 'chat-1', metadata: { run_type: 'chat' } }]
+    }));
+
+    const { props } = await getServerSideProps(context(['acme', 'widget']));
+
+    expect(props).toMatchObject({ agentName: 'ut-widget-1234', responseId: null, response: null });
+    expect(props.initialOptions).toMatchObject({ coverage_target: 60 });
+    expect(calls.every((request) => request.method === 'GET')).toBe(true);
+  });
+
+  it('shows a setup error when RA cannot be read', async () => {
+    stubFetch(githubRoutes({
+      'GET /api/v0/agents': () => reply(404, { detail: 'gone' })
+    }));
+    const { props } = await getServerSideProps(context(['acme', 'widget']));
+    expect(props.setupError).toMatch(/Could not load test runs/);
+  });
+});
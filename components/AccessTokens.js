@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react';
+
+const SOURCE_LABELS = { oauth: 'from GitHub sign-in', user: 'added by you' };
+
+// Access tokens for testing private repositories, one per host. Tokens are sent once and never
+// shown again; the server only reports which hosts have one.
+export default function AccessTokens() {
+  const [tokens, setTokens] = useState([]);
+  const [host, setHost] = useState('github.com');
+  const [token, setToken] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    fetch('/api/auth/tokens')
+      .then((res) => (res.ok ? res.json() : { tokens: [] }))
+      .then((data) => setTokens(data.tokens || []))
+      .catch((err) => console.error('Failed to load access tokens:', err));
+  }, []);
+
+  async function update(method, url, body) {
+    setError(null);
+    setIsSaving(true);
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setError(data.error || 'Failed to update access tokens.');
+        return false;
+      }
+      setTokens(data.tokens || []);
+      return true;
+    } catch (err) {
+      console.error('Failed to update access tokens:', err);
+      setError('Failed to update access tokens.');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    if (await update('POST', '/api/auth/tokens', { host, token })) setToken('');
+  }
+
+  return (
+    <div className="access-tokens">
+      <p className="access-tokens__hint">
+        To test a private repository, add an access token that can read it. Tokens are stored
+        encrypted in your browser session and only passed to the agent to clone.
+      </p>
+      {tokens.length > 0 && (
+        <ul className="access-tokens__list">
+          {tokens.map((entry) => (
+            <li key={entry.host} className="access-tokens__item">
+              <span>{entry.host}</span>
+              <span className="access-tokens__source">{SOURCE_LABELS[entry.source] || entry.source}</span>
+              <button
+                type="button"
+                className="access-tokens__remove"
+                onClick={() => update('DELETE', `/api/auth/tokens?host=${encodeURIComponent(entry.host)}`)}
+                disabled={isSaving}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form className="access-tokens__form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={host}
+          onChange={(event) => setHost(event.target.value)}
+          aria-label="Host"
+          placeholder="github.com"
+        />
+        <input
+          type="password"
+          value={token}
+          onChange={(event) => setToken(event.target.value)}
+          aria-label="Access token"
+          placeholder="Access token"
+          autoComplete="off"
+        />
+        <button type="submit" className="button" disabled={isSaving || !token.trim()}>
+          Save token
+        </button>
+      </form>
+      {error && <p className="form-error">{error}</p>}
+    </div>
+  );
+}
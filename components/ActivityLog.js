@@ -0,0 +1,91 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { describeSegment } from '../lib/segments';
+
+const COLLAPSE_LINES = 12;
+const COLLAPSE_CHARS = 1200;
+
+function formatTime(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function SegmentBody({ text }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const lines = text.split('\n');
+  const isLong = lines.length > COLLAPSE_LINES || text.length > COLLAPSE_CHARS;
+  const shown = isLong && !isExpanded
+    ? lines.slice(0, COLLAPSE_LINES).join('\n').slice(0, COLLAPSE_CHARS)
+    : text;
+
+  return (
+    <>
+      <pre className="activity-log__body">{shown}{isLong && !isExpanded ? '\n…' : ''}</pre>
+      {isLong && (
+        <button type="button" className="activity-log__more" onClick={() => setIsExpanded((open) => !open)}>
+          {isExpanded ? 'Collapse' : `Show all ${lines.length} lines`}
+        </button>
+      )}
+    </>
+  );
+}
+
+export default function ActivityLog({ segments, isActive }) {
+  const [isOpen, setIsOpen] = useState(Boolean(isActive));
+  const listRef = useRef(null);
+  const stickToBottom = useRef(true);
+
+  const entries = useMemo(
+    () => (Array.isArray(segments) ? segments.map(describeSegment).filter(Boolean) : []),
+    [segments]
+  );
+
+  // Follow new entries while the run is active, unless the user scrolled up to read
+  useEffect(() => {
+    const list = listRef.current;
+    if (!isOpen || !isActive || !list || !stickToBottom.current) return;
+    list.scrollTop = list.scrollHeight;
+  }, [entries.length, isActive, isOpen]);
+
+  const handleScroll = () => {
+    const list = listRef.current;
+    if (!list) return;
+    stickToBottom.current = list.scrollHeight - list.scrollTop - list.clientHeight < 40;
+  };
+
+  if (entries.length === 0) return null;
+
+  return (
+    <section className="activity-log">
+      <button
+        type="button"
+        className="run-history__toggle"
+        onClick={() => setIsOpen((open) => !open)}
+        aria-expanded={isOpen}
+      >
+        {isOpen ? '▾' : '▸'} Activity log ({entries.length} {entries.length === 1 ? 'step' : 'steps'})
+      </button>
+
+      {isOpen && (
+        <ol className="activity-log__list" ref={listRef} onScroll={handleScroll} aria-live={isActive ? 'polite' : undefined}>
+          {entries.map((entry, index) => (
+            <li key={`segment-${index}`} className={`activity-log__entry activity-log__entry--${entry.kind}`}>
+              <div className="activity-log__header">
+                <span className="activity-log__kind">{entry.kind}</span>
+                <span className="activity-log__title">{entry.title}</span>
+                {formatTime(entry.timestamp) && (
+                  <time className="activity-log__time" dateTime={entry.timestamp} suppressHydrationWarning>
+                    {formatTime(entry.timestamp)}
+                  </time>
+                )}
+              </div>
+              {entry.command && <pre className="activity-log__command">$ {entry.command}</pre>}
+              {entry.body && <SegmentBody text={entry.body} />}
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+}
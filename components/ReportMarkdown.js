@@ -0,0 +1,109 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Reports with fewer headings than this get no table of contents
+const MIN_OUTLINE_HEADINGS = 3;
+const OUTLINE_LEVELS = 3;
+const COPY_RESET_MS = 1500;
+
+async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  // The Clipboard API is only available on secure origins
+  const area = document.createElement('textarea');
+  area.value = text;
+  area.setAttribute('readonly', '');
+  area.style.position = 'fixed';
+  area.style.opacity = '0';
+  document.body.appendChild(area);
+  area.select();
+  const copied = document.execCommand('copy');
+  area.remove();
+  if (!copied) throw new Error('Copy command was refused');
+}
+
+// The sanitized report carries no buttons or handlers, so copy buttons are added to its code
+// blocks once the HTML is in the page (and again whenever it is replaced).
+function addCopyButtons(container) {
+  container.querySelectorAll('pre').forEach((pre) => {
+    if (pre.parentElement.classList.contains('code-block')) return;
+    const block = document.createElement('div');
+    block.className = 'code-block';
+    pre.replaceWith(block);
+    block.appendChild(pre);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'code-block__copy';
+    button.textContent = 'Copy';
+    button.addEventListener('click', async () => {
+      try {
+        await copyText(pre.textContent.replace(/\n$/, ''));
+        button.textContent = 'Copied';
+      } catch (err) {
+        console.warn('[UniTest] Failed to copy code block:', err.message);
+        button.textContent = 'Copy failed';
+      }
+      setTimeout(() => {
+        button.textContent = 'Copy';
+      }, COPY_RESET_MS);
+    });
+    block.appendChild(button);
+  });
+}
+
+// Reports arrive rendered and sanitized by the server (see withRenderedOutput in lib/markdown),
+// which keeps the renderer out of the page. Output that comes without `html` is rendered here,
+// loading the renderer only then.
+function useRenderedReport(content, html, outline) {
+  const isRendered = typeof html === 'string';
+  const [fallback, setFallback] = useState(null);
+
+  useEffect(() => {
+    if (isRendered) return undefined;
+    let active = true;
+    import('../lib/markdown').then(({ renderReport }) => {
+      if (active) setFallback({ content, ...renderReport(content) });
+    });
+    return () => {
+      active = false;
+    };
+  }, [content, isRendered]);
+
+  if (isRendered) return { html, outline: Array.isArray(outline) ? outline : [] };
+  return fallback?.content === content ? fallback : { html: '', outline: [] };
+}
+
+export default function ReportMarkdown({ content, html: renderedHtml, outline: renderedOutline, showOutline = false }) {
+  const bodyRef = useRef(null);
+  const { html, outline } = useRenderedReport(content, renderedHtml, renderedOutline);
+  const contents = showOutline ? outline.filter((heading) => heading.level <= OUTLINE_LEVELS) : [];
+  const topLevel = Math.min(...contents.map((heading) => heading.level));
+
+  useEffect(() => {
+    if (bodyRef.current) addCopyButtons(bodyRef.current);
+  }, [html]);
+
+  return (
+    <>
+      {contents.length >= MIN_OUTLINE_HEADINGS && (
+        <nav className="report-toc" aria-label="Report contents">
+          <p className="report-toc__title">Contents</p>
+          <ol className="report-toc__list">
+            {contents.map((heading) => (
+              <li key={heading.id} className={`report-toc__item report-toc__item--depth-${heading.level - topLevel}`}>
+                <a href={`#${heading.id}`}>{heading.text}</a>
+              </li>
+            ))}
+          </ol>
+        </nav>
+      )}
+      <div
+        ref={bodyRef}
+        className="output-panel__markdown"
+        dangerouslySetInnerHTML={{ __html: html }}
+      />
+    </>
+  );
+}
@@ -0,0 +1,259 @@
+import { Fragment, useMemo, useState } from 'react';
+import { coverageTone, formatPercent } from '../lib/format';
+
+const COVERAGE_TARGET = 80;
+const TEST_FILTERS = ['all', 'failed', 'passed', 'skipped'];
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  return `${Math.round(ms / 100) / 10}s`;
+}
+
+function CoverageGauge({ value, target }) {
+  const radius = 52;
+  const circumference = 2 * Math.PI * radius;
+  const filled = value === null ? 0 : (Math.min(Math.max(value, 0), 100) / 100) * circumference;
+
+  return (
+    <div className={`coverage-gauge coverage-gauge--${coverageTone(value, target)}`}>
+      <svg viewBox="0 0 120 120" width="132" height="132" role="img" aria-label={`Coverage ${formatPercent(value)}`}>
+        <circle className="coverage-gauge__track" cx="60" cy="60" r={radius} />
+        <circle
+          className="coverage-gauge__value"
+          cx="60"
+          cy="60"
+          r={radius}
+          strokeDasharray={`${filled} ${circumference}`}
+          transform="rotate(-90 60 60)"
+        />
+      </svg>
+      <div className="coverage-gauge__label">
+        <span className="coverage-gauge__number">{formatPercent(value)}</span>
+        <span className="coverage-gauge__caption">coverage</span>
+      </div>
+    </div>
+  );
+}
+
+function CoverageBars({ before, after, target }) {
+  return (
+    <div className="coverage-bars">
+      {[['Before', before], ['After', after]].map(([label, value]) => (
+        <div className="coverage-bars__row" key={label}>
+          <span className="coverage-bars__label">{label}</span>
+          <div className="coverage-bars__track">
+            <div
+              className={`coverage-bars__fill coverage-bars__fill--${coverageTone(value, target)}`}
+              style={{ width: `${value ?? 0}%` }}
+            />
+            <div className="coverage-bars__target" style={{ left: `${target}%` }} title={`Target ${target}%`} />
+          </div>
+          <span className="coverage-bars__value">{formatPercent(value)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function FileCoverageTable({ files, target }) {
+  const [sortKey, setSortKey] = useState('uncovered');
+
+  const sorted = useMemo(() => {
+    const list = [...files];
+    if (sortKey === 'path') return list.sort((a, b) => a.path.localeCompare(b.path));
+    if (sortKey === 'coverage') return list.sort((a, b) => a.coverage - b.coverage);
+    // Most uncovered lines first; files without line counts go last, least covered first
+    return list.sort((a, b) => {
+      if (a.lines_uncovered === null && b.lines_uncovered === null) return a.coverage - b.coverage;
+      if (a.lines_uncovered === null) return 1;
+      if (b.lines_uncovered === null) return -1;
+      return b.lines_uncovered - a.lines_uncovered;
+    });
+  }, [files, sortKey]);
+
+  const header = (key, label) => (
+    <th aria-sort={sortKey !== key ? 'none' : key === 'uncovered' ? 'descending' : 'ascending'}>
+      <button type="button" className="results-table__sort" onClick={() => setSortKey(key)}>
+        {label}{sortKey === key ? ' ▾' : ''}
+      </button>
+    </th>
+  );
+
+  return (
+    <table className="run-table results-table">
+      <thead>
+        <tr>
+          {header('path', 'File')}
+          {header('coverage', 'Coverage')}
+          {header('uncovered', 'Uncovered lines')}
+        </tr>
+      </thead>
+      <tbody>
+        {sorted.map((file) => (
+          <tr key={file.path}>
+            <td><code>{file.path}</code></td>
+            <td>
+              <span className={`coverage-pill coverage-pill--${coverageTone(file.coverage, target)}`}>
+                {formatPercent(file.coverage)}
+              </span>
+            </td>
+            <td>
+              {file.lines_uncovered ?? '—'}
+              {file.uncovered_ranges && <span className="results-table__ranges">{file.uncovered_ranges}</span>}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function TestResultsTable({ tests }) {
+  const [filter, setFilter] = useState(() => (tests.some((test) => test.status === 'failed') ? 'failed' : 'all'));
+  const [query, setQuery] = useState('');
+  const [expanded, setExpanded] = useState(() => new Set());
+
+  // Rows are keyed by their place in the full list: parametrized and duplicated tests share a
+  // file and name, and the key must not change while filtering.
+  const visible = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    return tests.map((test, index) => ({ test, key: `${index}:${test.file || ''}::${test.name}` })).filter(({ test }) => {
+      if (filter !== 'all' && test.status !== filter) return false;
+      if (!needle) return true;
+      return `${test.name} ${test.file || ''}`.toLowerCase().includes(needle);
+    });
+  }, [filter, query, tests]);
+
+  const toggle = (key) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  return (
+    <div className="results-tests">
+      <div className="results-tests__controls">
+        {TEST_FILTERS.map((value) => (
+          <button
+            key={value}
+            type="button"
+            className={`results-filter${filter === value ? ' results-filter--active' : ''}`}
+            onClick={() => setFilter(value)}
+          >
+            {value} ({value === 'all' ? tests.length : tests.filter((test) => test.status === value).length})
+          </button>
+        ))}
+        <input
+          type="search"
+          className="results-tests__search"
+          placeholder="Filter tests…"
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          aria-label="Filter tests by name or file"
+        />
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="run-history__empty">No tests match this filter.</p>
+      ) : (
+        <table className="run-table results-table">
+          <thead>
+            <tr>
+              <th>Test</th>
+              <th>File</th>
+              <th>Status</th>
+              <th>Duration</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map(({ test, key }) => {
+              const isOpen = expanded.has(key);
+              return (
+                <Fragment key={key}>
+                  <tr
+                    className={test.message ? 'results-table__row--expandable' : undefined}
+                    onClick={test.message ? () => toggle(key) : undefined}
+                  >
+                    <td>
+                      {test.message && <span className="results-table__caret">{isOpen ? '▾' : '▸'}</span>}
+                      <code>{test.name}</code>
+                      {test.generated && <span className="run-compare__tag">new</span>}
+                    </td>
+                    <td>{test.file || '—'}</td>
+                    <td>
+                      <span className={`test-status-pill test-status-pill--${test.status}`}>{test.status}</span>
+                    </td>
+                    <td>{formatDuration(test.duration_ms)}</td>
+                  </tr>
+                  {isOpen && (
+                    <tr className="results-table__message">
+                      <td colSpan={4}><pre>{test.message}</pre></td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default function ResultsDashboard({ results, target = COVERAGE_TARGET }) {
+  if (!results) return null;
+
+  const { scenario, frameworks, coverage, totals, files, tests } = results;
+  const finalCoverage = coverage.after ?? coverage.before;
+  // Nothing worth a panel when the fallback extraction found no numbers at all
+  if (finalCoverage === null && totals.total === null && files.length === 0 && tests.length === 0) return null;
+  const showBars = scenario === 'B' || (coverage.before !== null && coverage.after !== null);
+
+  return (
+    <section className="results-dashboard" aria-label="Test results summary">
+      <div className="results-dashboard__summary">
+        <CoverageGauge value={finalCoverage} target={target} />
+
+        <div className="results-dashboard__stats">
+          <dl className="results-stats">
+            <div><dt>Total</dt><dd>{totals.total ?? '—'}</dd></div>
+            <div className="results-stats--passed"><dt>Passed</dt><dd>{totals.passed ?? '—'}</dd></div>
+            <div className="results-stats--failed"><dt>Failed</dt><dd>{totals.failed ?? '—'}</dd></div>
+            <div><dt>Skipped</dt><dd>{totals.skipped ?? '—'}</dd></div>
+            <div><dt>Duration</dt><dd>{formatDuration(totals.duration_ms)}</dd></div>
+          </dl>
+          <p className="results-dashboard__meta">
+            {scenario && <span className="repo-target__badge">Scenario {scenario}</span>}
+            {frameworks.map((framework) => (
+              <span className="results-dashboard__framework" key={framework}>{framework}</span>
+            ))}
+            {results.source === 'markdown' && (
+              <span className="results-dashboard__source" title={results.validation_errors.join('\n') || undefined}>
+                Numbers extracted from the markdown report
+              </span>
+            )}
+          </p>
+          {showBars && <CoverageBars before={coverage.before} after={coverage.after} target={target} />}
+        </div>
+      </div>
+
+      {files.length > 0 && (
+        <details className="results-dashboard__section" open>
+          <summary>Per-file coverage ({files.length})</summary>
+          <FileCoverageTable files={files} target={target} />
+        </details>
+      )}
+
+      {tests.length > 0 && (
+        <details className="results-dashboard__section" open>
+          <summary>Test results ({tests.length})</summary>
+          <TestResultsTable tests={tests} />
+        </details>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,214 @@
+import { useEffect, useState } from 'react';
+import { formatDelta, formatPercent, formatTimestamp } from '../lib/format';
+
+function RunComparison({ comparison }) {
+  const { base, head, coverageDelta, files, newlyFailed, fixed } = comparison;
+
+  return (
+    <div className="run-compare">
+      <p className="run-compare__summary">
+        Coverage {formatPercent(base.stats.coverage)} → {formatPercent(head.stats.coverage)}
+        {coverageDelta !== null && (
+          <span className={`run-delta run-delta--${coverageDelta >= 0 ? 'up' : 'down'}`}>
+            {formatDelta(coverageDelta)} pts
+          </span>
+        )}
+      </p>
+
+      {files.length > 0 ? (
+        <table className="run-table">
+          <thead>
+            <tr>
+              <th>File</th>
+              <th>Before</th>
+              <th>After</th>
+              <th>Δ</th>
+            </tr>
+          </thead>
+          <tbody>
+            {files.map((file) => (
+              <tr key={file.path}>
+                <td><code>{file.path}</code></td>
+                <td>{formatPercent(file.before)}</td>
+                <td>{formatPercent(file.after)}</td>
+                <td className={file.delta ? `run-delta run-delta--${file.delta > 0 ? 'up' : 'down'}` : undefined}>
+                  {formatDelta(file.delta)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="run-history__empty">Neither run reported per-file coverage.</p>
+      )}
+
+      <div className="run-compare__tests">
+        <div>
+          <h4>Newly failing ({newlyFailed.length})</h4>
+          {newlyFailed.length === 0 ? <p className="run-history__empty">None</p> : (
+            <ul>
+              {newlyFailed.map((test) => (
+                <li key={`${test.file || ''}::${test.name}`}>
+                  <code>{test.name}</code>
+                  {test.file && <span className="run-compare__file">{test.file}</span>}
+                  {test.isNew && <span className="run-compare__tag">new</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div>
+          <h4>Fixed ({fixed.length})</h4>
+          {fixed.length === 0 ? <p className="run-history__empty">None</p> : (
+            <ul>
+              {fixed.map((test) => (
+                <li key={`${test.file || ''}::${test.name}`}>
+                  <code>{test.name}</code>
+                  {test.file && <span className="run-compare__file">{test.file}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function RunHistory({ agentName, currentResponseId, refreshKey }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [runs, setRuns] = useState(null);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !agentName) return undefined;
+
+    let cancelled = false;
+    const loadRuns = async () => {
+      try {
+        const res = await fetch(`/api/ra/agents/${encodeURIComponent(agentName)}/runs`);
+        if (!res.ok) throw new Error(`History request failed with status ${res.status}`);
+        const data = await res.json();
+        if (!cancelled) {
+          setRuns(Array.isArray(data.runs) ? data.runs : []);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('[UniTest] Error loading run history:', err);
+        if (!cancelled) setError('Failed to load run history.');
+      }
+    };
+
+    loadRuns();
+    return () => {
+      cancelled = true;
+    };
+  }, [agentName, isOpen, refreshKey]);
+
+  const toggleSelected = (id) => {
+    setComparison(null);
+    setSelected((prev) => {
+      if (prev.includes(id)) return prev.filter((item) => item !== id);
+      return [...prev, id].slice(-2);
+    });
+  };
+
+  const handleCompare = async () => {
+    if (selected.length !== 2 || !runs) return;
+    // Older run is always the base
+    const [head, base] = runs.filter((run) => selected.includes(run.id)).map((run) => run.id);
+    setIsComparing(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ base, head });
+      const res = await fetch(`/api/ra/agents/${encodeURIComponent(agentName)}/compare?${params}`);
+      if (!res.ok) throw new Error(`Compare request failed with status ${res.status}`);
+      setComparison(await res.json());
+    } catch (err) {
+      console.error('[UniTest] Error comparing runs:', err);
+      setError('Failed to compare the selected runs.');
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  return (
+    <section className="run-history">
+      <button
+        type="button"
+        className="run-history__toggle"
+        onClick={() => setIsOpen((open) => !open)}
+        aria-expanded={isOpen}
+      >
+        {isOpen ? '▾' : '▸'} Run history{runs ? ` (${runs.length})` : ''}
+      </button>
+
+      {isOpen && (
+        <div className="run-history__body">
+          {error && <p className="output-panel__error">{error}</p>}
+          {!runs && !error && <p className="run-history__empty">Loading runs…</p>}
+          {runs && runs.length === 0 && <p className="run-history__empty">No test runs recorded yet.</p>}
+
+          {runs && runs.length > 0 && (
+            <>
+              <table className="run-table">
+                <thead>
+                  <tr>
+                    <th aria-label="Select for comparison" />
+                    <th>Produced</th>
+                    <th>Commit</th>
+                    <th>Status</th>
+                    <th>Coverage</th>
+                    <th>Passed</th>
+                    <th>Failed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {runs.map((run) => (
+                    <tr key={run.id} className={run.id === currentResponseId ? 'run-table__row--current' : undefined}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(run.id)}
+                          onChange={() => toggleSelected(run.id)}
+                          aria-label="Select run for comparison"
+                        />
+                      </td>
+                      <td>
+                        <time dateTime={run.producedAt || undefined}>{formatTimestamp(run.producedAt) || '—'}</time>
+                      </td>
+                      <td>{run.sha ? <code>{run.sha.slice(0, 7)}</code> : '—'}</td>
+                      <td>
+                        <span className={`recent-test-status recent-test-status--${String(run.status || '').toLowerCase()}`}>
+                          {run.status || 'unknown'}
+                        </span>
+                      </td>
+                      <td>{formatPercent(run.stats?.coverage)}</td>
+                      <td>{run.stats?.passed ?? '—'}</td>
+                      <td>{run.stats?.failed ?? '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <button
+                type="button"
+                className="report-meta__rerun"
+                onClick={handleCompare}
+                disabled={selected.length !== 2 || isComparing}
+              >
+                {isComparing ? 'Comparing…' : 'Compare selected runs'}
+              </button>
+            </>
+          )}
+
+          {comparison && <RunComparison comparison={comparison} />}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,90 @@
+import { DEFAULT_RUN_OPTIONS } from '../lib/options';
+
+// Editable string form of run options; normalizeRunOptions turns it back into options.
+export function optionsToDraft(options = DEFAULT_RUN_OPTIONS) {
+  return {
+    coverage_target: String(options.coverage_target ?? DEFAULT_RUN_OPTIONS.coverage_target),
+    include: (options.include || []).join(', '),
+    exclude: (options.exclude || []).join(', '),
+    framework: options.framework || '',
+    mode: options.mode || DEFAULT_RUN_OPTIONS.mode,
+    max_test_files: options.max_test_files ? String(options.max_test_files) : ''
+  };
+}
+
+export default function RunOptionsForm({ value, onChange, idPrefix = 'run-options' }) {
+  const update = (key) => (event) => onChange({ ...value, [key]: event.target.value });
+  const id = (key) => `${idPrefix}-${key}`;
+
+  return (
+    <fieldset className="run-options">
+      <legend className="run-options__legend">Test run options</legend>
+
+      <label className="run-options__field" htmlFor={id('coverage_target')}>
+        <span>Coverage target (%)</span>
+        <input
+          id={id('coverage_target')}
+          type="number"
+          min="1"
+          max="100"
+          value={value.coverage_target}
+          onChange={update('coverage_target')}
+        />
+      </label>
+
+      <label className="run-options__field" htmlFor={id('mode')}>
+        <span>Mode</span>
+        <select id={id('mode')} value={value.mode} onChange={update('mode')}>
+          <option value="generate">Generate missing tests</option>
+          <option value="run-only">Only run existing tests</option>
+        </select>
+      </label>
+
+      <label className="run-options__field" htmlFor={id('framework')}>
+        <span>Preferred framework</span>
+        <input
+          id={id('framework')}
+          type="text"
+          placeholder="Auto-detect (e.g. Jest, pytest)"
+          value={value.framework}
+          onChange={update('framework')}
+        />
+      </label>
+
+      <label className="run-options__field" htmlFor={id('max_test_files')}>
+        <span>Max new test files</span>
+        <input
+          id={id('max_test_files')}
+          type="number"
+          min="1"
+          placeholder="No limit"
+          value={value.max_test_files}
+          onChange={update('max_test_files')}
+          disabled={value.mode === 'run-only'}
+        />
+      </label>
+
+      <label className="run-options__field run-options__field--wide" htmlFor={id('include')}>
+        <span>Include directories</span>
+        <input
+          id={id('include')}
+          type="text"
+          placeholder="Whole repository (comma-separated, e.g. src, lib)"
+          value={value.include}
+          onChange={update('include')}
+        />
+      </label>
+
+      <label className="run-options__field run-options__field--wide" htmlFor={id('exclude')}>
+        <span>Exclude directories</span>
+        <input
+          id={id('exclude')}
+          type="text"
+          placeholder="Nothing (comma-separated, e.g. vendor, docs)"
+          value={value.exclude}
+          onChange={update('exclude')}
+        />
+      </label>
+    </fieldset>
+  );
+}
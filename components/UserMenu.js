@@ -0,0 +1,22 @@
+// Who is signed in, with a sign-out button; or a sign-in link that comes back to `returnTo`.
+export default function UserMenu({ user, returnTo = '/' }) {
+  if (!user) {
+    return (
+      <div className="user-menu">
+        <a className="user-menu__signin" href={`/api/auth/signin?returnTo=${encodeURIComponent(returnTo)}`}>
+          Sign in with GitHub
+        </a>
+      </div>
+    );
+  }
+
+  return (
+    <div className="user-menu">
+      {user.avatarUrl && <img className="user-menu__avatar" src={user.avatarUrl} alt="" width="24" height="24" />}
+      <span className="user-menu__login" title={user.name || undefined}>{user.login}</span>
+      <form method="post" action="/api/auth/signout">
+        <button type="submit" className="user-menu__signout">Sign out</button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,10 @@
+const nextJest = require('next/jest');
+
+// Reuses the app's SWC transform so tests import pages and lib modules as-is.
+const createJestConfig = nextJest({ dir: './' });
+
+module.exports = createJestConfig({
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/__tests__/**/*.test.js'],
+  setupFilesAfterEnv: ['<rootDir>/__tests__/helpers/setup.js']
+});
@@ -0,0 +1,88 @@
+import { cookieHeader, decodeSigned, encodeSigned, readCookie } from './auth';
+import { getAgent, RAError } from './ra';
+
+// Reports on private repositories are only shown to users who can read the repository
+// themselves. Agents for private repositories carry `metadata.repository.private`. Whenever a
+// user's access token has just been checked against the provider (the repo page, POST /api/runs
+// and /api/rerun), they get a short-lived grant for that agent in a signed cookie, and routes
+// that serve the agent's runs or chat require it. Access is thereby re-checked with the provider
+// at least every ACCESS_GRANT_SECONDS.
+export const ACCESS_COOKIE = 'unitest_access';
+export const ACCESS_GRANT_SECONDS = 60 * 60;
+const MAX_GRANTS = 50;
+const PRIVACY_CACHE_MS = 30 * 1000;
+const MAX_PRIVACY_ENTRIES = 1000;
+
+export function isPrivateAgent(agent) {
+  return agent?.metadata?.repository?.private === true;
+}
+
+function readGrants(req, user, now) {
+  const payload = decodeSigned(readCookie(req, ACCESS_COOKIE), now);
+  if (!user || payload?.uid !== user.id || !payload.agents || typeof payload.agents !== 'object') return {};
+  const nowSeconds = Math.floor(now / 1000);
+  return Object.fromEntries(Object.entries(payload.agents).filter(([, exp]) => typeof exp === 'number' && exp > nowSeconds));
+}
+
+export function hasAccessGrant(req, user, agentName, now = Date.now()) {
+  return Boolean(readGrants(req, user, now)[agentName]);
+}
+
+function appendSetCookie(res, header) {
+  const current = res.getHeader?.('Set-Cookie');
+  res.setHeader('Set-Cookie', current ? [].concat(current, header) : header);
+}
+
+// Adds `agentName` to the user's grants (keeping the newest MAX_GRANTS). Works on API responses
+// and on getServerSideProps' `context.res`.
+export function grantAccess(req, res, user, agentName, now = Date.now()) {
+  const nowSeconds = Math.floor(now / 1000);
+  const grants = Object.entries({ ...readGrants(req, user, now), [agentName]: nowSeconds + ACCESS_GRANT_SECONDS })
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_GRANTS);
+  const value = encodeSigned({ uid: user.id, agents: Object.fromEntries(grants) }, ACCESS_GRANT_SECONDS, now);
+  appendSetCookie(res, cookieHeader(req, ACCESS_COOKIE, value, ACCESS_GRANT_SECONDS));
+}
+
+// Whether an agent is private, cached briefly because every poll asks. Expired entries are
+// dropped when the cache fills up, and then the oldest ones, so it holds MAX_PRIVACY_ENTRIES at most.
+const privacyCache = new Map();
+
+export function rememberAgentPrivacy(agentName, isPrivate, now = Date.now()) {
+  privacyCache.delete(agentName);
+  if (privacyCache.size >= MAX_PRIVACY_ENTRIES) {
+    for (const [name, entry] of privacyCache) {
+      if (entry.expires <= now) privacyCache.delete(name);
+    }
+    // Entries are kept in the order they were remembered
+    for (const name of privacyCache.keys()) {
+      if (privacyCache.size < MAX_PRIVACY_ENTRIES) break;
+      privacyCache.delete(name);
+    }
+  }
+  privacyCache.set(agentName, { isPrivate, expires: now + PRIVACY_CACHE_MS });
+}
+
+
+export function clearAccessCache() {
+  privacyCache.clear();
+}
+
+async function agentIsPrivate(agentName, now) {
+  const cached = privacyCache.get(agentName);
+  if (cached && cached.expires > now) return cached.isPrivate;
+  privacyCache.delete(agentName);
+  const isPrivate = isPrivateAgent(await getAgent(agentName));
+  rememberAgentPrivacy(agentName, isPrivate, now);
+  return isPrivate;
+}
+
+// For routes that serve an agent's content: throws the same 404 RAError as a missing agent
+// (so names of private repositories do not leak) unless the agent is public or the user holds
+// a grant for it.
+export async function assertAgentAccess(req, user, agentName, now = Date.now()) {
+  if (hasAccessGrant(req, user, agentName, now)) return;
+  if (await agentIsPrivate(agentName, now)) {
+    throw new RAError(`Agent ${agentName} not found`, { status: 404, code: 'not_found' });
+  }
+}
@@ -0,0 +1,220 @@
+import { isPrivateAgent, rememberAgentPrivacy } from './access';
+import { normalizeRunOptions } from './options';
+import { buildAgentInstructions, buildTestPrompt, GIT_CREDENTIAL_SECRETS } from './prompt';
+import { cloneUrl, repoKey, repoWebUrl, targetKey } from './providers';
+import { createAgent, createResponse, getAgent, listAgents, listResponses, RAError, updateAgent } from './ra';
+import { findLatestTestRun, runMetadata } from './runs';
+
+export const AGENT_BUSY_TIMEOUT_SECONDS = 1800;
+
+// Name suffixes tried when another target's agent already holds the name (-2, -3, ...).
+const MAX_NAME_ATTEMPTS = 5;
+
+// Each target gets its own agent; the default branch keeps the plain repo tag (owner/name on
+// GitHub, host/owner/name elsewhere). A package path follows a colon, which Git refs cannot
+// contain: acme/monorepo@tree/main:packages/api.
+export function agentTag(repo, target) {
+  const key = targetKey(target);
+  const tag = key ? `${repoKey(repo)}@${key}` : repoKey(repo);
+  return target.path ? `${tag}:${target.path}` : tag;
+}
+
+// Packages are named after their directory: ut-<repo>-<package>-<hash>.
+function agentBaseName(repo, target) {
+  return target.path ? `${repo.name}-${target.path.split('/').pop()}` : repo.name;
+}
+
+function sanitizeName(str) {
+  return str.toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 30);
+}
+
+function createShortHash(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  return Math.abs(hash).toString().slice(0, 4);
+}
+
+// Readable agent name: ut-<repo name>-<hash of the tag>.
+export function agentNameFor(name, tagValue) {
+  return `ut-${sanitizeName(name)}-${createShortHash(tagValue)}`;
+}
+
+export async function findAgent(tagValue) {
+  const page = await listAgents({ tags: tagValue, limit: 1 });
+  const found = Array.isArray(page?.items) && page.items.length ? page.items[0] : null;
+  return found && found.name ? found : null;
+}
+
+// The agent's newest test run (chat replies are skipped) plus the responses it was picked from.
+export async function findLatestRun(agentName) {
+  const responses = await listResponses(agentName, { limit: 50 });
+  return { run: findLatestTestRun(responses), responses: Array.isArray(responses) ? responses : [] };
+}
+
+// `privateRepo` adds the checkout steps that read the clone credentials from the agent's secrets.
+export function testRunRequest(repoUrl, target, options, { supersedes = null, startedBy = null, privateRepo = false } = {}) {
+  const prompt = buildTestPrompt(repoUrl, target, options, { privateRepo });
+  return {
+    input: {
+      content: [{
+        type: 'text',
+        content: prompt.content
+      }]
+    },
+    metadata: runMetadata(target, { supersedes, options, template: prompt.template, startedBy })
+  };
+}
+
+// Clone credentials ({ username, password }) as RA agent secrets. RA hands secrets to the agent
+// as environment variables and never returns them, so they stay out of prompts and reports.
+function credentialSecrets(credentials) {
+  return {
+    [GIT_CREDENTIAL_SECRETS.username]: credentials.username,
+    [GIT_CREDENTIAL_SECRETS.token]: credentials.password
+  };
+}
+
+function repositoryMetadata(repo, isPrivate) {
+  const repository = { provider: repo.provider, host: repo.host, owner: repo.owner, name: repo.name, url: repoWebUrl(repo) };
+  return isPrivate ? { ...repository, private: true } : repository;
+}
+
+// Brings an existing agent in line with the repository as just seen by the provider: private
+// repositories get the starting user's credentials (their token may differ from the last
+// user's, or have been rotated) and the private marker, repositories made public lose it.
+// Resolves with the agent as updated.
+export async function syncAgentAccess(agent, repo, credentials) {
+  const isPrivate = Boolean(credentials);
+  rememberAgentPrivacy(agent.name, isPrivate);
+  if (!isPrivate && !isPrivateAgent(agent)) return agent;
+
+  const metadata = { ...agent.metadata, repository: repositoryMetadata(repo, isPrivate) };
+  const patch = isPrivate ? { metadata, secrets: credentialSecrets(credentials) } : { metadata };
+  await updateAgent(agent.name, patch);
+  return { ...agent, metadata };
+}
+
+function agentPayload({ repo, target, options, agentName, tagValue, startedBy, credentials }) {
+  const details = [targetKey(target), target.path].filter(Boolean).join(', ');
+  const instructions = buildAgentInstructions();
+  const payload = {
+    name: agentName,
+    description: details ? `UniTest agent for ${repoKey(repo)} (${details})` : `UniTest agent for ${repoKey(repo)}`,
+    tags: ['unitest', tagValue],
+    metadata: {
+      source: 'unitest',
+      repository: repositoryMetadata(repo, Boolean(credentials)),
+      target: { type: target.type, ref: target.type === 'tree' ? target.ref : null, number: target.number, path: target.path ?? null },
+      options,
+      instructions_template: instructions.template,
+      created_by: startedBy
+    },
+    instructions: instructions.content,
+    busy_timeout_seconds: AGENT_BUSY_TIMEOUT_SECONDS
+  };
+  return credentials ? { ...payload, secrets: credentialSecrets(credentials) } : payload;
+}
+
+// Run starts in flight on this server, keyed by agent tag (repo plus ref). Whoever asks
+// while one is in flight waits for it and gets the same result with `joined: true` instead of
+// racing to create a second agent or run. Across servers, the agent-name conflict handling in
+// startTestRun covers creation.
+const pendingStarts = new Map();
+
+export async function withRunLock(key, start) {
+  const pending = pendingStarts.get(key);
+  if (pending) {
+    return { ...(await pending), joined: true };
+  }
+
+  const promise = start();
+  pendingStarts.set(key, promise);
+  try {
+    return await promise;
+  } finally {
+    if (pendingStarts.get(key) === promise) pendingStarts.delete(key);
+  }
+}
+
+function isConflict(error) {
+  return error instanceof RAError && error.upstreamStatus === 409;
+}
+
+// Remembers options chosen for a run as the agent's defaults; the run itself already records
+// them, so a failure here is only logged.
+export async function rememberAgentOptions(agent, options) {
+  try {
+    await updateAgent(agent.name, { metadata: { ...agent.metadata, options } });
+  } catch (err) {
+    console.warn('[UniTest] Failed to store run options on agent:', err.message);
+  }
+}
+
+// Reuses the agent's latest test run or enqueues one.
+async function runOnAgent(existing, { repo, target, requestedOptions, startedBy, beforeEnqueue, credentials }) {
+  const { run } = await findLatestRun(existing.name);
+  if (run) {
+    rememberAgentPrivacy(existing.name, isPrivateAgent(existing));
+    return { agentName: existing.name, response: run, reused: true, createdAgent: false };
+  }
+
+  const options = normalizeRunOptions(requestedOptions ?? existing.metadata?.options);
+  await beforeEnqueue?.();
+  const agent = await syncAgentAccess(existing, repo, credentials);
+  const response = await createResponse(agent.name, testRunRequest(cloneUrl(repo), target, options, { startedBy, privateRepo: Boolean(credentials) }));
+  if (requestedOptions) await rememberAgentOptions(agent, options);
+  return { agentName: agent.name, response, reused: false, createdAgent: false };
+}
+
+// Finds or creates the target's agent and makes sure it has a test run. `target` must be
+// resolved to a commit (see lib/providers). An agent that already has a test run keeps it (re-runs go through
+// /api/rerun); otherwise a run is enqueued with the requested options, falling back to the
+// agent's stored options. `startedBy` ({ id, login }) is recorded on the agent and the run, and
+// `beforeEnqueue` runs just before anything is created (throw from it to refuse, e.g. over quota).
+// `credentials` ({ username, password }, see cloneCredentials) are given for private repositories
+// only and reach the agent as secrets. Resolves with { agentName, response, reused, createdAgent, joined? }.
+export function startTestRun({ repo, target, options: requestedOptions = null, startedBy = null, beforeEnqueue = null, credentials = null }) {
+  const tagValue = agentTag(repo, target);
+  return withRunLock(tagValue, async () => {
+    const existing = await findAgent(tagValue);
+    if (existing) {
+      return runOnAgent(existing, { repo, target, requestedOptions, startedBy, beforeEnqueue, credentials });
+    }
+
+    const options = normalizeRunOptions(requestedOptions);
+    const baseName = agentNameFor(agentBaseName(repo, target), tagValue);
+    await beforeEnqueue?.();
+
+    for (let attempt = 1; attempt <= MAX_NAME_ATTEMPTS; attempt++) {
+      const agentName = attempt === 1 ? baseName : `${baseName}-${attempt}`;
+      try {
+        await createAgent(agentPayload({ repo, target, options, agentName, tagValue, startedBy, credentials }));
+      } catch (error) {
+        if (!isConflict(error)) throw error;
+
+        // Another server created this target's agent first: attach to it. Otherwise the short
+        // name hash collided with another target's agent and the next suffix is tried.
+        const taken = await getAgent(agentName);
+        if (Array.isArray(taken?.tags) && taken.tags.includes(tagValue)) {
+          console.warn(`[UniTest] Agent ${agentName} was created concurrently; using it`);
+          return runOnAgent(taken, { repo, target, requestedOptions, startedBy, beforeEnqueue: null, credentials });
+        }
+        console.warn(`[UniTest] Agent name ${agentName} belongs to another target; trying another`);
+        continue;
+      }
+
+      rememberAgentPrivacy(agentName, Boolean(credentials));
+      const response = await createResponse(agentName, testRunRequest(cloneUrl(repo), target, options, { startedBy, privateRepo: Boolean(credentials) }));
+      return { agentName, response, reused: false, createdAgent: true };
+    }
+
+    throw new RAError(`No free agent name for ${tagValue}`, { status: 409, code: 'agent_name_conflict' });
+  });
+}
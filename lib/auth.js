@@ -0,0 +1,293 @@
+import { createCipheriv, createDecipheriv, createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { GITHUB_API } from './providers/github';
+
+// Sign-in is GitHub OAuth. Sessions are stateless: a signed cookie holding the user's public
+// profile. GITHUB_OAUTH_URL points the authorize/token endpoints at the mock server offline.
+export const SESSION_COOKIE = 'unitest_session';
+export const STATE_COOKIE = 'unitest_oauth';
+export const TOKENS_COOKIE = 'unitest_tokens';
+export const SESSION_MAX_AGE_SECONDS = 7 * 24 * 60 * 60;
+const STATE_MAX_AGE_SECONDS = 10 * 60;
+
+const GITHUB_OAUTH = (process.env.GITHUB_OAUTH_URL || 'https://github.com').replace(/\/+$/, '');
+const MAX_ACCESS_TOKEN_LENGTH = 512;
+
+export class AuthConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthConfigError';
+  }
+}
+
+export function isAuthConfigured() {
+  return Boolean(process.env.AUTH_SECRET && process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET);
+}
+
+function sessionSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) throw new AuthConfigError('AUTH_SECRET is not set');
+  return secret;
+}
+
+export function oauthConfig() {
+  const clientId = process.env.GITHUB_CLIENT_ID;
+  const clientSecret = process.env.GITHUB_CLIENT_SECRET;
+  if (!clientId || !clientSecret) {
+    throw new AuthConfigError('GITHUB_CLIENT_ID and GITHUB_CLIENT_SECRET must be set');
+  }
+  sessionSecret();
+  return { clientId, clientSecret };
+}
+
+function sign(value) {
+  return createHmac('sha256', sessionSecret()).update(value).digest('base64url');
+}
+
+// `<base64url JSON>.<signature>`; `exp` is seconds since the epoch.
+export function encodeSigned(payload, maxAgeSeconds, now = Date.now()) {
+  const body = Buffer.from(JSON.stringify({ ...payload, exp: Math.floor(now / 1000) + maxAgeSeconds })).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+export function decodeSigned(token, now = Date.now()) {
+  if (typeof token !== 'string') return null;
+  const [body, signature, extra] = token.split('.');
+  if (!body || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload || typeof payload.exp !== 'number' || payload.exp * 1000 <= now) return null;
+    return payload;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Like encodeSigned, but encrypted (AES-256-GCM) for values the browser must not read:
+// `<iv>.<ciphertext>.<auth tag>`, all base64url.
+function sealKey() {
+  return createHash('sha256').update(`${sessionSecret()}:sealed`).digest();
+}
+
+export function encodeSealed(payload, maxAgeSeconds, now = Date.now()) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', sealKey(), iv);
+  const plaintext = JSON.stringify({ ...payload, exp: Math.floor(now / 1000) + maxAgeSeconds });
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, ciphertext, cipher.getAuthTag()].map((part) => part.toString('base64url')).join('.');
+}
+
+export function decodeSealed(token, now = Date.now()) {
+  if (typeof token !== 'string') return null;
+  const [iv, ciphertext, tag, extra] = token.split('.');
+  if (!iv || !ciphertext || !tag || extra !== undefined) return null;
+
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', sealKey(), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+    const payload = JSON.parse(plaintext);
+    if (!payload || typeof payload.exp !== 'number' || payload.exp * 1000 <= now) return null;
+    return payload;
+  } catch (_) {
+    return null;
+  }
+}
+
+export function readCookie(req, name) {
+  if (req?.cookies && typeof req.cookies[name] === 'string') return req.cookies[name];
+  const header = req?.headers?.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return null;
+}
+
+export function cookieHeader(req, name, value, maxAgeSeconds) {
+  const secure = req?.headers?.['x-forwarded-proto'] === 'https' || Boolean(req?.socket?.encrypted);
+  return [
+    `${name}=${encodeURIComponent(value)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`,
+    secure ? 'Secure' : null
+  ].filter(Boolean).join('; ');
+}
+
+// The fields kept in the session and recorded on agents, runs and chat messages.
+export function publicUser(user) {
+  if (!user?.id || !user?.login) return null;
+  return { id: String(user.id), login: String(user.login), name: user.name ?? null, avatarUrl: user.avatarUrl ?? null };
+}
+
+export function ownerRef(user) {
+  return user ? { id: user.id, login: user.login } : null;
+}
+
+export function isOwnedBy(record, user) {
+  return Boolean(user && record?.metadata?.started_by?.id === user.id);
+}
+
+// Returns the signed-in user or null. A missing AUTH_SECRET reads as signed out.
+export function getSessionUser(req) {
+  if (!process.env.AUTH_SECRET) return null;
+  return publicUser(decodeSigned(readCookie(req, SESSION_COOKIE)));
+}
+
+// For API routes: answers 401 (or 500 when sessions are not configured) and returns null
+// unless someone is signed in.
+export function requireUser(req, res) {
+  if (!process.env.AUTH_SECRET) {
+    console.error('[UniTest Auth] AUTH_SECRET is not set');
+    res.status(500).json({ error: 'Server configuration error', code: 'config_error', details: 'AUTH_SECRET is not set' });
+    return null;
+  }
+  const user = getSessionUser(req);
+  if (!user) {
+    res.status(401).json({ error: 'Sign in required', code: 'unauthorized' });
+    return null;
+  }
+  return user;
+}
+
+// Only same-site paths are followed after sign-in.
+export function safeReturnTo(value) {
+  return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.startsWith('/\\') ? value : '/';
+}
+
+export function signInPath(returnTo) {
+  return `/api/auth/signin?returnTo=${encodeURIComponent(safeReturnTo(returnTo))}`;
+}
+
+// Also drops the OAuth state cookie, which is single-use, and keeps the GitHub OAuth token
+// (when there is one) as the user's github.com access token unless they added their own.
+export function setSessionCookie(req, res, user, { accessToken = null } = {}) {
+  const tokens = getAccessTokens(req, user);
+  if (accessToken && tokens['github.com']?.source !== 'user') {
+    tokens['github.com'] = { token: accessToken, source: 'oauth' };
+  }
+  res.setHeader('Set-Cookie', [
+    cookieHeader(req, SESSION_COOKIE, encodeSigned(publicUser(user), SESSION_MAX_AGE_SECONDS), SESSION_MAX_AGE_SECONDS),
+    cookieHeader(req, STATE_COOKIE, '', 0),
+    tokensCookieHeader(req, user, tokens)
+  ]);
+}
+
+export function clearSessionCookie(req, res) {
+  res.setHeader('Set-Cookie', [
+    cookieHeader(req, SESSION_COOKIE, '', 0),
+    cookieHeader(req, TOKENS_COOKIE, '', 0)
+  ]);
+}
+
+// Access tokens for private repositories, by host: { [host]: { token, source } } where source
+// is 'oauth' (kept from sign-in) or 'user' (added on the home page). They live encrypted in
+// their own cookie, bound to the signed-in user, and are only ever sent to the host's API and,
+// as an agent secret, to RA.
+function tokensCookieHeader(req, user, tokens) {
+  if (!user || Object.keys(tokens).length === 0) return cookieHeader(req, TOKENS_COOKIE, '', 0);
+  return cookieHeader(req, TOKENS_COOKIE, encodeSealed({ uid: user.id, tokens }, SESSION_MAX_AGE_SECONDS), SESSION_MAX_AGE_SECONDS);
+}
+
+export function getAccessTokens(req, user) {
+  if (!user || !process.env.AUTH_SECRET) return {};
+  const payload = decodeSealed(readCookie(req, TOKENS_COOKIE));
+  return payload?.uid === user.id && payload.tokens && typeof payload.tokens === 'object' ? { ...payload.tokens } : {};
+}
+
+export function accessTokenFor(req, user, host) {
+  return getAccessTokens(req, user)[host]?.token ?? null;
+}
+
+// What the browser may know about the stored tokens: hosts and where each came from.
+function summarize(tokens) {
+  return Object.entries(tokens).map(([host, { source }]) => ({ host, source }));
+}
+
+export function accessTokenSummary(req, user) {
+  return summarize(getAccessTokens(req, user));
+}
+
+export function isValidAccessToken(token) {
+  return typeof token === 'string' && token.trim() !== '' && token.length <= MAX_ACCESS_TOKEN_LENGTH && !/\s/.test(token.trim());
+}
+
+// Both return the summary of the tokens as stored now.
+export function setAccessToken(req, res, user, host, token) {
+  const tokens = { ...getAccessTokens(req, user), [host]: { token: token.trim(), source: 'user' } };
+  res.setHeader('Set-Cookie', tokensCookieHeader(req, user, tokens));
+  return summarize(tokens);
+}
+
+export function removeAccessToken(req, res, user, host) {
+  const { [host]: _removed, ...tokens } = getAccessTokens(req, user);
+  res.setHeader('Set-Cookie', tokensCookieHeader(req, user, tokens));
+  return summarize(tokens);
+}
+
+// The app's origin as the browser sees it, for links that leave the app.
+export function requestOrigin(req) {
+  const proto = req.headers['x-forwarded-proto'] || (req.socket?.encrypted ? 'https' : 'http');
+  return `${proto}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+}
+
+function callbackUrl(req) {
+  return `${requestOrigin(req)}/api/auth/callback`;
+}
+
+// read:user is enough to sign in; add `repo` (GITHUB_OAUTH_SCOPES="read:user repo") to let the
+// sign-in token read private repositories too.
+function oauthScopes() {
+  return process.env.GITHUB_OAUTH_SCOPES?.trim() || 'read:user';
+}
+
+// Stores a random state (and where to go afterwards) in a short-lived cookie and returns
+// the GitHub authorize URL to redirect to.
+export function beginSignIn(req, res, returnTo) {
+  const { clientId } = oauthConfig();
+  const state = randomBytes(16).toString('hex');
+  res.setHeader('Set-Cookie', cookieHeader(req, STATE_COOKIE, encodeSigned({ state, returnTo: safeReturnTo(returnTo) }, STATE_MAX_AGE_SECONDS), STATE_MAX_AGE_SECONDS));
+
+  const params = new URLSearchParams({ client_id: clientId, redirect_uri: callbackUrl(req), state, scope: oauthScopes() });
+  return `${GITHUB_OAUTH}/login/oauth/authorize?${params}`;
+}
+
+// Checks the OAuth state, trades the code for a token and loads the GitHub profile.
+// Resolves with { user, returnTo, accessToken }; throws when any step fails.
+export async function completeSignIn(req, { code, state }) {
+  const { clientId, clientSecret } = oauthConfig();
+  const pending = decodeSigned(readCookie(req, STATE_COOKIE));
+  if (!pending || !state || pending.state !== state) {
+    throw new Error('OAuth state mismatch');
+  }
+  if (!code) throw new Error('Missing OAuth code');
+
+  const tokenRes = await fetch(`${GITHUB_OAUTH}/login/oauth/access_token`, {
+    method: 'POST',
+    headers: { Accept: 'application/json', 'Content-Type': 'application/json', 'User-Agent': 'unitest-app' },
+    body: JSON.stringify({ client_id: clientId, client_secret: clientSecret, code, redirect_uri: callbackUrl(req) })
+  });
+  const token = await tokenRes.json().catch(() => ({}));
+  if (!tokenRes.ok || !token.access_token) {
+    throw new Error(`Token exchange failed: ${token.error_description || token.error || tokenRes.status}`);
+  }
+
+  const profileRes = await fetch(`${GITHUB_API}/user`, {
+    headers: { Accept: 'application/vnd.github+json', Authorization: `Bearer ${token.access_token}`, 'User-Agent': 'unitest-app' }
+  });
+  if (!profileRes.ok) throw new Error(`GitHub responded with ${profileRes.status} for /user`);
+  const profile = await profileRes.json();
+
+  const user = publicUser({ id: `github:${profile.id}`, login: profile.login, name: profile.name, avatarUrl: profile.avatar_url });
+  if (!user) throw new Error('GitHub profile is missing id or login');
+  return { user, returnTo: safeReturnTo(pending.returnTo), accessToken: token.access_token };
+}
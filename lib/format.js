@@ -0,0 +1,47 @@
+export function formatTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+export function formatPercent(value) {
+  if (value === null || value === undefined || Number.isNaN(Number(value))) return '—';
+  return `${Math.round(Number(value) * 10) / 10}%`;
+}
+
+// How a coverage figure compares with the target: 'good', 'fair' (at least half of it) or 'poor'.
+export function coverageTone(value, target) {
+  if (value === null || value === undefined) return 'unknown';
+  if (value >= target) return 'good';
+  if (value >= target / 2) return 'fair';
+  return 'poor';
+}
+
+export function formatDelta(value) {
+  if (value === null || value === undefined) return '—';
+  const rounded = Math.round(Number(value) * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${rounded}`;
+}
+
+export function formatTimeAgo(dateString) {
+  const date = new Date(dateString);
+  const now = new Date();
+  const diffMs = now - date;
+  const diffMins = Math.floor(diffMs / 60000);
+  const diffHours = Math.floor(diffMs / 3600000);
+  const diffDays = Math.floor(diffMs / 86400000);
+
+  if (diffMins < 1) return 'just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffHours < 24) return `${diffHours}h ago`;
+  if (diffDays < 7) return `${diffDays}d ago`;
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+// "42 seconds", "3 minutes", "2 hours": how long to wait before retrying.
+export function formatWait(seconds) {
+  const value = Math.max(1, Math.ceil(Number(seconds) || 0));
+  const [amount, unit] = value < 60 ? [value, 'second'] : value < 3600 ? [Math.ceil(value / 60), 'minute'] : [Math.ceil(value / 3600), 'hour'];
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
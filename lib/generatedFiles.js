@@ -0,0 +1,117 @@
+import { strToU8, zipSync } from 'fflate';
+import { parseJsonContent, schemaErrors } from './results';
+
+// The agent returns the test files a run created or changed as a second `json` output item, so
+// they can be downloaded and applied instead of copied out of the report.
+export const FILES_SCHEMA_ID = 'unitest.files/v1';
+
+const FILE_STATUSES = ['created', 'modified'];
+const MAX_PATH_LENGTH = 300;
+
+// JSON Schema the agent is asked to follow for its generated files item.
+export const FILES_JSON_SCHEMA = {
+  type: 'object',
+  required: ['schema', 'files'],
+  properties: {
+    schema: { const: FILES_SCHEMA_ID },
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['path', 'status', 'content'],
+        properties: {
+          path: { type: 'string' },
+          status: { enum: FILE_STATUSES },
+          content: { type: 'string' },
+          diff: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+export function isGeneratedFilesItem(item) {
+  if (!item || String(item.type || '').toLowerCase() !== 'json') return false;
+  return parseJsonContent(item.content)?.schema === FILES_SCHEMA_ID;
+}
+
+// Paths must stay inside the repository: relative, without `.`/`..` segments, and not in .git.
+export function normalizeFilePath(value) {
+  if (typeof value !== 'string') return null;
+  const path = value.trim().replace(/^(\.\/)+/, '');
+  if (!path || path.length > MAX_PATH_LENGTH || path.startsWith('/') || /[\\\u0000-\u001f]/.test(path)) return null;
+  const segments = path.split('/');
+  if (segments.some((segment) => !segment || segment === '.' || segment === '..')) return null;
+  return segments[0] === '.git' ? null : path;
+}
+
+// The run's generated files as { files: [{ path, status, content, diff }], errors }, or null
+// when the agent returned none. Files with unusable paths are left out and reported in errors;
+// a path listed twice keeps its last entry.
+export function extractGeneratedFiles(resp) {
+  const items = Array.isArray(resp?.output_content) ? resp.output_content : [];
+  const item = items.find(isGeneratedFilesItem);
+  if (!item) return null;
+
+  const value = parseJsonContent(item.content);
+  const errors = schemaErrors(FILES_JSON_SCHEMA, value);
+  if (errors.length) return { files: [], errors };
+
+  const files = new Map();
+  value.files.forEach((file, index) => {
+    const path = normalizeFilePath(file.path);
+    if (!path) {
+      errors.push(`$.files[${index}].path must be a relative path inside the repository`);
+      return;
+    }
+    files.set(path, { path, status: file.status, content: file.content, diff: file.diff ?? null });
+  });
+  return { files: Array.from(files.values()), errors };
+}
+
+export function buildZip(files) {
+  return zipSync(Object.fromEntries(files.map((file) => [file.path, strToU8(file.content)])));
+}
+
+function newFileDiff({ path, content }) {
+  const header = `diff --git a/${path} b/${path}\nnew file mode 100644\n`;
+  if (!content) return header;
+  const lines = content.split('\n');
+  const endsWithNewline = content.endsWith('\n');
+  if (endsWithNewline) lines.pop();
+  const body = lines.map((line) => `+${line}\n`).join('');
+  return `${header}--- /dev/null\n+++ b/${path}\n@@ -0,0 +1,${lines.length} @@\n${body}${endsWithNewline ? '' : '\\ No newline at end of file\n'}`;
+}
+
+// A patch for `git apply` from the repository root. Created files become new-file diffs;
+// changed files need the agent's diff against the tested commit, and are listed in the
+// header (which git ignores) when it did not give one.
+export function buildPatch(files, { title = 'UniTest generated tests' } = {}) {
+  const diffs = [];
+  const missing = [];
+  for (const file of files) {
+    if (file.status === 'created') {
+      diffs.push(newFileDiff(file));
+    } else if (file.diff?.trim()) {
+      diffs.push(file.diff.endsWith('\n') ? file.diff : `${file.diff}\n`);
+    } else {
+      missing.push(file.path);
+    }
+  }
+
+  const header = [title, '', 'Apply from the repository root with `git apply <this file>`.'];
+  if (missing.length) {
+    header.push('', 'Changed files without a diff (download the zip for their full contents):', ...missing.map((path) => `  ${path}`));
+  }
+  return `${header.join('\n')}\n\n${diffs.join('')}`;
+}
+
+// What the repo page needs to offer the downloads.
+export function generatedFilesSummary(resp) {
+  const generated = extractGeneratedFiles(resp);
+  if (!generated || generated.files.length === 0) return null;
+  return {
+    count: generated.files.length,
+    created: generated.files.filter((file) => file.status === 'created').length
+  };
+}
@@ -0,0 +1,10 @@
+// Routine events, such as every successful RA call or sign-in, are only logged when UNITEST_DEBUG is set
+// (to anything but 0 or false). Retries and failures are logged where they happen, always.
+export function isDebugLogging() {
+  const value = String(process.env.UNITEST_DEBUG || '').trim().toLowerCase();
+  return value !== '' && value !== '0' && value !== 'false';
+}
+
+export function debugLog(...args) {
+  if (isDebugLogging()) console.log(...args);
+}
@@ -0,0 +1,156 @@
+import hljs from 'highlight.js/lib/common';
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+// Agent output is written from repository content we do not control (READMEs, test names,
+// error messages), so the HTML marked produces from it is reduced to the markup reports use.
+// Anything else is dropped; script and style contents go with their tags.
+
+// Command output longer than this is folded into a <details> block
+export const COLLAPSE_LINES = 30;
+// Fences that hold command output rather than code; unlabelled fences count too
+const OUTPUT_LANGUAGES = new Set(['text', 'txt', 'plaintext', 'output', 'log', 'console', 'shell', 'sh', 'bash', 'zsh', 'shellsession']);
+
+const HEADING_ID = /^report-[\w-]+$/;
+
+// Heading ids come from the renderer below; ids written into the markdown are kept only
+// when they look like ours.
+function headingIds(tagName, attribs) {
+  const { id, ...rest } = attribs;
+  return { tagName, attribs: id && HEADING_ID.test(id) ? { ...rest, id } : rest };
+}
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+    'strong', 'b', 'em', 'i', 'del', 's', 'sub', 'sup', 'kbd', 'span',
+    'ul', 'ol', 'li', 'input', 'details', 'summary',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+    'a', 'img'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    span: ['class'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+    input: ['type', 'checked', 'disabled'],
+    ...Object.fromEntries(['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map((tag) => [tag, ['id']]))
+  },
+  // Fenced code blocks keep their language, and highlighted code its token classes
+  allowedClasses: {
+    code: ['hljs', /^language-[\w+#-]+$/],
+    span: [/^hljs-[\w-]+$/, /^[a-z]+_{1,2}$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: (tagName, attribs) => ({ tagName, attribs: { ...attribs, rel: 'noopener noreferrer nofollow' } }),
+    // Task list checkboxes are the only inputs, and they are read-only
+    input: (tagName, attribs) => ({ tagName, attribs: { ...attribs, disabled: '' } }),
+    ...Object.fromEntries(['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map((tag) => [tag, headingIds]))
+  },
+  exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+};
+
+// Shared with the report exports, which also escape numbers and missing values
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"' };
+
+// Text of rendered inline markup. marked escapes only these and numeric entities.
+function plainText(html) {
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#\d+);/g, (_, entity) => ENTITIES[entity] ?? String.fromCodePoint(Number(entity.slice(1))));
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-') || 'section';
+}
+
+function highlight(code, lang) {
+  if (!lang || !hljs.getLanguage(lang)) return escapeHtml(code);
+  return hljs.highlight(code, { language: lang, ignoreIllegals: true }).value;
+}
+
+// A parser per report: heading ids must be unique within one report, and the outline is
+// collected while rendering so it matches the ids exactly.
+function createParser(outline) {
+  const seen = new Map();
+  return new Marked({ breaks: true }, {
+    renderer: {
+      heading(text, level) {
+        const label = plainText(text);
+        const base = `report-${slugify(label)}`;
+        const count = seen.get(base) ?? 0;
+        seen.set(base, count + 1);
+        const id = count ? `${base}-${count}` : base;
+        outline.push({ id, level, text: label });
+        return `<h${level} id="${id}">${text}</h${level}>\n`;
+      },
+
+      code(code, infostring) {
+        const lang = (infostring || '').match(/^\S*/)[0].toLowerCase();
+        const body = code.replace(/\n$/, '');
+        const className = lang ? `hljs language-${lang}` : 'hljs';
+        const block = `<pre><code class="${escapeHtml(className)}">${highlight(body, lang)}\n</code></pre>\n`;
+
+        const lines = body.split('\n').length;
+        if (lines <= COLLAPSE_LINES || (lang && !OUTPUT_LANGUAGES.has(lang))) return block;
+        return `<details><summary>Show output (${lines} lines)</summary>\n${block}</details>\n`;
+      }
+    }
+  });
+}
+
+// Without images, each image becomes a link to it named by its alt text, so nothing is loaded
+// from the hosts a report points at.
+const WITHOUT_IMAGES = {
+  ...SANITIZE_OPTIONS,
+  transformTags: {
+    ...SANITIZE_OPTIONS.transformTags,
+    img: (tagName, attribs) => ({
+      tagName: 'a',
+      attribs: { href: attribs.src, rel: 'noopener noreferrer nofollow' },
+      text: attribs.alt || 'image'
+    })
+  }
+};
+
+export function sanitizeReportHtml(html, { images = true } = {}) {
+  return sanitizeHtml(html || '', images ? SANITIZE_OPTIONS : WITHOUT_IMAGES);
+}
+
+// Markdown from the agent to HTML that is safe to render with dangerouslySetInnerHTML, plus
+// its headings ({ id, level, text }) for a table of contents.
+export function renderReport(markdown, { images = true } = {}) {
+  const outline = [];
+  const html = createParser(outline).parse(typeof markdown === 'string' ? markdown : '');
+  return { html: sanitizeReportHtml(html, { images }), outline };
+}
+
+function renderOutputItem(item) {
+  const type = String(item?.type || '').toLowerCase();
+  if (type !== 'markdown' && type !== 'text') return item;
+  const { html, outline } = renderReport(item.content);
+  return { ...item, html, outline };
+}
+
+// A response (or a list of them) whose markdown and text output items carry `html` and
+// `outline` from renderReport, so pages show reports without loading the renderer. Whatever
+// RA sent under those names is replaced.
+export function withRenderedOutput(value) {
+  if (Array.isArray(value)) return value.map(withRenderedOutput);
+  if (!value || !Array.isArray(value.output_content)) return value;
+  return { ...value, output_content: value.output_content.map(renderOutputItem) };
+}
+
+export function renderMarkdown(markdown) {
+  return renderReport(markdown).html;
+}
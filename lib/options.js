@@ -0,0 +1,67 @@
+export const RUN_MODES = ['generate', 'run-only'];
+
+export const DEFAULT_RUN_OPTIONS = {
+  coverage_target: 80,
+  include: [],
+  exclude: [],
+  framework: null,
+  mode: 'generate',
+  max_test_files: null
+};
+
+const MAX_TEST_FILES_LIMIT = 200;
+
+function toInteger(value) {
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Repository-relative directories only: no absolute paths, no "..", no shell metacharacters.
+function toPathList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  return Array.from(new Set(list
+    .map((entry) => String(entry).trim().replace(/^\.?\/+/, '').replace(/\/+$/, ''))
+    .filter((entry) => entry && /^[\w.@\-/*]+$/.test(entry) && !entry.split('/').includes('..'))
+  )).slice(0, 20);
+}
+
+export function normalizeRunOptions(input) {
+  const value = input && typeof input === 'object' ? input : {};
+  const target = toInteger(value.coverage_target);
+  const maxFiles = toInteger(value.max_test_files);
+  const framework = String(value.framework || '').trim();
+
+  return {
+    coverage_target: target === null ? DEFAULT_RUN_OPTIONS.coverage_target : Math.min(Math.max(target, 1), 100),
+    include: toPathList(value.include),
+    exclude: toPathList(value.exclude),
+    framework: /^[\w .+#-]{1,40}$/.test(framework) ? framework : null,
+    mode: RUN_MODES.includes(value.mode) ? value.mode : DEFAULT_RUN_OPTIONS.mode,
+    max_test_files: maxFiles === null || maxFiles < 1 ? null : Math.min(maxFiles, MAX_TEST_FILES_LIMIT)
+  };
+}
+
+// Query-string form used when the home page hands options to the repo page.
+export function optionsToQuery(options) {
+  const normalized = normalizeRunOptions(options);
+  const query = {};
+  if (normalized.coverage_target !== DEFAULT_RUN_OPTIONS.coverage_target) query.coverage_target = String(normalized.coverage_target);
+  if (normalized.include.length) query.include = normalized.include.join(',');
+  if (normalized.exclude.length) query.exclude = normalized.exclude.join(',');
+  if (normalized.framework) query.framework = normalized.framework;
+  if (normalized.mode !== DEFAULT_RUN_OPTIONS.mode) query.mode = normalized.mode;
+  if (normalized.max_test_files) query.max_test_files = String(normalized.max_test_files);
+  return query;
+}
+
+export function optionsFromQuery(query) {
+  const pick = (key) => (Array.isArray(query?.[key]) ? query[key][0] : query?.[key]);
+  return normalizeRunOptions({
+    coverage_target: pick('coverage_target'),
+    include: pick('include'),
+    exclude: pick('exclude'),
+    framework: pick('framework'),
+    mode: pick('mode'),
+    max_test_files: pick('max_test_files')
+  });
+}
@@ -0,0 +1,242 @@
+import { DEFAULT_RUN_OPTIONS, normalizeRunOptions } from './options';
+import { FILES_JSON_SCHEMA, FILES_SCHEMA_ID } from './generatedFiles';
+import { RESULTS_JSON_SCHEMA, RESULTS_SCHEMA_ID } from './results';
+
+// Prompt templates sent to RA. Each has a stable id and a version that is recorded
+// in agent/response metadata, so runs can be grouped by prompt revision.
+// Bump `version` whenever a template's wording changes.
+//
+// Templates use {{variable}} placeholders; dotted names read nested values
+// (e.g. {{options.coverage_target}}). Unknown variables are an error.
+
+const SCENARIOS_GENERATE = `**Scenario A** - Has tests with >={{options.coverage_target}}% coverage:
+- Run existing tests
+- Generate HTML test report
+- Output report in markdown
+
+**Scenario B** - Has partial tests (<{{options.coverage_target}}% coverage):
+- Run tests and measure coverage
+- Generate tests for uncovered code until coverage reaches {{options.coverage_target}}%
+- Run all tests (existing + new)
+- Generate HTML report with before/after comparison
+- Output report in markdown
+
+**Scenario C** - No tests:
+- Analyze codebase
+- Generate comprehensive unit tests
+- Run generated tests
+- Generate HTML report
+- Output report in markdown`;
+
+const SCENARIOS_RUN_ONLY = `**Scenario A** - Has tests with >={{options.coverage_target}}% coverage:
+- Run existing tests
+- Generate HTML test report
+- Output report in markdown
+
+**Scenario B** - Has partial tests (<{{options.coverage_target}}% coverage):
+- Run tests and measure coverage
+- List the most important uncovered code instead of generating tests
+- Generate HTML report
+- Output report in markdown
+
+**Scenario C** - No tests:
+- Analyze codebase
+- Recommend which tests to write first instead of generating them
+- Generate HTML report
+- Output report in markdown`;
+
+export const TEMPLATES = {
+  'agent-instructions': {
+    id: 'agent-instructions',
+    version: 1,
+    text: `You are UniTest, an intelligent test generation and analysis agent. Your mission is to help developers achieve comprehensive test coverage.
+
+**Core Capabilities:**
+- Detect and analyze existing test suites and measure code coverage
+- Generate comprehensive unit tests for uncovered code (normal paths, edge cases, error handling, input validation)
+- Execute complete test suites and collect detailed results
+- Produce clean, professional HTML reports with proper structure, color coding, and syntax highlighting
+
+**HTML Report Standards:**
+Your reports must be well-structured, visually appealing, and professionally formatted with:
+- Executive Summary (coverage %, total tests, pass/fail counts)
+- Coverage Analysis (before/after comparison, by file/module)
+- Test Results (detailed tables with status, execution time, assertions)
+- Generated Tests (syntax-highlighted code blocks)
+- Recommendations (actionable suggestions for improvement)
+- Clean HTML5 markup, proper CSS styling, color coding (green/red/yellow), progress bars, and mobile-responsive design
+
+Always deliver thorough, professional output that helps developers improve code quality.`
+  },
+  'test-run': {
+    id: 'test-run',
+    version: 2,
+    text: `{{checkout}} Test exactly this commit and state the ref and full commit SHA at the top of both reports. After checking out, follow these steps:{{optionsBlock}}
+
+**Step 1: Detect existing tests**
+Search for test files (test*.py, *test*.js, *_spec.rb, test/, tests/, etc.).
+
+**Step 2: Determine scenario and execute:**
+
+{{scenarios}}
+
+**IMPORTANT - You must provide THREE complete outputs, plus the generated files:**
+
+**1. Detailed Markdown Output (display directly):**
+Write a comprehensive markdown report including:
+- Executive Summary: Key metrics (coverage %, total tests, pass/fail counts, execution time)
+- Repository Analysis: Languages detected, frameworks found, existing test infrastructure
+- Test Execution Details:
+  * All commands you ran (with full output)
+  * Test results by file/module with pass/fail details
+  * Any errors, warnings, or issues encountered
+  * Screenshots or logs of test execution
+- Coverage Analysis:
+  * Overall coverage percentage (before/after if applicable)
+  * Per-file coverage breakdown with specific percentages
+  * Functions/lines covered vs uncovered
+- Generated Tests:
+  * Show 5-10 example tests you created (full code with syntax highlighting)
+  * Explain what each test does and why it's important
+  * List ALL test files created with their full paths
+- Recommendations: Detailed suggestions for improving coverage and code quality
+
+**2. Complete HTML Report (publish to content server):**
+Create a professional, comprehensive HTML report with:
+- Clean, modern design with proper CSS styling and mobile responsiveness
+- Executive summary dashboard (coverage %, test counts, status badges)
+- Full test execution logs (commands, output, timestamps)
+- Complete test results table (all tests with status, assertions, execution time, error messages)
+- Coverage visualization (charts, graphs, per-file breakdowns with color coding)
+- ALL generated test code (syntax highlighted, organized by file)
+- Before/after comparison (if applicable)
+- Detailed recommendations section
+- Navigation menu for easy browsing
+
+Publish the HTML report to the content server and provide the link at the END of your markdown output.
+
+**3. Structured Results (json output item):**
+In addition to the markdown, return a separate output item of type \`json\` whose content is a single object matching this JSON Schema. Set \`schema\` to \`{{resultsSchemaId}}\`, use percentages from 0 to 100, list every test that was run (mark the ones you created with \`generated: true\`) and use \`null\` for anything you could not measure:
+
+\`\`\`json
+{{resultsSchema}}
+\`\`\`
+
+**4. Generated Files (json output item):**
+If you created or changed any test files, return one more output item of type \`json\` whose content matches the JSON Schema below, with \`schema\` set to \`{{filesSchemaId}}\`. List EVERY test file you created (\`status: "created"\`) or modified (\`status: "modified"\`), including support files such as fixtures and test configuration, with its path relative to the repository root and its complete final content. For modified files, also set \`diff\` to the unified diff against the tested commit (as printed by \`git diff\`). Never include files you did not write, build output or dependencies:
+
+\`\`\`json
+{{filesSchema}}
+\`\`\`
+
+**The markdown and HTML outputs must be complete and detailed. The markdown should be substantial (not just a link), and the HTML should include everything in even greater detail. The numbers in the json output must match the markdown report.**`
+  },
+  'chat-message': {
+    id: 'chat-message',
+    version: 1,
+    text: '{{message}}'
+  }
+};
+
+function lookup(vars, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), vars);
+}
+
+export function renderTemplate(text, vars) {
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const value = lookup(vars, path);
+    if (value === undefined || value === null) {
+      throw new Error(`Missing prompt variable "${path}"`);
+    }
+    return String(value);
+  });
+}
+
+// Renders a named template; `template` is what callers record in metadata.
+export function renderPrompt(templateId, vars = {}) {
+  const template = TEMPLATES[templateId];
+  if (!template) {
+    throw new Error(`Unknown prompt template "${templateId}"`);
+  }
+  return {
+    content: renderTemplate(template.text, vars),
+    template: { id: template.id, version: template.version }
+  };
+}
+
+// Agent secrets (environment variables) holding the clone credentials for private repositories.
+// Prompts only ever name them; the values go to RA as secrets.
+export const GIT_CREDENTIAL_SECRETS = { username: 'UNITEST_GIT_USERNAME', token: 'UNITEST_GIT_TOKEN' };
+
+function describeCredentials() {
+  const { username, token } = GIT_CREDENTIAL_SECRETS;
+  return `The repository is private. Before cloning, let git read the credentials from the \`${username}\` and \`${token}\` environment variables with \`git config --global credential.helper '!f() { echo "username=$${username}"; echo "password=$${token}"; }; f'\`. Never print, echo or log these values, never put them in URLs, remotes, files or commits, and never include them in any output or report. `;
+}
+
+// Monorepo packages: everything but checking out happens in the package directory.
+function describePath(path) {
+  return ` Only work on the package in the \`${path}\` directory: detect, generate and run its tests from there (using the package's own manifest and test setup when it has one), measure coverage for code under \`${path}\` only, and give file paths in the reports relative to the repository root.`;
+}
+
+function describeCheckout(repoUrl, target, privateRepo) {
+  const credentials = privateRepo ? describeCredentials() : '';
+  return credentials + describeTarget(repoUrl, target) + (target.path ? describePath(target.path) : '');
+}
+
+function describeTarget(repoUrl, target) {
+  if (target.kind === 'pull') {
+    // GitHub's pull/<n>/head unless the provider names another ref (merge requests, source branches)
+    const fetchRef = target.fetchRef || `pull/${target.number}/head`;
+    return `Clone ${repoUrl}, fetch pull request ${target.label || `#${target.number}`} with \`git fetch origin ${fetchRef}\` and check out commit ${target.sha} (the head of the pull request).`;
+  }
+  const refNote = target.kind === 'commit' ? '' : ` (${target.kind} \`${target.ref}\`)`;
+  return `Clone ${repoUrl} and check out commit ${target.sha}${refNote}.`;
+}
+
+function describeOptions(options) {
+  const lines = [];
+  if (options.include.length) {
+    lines.push(`- Only analyze and test code under: ${options.include.map((dir) => `\`${dir}\``).join(', ')}`);
+  }
+  if (options.exclude.length) {
+    lines.push(`- Ignore these paths entirely (no coverage, no tests): ${options.exclude.map((dir) => `\`${dir}\``).join(', ')}`);
+  }
+  if (options.framework) {
+    lines.push(`- Use ${options.framework} as the test framework (install it if the project does not already use it)`);
+  }
+  if (options.mode === 'run-only') {
+    lines.push('- Run-only mode: do NOT create or modify any test files; only run the existing tests and measure coverage');
+  } else if (options.max_test_files) {
+    lines.push(`- Create at most ${options.max_test_files} new test file${options.max_test_files === 1 ? '' : 's'}; prioritize the least covered code`);
+  }
+  return lines.length ? `\n\n**Run options:**\n${lines.join('\n')}` : '';
+}
+
+// `privateRepo` tells the agent to clone with the credential secrets.
+export function buildTestPrompt(repoUrl, target, options = DEFAULT_RUN_OPTIONS, { privateRepo = false } = {}) {
+  const runOptions = normalizeRunOptions(options);
+  const vars = {
+    repoUrl,
+    target,
+    options: runOptions,
+    resultsSchemaId: RESULTS_SCHEMA_ID,
+    resultsSchema: JSON.stringify(RESULTS_JSON_SCHEMA, null, 2),
+    filesSchemaId: FILES_SCHEMA_ID,
+    filesSchema: JSON.stringify(FILES_JSON_SCHEMA, null, 2)
+  };
+
+  return renderPrompt('test-run', {
+    ...vars,
+    checkout: describeCheckout(repoUrl, target, privateRepo),
+    optionsBlock: describeOptions(runOptions),
+    scenarios: renderTemplate(runOptions.mode === 'run-only' ? SCENARIOS_RUN_ONLY : SCENARIOS_GENERATE, vars)
+  });
+}
+
+export function buildAgentInstructions() {
+  return renderPrompt('agent-instructions');
+}
+
+export function buildChatPrompt(message) {
+  return renderPrompt('chat-message', { message });
+}
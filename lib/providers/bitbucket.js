@@ -0,0 +1,133 @@
+import { authHeaders, DEFAULT_TARGET, encodePath, fetchJson, fetchOk, postForm, postJson, pullTarget, resolvedTree, stripGitSuffix, tokenCredentials, treeKind, treeTarget } from './common';
+
+// Bitbucket Cloud. BITBUCKET_API_URL points lookups at the mock server during offline development.
+const BITBUCKET_HEADERS = { Accept: 'application/json' };
+
+function headers(token) {
+  return { ...BITBUCKET_HEADERS, ...authHeaders(token) };
+}
+
+function apiBase() {
+  return (process.env.BITBUCKET_API_URL || 'https://api.bitbucket.org/2.0').replace(/\/+$/, '');
+}
+
+function repoPath(repo) {
+  return `${apiBase()}/repositories/${encodeURIComponent(repo.owner)}/${encodeURIComponent(repo.name)}`;
+}
+
+function webUrl(repo) {
+  return `https://bitbucket.org/${encodeURIComponent(repo.owner)}/${encodeURIComponent(repo.name)}`;
+}
+
+function commitUrl(repo, sha) {
+  return `${webUrl(repo)}/commits/${sha}`;
+}
+
+async function commitSha(repo, ref, token) {
+  const commit = await fetchJson(`${repoPath(repo)}/commit/${encodeURIComponent(ref)}`, headers(token), 'Bitbucket');
+  if (!commit?.hash) throw new Error(`Ref ${ref} did not resolve to a commit`);
+  return commit.hash;
+}
+
+const bitbucket = {
+  id: 'bitbucket',
+  label: 'Bitbucket',
+  defaultHost: 'bitbucket.org',
+  pulls: true,
+
+  // workspace/repo, followed by /src/<ref>, /branch/<ref>, /commits/<sha> or
+  // /pull-requests/<id>[/diff]. Source links also carry a file path, so only their first
+  // segment is taken as the ref.
+  parseWebPath(segments) {
+    const [owner, name, kind, ...rest] = segments;
+    if (!owner || !name) return null;
+    const repo = { owner, name: stripGitSuffix(name) };
+    if (!kind) return { ...repo, target: DEFAULT_TARGET };
+    if (kind === 'src' || kind === 'commits') {
+      const target = treeTarget(rest.slice(0, 1));
+      return target && { ...repo, target };
+    }
+    if (kind === 'branch') {
+      const target = treeTarget(rest);
+      return target && { ...repo, target };
+    }
+    if (kind === 'pull-requests') {
+      const target = pullTarget(rest[0]);
+      return target && { ...repo, target };
+    }
+    return null;
+  },
+
+  webUrl,
+  commitUrl,
+
+  cloneUrl(repo) {
+    return `${webUrl(repo)}.git`;
+  },
+
+  // Access tokens clone as x-token-auth; app passwords are given as `username:app password`
+  cloneCredentials(token) {
+    return tokenCredentials(token, 'x-token-auth');
+  },
+
+  async fetchRepoInfo(repo, { token = null } = {}) {
+    const info = await fetchJson(repoPath(repo), headers(token), 'Bitbucket');
+    return {
+      private: Boolean(info?.is_private),
+      defaultBranch: info?.mainbranch?.name ?? null,
+      description: info?.description || null,
+      language: info?.language || null
+    };
+  },
+
+  async resolveTarget(repo, target, repoInfo, { token = null } = {}) {
+    if (target.type === 'pull') {
+      const pull = await fetchJson(`${repoPath(repo)}/pullrequests/${target.number}`, headers(token), 'Bitbucket');
+      const shortSha = pull?.source?.commit?.hash;
+      if (!shortSha) throw new Error(`Pull request #${target.number} has no head commit`);
+      const branch = pull.source?.branch?.name ?? null;
+      return {
+        ...target,
+        kind: 'pull',
+        ref: branch,
+        fork: pull.source?.repository?.full_name !== pull.destination?.repository?.full_name,
+        // Pull requests list an abbreviated hash
+        sha: await commitSha(repo, shortSha, token),
+        fetchRef: branch,
+        label: `#${target.number}`,
+        title: pull.title ?? null,
+        webUrl: pull.links?.html?.href || `${webUrl(repo)}/pull-requests/${target.number}`
+      };
+    }
+
+    const ref = target.type === 'tree' ? target.ref : repoInfo?.defaultBranch;
+    if (!ref) throw new Error('Unable to determine the ref to test');
+
+    const sha = await commitSha(repo, ref, token);
+    const kind = await treeKind(target, ref, sha, () => fetchOk(`${repoPath(repo)}/refs/branches/${encodeURIComponent(ref)}`, headers(token)));
+    return resolvedTree(target, { kind, ref, sha }, {
+      commit: (value) => commitUrl(repo, value),
+      tree: (value) => `${webUrl(repo)}/src/${encodePath(value)}`
+    });
+  },
+
+  // The src endpoint commits form fields named after file paths onto a new branch.
+  async openPullRequest(repo, { token, base, baseSha, branch, title, body, message, files }) {
+    await postForm(`${repoPath(repo)}/src`, [
+      ['message', message],
+      ['branch', branch],
+      ['parents', baseSha],
+      ...files.map((file) => [`/${file.path}`, file.content])
+    ], headers(token), 'Bitbucket');
+    const pull = await postJson(`${repoPath(repo)}/pullrequests`, {
+      title,
+      description: body,
+      source: { branch: { name: branch } },
+      destination: { branch: { name: base } },
+      close_source_branch: true
+    }, headers(token), 'Bitbucket');
+    return { number: pull.id, url: pull.links?.html?.href || `${webUrl(repo)}/pull-requests/${pull.id}`, branch };
+  }
+};
+
+export default bitbucket;
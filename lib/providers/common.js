@@ -0,0 +1,132 @@
+// Helpers shared by the provider modules.
+export const SHA_PATTERN = /^[0-9a-f]{7,40}$/i;
+
+export function encodePath(value) {
+  return String(value).split('/').map(encodeURIComponent).join('/');
+}
+
+export function stripGitSuffix(name) {
+  return String(name).replace(/\.git$/i, '');
+}
+
+// `user:secret` tokens (e.g. Bitbucket app passwords) use basic auth, anything else is a bearer token.
+export function authHeaders(token) {
+  if (!token) return {};
+  if (token.includes(':')) return { Authorization: `Basic ${btoa(token)}` };
+  return { Authorization: `Bearer ${token}` };
+}
+
+// Username and password for cloning over HTTPS with `token`; `username` is what the host
+// expects alongside a bare token.
+export function tokenCredentials(token, username) {
+  const separator = token.indexOf(':');
+  return separator === -1 ? { username, password: token } : { username: token.slice(0, separator), password: token.slice(separator + 1) };
+}
+
+// Failed provider API calls keep the upstream status, so routes can tell a token that may not
+// write apart from a missing repository.
+export class ProviderError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+// Provider calls are made while a route waits, so a host that stops answering fails the call
+// after this long instead of holding the request open.
+export const PROVIDER_TIMEOUT_MS = 15000;
+
+// Runs `request(signal)`, a fetch and the reading of its body, within PROVIDER_TIMEOUT_MS.
+export async function withTimeout(label, request) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROVIDER_TIMEOUT_MS);
+  try {
+    return await request(controller.signal);
+  } catch (err) {
+    if (controller.signal.aborted) throw new ProviderError(`${label} did not respond within ${PROVIDER_TIMEOUT_MS}ms`, 504);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function readJson(res, method, url, label) {
+  if (!res.ok) throw new ProviderError(`${label} responded with ${res.status} for ${method} ${new URL(url).pathname}`, res.status);
+  return res.status === 204 ? null : res.json().catch(() => null);
+}
+
+export function fetchJson(url, headers, label) {
+  return withTimeout(label, async (signal) => {
+    const res = await fetch(url, { headers: { 'User-Agent': 'unitest-app', ...headers }, signal });
+    if (!res.ok) throw new ProviderError(`${label} responded with ${res.status} for ${new URL(url).pathname}`, res.status);
+    return res.json();
+  });
+}
+
+export function postJson(url, body, headers, label) {
+  return withTimeout(label, async (signal) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'User-Agent': 'unitest-app', 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+    return readJson(res, 'POST', url, label);
+  });
+}
+
+// Form posts, for APIs that take file contents as form fields (Bitbucket's src endpoint)
+export function postForm(url, fields, headers, label) {
+  return withTimeout(label, async (signal) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'User-Agent': 'unitest-app', 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+      body: new URLSearchParams(fields).toString(),
+      signal
+    });
+    return readJson(res, 'POST', url, label);
+  });
+}
+
+// True when the request succeeds; used to tell branches from tags.
+export function fetchOk(url, headers) {
+  return withTimeout(new URL(url).host, async (signal) => {
+    const res = await fetch(url, { headers: { 'User-Agent': 'unitest-app', ...headers }, signal });
+    return res.ok;
+  });
+}
+
+// Web URL paths that name a branch, tag or commit: `tree` and `commit` links keep the rest of
+// the path as the ref.
+export function treeTarget(rest) {
+  if (!rest.length || !rest.every(Boolean)) return null;
+  return { type: 'tree', ref: rest.join('/'), number: null };
+}
+
+export function pullTarget(value) {
+  return /^\d+$/.test(value || '') ? { type: 'pull', ref: null, number: Number(value) } : null;
+}
+
+export const DEFAULT_TARGET = Object.freeze({ type: 'default', ref: null, number: null });
+
+// The resolved form of a branch, tag or commit target. `links` builds the provider's web URLs.
+export function resolvedTree(target, { kind, ref, sha }, links) {
+  return {
+    ...target,
+    kind,
+    ref,
+    sha,
+    label: kind === 'commit' ? sha.slice(0, 7) : ref,
+    title: null,
+    webUrl: kind === 'commit' ? links.commit(sha) : links.tree(ref)
+  };
+}
+
+// A tree ref is a commit when it is a prefix of the SHA it resolved to, otherwise a branch
+// when `isBranch` confirms it, otherwise a tag.
+export async function treeKind(target, ref, sha, isBranch) {
+  if (target.type !== 'tree') return 'branch';
+  if (SHA_PATTERN.test(ref) && sha.startsWith(ref.toLowerCase())) return 'commit';
+  return (await isBranch()) ? 'branch' : 'tag';
+}
@@ -0,0 +1,246 @@
+import { DEFAULT_TARGET, encodePath, SHA_PATTERN, stripGitSuffix, tokenCredentials, treeTarget, withTimeout } from './common';
+import gitlab from './gitlab';
+
+// Any other host that serves Git over smart HTTP (Gitea, Forgejo, cgit, ...). There is no API to
+// ask, so refs come from the ref advertisement a `git clone` starts with, and pull requests are
+// not supported.
+const FULL_SHA = /^[0-9a-f]{40}$/;
+
+// Gitea and Forgejo pages below a repository; the path before one of them is the repo
+const REPO_PAGES = new Set(['src', 'commit', 'commits', 'pulls', 'issues', 'releases', 'branches', 'tags', 'wiki', 'actions', 'settings']);
+
+function webUrl(repo) {
+  return `https://${repo.host}/${encodePath(repo.owner)}/${encodeURIComponent(repo.name)}`;
+}
+
+function cloneUrl(repo) {
+  return `${webUrl(repo)}.git`;
+}
+
+// Reads the pkt-line ref advertisement of `GET <clone url>/info/refs?service=git-upload-pack`
+// into { defaultBranch, refs } where refs maps full ref names (refs/heads/main) to commit SHAs.
+// Annotated tags map to the commit they point at.
+export function parseRefAdvertisement(bytes) {
+  const decoder = new TextDecoder();
+  const refs = {};
+  const peeled = {};
+  let head = null;
+  let symref = null;
+
+  let offset = 0;
+  while (offset + 4 <= bytes.length) {
+    const length = parseInt(decoder.decode(bytes.subarray(offset, offset + 4)), 16);
+    if (Number.isNaN(length)) throw new Error('Malformed ref advertisement');
+    // Flush and delimiter packets carry no data
+    if (length < 4) {
+      offset += 4;
+      continue;
+    }
+    let line = decoder.decode(bytes.subarray(offset + 4, offset + length)).replace(/\n$/, '');
+    offset += length;
+    if (line.startsWith('#')) continue;
+
+    // The first ref carries the server capabilities after a NUL, including where HEAD points
+    const nul = line.indexOf('\0');
+    if (nul !== -1) {
+      symref = /(?:^| )symref=HEAD:(\S+)/.exec(line.slice(nul + 1))?.[1] ?? null;
+      line = line.slice(0, nul);
+    }
+
+    const [sha, name] = line.split(' ');
+    if (!name || !FULL_SHA.test(sha)) continue;
+    if (name === 'HEAD') head = sha;
+    else if (name.endsWith('^{}')) peeled[name.slice(0, -3)] = sha;
+    else refs[name] = sha;
+  }
+  Object.assign(refs, peeled);
+
+  let defaultBranch = symref?.startsWith('refs/heads/') ? symref.slice('refs/heads/'.length) : null;
+  if (!defaultBranch && head) {
+    const branches = Object.keys(refs).filter((name) => name.startsWith('refs/heads/') && refs[name] === head);
+    const preferred = branches.find((name) => name === 'refs/heads/main' || name === 'refs/heads/master') ?? branches[0];
+    defaultBranch = preferred ? preferred.slice('refs/heads/'.length) : null;
+  }
+  return { defaultBranch, refs };
+}
+
+function basicAuth(token) {
+  if (!token) return {};
+  const { username, password } = tokenCredentials(token, 'oauth2');
+  return { Authorization: `Basic ${btoa(`${username}:${password}`)}` };
+}
+
+// IPv4 ranges a public Git host may not resolve to: "this network", private, shared (CGNAT),
+// loopback, link-local, IETF protocol assignments, benchmarking, multicast and reserved.
+const PRIVATE_IPV4 = ['0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/3'];
+
+function ipv4Number(address) {
+  return address.split('.').reduce((number, part) => number * 256 + Number(part), 0);
+}
+
+function isPrivateIpv4(address) {
+  return PRIVATE_IPV4.some((range) => {
+    const [base, bits] = range.split('/');
+    const size = 2 ** (32 - Number(bits));
+    return Math.floor(ipv4Number(address) / size) === Math.floor(ipv4Number(base) / size);
+  });
+}
+
+// IPv6 prefixes that carry an IPv4 address in their last 32 bits: IPv4-mapped (::ffff:0:0/96),
+// NAT64 (64:ff9b::/96) and the deprecated IPv4-compatible form (::/96).
+const EMBEDDED_IPV4 = /^(?:::ffff:|64:ff9b::|::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/;
+
+// IPv6 counts as private when it is unspecified, loopback, unique local (fc00::/7), link-local
+// (fe80::/10) or multicast, or embeds an IPv4 address that is.
+export function isPrivateAddress(address) {
+  const value = String(address).toLowerCase();
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(value)) return isPrivateIpv4(value);
+  const embedded = EMBEDDED_IPV4.exec(value);
+  if (embedded) {
+    const ipv4 = embedded[1] ?? [embedded[2], embedded[3]].map((part) => parseInt(part, 16)).flatMap((n) => [n >> 8, n & 255]).join('.');
+    return isPrivateIpv4(ipv4);
+  }
+  return value === '::' || value === '::1' || /^f[c-d]/.test(value) || /^fe[89ab]/.test(value) || value.startsWith('ff');
+}
+
+// A `lookup` for net.connect that answers with the given addresses ({ address, family }) only.
+export function pinnedLookup(addresses) {
+  return (hostname, options, callback) => {
+    if (options?.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  };
+}
+
+// The host guard in providers/index.js only sees the name; a public-looking name can still
+// point at an internal address. The name is resolved once, every address is checked, and the
+// returned dispatcher connects to those addresses only, so a host cannot pass the check and then
+// resolve to an internal address for the request itself (DNS rebinding).
+async function publicHostDispatcher(host) {
+  // Only reached on the server; the browser bundle must not try to include these modules
+  const [{ lookup }, { Agent }] = await Promise.all([
+    import(/* webpackIgnore: true */ 'node:dns/promises'),
+    import(/* webpackIgnore: true */ 'undici')
+  ]);
+  const hostname = host.replace(/:\d+$/, '');
+  const addresses = await lookup(hostname, { all: true, verbatim: true }).catch(() => {
+    throw new Error(`${host} could not be resolved`);
+  });
+  if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`${host} resolves to a private address`);
+  }
+  return new Agent({ connect: { lookup: pinnedLookup(addresses) } });
+}
+
+function requestRefs(repo, token, { signal, dispatcher }) {
+  // Redirects are refused so a public host cannot bounce the request to an internal address
+  return fetch(`${cloneUrl(repo)}/info/refs?service=git-upload-pack`, {
+    headers: { 'User-Agent': 'git/unitest-app', ...basicAuth(token) },
+    redirect: 'error',
+    signal,
+    dispatcher
+  });
+}
+
+// Anonymous first, so a repository only counts as private when it needs the token.
+// Resolves with the parsed advertisement plus `private`.
+async function fetchRefs(repo, token = null) {
+  const dispatcher = await publicHostDispatcher(repo.host);
+  try {
+    return await withTimeout(repo.host, async (signal) => {
+      let res = await requestRefs(repo, null, { signal, dispatcher });
+      let isPrivate = false;
+      if ((res.status === 401 || res.status === 403 || res.status === 404) && token) {
+        res = await requestRefs(repo, token, { signal, dispatcher });
+        isPrivate = true;
+      }
+      if (!res.ok) throw new Error(`${repo.host} responded with ${res.status} for the ref advertisement`);
+      if (!String(res.headers.get('content-type') || '').includes('git-upload-pack-advertisement')) {
+        throw new Error(`${repo.host} does not serve Git over smart HTTP`);
+      }
+      return { ...parseRefAdvertisement(new Uint8Array(await res.arrayBuffer())), private: isPrivate };
+    });
+  } finally {
+    dispatcher.destroy().catch(() => {});
+  }
+}
+
+const git = {
+  id: 'git',
+  label: 'Git',
+  defaultHost: null,
+  pulls: false,
+
+  // namespace/repo[.git], plus Gitea and Forgejo links: /src/branch|tag|commit/<ref> and /commit/<sha>.
+  // Links with a `-` segment come from self-hosted GitLab, which the browser cannot tell apart.
+  parseWebPath(segments) {
+    if (segments.includes('-')) {
+      const parsed = gitlab.parseWebPath(segments);
+      return parsed?.target.type === 'pull' ? null : parsed;
+    }
+    const marker = segments.findIndex((segment, index) => index >= 2 && REPO_PAGES.has(segment));
+    const repoSegments = marker === -1 ? segments : segments.slice(0, marker);
+    if (repoSegments.length < 2 || !repoSegments.every(Boolean)) return null;
+    const repo = { owner: repoSegments.slice(0, -1).join('/'), name: stripGitSuffix(repoSegments[repoSegments.length - 1]) };
+    if (marker === -1) return { ...repo, target: DEFAULT_TARGET };
+    if (segments[marker] !== 'src' && segments[marker] !== 'commit') return null;
+
+    const rest = segments.slice(marker + 1);
+    const refSegments = segments[marker] === 'src' && ['branch', 'tag', 'commit'].includes(rest[0]) ? rest.slice(1) : rest;
+    const target = treeTarget(refSegments);
+    return target && { ...repo, target };
+  },
+
+  webUrl,
+  cloneUrl,
+
+  cloneCredentials(token) {
+    return tokenCredentials(token, 'oauth2');
+  },
+
+  // Commit pages differ from one Git server to the next
+  commitUrl() {
+    return null;
+  },
+
+  async fetchRepoInfo(repo, { token = null } = {}) {
+    const { defaultBranch, refs, private: isPrivate } = await fetchRefs(repo, token);
+    return { private: isPrivate, defaultBranch, description: null, language: null, refs };
+  },
+
+  async resolveTarget(repo, target, repoInfo, { token = null } = {}) {
+    if (target.type === 'pull') {
+      throw new Error(`Pull requests are not supported for ${repo.host}`);
+    }
+
+    const refs = repoInfo?.refs ?? (await fetchRefs(repo, token)).refs;
+    const ref = target.type === 'tree' ? target.ref : repoInfo?.defaultBranch;
+    if (!ref) throw new Error('Unable to determine the ref to test');
+
+    let kind = target.type === 'tree' ? null : 'branch';
+    let sha = refs[`refs/heads/${ref}`] ?? null;
+    if (sha) {
+      kind = 'branch';
+    } else if (refs[`refs/tags/${ref}`]) {
+      kind = 'tag';
+      sha = refs[`refs/tags/${ref}`];
+    } else if (SHA_PATTERN.test(ref)) {
+      // Commits are only known by full SHA, or by prefix when a ref points at them
+      const lower = ref.toLowerCase();
+      sha = FULL_SHA.test(lower) ? lower : Object.values(refs).find((value) => value.startsWith(lower)) ?? null;
+      kind = 'commit';
+    }
+    if (!sha) throw new Error(`Ref ${ref} did not resolve to a commit`);
+
+    return {
+      ...target,
+      kind,
+      ref,
+      sha,
+      label: kind === 'commit' ? sha.slice(0, 7) : ref,
+      title: null,
+      webUrl: webUrl(repo)
+    };
+  }
+};
+
+export default git;
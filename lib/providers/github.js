@@ -0,0 +1,117 @@
+import { authHeaders, DEFAULT_TARGET, encodePath, fetchJson, fetchOk, postJson, pullTarget, resolvedTree, stripGitSuffix, tokenCredentials, treeKind, treeTarget } from './common';
+
+// GITHUB_API_URL points lookups at the mock server during offline development.
+export const GITHUB_API = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+const GITHUB_HEADERS = { Accept: 'application/vnd.github+json' };
+
+function headers(token) {
+  return { ...GITHUB_HEADERS, ...authHeaders(token) };
+}
+
+function apiPath(repo) {
+  return `${GITHUB_API}/repos/${encodeURIComponent(repo.owner)}/${encodeURIComponent(repo.name)}`;
+}
+
+function webUrl(repo) {
+  return `https://github.com/${encodeURIComponent(repo.owner)}/${encodeURIComponent(repo.name)}`;
+}
+
+function commitUrl(repo, sha) {
+  return `${webUrl(repo)}/commit/${sha}`;
+}
+
+const github = {
+  id: 'github',
+  label: 'GitHub',
+  defaultHost: 'github.com',
+  pulls: true,
+
+  // owner/repo, owner/repo/tree/<ref>, owner/repo/commit/<sha> and owner/repo/pull/<n>[/files]
+  parseWebPath(segments) {
+    const [owner, name, kind, ...rest] = segments;
+    if (!owner || !name) return null;
+    const repo = { owner, name: stripGitSuffix(name) };
+    if (!kind) return { ...repo, target: DEFAULT_TARGET };
+    if (kind === 'tree' || kind === 'commit') {
+      const target = treeTarget(rest);
+      return target && { ...repo, target };
+    }
+    if (kind === 'pull') {
+      const target = pullTarget(rest[0]);
+      return target && { ...repo, target };
+    }
+    return null;
+  },
+
+  webUrl,
+  commitUrl,
+
+  cloneUrl(repo) {
+    return webUrl(repo);
+  },
+
+  cloneCredentials(token) {
+    return tokenCredentials(token, 'x-access-token');
+  },
+
+  async fetchRepoInfo(repo, { token = null } = {}) {
+    const info = await fetchJson(apiPath(repo), headers(token), 'GitHub');
+    return {
+      private: Boolean(info?.private),
+      defaultBranch: info?.default_branch ?? null,
+      description: info?.description ?? null,
+      language: info?.language ?? null
+    };
+  },
+
+  async resolveTarget(repo, target, repoInfo, { token = null } = {}) {
+    const base = apiPath(repo);
+
+    if (target.type === 'pull') {
+      const pull = await fetchJson(`${base}/pulls/${target.number}`, headers(token), 'GitHub');
+      const sha = pull?.head?.sha;
+      if (!sha) throw new Error(`Pull request #${target.number} has no head commit`);
+      return {
+        ...target,
+        kind: 'pull',
+        ref: pull.head.ref ?? null,
+        sha,
+        // The head branch of a fork's pull request is not in this repository (a deleted fork has no repo)
+        fork: pull.head.repo?.full_name !== pull.base?.repo?.full_name,
+        fetchRef: `pull/${target.number}/head`,
+        label: `#${target.number}`,
+        title: pull.title ?? null,
+        webUrl: pull.html_url || `${webUrl(repo)}/pull/${target.number}`
+      };
+    }
+
+    const ref = target.type === 'tree' ? target.ref : repoInfo?.defaultBranch;
+    if (!ref) throw new Error('Unable to determine the ref to test');
+
+    const commit = await fetchJson(`${base}/commits/${encodePath(ref)}`, headers(token), 'GitHub');
+    const sha = commit?.sha;
+    if (!sha) throw new Error(`Ref ${ref} did not resolve to a commit`);
+
+    const kind = await treeKind(target, ref, sha, () => fetchOk(`${base}/branches/${encodePath(ref)}`, headers(token)));
+    return resolvedTree(target, { kind, ref, sha }, {
+      commit: (value) => commitUrl(repo, value),
+      tree: (value) => `${webUrl(repo)}/tree/${encodePath(value)}`
+    });
+  },
+
+  // One commit on top of `baseSha` through the Git data API, then the pull request into `base`.
+  async openPullRequest(repo, { token, base, baseSha, branch, title, body, message, files }) {
+    const api = apiPath(repo);
+    const baseCommit = await fetchJson(`${api}/git/commits/${baseSha}`, headers(token), 'GitHub');
+    const tree = await postJson(`${api}/git/trees`, {
+      base_tree: baseCommit.tree.sha,
+      tree: files.map((file) => ({ path: file.path, mode: '100644', type: 'blob', content: file.content }))
+    }, headers(token), 'GitHub');
+    const commit = await postJson(`${api}/git/commits`, { message, tree: tree.sha, parents: [baseSha] }, headers(token), 'GitHub');
+    await postJson(`${api}/git/refs`, { ref: `refs/heads/${branch}`, sha: commit.sha }, headers(token), 'GitHub');
+    const pull = await postJson(`${api}/pulls`, { title, body, head: branch, base }, headers(token), 'GitHub');
+    return { number: pull.number, url: pull.html_url, branch };
+  }
+};
+
+export default github;
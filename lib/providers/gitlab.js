@@ -0,0 +1,133 @@
+import { authHeaders, DEFAULT_TARGET, encodePath, fetchJson, fetchOk, postJson, pullTarget, resolvedTree, stripGitSuffix, tokenCredentials, treeKind, treeTarget } from './common';
+
+// gitlab.com and self-hosted GitLab (hosts listed in GITLAB_HOSTS). GITLAB_API_URL replaces
+// gitlab.com's API, e.g. with the mock server during offline development.
+const GITLAB_HEADERS = { Accept: 'application/json' };
+
+function headers(token) {
+  return { ...GITLAB_HEADERS, ...authHeaders(token) };
+}
+
+function apiBase(repo) {
+  if (repo.host === 'gitlab.com' && process.env.GITLAB_API_URL) {
+    return process.env.GITLAB_API_URL.replace(/\/+$/, '');
+  }
+  return `https://${repo.host}/api/v4`;
+}
+
+// Projects are addressed by their URL-encoded full path, subgroups included.
+function projectPath(repo) {
+  return `${apiBase(repo)}/projects/${encodeURIComponent(`${repo.owner}/${repo.name}`)}`;
+}
+
+function webUrl(repo) {
+  return `https://${repo.host}/${encodePath(repo.owner)}/${encodeURIComponent(repo.name)}`;
+}
+
+function commitUrl(repo, sha) {
+  return `${webUrl(repo)}/-/commit/${sha}`;
+}
+
+const gitlab = {
+  id: 'gitlab',
+  label: 'GitLab',
+  defaultHost: 'gitlab.com',
+  pulls: true,
+
+  // group[/subgroup...]/project, followed by /-/tree/<ref>, /-/commit/<sha> or
+  // /-/merge_requests/<iid>[/diffs]
+  parseWebPath(segments) {
+    const dash = segments.indexOf('-');
+    const repoSegments = dash === -1 ? segments : segments.slice(0, dash);
+    if (repoSegments.length < 2 || !repoSegments.every(Boolean)) return null;
+    const repo = { owner: repoSegments.slice(0, -1).join('/'), name: stripGitSuffix(repoSegments[repoSegments.length - 1]) };
+    if (dash === -1) return { ...repo, target: DEFAULT_TARGET };
+
+    const [kind, ...rest] = segments.slice(dash + 1);
+    if (kind === 'tree' || kind === 'commit') {
+      const target = treeTarget(rest);
+      return target && { ...repo, target };
+    }
+    if (kind === 'merge_requests') {
+      const target = pullTarget(rest[0]);
+      return target && { ...repo, target };
+    }
+    return null;
+  },
+
+  webUrl,
+  commitUrl,
+
+  cloneUrl(repo) {
+    return `${webUrl(repo)}.git`;
+  },
+
+  cloneCredentials(token) {
+    return tokenCredentials(token, 'oauth2');
+  },
+
+  async fetchRepoInfo(repo, { token = null } = {}) {
+    const project = await fetchJson(projectPath(repo), headers(token), 'GitLab');
+    return {
+      private: project?.visibility !== 'public',
+      defaultBranch: project?.default_branch ?? null,
+      description: project?.description || null,
+      language: null
+    };
+  },
+
+  async resolveTarget(repo, target, repoInfo, { token = null } = {}) {
+    const base = projectPath(repo);
+
+    if (target.type === 'pull') {
+      const mr = await fetchJson(`${base}/merge_requests/${target.number}`, headers(token), 'GitLab');
+      const sha = mr?.sha;
+      if (!sha) throw new Error(`Merge request !${target.number} has no head commit`);
+      return {
+        ...target,
+        kind: 'pull',
+        ref: mr.source_branch ?? null,
+        sha,
+        fork: mr.source_project_id !== mr.target_project_id,
+        fetchRef: `merge-requests/${target.number}/head`,
+        label: `!${target.number}`,
+        title: mr.title ?? null,
+        webUrl: mr.web_url || `${webUrl(repo)}/-/merge_requests/${target.number}`
+      };
+    }
+
+    const ref = target.type === 'tree' ? target.ref : repoInfo?.defaultBranch;
+    if (!ref) throw new Error('Unable to determine the ref to test');
+
+    const commit = await fetchJson(`${base}/repository/commits/${encodeURIComponent(ref)}`, headers(token), 'GitLab');
+    const sha = commit?.id;
+    if (!sha) throw new Error(`Ref ${ref} did not resolve to a commit`);
+
+    const kind = await treeKind(target, ref, sha, () => fetchOk(`${base}/repository/branches/${encodeURIComponent(ref)}`, headers(token)));
+    return resolvedTree(target, { kind, ref, sha }, {
+      commit: (value) => commitUrl(repo, value),
+      tree: (value) => `${webUrl(repo)}/-/tree/${encodePath(value)}`
+    });
+  },
+
+  // The commits API creates the branch from `start_sha` along with the commit.
+  async openPullRequest(repo, { token, base, baseSha, branch, title, body, message, files }) {
+    const project = projectPath(repo);
+    await postJson(`${project}/repository/commits`, {
+      branch,
+      start_sha: baseSha,
+      commit_message: message,
+      actions: files.map((file) => ({ action: file.status === 'modified' ? 'update' : 'create', file_path: file.path, content: file.content }))
+    }, headers(token), 'GitLab');
+    const mr = await postJson(`${project}/merge_requests`, {
+      source_branch: branch,
+      target_branch: base,
+      title,
+      description: body,
+      remove_source_branch: true
+    }, headers(token), 'GitLab');
+    return { number: mr.iid, url: mr.web_url, branch };
+  }
+};
+
+export default gitlab;
@@ -0,0 +1,279 @@
+import bitbucket from './bitbucket';
+import git from './git';
+import github from './github';
+import gitlab from './gitlab';
+
+// Where a repository lives decides how it is looked up, cloned and linked to. A repo is
+// { provider, host, owner, name }; owner can hold slashes for GitLab subgroups and nested paths
+// on other Git hosts. The provider always follows from the host, so routes and request bodies
+// only carry the host.
+export const PROVIDERS = { github, gitlab, bitbucket, git };
+
+export { ProviderError } from './common';
+
+const MAX_PATH_LENGTH = 200;
+// Route refs are tried this many segments deep before giving up (see resolveTarget)
+const MAX_REF_SEGMENTS = 8;
+
+const HOST_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+(:\d{1,5})?$/;
+const PRIVATE_SUFFIXES = ['.localhost', '.local', '.localdomain', '.internal', '.home.arpa'];
+
+function hostList(variable) {
+  return (process.env[variable] || '').split(',').map((host) => normalizeHost(host)).filter(Boolean);
+}
+
+export function normalizeHost(host) {
+  return String(host || '').trim().toLowerCase().replace(/^www\./, '');
+}
+
+// Generic Git hosts are fetched server-side, so they must be public names: no IP literals,
+// no single-label or local names, and only GIT_ALLOWED_HOSTS when that is set.
+function isAllowedGitHost(host) {
+  if (!HOST_PATTERN.test(host)) return false;
+  const hostname = host.replace(/:\d+$/, '');
+  if (/^[\d.]+$/.test(hostname) || PRIVATE_SUFFIXES.some((suffix) => hostname.endsWith(suffix))) return false;
+  const allowed = hostList('GIT_ALLOWED_HOSTS');
+  return allowed.length === 0 || allowed.includes(host);
+}
+
+// GitLab hosts beyond gitlab.com come from GITLAB_HOSTS, which is only known on the server.
+// In the browser such hosts read as generic Git, which parses and routes them the same way.
+export function providerForHost(value) {
+  const host = normalizeHost(value);
+  if (host === 'github.com') return github;
+  if (host === 'bitbucket.org') return bitbucket;
+  if (host === 'gitlab.com' || hostList('GITLAB_HOSTS').includes(host)) return gitlab;
+  return isAllowedGitHost(host) ? git : null;
+}
+
+function validSegment(segment) {
+  return typeof segment === 'string' && segment.trim() !== '' && segment !== '.' && segment !== '..';
+}
+
+// Monorepo packages are targeted by a subdirectory: a relative path without `.`/`..` segments.
+// Resolves surrounding and repeated slashes; null when empty or not a valid path. Colons are
+// refused because they separate the path in agent tags.
+export function normalizeSubdirectory(value) {
+  if (typeof value !== 'string') return null;
+  const path = value.trim().replace(/^\/+|\/+$/g, '').replace(/\/{2,}/g, '/');
+  if (!path || path.length > MAX_PATH_LENGTH || /[\\:\u0000-\u001f]/.test(path)) return null;
+  return path.split('/').every(validSegment) ? path : null;
+}
+
+// Builds a repo from its host (github.com when omitted) and path, or null when they are not valid.
+export function repoFor({ host, owner, name }) {
+  const provider = providerForHost(host || github.defaultHost);
+  if (!provider || !validSegment(name) || name.includes('/') || typeof owner !== 'string') return null;
+  const ownerSegments = owner.split('/');
+  if (!ownerSegments.every(validSegment)) return null;
+  if (ownerSegments.length > 1 && (provider === github || provider === bitbucket)) return null;
+  return { provider: provider.id, host: normalizeHost(host || provider.defaultHost), owner, name };
+}
+
+// Agents created before providers existed only recorded the GitHub owner and name.
+export function repoFromMetadata(repository) {
+  return repository ? repoFor({ host: repository.host, owner: repository.owner, name: repository.name }) : null;
+}
+
+export function providerOf(repo) {
+  return PROVIDERS[repo?.provider] ?? github;
+}
+
+// "GitHub", "GitLab", "Bitbucket", or the host for other Git servers.
+export function providerLabel(repo) {
+  return repo?.provider === 'git' ? repo.host : providerOf(repo).label;
+}
+
+export function supportsPulls(repo) {
+  return providerOf(repo).pulls;
+}
+
+export function repoWebUrl(repo) {
+  return providerOf(repo).webUrl(repo);
+}
+
+export function cloneUrl(repo) {
+  return providerOf(repo).cloneUrl(repo);
+}
+
+// Null when the provider has no commit page to link to.
+export function commitUrl(repo, sha) {
+  return sha ? providerOf(repo).commitUrl(repo, sha) : null;
+}
+
+// { username, password } for cloning with the user's access token.
+export function cloneCredentials(repo, token) {
+  return providerOf(repo).cloneCredentials(token);
+}
+
+// Resolves with { private, defaultBranch, description, language }. `token` is the user's
+// access token for the host, if any; private repositories are only found with one.
+export function fetchRepoInfo(repo, { token = null } = {}) {
+  return providerOf(repo).fetchRepoInfo(repo, { token });
+}
+
+// Generic Git hosts have no API to open pull requests with.
+export function canOpenPullRequests(repo) {
+  return typeof providerOf(repo).openPullRequest === 'function';
+}
+
+// Commits `files` ([{ path, status, content }]) on top of `baseSha` to the new `branch` and
+// opens a pull request into `base`. Resolves with { number, url, branch }; `token` must be
+// allowed to push to the repository.
+export function openPullRequest(repo, { token, base, baseSha, branch, title, body, message, files }) {
+  if (!canOpenPullRequests(repo)) {
+    return Promise.reject(new Error(`Pull requests cannot be opened on ${repo.host}`));
+  }
+  return providerOf(repo).openPullRequest(repo, { token, base, baseSha, branch, title, body, message, files });
+}
+
+function withPath(resolved, path) {
+  return { ...resolved, path };
+}
+
+// Resolves a parsed target to an exact commit: { ...target, kind, ref, sha, label, title, webUrl, path },
+// plus `fetchRef` for pull requests (the ref to fetch the head from).
+//
+// Routes and pasted links put a package path straight after the ref (tree/<ref>/<path>, as on
+// GitHub), and refs can contain slashes too. With `refMayIncludePath`, a tree target without a
+// path is split at the shortest leading part that resolves; a branch cannot also be the prefix
+// of another branch, so only one split can name a branch.
+export async function resolveTarget(repo, target, repoInfo, { token = null, refMayIncludePath = false } = {}) {
+  const provider = providerOf(repo);
+  const path = normalizeSubdirectory(target.path);
+  if (!refMayIncludePath || target.type !== 'tree' || path || !target.ref.includes('/')) {
+    return withPath(await provider.resolveTarget(repo, target, repoInfo, { token }), path);
+  }
+
+  const segments = target.ref.split('/');
+  let lastError = null;
+  for (let length = 1; length <= Math.min(segments.length, MAX_REF_SEGMENTS); length++) {
+    const rest = segments.slice(length).join('/');
+    const restPath = normalizeSubdirectory(rest);
+    if (rest && !restPath) continue;
+    try {
+      const resolved = await provider.resolveTarget(repo, { ...target, ref: segments.slice(0, length).join('/') }, repoInfo, { token });
+      return withPath(resolved, restPath);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError ?? new Error(`Ref ${target.ref} did not resolve to a commit`);
+}
+
+// GitHub repos keep the bare owner/name used before other providers existed.
+export function repoKey(repo) {
+  const path = `${repo.owner}/${repo.name}`;
+  return repo.provider === 'github' ? path : `${repo.host}/${path}`;
+}
+
+// Key used in agent tags and names; the default branch keeps the bare repo tag. The package
+// path is not part of it (see agentTag).
+export function targetKey(target) {
+  if (!target || target.type === 'default') return null;
+  if (target.type === 'pull') return `pull/${target.number}`;
+  return `tree/${target.ref}`;
+}
+
+// Page routes:
+//   GitHub: /<owner>/<name>[/tree/<ref>[/<path>]|/pull/<number>]
+//   others: /<host>/<owner...>/<name>[/-/tree/<ref>[/<path>]|/-/pull/<number>]
+// GitHub owners cannot contain dots, so a first segment with one is always a host. A package
+// path follows the ref of tree targets, like on GitHub, and is `?path=` otherwise.
+export function targetPath(repo, target) {
+  const key = targetKey(target);
+  const base = repo.provider === 'github' ? `/${repo.owner}/${repo.name}` : `/${repo.host}/${repo.owner}/${repo.name}`;
+  const route = key ? `${base}${repo.provider === 'github' ? '' : '/-'}/${key}` : base;
+  const path = normalizeSubdirectory(target?.path);
+  if (!path) return route;
+  return target.type === 'tree' ? `${route}/${path}` : `${route}?path=${encodeURIComponent(path)}`;
+}
+
+// Turns the catch-all route slug into { provider, host, owner, name, target }, or null.
+export function parseRepoSlug(slug) {
+  if (!Array.isArray(slug) || slug.length < 2 || !slug.every((segment) => typeof segment === 'string')) return null;
+
+  const hosted = slug[0].includes('.');
+  const path = hosted ? slug.slice(1) : slug;
+  // GitHub routes hold owner/name; other hosts end the repo path with a `-` segment
+  const split = hosted ? path.indexOf('-') : 2;
+  const repoSegments = split === -1 ? path : path.slice(0, split);
+  const targetSegments = split === -1 ? [] : path.slice(hosted ? split + 1 : split);
+  if (repoSegments.length < 2 || (hosted && split !== -1 && targetSegments.length === 0)) return null;
+  const [kind, ...rest] = targetSegments;
+
+  const repo = repoFor({
+    host: hosted ? slug[0] : github.defaultHost,
+    owner: repoSegments.slice(0, -1).join('/'),
+    name: repoSegments[repoSegments.length - 1]
+  });
+  if (!repo) return null;
+
+  if (!kind) {
+    return { ...repo, target: { type: 'default', ref: null, number: null } };
+  }
+
+  if (kind === 'tree' && rest.length > 0) {
+    const ref = rest.join('/');
+    if (!ref.trim()) return null;
+    return { ...repo, target: { type: 'tree', ref, number: null } };
+  }
+
+  if (kind === 'pull' && rest.length === 1 && /^\d+$/.test(rest[0]) && supportsPulls(repo)) {
+    return { ...repo, target: { type: 'pull', ref: null, number: Number(rest[0]) } };
+  }
+
+  return null;
+}
+
+// Turns what users paste into the home page (owner/repo, a repository URL on any supported
+// host, an SSH clone address, or a branch/tag/commit/pull request link) into the repo page
+// path, or null when it is not a repository we can test.
+export function extractRepoPath(value) {
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+
+  let host;
+  let path;
+  const ssh = /^(?:ssh:\/\/)?git@([^:/\s]+)[:/](.+)$/i.exec(trimmed);
+  if (ssh) {
+    [, host, path] = ssh;
+  } else if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+    // Full URLs must be https
+    let parsed;
+    try {
+      parsed = new URL(trimmed);
+    } catch (_) {
+      return null;
+    }
+    if (parsed.protocol !== 'https:') return null;
+    host = parsed.host;
+    path = parsed.pathname;
+  } else {
+    // owner/repo means GitHub; anything else starts with its host (gitlab.com/group/repo)
+    const first = trimmed.replace(/^\/+/, '').split('/')[0];
+    host = first.includes('.') ? first : github.defaultHost;
+    path = first.includes('.') ? trimmed.replace(/^\/+/, '').slice(first.length) : trimmed;
+  }
+
+  const provider = providerForHost(host);
+  if (!provider) return null;
+  const segments = path.replace(/^\/+|\/+$/g, '').split('/');
+  const parsed = provider.parseWebPath(segments);
+  if (!parsed) return null;
+
+  const repo = repoFor({ host, owner: parsed.owner, name: parsed.name });
+  return repo ? targetPath(repo, parsed.target) : null;
+}
+
+// Targets stored in agent metadata only carry what the route encoded, plus the package path.
+export function targetFromMetadata(value) {
+  const path = normalizeSubdirectory(value?.path);
+  if (value?.type === 'pull' && Number.isInteger(value.number)) {
+    return { type: 'pull', ref: null, number: value.number, path };
+  }
+  if (value?.type === 'tree' && value.ref) {
+    return { type: 'tree', ref: value.ref, number: null, path };
+  }
+  return { type: 'default', ref: null, number: null, path };
+}
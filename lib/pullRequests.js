@@ -0,0 +1,70 @@
+import { formatPercent } from './format';
+
+// Pull requests opened with a run's generated files (see lib/generatedFiles.js). They are
+// recorded on the agent as metadata.pull_requests[<response id>], so each run opens one.
+
+function shortSha(sha) {
+  return String(sha || '').slice(0, 7);
+}
+
+// unitest/tests-<sha>-<run>: unique per run, and recognisable in the repository's branch list.
+export function pullRequestBranch(target, responseId) {
+  const run = String(responseId).toLowerCase().replace(/[^a-z0-9]/g, '').slice(-8) || 'run';
+  return `unitest/tests-${shortSha(target.sha)}-${run}`;
+}
+
+// Branch targets get the tests on their own branch; tags and commits have none, so their pull
+// request goes to the default branch. A pull request gets them on its head branch, which has to
+// be in this repository: a fork's branch cannot be pushed to from here, and a branch of the same
+// name here is a different one. Runs recorded before forks were noted count as forks, so for
+// those (and forks) there is no base.
+export function pullRequestBase(target, defaultBranch) {
+  if (target.kind === 'pull') return target.fork === false && target.ref ? target.ref : null;
+  if (target.kind === 'branch' && target.ref) return target.ref;
+  return defaultBranch || null;
+}
+
+function describeTarget(target) {
+  if (target.kind === 'pull') return `pull request #${target.number}`;
+  if (target.kind === 'commit') return `commit \`${shortSha(target.sha)}\``;
+  return `\`${target.ref}\` (\`${shortSha(target.sha)}\`)`;
+}
+
+// { title, body, message } from the run's target, results and files. `reportUrl` links back to
+// the full report.
+export function pullRequestContent({ target, results, files, reportUrl = null }) {
+  const before = results?.coverage?.before ?? null;
+  const after = results?.coverage?.after ?? null;
+  const coverage = before !== null && after !== null
+    ? `${formatPercent(before)} → ${formatPercent(after)}`
+    : after !== null ? formatPercent(after) : null;
+  const scope = target.path ? ` for \`${target.path}\`` : '';
+  const title = `Add unit tests generated by UniTest${coverage ? ` (coverage ${coverage})` : ''}`;
+
+  const lines = [`Unit tests generated by UniTest${scope} on ${describeTarget(target)}.`, ''];
+  if (before !== null || after !== null) {
+    lines.push('| | Before | After |', '| --- | --- | --- |', `| Coverage | ${formatPercent(before)} | ${formatPercent(after)} |`, '');
+  }
+  // Only the structured results say which tests are new
+  const added = results?.source === 'json' ? results.tests.filter((test) => test.generated) : [];
+  const totals = results?.totals;
+  if (added.length) lines.push(`- Tests added: ${added.length}`);
+  if (totals?.total !== null && totals?.total !== undefined) {
+    lines.push(`- Tests run: ${totals.total} (${totals.passed ?? 0} passed, ${totals.failed ?? 0} failed, ${totals.skipped ?? 0} skipped)`);
+  }
+  if (totals?.failed) lines.push('- Some tests fail; check the report before merging.');
+
+  const created = files.filter((file) => file.status === 'created');
+  const changed = files.filter((file) => file.status !== 'created');
+  lines.push('', `### Files (${created.length} new, ${changed.length} changed)`, '');
+  for (const file of files) {
+    lines.push(`- \`${file.path}\`${file.status === 'created' ? '' : ' (changed)'}`);
+  }
+  if (reportUrl) lines.push('', `[Full UniTest report](${reportUrl})`);
+
+  return {
+    title,
+    body: lines.join('\n').replace(/\n{3,}/g, '\n\n'),
+    message: `${title}\n\nGenerated by UniTest for ${target.ref || shortSha(target.sha)} at ${target.sha}.`
+  };
+}
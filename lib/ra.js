@@ -0,0 +1,232 @@
+import { debugLog } from './log';
+import { withRenderedOutput } from './markdown';
+import { redactSecrets } from './redact';
+
+// Server-side client for the RemoteAgent API. Every route and getServerSideProps goes
+// through here so base URLs, auth headers, timeouts, retries and error mapping live in one place.
+
+const REQUIRED_ENV_VARS = ['RA_APPS_UNITEST_ADMIN_TOKEN', 'RA_HOST_URL'];
+
+export const DEFAULT_TIMEOUT_MS = 15000;
+export const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 300;
+const RETRYABLE_METHODS = new Set(['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE']);
+
+// `status` is the HTTP status our own API should answer with; `upstreamStatus` is what RA sent.
+export class RAError extends Error {
+  constructor(message, { status = 502, code = 'upstream_error', upstreamStatus = null, details = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'RAError';
+    this.status = status;
+    this.code = code;
+    this.upstreamStatus = upstreamStatus;
+    this.details = details;
+  }
+}
+
+export class RAConfigError extends RAError {
+  constructor(missing) {
+    super(`Missing environment variables: ${missing.join(', ')}`, { status: 500, code: 'config_error' });
+    this.name = 'RAConfigError';
+    this.missing = missing;
+  }
+}
+
+export function raConfig() {
+  const missing = REQUIRED_ENV_VARS.filter((key) => !process.env[key] || process.env[key].trim() === '');
+  if (missing.length) {
+    throw new RAConfigError(missing);
+  }
+  return {
+    base: process.env.RA_HOST_URL.trim().replace(/\/+$/, ''),
+    token: process.env.RA_APPS_UNITEST_ADMIN_TOKEN.trim()
+  };
+}
+
+export function isRAConfigured() {
+  try {
+    raConfig();
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Client errors pass through so callers can react to 404/409/422; RA rejecting our
+// admin token is our misconfiguration, and anything else upstream is a bad gateway.
+function statusFor(upstreamStatus) {
+  if (upstreamStatus === 401 || upstreamStatus === 403) return 502;
+  if (upstreamStatus >= 400 && upstreamStatus < 500) return upstreamStatus;
+  return 502;
+}
+
+function isRetryable(error) {
+  return error.code === 'network_error' || error.code === 'timeout' ||
+    (error.code === 'upstream_error' && error.upstreamStatus >= 500);
+}
+
+function parseBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return undefined;
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function buildQuery(query) {
+  if (!query) return '';
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+  }
+  const encoded = params.toString();
+  return encoded ? `?${encoded}` : '';
+}
+
+async function attempt(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const upstream = await fetch(url, { ...init, signal: controller.signal });
+    const text = await upstream.text();
+    const payload = parseBody(text);
+
+    if (!upstream.ok) {
+      throw new RAError(`RA responded with ${upstream.status}`, {
+        status: statusFor(upstream.status),
+        upstreamStatus: upstream.status,
+        details: payload === undefined ? text : payload
+      });
+    }
+    if (payload === undefined) {
+      throw new RAError('Unexpected response from RA API', { upstreamStatus: upstream.status, details: text.slice(0, 500) });
+    }
+    return payload;
+  } catch (err) {
+    if (err instanceof RAError) throw err;
+    if (controller.signal.aborted) {
+      throw new RAError(`RA did not respond within ${timeoutMs}ms`, { status: 504, code: 'timeout', cause: err });
+    }
+    throw new RAError('Could not reach RA API', { status: 502, code: 'network_error', details: err.message, cause: err });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Sends one request to `${RA_HOST_URL}${path}` and resolves with the parsed JSON body (null when empty).
+// Network errors, timeouts and 5xx answers are retried with exponential backoff; POST is only
+// retried when the caller marks it idempotent with `retry: true`.
+export async function raRequest(path, {
+  method = 'GET',
+  query,
+  body,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  retry = RETRYABLE_METHODS.has(method)
+} = {}) {
+  const { base, token } = raConfig();
+  const url = `${base}${path}${buildQuery(query)}`;
+  const init = {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      Accept: 'application/json',
+      'User-Agent': 'unitest-app',
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+    },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+  };
+  const maxAttempts = retry ? retries + 1 : 1;
+
+  for (let attemptNumber = 1; ; attemptNumber++) {
+    const startedAt = Date.now();
+    try {
+      const payload = await attempt(url, init, timeoutMs);
+      debugLog(`[UniTest RA] ${method} ${path} -> ok (${Date.now() - startedAt}ms)`);
+      return payload;
+    } catch (err) {
+      const outcome = err.upstreamStatus ?? err.code;
+      if (attemptNumber < maxAttempts && isRetryable(err)) {
+        const wait = RETRY_BASE_DELAY_MS * 2 ** (attemptNumber - 1) + Math.floor(Math.random() * 100);
+        console.warn(`[UniTest RA] ${method} ${path} -> ${outcome} (${Date.now() - startedAt}ms), retrying in ${wait}ms`);
+        await delay(wait);
+        continue;
+      }
+      console.error(`[UniTest RA] ${method} ${path} -> ${outcome} (${Date.now() - startedAt}ms)`);
+      throw err;
+    }
+  }
+}
+
+function agentPath(agent) {
+  return `/api/v0/agents/${encodeURIComponent(agent)}`;
+}
+
+function responsePath(agent, responseId) {
+  return `${agentPath(agent)}/responses/${encodeURIComponent(responseId)}`;
+}
+
+export function listAgents({ tags, limit } = {}) {
+  return raRequest('/api/v0/agents', { query: { tags, limit } });
+}
+
+export function getAgent(agent) {
+  return raRequest(agentPath(agent));
+}
+
+export function createAgent(payload) {
+  return raRequest('/api/v0/agents', { method: 'POST', body: payload });
+}
+
+export function updateAgent(agent, patch) {
+  return raRequest(agentPath(agent), { method: 'PATCH', body: patch });
+}
+
+// Responses are what pages show, so they come back with access tokens redacted and their
+// reports rendered to sanitized HTML.
+function forPages(payload) {
+  return withRenderedOutput(redactSecrets(payload));
+}
+
+export async function listResponses(agent, { limit } = {}) {
+  return forPages(await raRequest(`${agentPath(agent)}/responses`, { query: { limit } }));
+}
+
+export async function getResponse(agent, responseId) {
+  return forPages(await raRequest(responsePath(agent, responseId)));
+}
+
+export async function createResponse(agent, body) {
+  return forPages(await raRequest(`${agentPath(agent)}/responses`, { method: 'POST', body }));
+}
+
+export async function cancelResponse(agent, responseId) {
+  return forPages(await raRequest(`${responsePath(agent, responseId)}/cancel`, { method: 'POST', retry: true }));
+}
+
+// Query values arrive as string | string[] from Next.js.
+export function queryValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Answers an API request for a failed RA call. RAErrors keep their mapped status and code;
+// anything else is an unexpected bug and stays a plain 500.
+export function sendRAError(res, error, message, label = '[UniTest]') {
+  if (error instanceof RAError) {
+    if (!(error instanceof RAConfigError)) {
+      console.error(`${label} ${message}:`, error.message);
+    }
+    return res.status(error.status).json({
+      error: error instanceof RAConfigError ? error.message : message,
+      code: error.code,
+      details: error.details
+    });
+  }
+  console.error(`${label} Error:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+}
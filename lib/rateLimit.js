@@ -0,0 +1,166 @@
+import { formatWait } from './format';
+
+// Fixed-window counters for throttling run creation and chat messages, plus the daily run quota.
+//
+// Counters live in a store with async methods (increments must be atomic):
+//   increment(key, ttlMs) -> count after adding one; the key expires ttlMs after it was created
+//   decrement(key)        -> count after taking one back (never below 0)
+// The default store keeps counters in process memory, which is enough for a single server.
+// Call setRateLimitStore() at startup to share counters between instances (e.g. Redis).
+
+export class MemoryStore {
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  sweep() {
+    const current = this.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= current) this.entries.delete(key);
+    }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.expiresAt > this.now() ? entry.count : 0;
+  }
+
+  async increment(key, ttlMs) {
+    if (this.entries.size > 10000) this.sweep();
+    const current = this.now();
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= current) {
+      this.entries.set(key, { count: 1, expiresAt: current + ttlMs });
+      return 1;
+    }
+    entry.count += 1;
+    return entry.count;
+  }
+
+  async decrement(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= this.now()) return 0;
+    entry.count = Math.max(0, entry.count - 1);
+    return entry.count;
+  }
+}
+
+let store = new MemoryStore();
+
+export function setRateLimitStore(nextStore) {
+  store = nextStore;
+}
+
+export function getRateLimitStore() {
+  return store;
+}
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function envLimit(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.floor(parsed) : fallback;
+}
+
+// Per-minute limits per user; the per-IP limit is four times higher so people behind one
+// address are not throttled by each other. A limit of 0 turns the check off.
+export function rateLimits() {
+  const runs = envLimit('RATE_LIMIT_RUNS_PER_MINUTE', 5);
+  const chat = envLimit('RATE_LIMIT_CHAT_PER_MINUTE', 10);
+  return {
+    run: { label: 'test runs', perUser: runs, perIp: runs * 4, windowMs: MINUTE_MS },
+    chat: { label: 'chat messages', perUser: chat, perIp: chat * 4, windowMs: MINUTE_MS },
+    dailyRuns: envLimit('RUN_DAILY_QUOTA', 20)
+  };
+}
+
+export class RateLimitError extends Error {
+  constructor(message, { code = 'rate_limited', retryAfterSeconds, limit }) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = 429;
+    this.code = code;
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.limit = limit;
+  }
+}
+
+export function sendRateLimited(res, error, label = '[UniTest]') {
+  console.warn(`${label} ${error.message}`);
+  res.setHeader('Retry-After', String(error.retryAfterSeconds));
+  return res.status(429).json({
+    error: error.message,
+    code: error.code,
+    retryAfter: error.retryAfterSeconds,
+    limit: error.limit
+  });
+}
+
+// The socket address, or the first X-Forwarded-For hop when TRUST_PROXY is set.
+export function clientIp(req) {
+  if (process.env.TRUST_PROXY) {
+    const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+function secondsUntil(resetAt, now) {
+  return Math.max(1, Math.ceil((resetAt - now) / 1000));
+}
+
+// Counts one attempt at `action` ('run' or 'chat') for the user and their IP address and throws
+// a RateLimitError when either is over its limit for the current window.
+export async function consumeRateLimit(req, user, action, now = Date.now()) {
+  const limits = rateLimits()[action];
+  const window = Math.floor(now / limits.windowMs);
+  const resetAt = (window + 1) * limits.windowMs;
+
+  const checks = [
+    [`${action}:user:${user.id}`, limits.perUser],
+    [`${action}:ip:${clientIp(req)}`, limits.perIp]
+  ];
+  for (const [key, limit] of checks) {
+    if (!limit) continue;
+    const count = await store.increment(`${key}:${window}`, resetAt - now);
+    if (count > limit) {
+      const retryAfterSeconds = secondsUntil(resetAt, now);
+      throw new RateLimitError(`Too many ${limits.label}. Try again in ${formatWait(retryAfterSeconds)}.`, { retryAfterSeconds, limit });
+    }
+  }
+}
+
+function quotaKey(user, now) {
+  return `quota:runs:${user.id}:${new Date(now).toISOString().slice(0, 10)}`;
+}
+
+// The daily quota counts test runs that were actually enqueued, per UTC day. A run is taken from
+// the quota in one increment before it is enqueued, so concurrent starts cannot both pass the
+// last free slot; the returned release gives it back when no run was started after all (reused
+// and joined runs, failed requests).
+export async function consumeRunQuota(user, now = Date.now()) {
+  const quota = rateLimits().dailyRuns;
+  if (!quota) return async () => {};
+  const key = quotaKey(user, now);
+  const midnight = (Math.floor(now / DAY_MS) + 1) * DAY_MS;
+  const used = await store.increment(key, midnight - now);
+  if (used > quota) {
+    await store.decrement(key);
+    const retryAfterSeconds = secondsUntil(midnight, now);
+    throw new RateLimitError(
+      `Daily limit of ${quota} test runs reached. Try again in ${formatWait(retryAfterSeconds)}.`,
+      { code: 'quota_exceeded', retryAfterSeconds, limit: quota }
+    );
+  }
+
+  let released = false;
+  return async () => {
+    if (released) return;
+    released = true;
+    await store.decrement(key);
+  };
+}
@@ -0,0 +1,36 @@
+// Access tokens must never reach a page, even if an agent prints one. Everything read from RA
+// passes through redactSecrets, which replaces known token formats and credentials embedded in
+// URLs. Tokens without a recognizable format (e.g. Gitea's hex tokens) rely on the prompt
+// telling the agent never to output them.
+export const REDACTED = '[REDACTED]';
+
+const TOKEN_PATTERNS = [
+  // GitHub personal, OAuth, user-to-server, server-to-server and refresh tokens, fine-grained PATs
+  /\bgh[pousr]_[A-Za-z0-9]{36,255}\b/g,
+  /\bgithub_pat_[A-Za-z0-9_]{22,255}\b/g,
+  // GitLab personal, OAuth, deploy, runner, pipeline trigger and feed tokens
+  /\bgl(?:pat|oas|dt|rt|cbt|ptt|ft|imt|soat)-[A-Za-z0-9_-]{20,}/g,
+  // Bitbucket / Atlassian access tokens and app passwords
+  /\bAT(?:BB|ATT|CTT)[A-Za-z0-9_=.-]{20,}/g
+];
+
+// user:password@ (or token@) in URLs
+const URL_CREDENTIALS = /\b(https?:\/\/)[^\s/@:]+(?::[^\s/@]*)?@/g;
+
+export function redactText(text) {
+  let redacted = text.replace(URL_CREDENTIALS, `$1${REDACTED}@`);
+  for (const pattern of TOKEN_PATTERNS) {
+    redacted = redacted.replace(pattern, REDACTED);
+  }
+  return redacted;
+}
+
+// Deep copy of `value` with every string redacted.
+export function redactSecrets(value) {
+  if (typeof value === 'string') return redactText(value);
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactSecrets(item)]));
+  }
+  return value;
+}
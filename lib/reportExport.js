@@ -0,0 +1,210 @@
+import { coverageTone, formatPercent } from './format';
+import { extractGeneratedFiles } from './generatedFiles';
+import { escapeHtml, renderReport } from './markdown';
+import { normalizeRunOptions } from './options';
+import { commitUrl, repoKey, repoWebUrl } from './providers';
+import { extractResults } from './results';
+
+// Completed test runs exported for archiving outside the app: a standalone HTML file (styles
+// inlined, no scripts and nothing loaded from anywhere), the same document laid out for
+// printing to PDF, and the structured data as JSON.
+export const REPORT_SCHEMA_ID = 'unitest.report/v1';
+
+const MAX_TESTS = 500;
+
+// Exports are read far from the server, so times are given in UTC rather than its timezone.
+function formatUtc(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+  return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function reportMarkdown(resp) {
+  const items = Array.isArray(resp?.output_content) ? resp.output_content : [];
+  return items
+    .filter((item) => ['markdown', 'text'].includes(String(item?.type || '').toLowerCase()) && typeof item.content === 'string')
+    .map((item) => item.content)
+    .join('\n\n');
+}
+
+function describeTarget(target) {
+  if (!target) return 'the default branch';
+  if (target.kind === 'pull') return `pull request #${target.number}`;
+  return target.ref || 'the default branch';
+}
+
+// Everything the exports show, from the agent's repository and a completed test run.
+export function reportExportData({ agent, repo, resp, exportedAt = new Date().toISOString() }) {
+  const metadata = resp.metadata || {};
+  return {
+    schema: REPORT_SCHEMA_ID,
+    exported_at: exportedAt,
+    repository: { ...repo, full_name: repoKey(repo), url: repoWebUrl(repo) },
+    agent,
+    response: {
+      id: resp.id,
+      status: resp.status,
+      created_at: resp.created_at ?? null,
+      updated_at: resp.updated_at ?? null
+    },
+    target: metadata.target ?? null,
+    options: normalizeRunOptions(metadata.options),
+    started_by: metadata.started_by ?? null,
+    template: metadata.template ?? null,
+    results: extractResults(resp),
+    generated_files: extractGeneratedFiles(resp)?.files.map(({ path, status }) => ({ path, status })) ?? [],
+    report: reportMarkdown(resp)
+  };
+}
+
+function renderSummary({ results, options }) {
+  const { coverage, totals } = results;
+  const stat = (label, value, tone = '') => `<div class="stat${tone ? ` stat--${tone}` : ''}"><span class="stat__value">${escapeHtml(value)}</span><span class="stat__label">${label}</span></div>`;
+  return `<section class="summary">
+${stat('Coverage before', formatPercent(coverage.before), coverageTone(coverage.before, options.coverage_target))}
+${stat('Coverage after', formatPercent(coverage.after), coverageTone(coverage.after, options.coverage_target))}
+${stat('Tests', totals.total ?? '—')}
+${stat('Passed', totals.passed ?? '—', totals.passed ? 'good' : '')}
+${stat('Failed', totals.failed ?? '—', totals.failed ? 'poor' : '')}
+${stat('Skipped', totals.skipped ?? '—')}
+</section>`;
+}
+
+function renderFiles({ results, options }) {
+  if (!results.files.length) return '';
+  const rows = results.files.map((file) => `<tr><td><code>${escapeHtml(file.path)}</code></td><td class="num tone--${coverageTone(file.coverage, options.coverage_target)}">${formatPercent(file.coverage)}</td><td class="num">${escapeHtml(file.lines_uncovered ?? '—')}</td><td>${escapeHtml(file.uncovered_ranges ?? '')}</td></tr>`);
+  return `<h2>Coverage by file</h2>
+<table><thead><tr><th>File</th><th class="num">Coverage</th><th class="num">Uncovered lines</th><th>Uncovered ranges</th></tr></thead>
+<tbody>${rows.join('')}</tbody></table>`;
+}
+
+// Failing tests first, so a long list cut off at MAX_TESTS still shows them
+function renderTests({ results }) {
+  if (!results.tests.length) return '';
+  const order = { failed: 0, skipped: 1, passed: 2 };
+  const tests = [...results.tests].sort((a, b) => (order[a.status] ?? 3) - (order[b.status] ?? 3));
+  const rows = tests.slice(0, MAX_TESTS).map((test) => {
+    const message = test.message ? `<pre class="test-message">${escapeHtml(test.message)}</pre>` : '';
+    return `<tr><td><code>${escapeHtml(test.name)}</code>${test.generated ? ' <span class="tag">new</span>' : ''}${message}</td><td>${escapeHtml(test.file ?? '—')}</td><td class="status status--${escapeHtml(test.status)}">${escapeHtml(test.status)}</td></tr>`;
+  });
+  const more = tests.length > MAX_TESTS ? `<p class="note">${tests.length - MAX_TESTS} more tests are in the JSON export.</p>` : '';
+  return `<h2>Tests</h2>
+<table><thead><tr><th>Test</th><th>File</th><th>Status</th></tr></thead>
+<tbody>${rows.join('')}</tbody></table>${more}`;
+}
+
+function renderGeneratedFiles({ generated_files: files }) {
+  if (!files.length) return '';
+  const items = files.map((file) => `<li><code>${escapeHtml(file.path)}</code>${file.status === 'created' ? '' : ' (changed)'}</li>`);
+  return `<h2>Generated test files</h2>\n<ul>${items.join('')}</ul>`;
+}
+
+function renderContents(outline) {
+  const headings = outline.filter((heading) => heading.level <= 3);
+  if (headings.length < 3) return '';
+  const top = Math.min(...headings.map((heading) => heading.level));
+  const items = headings.map((heading) => `<li class="toc__depth-${heading.level - top}"><a href="#${heading.id}">${escapeHtml(heading.text)}</a></li>`);
+  return `<nav class="toc"><p class="toc__title">Contents</p><ol>${items.join('')}</ol></nav>`;
+}
+
+const STYLES = `
+:root { color-scheme: light; --text: #1f2328; --muted: #59636e; --border: #d1d9e0; --surface: #f6f8fa; --accent: #0969da; --good: #1a7f37; --fair: #9a6700; --poor: #cf222e; }
+* { box-sizing: border-box; }
+body { margin: 0; background: #fff; color: var(--text); font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; }
+main { max-width: 960px; margin: 0 auto; padding: 2rem 1.5rem 4rem; }
+a { color: var(--accent); }
+h1 { font-size: 1.75rem; margin: 0 0 0.25rem; }
+h2 { font-size: 1.35rem; margin: 2rem 0 0.75rem; padding-bottom: 0.3rem; border-bottom: 1px solid var(--border); }
+h3 { font-size: 1.1rem; margin: 1.5rem 0 0.5rem; }
+.meta { margin: 0 0 1.5rem; color: var(--muted); }
+.meta code { color: var(--text); }
+.note { color: var(--muted); font-size: 0.9rem; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; background: var(--surface); padding: 0.1em 0.3em; border-radius: 4px; }
+pre { overflow-x: auto; background: var(--surface); border: 1px solid var(--border); border-radius: 6px; padding: 0.75rem 1rem; }
+pre code { background: none; padding: 0; }
+table { width: 100%; border-collapse: collapse; margin: 0.75rem 0; font-size: 0.9rem; }
+th, td { border: 1px solid var(--border); padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: var(--surface); }
+.num { text-align: right; white-space: nowrap; }
+blockquote { margin: 0; padding: 0 1rem; color: var(--muted); border-left: 4px solid var(--border); }
+img { max-width: 100%; }
+.summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr)); gap: 0.75rem; margin: 1rem 0 1.5rem; }
+.stat { border: 1px solid var(--border); border-radius: 6px; padding: 0.75rem; }
+.stat__value { display: block; font-size: 1.5rem; font-weight: 600; }
+.stat__label { color: var(--muted); font-size: 0.85rem; }
+.stat--good .stat__value, .tone--good, .status--passed { color: var(--good); }
+.stat--fair .stat__value, .tone--fair, .status--skipped { color: var(--fair); }
+.stat--poor .stat__value, .tone--poor, .status--failed { color: var(--poor); }
+.tag { font-size: 0.75rem; border: 1px solid var(--accent); color: var(--accent); border-radius: 999px; padding: 0 0.4rem; }
+.test-message { margin: 0.4rem 0 0; font-size: 0.8rem; white-space: pre-wrap; }
+.toc { border: 1px solid var(--border); border-radius: 6px; padding: 0.75rem 1rem; margin: 1rem 0; }
+.toc__title { margin: 0 0 0.25rem; font-weight: 600; }
+.toc ol { margin: 0; padding-left: 1.25rem; }
+.toc__depth-1 { margin-left: 1rem; }
+.toc__depth-2 { margin-left: 2rem; }
+.report { margin-top: 2rem; }
+.hljs-comment, .hljs-quote { color: #59636e; font-style: italic; }
+.hljs-keyword, .hljs-selector-tag, .hljs-literal, .hljs-doctag { color: #cf222e; }
+.hljs-string, .hljs-regexp, .hljs-addition { color: #0a3069; }
+.hljs-number, .hljs-symbol, .hljs-variable.language_ { color: #0550ae; }
+.hljs-title, .hljs-section { color: #8250df; }
+.hljs-built_in, .hljs-type, .hljs-attr, .hljs-attribute { color: #953800; }
+.hljs-meta, .hljs-tag, .hljs-name { color: #116329; }
+.hljs-deletion { color: #82071e; background: #ffebe9; }
+`;
+
+const PRINT_STYLES = `
+@page { size: A4; margin: 16mm 14mm; }
+body { font-size: 11pt; }
+main { max-width: none; padding: 0; }
+.print-hint { border: 1px dashed var(--border); border-radius: 6px; padding: 0.5rem 0.75rem; color: var(--muted); }
+h2, h3 { break-after: avoid; }
+tr, pre, .stat { break-inside: avoid; }
+pre { white-space: pre-wrap; word-break: break-word; }
+a[href^="http"]::after { content: " (" attr(href) ")"; color: var(--muted); font-size: 0.85em; word-break: break-all; }
+@media print { .print-hint { display: none; } }
+`;
+
+// A complete HTML document for a completed test run. `print` lays it out for printing (A4
+// pages, link targets written out, folded output expanded).
+export function renderStandaloneReport(data, { print = false } = {}) {
+  const { repository, target, response } = data;
+  // Images would be fetched from wherever the report points whenever the file is opened
+  const { html, outline } = renderReport(data.report, { images: false });
+  const sha = target?.sha || null;
+  const commit = sha ? commitUrl(repository, sha) : null;
+  const title = `UniTest report: ${repository.full_name} (${describeTarget(target)})`;
+  const shortSha = sha ? `<code>${escapeHtml(sha.slice(0, 7))}</code>` : '';
+  const meta = [
+    `Tested <a href="${escapeHtml(repository.url)}">${escapeHtml(repository.full_name)}</a> on ${escapeHtml(describeTarget(target))}${sha ? ` at ${commit ? `<a href="${escapeHtml(commit)}">${shortSha}</a>` : shortSha}` : ''}${target?.path ? `, package <code>${escapeHtml(target.path)}</code>` : ''}.`,
+    `Report produced ${escapeHtml(formatUtc(response.updated_at || response.created_at) || 'at an unknown time')}${data.started_by ? `, started by ${escapeHtml(data.started_by.login)}` : ''}; exported ${escapeHtml(formatUtc(data.exported_at))}.`
+  ];
+  // Nothing can be unfolded on paper
+  const body = print ? html.replace(/<details>/g, '<details open>') : html;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}${print ? PRINT_STYLES : ''}</style>
+</head>
+<body>
+<main>
+${print ? '<p class="print-hint">Use your browser\'s Print command and choose "Save as PDF" to keep this report as a PDF.</p>\n' : ''}<h1>UniTest report</h1>
+<p class="meta">${meta.join('<br>')}</p>
+${renderSummary(data)}
+${renderFiles(data)}
+${renderTests(data)}
+${renderGeneratedFiles(data)}
+<section class="report">
+<h2>Agent report</h2>
+${renderContents(outline)}
+${body}
+</section>
+</main>
+</body>
+</html>
+`;
+}
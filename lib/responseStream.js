@@ -0,0 +1,115 @@
+import { getAgent, getResponse } from './ra';
+import { isTerminal } from './runs';
+import { withResults } from './results';
+
+export const POLL_INTERVAL_MS = 3000;
+
+// One upstream poll loop per agent response, shared by every connected browser.
+// Keyed by `${agent}/${responseId}`; lives on globalThis so dev-mode reloads reuse it.
+const streams = globalThis.__unitestResponseStreams || new Map();
+globalThis.__unitestResponseStreams = streams;
+
+function signatureOf(payload) {
+  const segments = Array.isArray(payload?.segments) ? payload.segments.length : 0;
+  const output = Array.isArray(payload?.output_content) ? payload.output_content.length : 0;
+  return `${payload?.status}|${payload?.updated_at}|${segments}|${output}`;
+}
+
+function broadcast(entry, event, data) {
+  for (const listener of entry.listeners) {
+    listener(event, data);
+  }
+}
+
+async function pollOnce(entry) {
+  const payload = withResults(await getResponse(entry.agent, entry.responseId));
+  const signature = signatureOf(payload);
+  if (signature !== entry.signature) {
+    entry.signature = signature;
+    entry.last = payload;
+    broadcast(entry, 'response', payload);
+  }
+
+  if (isTerminal(payload?.status)) {
+    broadcast(entry, 'end', { status: payload.status });
+    stop(entry);
+    return;
+  }
+
+  if (entry.watchAgentState) {
+    const agentData = await getAgent(entry.agent);
+    if (agentData?.state && agentData.state !== entry.agentState) {
+      entry.agentState = agentData.state;
+      broadcast(entry, 'agent-state', { state: agentData.state });
+    }
+  }
+}
+
+// RA answers a deleted response or agent (404) and other client errors the same way on every
+// poll; timeouts, rate limits, network and server errors may clear up and are polled again.
+function isPermanent(err) {
+  const status = err?.upstreamStatus;
+  return typeof status === 'number' && status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+async function tick(entry) {
+  if (entry.stopped) return;
+  try {
+    await pollOnce(entry);
+  } catch (err) {
+    console.error('[UniTest Stream] Upstream poll failed:', err.message);
+    if (isPermanent(err)) {
+      const code = err.upstreamStatus === 404 ? 'not_found' : err.code ?? null;
+      broadcast(entry, 'end', { status: 'error', error: err.message, code });
+      stop(entry);
+      return;
+    }
+    broadcast(entry, 'poll-error', { error: err.message, code: err.code ?? null });
+  }
+  if (!entry.stopped) {
+    entry.timer = setTimeout(() => tick(entry), POLL_INTERVAL_MS);
+  }
+}
+
+function stop(entry) {
+  entry.stopped = true;
+  clearTimeout(entry.timer);
+  if (streams.get(entry.key) === entry) streams.delete(entry.key);
+}
+
+// Registers a listener `(event, data)` for a response and returns an unsubscribe function.
+// The upstream loop starts with the first listener and stops with the last one, on a
+// terminal status, or when RA refuses the poll for good (`end` with status 'error').
+export function subscribe(agent, responseId, listener, { watchAgentState = false } = {}) {
+  const key = `${agent}/${responseId}`;
+  let entry = streams.get(key);
+
+  if (!entry) {
+    entry = {
+      key,
+      agent,
+      responseId,
+      listeners: new Set(),
+      watchAgentState,
+      agentState: null,
+      signature: null,
+      last: null,
+      timer: null,
+      stopped: false
+    };
+    streams.set(key, entry);
+    entry.listeners.add(listener);
+    tick(entry);
+  } else {
+    entry.listeners.add(listener);
+    entry.watchAgentState = entry.watchAgentState || watchAgentState;
+    // Late joiners get the latest known state straight away
+    if (entry.last) listener('response', entry.last);
+    if (entry.agentState) listener('agent-state', { state: entry.agentState });
+  }
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) stop(entry);
+  };
+}
@@ -0,0 +1,495 @@
+import { isTestRunResponse } from './runs';
+
+export const RESULTS_SCHEMA_ID = 'unitest.results/v1';
+
+const TEST_STATUSES = ['passed', 'failed', 'skipped'];
+const SCENARIOS = ['A', 'B', 'C'];
+
+const nullableNumber = { type: ['number', 'null'] };
+const nullablePercent = { type: ['number', 'null'], minimum: 0, maximum: 100 };
+const nullableString = { type: ['string', 'null'] };
+
+// JSON Schema the agent is asked to follow for its `json` output item.
+export const RESULTS_JSON_SCHEMA = {
+  type: 'object',
+  required: ['schema', 'scenario', 'frameworks', 'coverage', 'totals', 'files', 'tests'],
+  properties: {
+    schema: { const: RESULTS_SCHEMA_ID },
+    scenario: { enum: SCENARIOS },
+    frameworks: { type: 'array', items: { type: 'string' } },
+    coverage: {
+      type: 'object',
+      required: ['before', 'after'],
+      properties: { before: nullablePercent, after: nullablePercent }
+    },
+    totals: {
+      type: 'object',
+      required: ['total', 'passed', 'failed', 'skipped'],
+      properties: {
+        total: { type: 'integer' },
+        passed: { type: 'integer' },
+        failed: { type: 'integer' },
+        skipped: { type: 'integer' },
+        duration_ms: nullableNumber
+      }
+    },
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['path', 'coverage'],
+        properties: {
+          path: { type: 'string' },
+          coverage: { type: 'number', minimum: 0, maximum: 100 },
+          coverage_before: nullablePercent,
+          lines_total: nullableNumber,
+          lines_covered: nullableNumber,
+          lines_uncovered: nullableNumber,
+          uncovered_ranges: nullableString
+        }
+      }
+    },
+    tests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'status'],
+        properties: {
+          name: { type: 'string' },
+          file: nullableString,
+          status: { enum: TEST_STATUSES },
+          duration_ms: nullableNumber,
+          message: nullableString,
+          generated: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+const KNOWN_FRAMEWORKS = [
+  ['Jest', /\bjest\b/i],
+  ['Vitest', /\bvitest\b/i],
+  ['Mocha', /\bmocha\b/i],
+  ['Jasmine', /\bjasmine\b/i],
+  ['AVA', /\bava\b/],
+  ['pytest', /\bpytest\b/i],
+  ['unittest', /\bunittest\b/],
+  ['RSpec', /\brspec\b/i],
+  ['Minitest', /\bminitest\b/i],
+  ['JUnit', /\bjunit\b/i],
+  ['TestNG', /\btestng\b/i],
+  ['go test', /\bgo test\b/i],
+  ['cargo test', /\bcargo test\b/i],
+  ['PHPUnit', /\bphpunit\b/i],
+  ['xUnit', /\bxunit\b/i],
+  ['NUnit', /\bnunit\b/i],
+  ['Playwright', /\bplaywright\b/i],
+  ['Cypress', /\bcypress\b/i]
+];
+
+const PERCENT_PATTERN = /(\d{1,3}(?:\.\d+)?)\s*%/g;
+
+function percentages(text) {
+  return Array.from(String(text).matchAll(PERCENT_PATTERN), (m) => Number(m[1])).filter((n) => n <= 100);
+}
+
+function stripMarkup(value) {
+  return String(value || '')
+    .replace(/`/g, '')
+    .replace(/\*\*|__/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .trim();
+}
+
+export function normalizeTestStatus(value) {
+  const text = String(value || '').toLowerCase();
+  if (/✅|✔|\bpass(ed|ing)?\b|\bok\b|\bsuccess/.test(text)) return 'passed';
+  if (/❌|✖|✗|\bfail(ed|ing|ure)?\b|\berror(ed)?\b/.test(text)) return 'failed';
+  if (/⏭|⚠|\bskip(ped)?\b|\bpending\b|\bxfail\b|\bignored\b/.test(text)) return 'skipped';
+  return null;
+}
+
+function parseDuration(value) {
+  const match = String(value || '').match(/(\d+(?:\.\d+)?)\s*(ms|s|sec|seconds?)?\b/i);
+  if (!match) return null;
+  const amount = Number(match[1]);
+  return /^s/i.test(match[2] || '') ? Math.round(amount * 1000) : amount;
+}
+
+export function parseJsonContent(content) {
+  if (typeof content !== 'string') return content;
+  try {
+    return JSON.parse(content);
+  } catch (_) {
+    return null;
+  }
+}
+
+// The structured results item is a `json` output item tagged with RESULTS_SCHEMA_ID.
+export function isResultsItem(item) {
+  if (!item || String(item.type || '').toLowerCase() !== 'json') return false;
+  return parseJsonContent(item.content)?.schema === RESULTS_SCHEMA_ID;
+}
+
+function findResultsItem(resp) {
+  const items = Array.isArray(resp?.output_content) ? resp.output_content : [];
+  const item = items.find(isResultsItem);
+  return item ? parseJsonContent(item.content) : null;
+}
+
+function markdownOutput(resp) {
+  const items = Array.isArray(resp?.output_content) ? resp.output_content : [];
+  return items
+    .filter((item) => ['markdown', 'text'].includes(String(item?.type || '').toLowerCase()))
+    .map((item) => (typeof item.content === 'string' ? item.content : ''))
+    .join('\n\n');
+}
+
+// Splits markdown into pipe tables: [{ header: [...], rows: [[...], ...] }]
+function parseTables(markdown) {
+  const tables = [];
+  let current = null;
+
+  for (const rawLine of markdown.split('\n')) {
+    const line = rawLine.trim();
+    if (!line.startsWith('|')) {
+      current = null;
+      continue;
+    }
+    const cells = line.replace(/^\||\|$/g, '').split('|').map((cell) => cell.trim());
+    if (!current) {
+      current = { header: cells.map((cell) => stripMarkup(cell).toLowerCase()), rows: [] };
+      tables.push(current);
+    } else if (!cells.every((cell) => /^:?-{2,}:?$/.test(cell))) {
+      current.rows.push(cells);
+    }
+  }
+
+  return tables;
+}
+
+function findColumn(header, pattern) {
+  return header.findIndex((cell) => pattern.test(cell));
+}
+
+function extractCoverage(markdown) {
+  const coverage = { before: null, after: null };
+
+  for (const line of markdown.split('\n')) {
+    if (!/coverage/i.test(line)) continue;
+    const values = percentages(line);
+    if (values.length === 0) continue;
+
+    if (values.length >= 2 && /→|->|before|from/i.test(line)) {
+      coverage.before ??= values[0];
+      coverage.after ??= values[values.length - 1];
+    } else if (/before|initial|baseline|original/i.test(line)) {
+      coverage.before ??= values[0];
+    } else {
+      coverage.after ??= values[values.length - 1];
+    }
+
+    if (coverage.before !== null && coverage.after !== null) break;
+  }
+
+  return coverage;
+}
+
+function extractCount(markdown, label) {
+  const patterns = [
+    new RegExp(`(\\d+)\\s+(?:tests?\\s+)?${label}`, 'i'),
+    new RegExp(`${label}(?:\\s+tests?)?\\s*(?:\\*\\*)?\\s*[:|]\\s*(?:\\*\\*)?\\s*(\\d+)`, 'i')
+  ];
+  for (const pattern of patterns) {
+    const match = markdown.match(pattern);
+    if (match) return Number(match[1]);
+  }
+  return null;
+}
+
+function extractFiles(tables) {
+  const files = new Map();
+
+  for (const { header, rows } of tables) {
+    const fileCol = findColumn(header, /file|module|path/);
+    if (fileCol === -1) continue;
+    let coverageCol = findColumn(header, /after|final/);
+    if (coverageCol === -1) coverageCol = findColumn(header, /cover|%|lines/);
+    if (coverageCol === -1 || coverageCol === fileCol) continue;
+
+    const beforeCol = findColumn(header, /before|initial/);
+    const uncoveredCol = findColumn(header, /uncovered|missing|miss/);
+
+    for (const row of rows) {
+      const path = stripMarkup(row[fileCol]);
+      const [value] = percentages(row[coverageCol] || '');
+      if (!path || value === undefined || /^total|^overall|^all files/i.test(path)) continue;
+      const [before] = beforeCol !== -1 && beforeCol !== coverageCol ? percentages(row[beforeCol] || '') : [];
+      const uncovered = uncoveredCol !== -1 ? stripMarkup(row[uncoveredCol]) : '';
+      files.set(path, {
+        path,
+        coverage: value,
+        coverage_before: before ?? null,
+        lines_total: null,
+        lines_covered: null,
+        lines_uncovered: /^\d+$/.test(uncovered) ? Number(uncovered) : null,
+        uncovered_ranges: uncovered && !/^\d+$/.test(uncovered) ? uncovered : null
+      });
+    }
+  }
+
+  return Array.from(files.values());
+}
+
+function extractTests(markdown, tables) {
+  const tests = new Map();
+
+  for (const { header, rows } of tables) {
+    const nameCol = findColumn(header, /test/);
+    const statusCol = findColumn(header, /status|result|outcome/);
+    if (nameCol === -1 || statusCol === -1 || nameCol === statusCol) continue;
+    const fileCol = findColumn(header, /file|module|suite/);
+    const durationCol = findColumn(header, /duration|time/);
+    const messageCol = findColumn(header, /message|error|reason|details/);
+
+    for (const row of rows) {
+      const name = stripMarkup(row[nameCol]);
+      const status = normalizeTestStatus(row[statusCol]);
+      if (!name || !status) continue;
+      const file = fileCol !== -1 && fileCol !== nameCol ? stripMarkup(row[fileCol]) || null : null;
+      tests.set(`${file || ''}::${name}`, {
+        name,
+        file,
+        status,
+        duration_ms: durationCol !== -1 ? parseDuration(row[durationCol]) : null,
+        message: messageCol !== -1 ? stripMarkup(row[messageCol]) || null : null,
+        generated: false
+      });
+    }
+  }
+
+  // Bullet lists such as "- ✅ test_parse_empty_input"
+  for (const match of markdown.matchAll(/^\s*[-*]\s*(✅|❌|⏭️?|⚠️?)\s+(.+)$/gm)) {
+    const name = stripMarkup(match[2]).split(/\s+[-–—:]\s+/)[0];
+    if (name && !Array.from(tests.values()).some((test) => test.name === name)) {
+      tests.set(`::${name}`, { name, file: null, status: normalizeTestStatus(match[1]), duration_ms: null, message: null, generated: false });
+    }
+  }
+
+  return Array.from(tests.values());
+}
+
+function executiveSummary(markdown) {
+  const match = markdown.match(/^#{1,6}[^\n]*executive summary[^\n]*\n([\s\S]*?)(?=^#{1,6}\s|(?![\s\S]))/im);
+  return match ? match[1] : '';
+}
+
+function extractScenario(markdown) {
+  const match = markdown.match(/scenario\s*[:\-]?\s*(?:\*\*)?\s*([ABC])\b/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+function extractFrameworks(markdown) {
+  return KNOWN_FRAMEWORKS.filter(([, pattern]) => pattern.test(markdown)).map(([label]) => label);
+}
+
+// Best-effort extraction of the numbers in a run's markdown report. The
+// executive summary is preferred; the rest of the report fills the gaps.
+export function extractResultsFromMarkdown(markdown) {
+  const text = String(markdown || '');
+  const summary = executiveSummary(text);
+  const tables = parseTables(text);
+  const tests = extractTests(text, tables);
+
+  const countOf = (status) => tests.filter((test) => test.status === status).length;
+  const count = (label) => (summary ? extractCount(summary, label) : null) ?? extractCount(text, label);
+  const passed = count('passed') ?? (tests.length ? countOf('passed') : null);
+  const failed = count('failed') ?? (tests.length ? countOf('failed') : null);
+  const skipped = count('skipped') ?? (tests.length ? countOf('skipped') : null);
+  let total = count('total') ?? (tests.length || null);
+  if (total === null && passed !== null) total = passed + (failed || 0) + (skipped || 0);
+
+  const summaryCoverage = extractCoverage(summary);
+  const reportCoverage = extractCoverage(text);
+
+  return {
+    schema: RESULTS_SCHEMA_ID,
+    scenario: extractScenario(text),
+    frameworks: extractFrameworks(text),
+    coverage: {
+      before: summaryCoverage.before ?? reportCoverage.before,
+      after: summaryCoverage.after ?? reportCoverage.after
+    },
+    totals: { total, passed, failed, skipped, duration_ms: null },
+    files: extractFiles(tables),
+    tests
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Minimal JSON Schema check covering the keywords the output item schemas use.
+function checkSchema(schema, value, path, errors) {
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    return;
+  }
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const actual = typeOf(value);
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      errors.push(`${path} must be ${allowed.join(' or ')}`);
+      return;
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (key in value) checkSchema(child, value[key], `${path}.${key}`, errors);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((entry, index) => checkSchema(schema.items, entry, `${path}[${index}]`, errors));
+  }
+}
+
+// Messages such as `$.totals.total must be integer`; empty when `value` matches.
+export function schemaErrors(schema, value) {
+  const errors = [];
+  checkSchema(schema, value, '$', errors);
+  return errors;
+}
+
+// Validates the agent's structured results and fills optional fields with nulls.
+export function validateResults(value) {
+  const errors = schemaErrors(RESULTS_JSON_SCHEMA, value);
+  if (errors.length) return { results: null, errors };
+
+  return {
+    results: {
+      schema: RESULTS_SCHEMA_ID,
+      scenario: value.scenario,
+      frameworks: value.frameworks,
+      coverage: { before: value.coverage.before, after: value.coverage.after },
+      totals: {
+        total: value.totals.total,
+        passed: value.totals.passed,
+        failed: value.totals.failed,
+        skipped: value.totals.skipped,
+        duration_ms: value.totals.duration_ms ?? null
+      },
+      files: value.files.map((file) => {
+        const linesTotal = file.lines_total ?? null;
+        const linesCovered = file.lines_covered ?? null;
+        return {
+          path: file.path,
+          coverage: file.coverage,
+          coverage_before: file.coverage_before ?? null,
+          lines_total: linesTotal,
+          lines_covered: linesCovered,
+          lines_uncovered: file.lines_uncovered ?? (linesTotal !== null && linesCovered !== null ? linesTotal - linesCovered : null),
+          uncovered_ranges: file.uncovered_ranges ?? null
+        };
+      }),
+      tests: value.tests.map((test) => ({
+        name: test.name,
+        file: test.file ?? null,
+        status: test.status,
+        duration_ms: test.duration_ms ?? null,
+        message: test.message ?? null,
+        generated: Boolean(test.generated)
+      }))
+    },
+    errors: []
+  };
+}
+
+// Structured results for a run: the validated `json` output item when the agent
+// provided one, otherwise whatever can be recovered from the markdown report.
+export function extractResults(resp) {
+  const structured = findResultsItem(resp);
+  if (structured) {
+    const { results, errors } = validateResults(structured);
+    if (results) return { ...results, source: 'json', validation_errors: [] };
+    return { ...extractResultsFromMarkdown(markdownOutput(resp)), source: 'markdown', validation_errors: errors };
+  }
+  return { ...extractResultsFromMarkdown(markdownOutput(resp)), source: 'markdown', validation_errors: [] };
+}
+
+// Attaches parsed results to completed test runs before they are sent to the browser.
+export function withResults(resp) {
+  if (!resp || typeof resp !== 'object') return resp;
+  if (String(resp.status || '').toLowerCase() !== 'completed' || !isTestRunResponse(resp)) return resp;
+  return { ...resp, results: extractResults(resp) };
+}
+
+// Headline numbers for a run, used by the history timeline.
+export function summarizeResults(results) {
+  if (!results) return { coverage: null, passed: null, failed: null, total: null };
+  return {
+    coverage: results.coverage?.after ?? results.coverage?.before ?? null,
+    passed: results.totals?.passed ?? null,
+    failed: results.totals?.failed ?? null,
+    total: results.totals?.total ?? null
+  };
+}
+
+function testKey(test) {
+  return `${test.file || ''}::${test.name}`;
+}
+
+// Per-file coverage delta and test status changes between two runs.
+export function compareResults(base, head) {
+  const baseFiles = new Map((base?.files || []).map((file) => [file.path, file]));
+  const headFiles = new Map((head?.files || []).map((file) => [file.path, file]));
+  const paths = Array.from(new Set([...baseFiles.keys(), ...headFiles.keys()]));
+
+  const files = paths.map((path) => {
+    const before = baseFiles.get(path)?.coverage ?? null;
+    const after = headFiles.get(path)?.coverage ?? null;
+    const delta = before !== null && after !== null ? Math.round((after - before) * 100) / 100 : null;
+    return { path, before, after, delta };
+  }).sort((a, b) => Math.abs(b.delta ?? 0) - Math.abs(a.delta ?? 0) || a.path.localeCompare(b.path));
+
+  const baseTests = new Map((base?.tests || []).map((test) => [testKey(test), test]));
+  const newlyFailed = [];
+  const fixed = [];
+
+  for (const test of head?.tests || []) {
+    const previous = baseTests.get(testKey(test));
+    if (test.status === 'failed' && previous?.status !== 'failed') {
+      newlyFailed.push({ name: test.name, file: test.file, isNew: !previous });
+    } else if (test.status === 'passed' && previous?.status === 'failed') {
+      fixed.push({ name: test.name, file: test.file });
+    }
+  }
+
+  const baseCoverage = summarizeResults(base).coverage;
+  const headCoverage = summarizeResults(head).coverage;
+
+  return {
+    coverageDelta: baseCoverage !== null && headCoverage !== null
+      ? Math.round((headCoverage - baseCoverage) * 100) / 100
+      : null,
+    files,
+    newlyFailed,
+    fixed
+  };
+}
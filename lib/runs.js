@@ -0,0 +1,82 @@
+export const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+export const TEST_RUN = 'test_run';
+export const CHAT = 'chat';
+
+export function isTerminal(status) {
+  if (!status) return false;
+  return TERMINAL_STATUSES.has(String(status).toLowerCase());
+}
+
+// Metadata attached to every test-generation response so runs can be told apart from chat replies.
+// `startedBy` is the signed-in user ({ id, login }) who asked for the run. `fork` records whether
+// a pull request's head branch lives in a fork (null for other targets).
+export function runMetadata(target, { supersedes = null, options = null, template = null, startedBy = null } = {}) {
+  return {
+    run_type: TEST_RUN,
+    template,
+    options,
+    target: {
+      type: target.type,
+      kind: target.kind,
+      ref: target.ref,
+      number: target.number,
+      sha: target.sha,
+      path: target.path ?? null,
+      fork: target.kind === 'pull' ? Boolean(target.fork) : null
+    },
+    supersedes,
+    started_by: startedBy
+  };
+}
+
+export function isTestRunResponse(resp) {
+  if (!resp || typeof resp !== 'object') return false;
+  if (resp.metadata?.run_type) return resp.metadata.run_type === TEST_RUN;
+
+  // Runs started before run metadata existed are recognised by their prompt:
+  // it contains "Clone" and "**Step 1:" keywords and is very long
+  const inputContent = resp.input_content?.[0]?.content || '';
+  return inputContent.length > 500 ||
+    (inputContent.includes('Clone') && inputContent.includes('**Step 1:'));
+}
+
+export function isChatResponse(resp) {
+  if (!resp || typeof resp !== 'object') return false;
+  if (resp.metadata?.run_type) return resp.metadata.run_type === CHAT;
+  return !isTestRunResponse(resp);
+}
+
+// Guarantees `segments` and `output_content` are arrays so the page can render partial responses.
+export function normalizeResponse(resp) {
+  if (!resp || typeof resp !== 'object') return null;
+  const segments = Array.isArray(resp.segments) ? resp.segments : [];
+  const output = Array.isArray(resp.output_content) ? resp.output_content : [];
+  return { ...resp, segments, output_content: output };
+}
+
+export function sortByNewest(responses) {
+  if (!Array.isArray(responses)) return [];
+  return [...responses].sort((a, b) => new Date(b?.created_at || 0) - new Date(a?.created_at || 0));
+}
+
+export function findLatestTestRun(responses) {
+  return sortByNewest(responses).find(isTestRunResponse) || null;
+}
+
+// When and against which commit a run's report was produced.
+export function runSummary(resp) {
+  if (!resp || !resp.id) return null;
+  return {
+    id: resp.id,
+    status: resp.status ?? null,
+    producedAt: resp.updated_at || resp.created_at || null,
+    sha: resp.metadata?.target?.sha ?? null,
+    startedBy: resp.metadata?.started_by?.login ?? null
+  };
+}
+
+export function findSupersededRun(responses, run) {
+  const previousId = run?.metadata?.supersedes;
+  if (!previousId || !Array.isArray(responses)) return null;
+  return runSummary(responses.find((r) => r?.id === previousId)) || { id: previousId, status: null, producedAt: null, sha: null, startedBy: null };
+}
@@ -0,0 +1,92 @@
+const COMMENTARY_TYPES = new Set(['commentary', 'message', 'text', 'thinking', 'reasoning']);
+const TOOL_CALL_TYPES = new Set(['tool_call', 'tool_use', 'function_call', 'action']);
+const TOOL_RESULT_TYPES = new Set(['tool_result', 'tool_output', 'function_result', 'observation', 'output']);
+
+function asText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(asText).filter(Boolean).join('\n');
+  if (typeof value === 'object' && typeof value.text === 'string') return value.text;
+  return JSON.stringify(value, null, 2);
+}
+
+function parseArgs(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return value;
+  }
+}
+
+// Normalises an RA response segment into { kind, title, body, command, timestamp }
+// for the activity log. Segment payloads vary by tool, so unknown shapes are shown as JSON.
+export function describeSegment(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const type = String(entry.type || '').toLowerCase();
+  const timestamp = entry.timestamp || entry.created_at || entry.at || entry.time || null;
+
+  if (COMMENTARY_TYPES.has(type)) {
+    const body = asText(entry.text ?? entry.content);
+    if (!body.trim()) return null;
+    return { kind: 'commentary', title: 'Commentary', body, command: null, timestamp };
+  }
+
+  if (TOOL_CALL_TYPES.has(type)) {
+    const tool = entry.tool || entry.name || entry.tool_name || entry.function?.name || 'tool';
+    const args = parseArgs(entry.args ?? entry.arguments ?? entry.input ?? entry.function?.arguments);
+    const command = typeof args === 'object' && args !== null
+      ? args.command || args.cmd || args.script || null
+      : null;
+    return {
+      kind: command ? 'command' : 'tool',
+      title: tool,
+      body: command ? '' : asText(args),
+      command: command ? asText(command) : null,
+      timestamp
+    };
+  }
+
+  if (TOOL_RESULT_TYPES.has(type)) {
+    const tool = entry.tool || entry.name || entry.tool_name || null;
+    return {
+      kind: 'output',
+      title: tool ? `${tool} output` : 'Output',
+      body: asText(entry.output ?? entry.result ?? entry.content ?? entry.text),
+      command: null,
+      timestamp
+    };
+  }
+
+  const { type: _type, ...rest } = entry;
+  return { kind: 'other', title: type || 'segment', body: asText(rest), command: null, timestamp };
+}
+
+// Latest commentary text, shown as the one-line progress message while a run is active.
+export function extractLatestCommentary(segments) {
+  if (!Array.isArray(segments)) return null;
+  for (let idx = segments.length - 1; idx >= 0; idx -= 1) {
+    const entry = segments[idx];
+    if (!entry || typeof entry !== 'object') continue;
+    const type = (entry.type || '').toLowerCase();
+    if (type === 'commentary') {
+      const text = entry?.text || entry?.content || '';
+      if (typeof text === 'string' && text.trim()) return text;
+    }
+  }
+  return null;
+}
+
+// Shortens commentary to one line of at most 140 characters, preferring its last sentence.
+export function formatCommentary(commentary) {
+  if (!commentary) return null;
+  const cleaned = String(commentary).replace(/\s+/g, ' ').trim();
+  if (!cleaned) return null;
+  if (cleaned.length <= 140) return cleaned;
+  const sentences = cleaned.split(/(?<=[.!?])\s+/).filter(Boolean);
+  if (sentences.length > 0) {
+    const lastSentence = sentences[sentences.length - 1];
+    if (lastSentence.length <= 140) return lastSentence;
+  }
+  return `${cleaned.slice(0, 137)}…`;
+}
@@ -0,0 +1,87 @@
+import { useEffect, useRef } from 'react';
+import { isTerminal } from './runs';
+
+const POLL_INTERVAL_MS = 3000;
+
+// Follows an agent response over Server-Sent Events, falling back to polling
+// the response proxy every 3 seconds when EventSource is unavailable or fails.
+export default function useResponseStream({ agentName, responseId, enabled, watchAgentState = false, onResponse, onAgentState, onError }) {
+  const handlers = useRef({ onResponse, onAgentState, onError });
+  handlers.current = { onResponse, onAgentState, onError };
+
+  useEffect(() => {
+    if (!agentName || !responseId || !enabled) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    let source = null;
+    let interval = null;
+    const basePath = `/api/ra/responses/${encodeURIComponent(agentName)}/${encodeURIComponent(responseId)}`;
+
+    const startPolling = () => {
+      interval = setInterval(async () => {
+        try {
+          const res = await fetch(basePath);
+          if (!res.ok) {
+            throw new Error(`Polling failed with status ${res.status}`);
+          }
+          const data = await res.json();
+          if (cancelled) return;
+          handlers.current.onResponse?.(data);
+          if (isTerminal(data?.status)) {
+            clearInterval(interval);
+            return;
+          }
+
+          if (watchAgentState && (data?.status === 'pending' || data?.status === 'processing')) {
+            const agentStateRes = await fetch(`/api/ra/agents/${encodeURIComponent(agentName)}/state`);
+            if (agentStateRes.ok && !cancelled) {
+              const agentData = await agentStateRes.json();
+              handlers.current.onAgentState?.(agentData.state);
+            }
+          }
+        } catch (err) {
+          if (!cancelled) handlers.current.onError?.(err);
+        }
+      }, POLL_INTERVAL_MS);
+    };
+
+    if (typeof window !== 'undefined' && typeof window.EventSource === 'function') {
+      source = new EventSource(`${basePath}/stream${watchAgentState ? '?watch_state=1' : ''}`);
+
+      source.addEventListener('response', (event) => {
+        const data = JSON.parse(event.data);
+        if (cancelled) return;
+        handlers.current.onResponse?.(data);
+        if (isTerminal(data?.status)) source.close();
+      });
+      source.addEventListener('agent-state', (event) => {
+        if (!cancelled) handlers.current.onAgentState?.(JSON.parse(event.data).state);
+      });
+      source.addEventListener('poll-error', (event) => {
+        if (!cancelled) handlers.current.onError?.(new Error(JSON.parse(event.data).error));
+      });
+      source.addEventListener('end', (event) => {
+        source.close();
+        // The server stops following a response RA no longer serves, e.g. after it was deleted
+        const data = JSON.parse(event.data || '{}');
+        if (data.error && !cancelled) handlers.current.onError?.(new Error(data.error));
+      });
+      source.onerror = () => {
+        // Fall back to plain polling when the stream cannot be kept open
+        source.close();
+        source = null;
+        if (!cancelled) startPolling();
+      };
+    } else {
+      startPolling();
+    }
+
+    return () => {
+      cancelled = true;
+      source?.close();
+      clearInterval(interval);
+    };
+  }, [agentName, responseId, enabled, watchAgentState]);
+}
@@ -0,0 +1,38 @@
+// Runs `next dev` against the mock RA server: `npm run dev:mock -- --scenario long-run`.
+// Accepts the same flags and MOCK_RA_* variables as mock/ra-server.mjs.
+import { spawn } from 'node:child_process';
+import { createRequire } from 'node:module';
+import { mockSettings, startMockRA } from './ra-server.mjs';
+
+const require = createRequire(import.meta.url);
+
+const settings = mockSettings();
+const mock = await startMockRA(settings);
+
+const nextBin = require.resolve('next/dist/bin/next');
+const app = spawn(process.execPath, [nextBin, 'dev', '-p', process.env.PORT || '8002', '-H', '0.0.0.0'], {
+  stdio: 'inherit',
+  env: {
+    ...process.env,
+    RA_HOST_URL: mock.url,
+    RA_APPS_UNITEST_ADMIN_TOKEN: settings.token,
+    GITHUB_API_URL: `${mock.url}/github`,
+    GITHUB_OAUTH_URL: `${mock.url}/github`,
+    GITLAB_API_URL: `${mock.url}/gitlab`,
+    BITBUCKET_API_URL: `${mock.url}/bitbucket`,
+    GITHUB_CLIENT_ID: 'mock-client-id',
+    GITHUB_CLIENT_SECRET: 'mock-client-secret',
+    AUTH_SECRET: process.env.AUTH_SECRET || 'mock-session-secret'
+  }
+});
+
+const shutdown = (signal) => {
+  if (app.exitCode === null) app.kill(signal);
+};
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+app.on('exit', async (code) => {
+  await mock.close();
+  process.exit(code ?? 0);
+});
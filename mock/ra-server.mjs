@@ -0,0 +1,540 @@
+// Mock RemoteAgent server for offline development and automated tests.
+//
+// Implements the RA endpoints UniTest uses plus a tiny GitHub API and OAuth stand-in under
+// /github and GitLab and Bitbucket API stand-ins under /gitlab and /bitbucket, so the whole app
+// (including sign-in) runs without network access:
+//
+//   node mock/ra-server.mjs [--port 8099] [--scenario success] [--speed 1]
+//
+// Each agent follows a scenario from ./scenarios.mjs: the repository name picks one when it
+// matches (e.g. /mock/long-run), otherwise the server default is used.
+import http from 'node:http';
+import { createHash, randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { DEFAULT_SCENARIO, SCENARIOS, scriptFor } from './scenarios.mjs';
+
+export const DEFAULT_PORT = 8099;
+export const DEFAULT_TOKEN = 'mock-ra-token';
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+function sha1(value) {
+  return createHash('sha1').update(String(value)).digest('hex');
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function readJson(req) {
+  let text = '';
+  for await (const chunk of req) text += chunk;
+  if (!text) return {};
+  return JSON.parse(text);
+}
+
+function inputText(body) {
+  const first = Array.isArray(body?.input?.content) ? body.input.content[0] : null;
+  return typeof first?.content === 'string' ? first.content : '';
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function mockUser(login) {
+  return { id: parseInt(sha1(login).slice(0, 8), 16), login, name: login, avatar_url: null };
+}
+
+// OAuth stand-in for lib/auth.js: the authorize page asks for any username and signs in as it.
+// Codes and tokens just carry the username, so there is nothing to remember between requests.
+async function handleOAuth(req, res, url, step) {
+  if (step === 'authorize' && req.method === 'GET') {
+    const login = (url.searchParams.get('login') || '').trim();
+    const redirectUri = url.searchParams.get('redirect_uri');
+    if (!redirectUri) return sendJson(res, 400, { error: 'redirect_uri is required' });
+
+    if (login) {
+      const target = new URL(redirectUri);
+      target.searchParams.set('code', `mock-code-${login}`);
+      target.searchParams.set('state', url.searchParams.get('state') || '');
+      res.writeHead(302, { Location: target.toString() });
+      return res.end();
+    }
+
+    const hidden = [...url.searchParams].map(([key, value]) =>
+      `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`).join('');
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(`<!doctype html><title>Mock GitHub sign-in</title>
+<form method="get">${hidden}<label>Sign in to UniTest as <input name="login" value="octocat" autofocus></label> <button>Sign in</button></form>`);
+  }
+
+  if (step === 'access_token' && req.method === 'POST') {
+    let text = '';
+    for await (const chunk of req) text += chunk;
+    const body = (req.headers['content-type'] || '').includes('json') ? JSON.parse(text || '{}') : Object.fromEntries(new URLSearchParams(text));
+    const login = /^mock-code-(.+)$/.exec(body.code || '')?.[1];
+    if (!login) return sendJson(res, 200, { error: 'bad_verification_code' });
+    return sendJson(res, 200, { access_token: `mock-token-${login}`, token_type: 'bearer', scope: 'read:user' });
+  }
+
+  return sendJson(res, 404, { message: 'Not Found' });
+}
+
+// Handles the GitHub endpoints lib/providers/github.js and lib/auth.js call. Repos owned by `missing` do
+// not exist, repos owned by `private` are private (and, like on GitHub, only found when the
+// request carries any token), and refs starting with `v` resolve as tags.
+async function handleGitHub(req, res, url, parts) {
+  if (parts[0] === 'login' && parts[1] === 'oauth') {
+    return handleOAuth(req, res, url, parts[2]);
+  }
+  if (parts[0] === 'user' && parts.length === 1) {
+    const login = /^Bearer mock-token-(.+)$/.exec(req.headers.authorization || '')?.[1];
+    return login ? sendJson(res, 200, mockUser(login)) : sendJson(res, 401, { message: 'Bad credentials' });
+  }
+
+  const [kind, owner, name, resource, ...rest] = parts;
+  if (kind !== 'repos' || !mockRepo(owner, name, req)) {
+    return sendJson(res, 404, { message: 'Not Found' });
+  }
+
+  if (!resource) {
+    return sendJson(res, 200, {
+      full_name: `${owner}/${name}`,
+      private: owner === 'private',
+      default_branch: 'main',
+      description: `Mock repository (${SCENARIOS[name] ? `${name} scenario` : 'default scenario'})`,
+      language: 'JavaScript'
+    });
+  }
+
+  const ref = rest.join('/');
+  if (resource === 'git' || req.method === 'POST') {
+    return handleGitHubWrite(req, res, owner, name, resource, rest);
+  }
+  if (resource === 'commits' && ref) {
+    const sha = mockCommit(owner, name, ref);
+    return sha ? sendJson(res, 200, { sha }) : sendJson(res, 404, { message: 'No commit found' });
+  }
+  if (resource === 'branches' && ref) {
+    return ref.startsWith('v') ? sendJson(res, 404, { message: 'Branch not found' }) : sendJson(res, 200, { name: ref });
+  }
+  if (resource === 'pulls' && /^\d+$/.test(ref)) {
+    return sendJson(res, 200, {
+      number: Number(ref),
+      title: `Mock pull request #${ref}`,
+      html_url: `https://github.com/${owner}/${name}/pull/${ref}`,
+      head: { ref: `feature-${ref}`, sha: sha1(`${owner}/${name}#${ref}`), repo: { full_name: `${owner}/${name}` } },
+      base: { ref: 'main', repo: { full_name: `${owner}/${name}` } }
+    });
+  }
+  return sendJson(res, 404, { message: 'Not Found' });
+}
+
+// Opening a pull request with the Git data API (see lib/providers/github.js). Writes need a
+// token; nothing is stored, every object just gets a sha derived from its request.
+async function handleGitHubWrite(req, res, owner, name, resource, rest) {
+  const path = [resource, ...rest].join('/');
+  if (req.method === 'GET' && resource === 'git' && rest[0] === 'commits' && rest[1]) {
+    return sendJson(res, 200, { sha: rest[1], tree: { sha: sha1(`tree:${rest[1]}`) } });
+  }
+  if (req.method !== 'POST') return sendJson(res, 404, { message: 'Not Found' });
+  if (!req.headers.authorization) return sendJson(res, 401, { message: 'Requires authentication' });
+
+  const body = await readJson(req);
+  if (path === 'git/trees' || path === 'git/commits') {
+    return sendJson(res, 201, { sha: sha1(`${path}:${JSON.stringify(body)}`) });
+  }
+  if (path === 'git/refs') {
+    return sendJson(res, 201, { ref: body.ref, object: { sha: body.sha } });
+  }
+  if (path === 'pulls') {
+    const number = mockPullNumber(body.head);
+    return sendJson(res, 201, { number, html_url: `https://github.com/${owner}/${name}/pull/${number}` });
+  }
+  return sendJson(res, 404, { message: 'Not Found' });
+}
+
+function mockPullNumber(branch) {
+  return 100 + (parseInt(sha1(branch).slice(0, 6), 16) % 900);
+}
+
+// Mock repository facts shared by the provider stand-ins: the same rules as GitHub above.
+function mockRepo(owner, name, req) {
+  if (!owner || !name || owner.split('/')[0] === 'missing') return null;
+  const isPrivate = owner.split('/')[0] === 'private';
+  if (isPrivate && !req.headers.authorization) return null;
+  return {
+    private: isPrivate,
+    description: `Mock repository (${SCENARIOS[name] ? `${name} scenario` : 'default scenario'})`
+  };
+}
+
+function mockCommit(owner, name, ref) {
+  if (ref === 'missing') return null;
+  return /^[0-9a-f]{7,40}$/i.test(ref) ? ref.toLowerCase().padEnd(40, '0') : sha1(`${owner}/${name}@${ref}`);
+}
+
+// GitLab API v4 (GITLAB_API_URL): projects are addressed by their encoded full path.
+async function handleGitLab(req, res, parts) {
+  const [kind, projectPath, resource, ...rest] = parts;
+  const slash = projectPath?.lastIndexOf('/') ?? -1;
+  const owner = slash > 0 ? projectPath.slice(0, slash) : null;
+  const name = slash > 0 ? projectPath.slice(slash + 1) : null;
+  const repo = kind === 'projects' ? mockRepo(owner, name, req) : null;
+  if (!repo) return sendJson(res, 404, { message: '404 Project Not Found' });
+
+  if (!resource) {
+    return sendJson(res, 200, {
+      path_with_namespace: projectPath,
+      visibility: repo.private ? 'private' : 'public',
+      default_branch: 'main',
+      description: repo.description
+    });
+  }
+
+  const [section, ...refParts] = rest;
+  const ref = refParts.join('/');
+  if (req.method === 'POST') {
+    if (!req.headers.authorization) return sendJson(res, 401, { message: '401 Unauthorized' });
+    const body = await readJson(req);
+    if (resource === 'repository' && section === 'commits' && !ref) {
+      return sendJson(res, 201, { id: sha1(`${projectPath}:${JSON.stringify(body)}`) });
+    }
+    if (resource === 'merge_requests' && !section) {
+      const iid = mockPullNumber(body.source_branch);
+      return sendJson(res, 201, { iid, web_url: `https://gitlab.com/${projectPath}/-/merge_requests/${iid}` });
+    }
+    return sendJson(res, 404, { message: '404 Not Found' });
+  }
+  if (resource === 'repository' && section === 'commits' && ref) {
+    const sha = mockCommit(owner, name, ref);
+    return sha ? sendJson(res, 200, { id: sha }) : sendJson(res, 404, { message: '404 Commit Not Found' });
+  }
+  if (resource === 'repository' && section === 'branches' && ref) {
+    return ref.startsWith('v') ? sendJson(res, 404, { message: '404 Branch Not Found' }) : sendJson(res, 200, { name: ref });
+  }
+  if (resource === 'merge_requests' && /^\d+$/.test(section || '')) {
+    return sendJson(res, 200, {
+      iid: Number(section),
+      title: `Mock merge request !${section}`,
+      web_url: `https://gitlab.com/${projectPath}/-/merge_requests/${section}`,
+      source_branch: `feature-${section}`,
+      source_project_id: 1,
+      target_project_id: 1,
+      sha: sha1(`${projectPath}!${section}`)
+    });
+  }
+  return sendJson(res, 404, { message: '404 Not Found' });
+}
+
+// Bitbucket API 2.0 (BITBUCKET_API_URL).
+async function handleBitbucket(req, res, parts) {
+  const [kind, owner, name, resource, ...rest] = parts;
+  const repo = kind === 'repositories' ? mockRepo(owner, name, req) : null;
+  if (!repo) return sendJson(res, 404, { type: 'error', error: { message: 'Repository not found' } });
+
+  if (!resource) {
+    return sendJson(res, 200, {
+      full_name: `${owner}/${name}`,
+      is_private: repo.private,
+      mainbranch: { name: 'main' },
+      description: repo.description,
+      language: 'javascript'
+    });
+  }
+
+  const ref = rest.join('/');
+  if (req.method === 'POST') {
+    if (!req.headers.authorization) return sendJson(res, 401, { type: 'error', error: { message: 'Unauthorized' } });
+    if (resource === 'src' && !ref) {
+      // The form fields are the commit; there is nothing to keep
+      for await (const _chunk of req);
+      res.writeHead(201);
+      return res.end();
+    }
+    if (resource === 'pullrequests' && !ref) {
+      const body = await readJson(req);
+      const id = mockPullNumber(body.source?.branch?.name);
+      return sendJson(res, 201, { id, links: { html: { href: `https://bitbucket.org/${owner}/${name}/pull-requests/${id}` } } });
+    }
+    return sendJson(res, 404, { type: 'error' });
+  }
+  if (resource === 'commit' && ref) {
+    const sha = mockCommit(owner, name, ref);
+    return sha ? sendJson(res, 200, { hash: sha }) : sendJson(res, 404, { type: 'error', error: { message: 'Commit not found' } });
+  }
+  if (resource === 'refs' && rest[0] === 'branches' && rest.length > 1) {
+    const branch = rest.slice(1).join('/');
+    return branch.startsWith('v') ? sendJson(res, 404, { type: 'error' }) : sendJson(res, 200, { name: branch });
+  }
+  if (resource === 'pullrequests' && /^\d+$/.test(ref)) {
+    const sha = sha1(`${owner}/${name}#${ref}`);
+    return sendJson(res, 200, {
+      id: Number(ref),
+      title: `Mock pull request #${ref}`,
+      source: { branch: { name: `feature-${ref}` }, commit: { hash: sha.slice(0, 12) }, repository: { full_name: `${owner}/${name}` } },
+      destination: { branch: { name: 'main' }, repository: { full_name: `${owner}/${name}` } },
+      links: { html: { href: `https://bitbucket.org/${owner}/${name}/pull-requests/${ref}` } }
+    });
+  }
+  return sendJson(res, 404, { type: 'error' });
+}
+
+export function createMockRA({ token = DEFAULT_TOKEN, scenario = DEFAULT_SCENARIO, speed = 1, now = Date.now } = {}) {
+  if (!SCENARIOS[scenario]) {
+    throw new Error(`Unknown scenario "${scenario}". Known: ${Object.keys(SCENARIOS).join(', ')}`);
+  }
+
+  const agents = new Map();
+  const scaled = (ms) => ms / speed;
+
+  // Applies the response's script up to the current time and returns the RA-shaped view.
+  function view(record) {
+    const elapsed = (record.cancelledAt ?? now()) - record.createdAt;
+    const createdIso = new Date(record.createdAt).toISOString();
+    let status = 'pending';
+    let updatedAt = record.createdAt;
+    const segments = [];
+
+    for (const step of record.script.steps) {
+      if (scaled(step.at) > elapsed) break;
+      const at = record.createdAt + scaled(step.at);
+      if (step.status) status = step.status;
+      if (step.segment) segments.push({ ...step.segment, timestamp: new Date(at).toISOString() });
+      updatedAt = at;
+    }
+
+    let output = [];
+    const finish = record.script.finish;
+    if (record.cancelledAt !== null) {
+      status = 'cancelled';
+      updatedAt = record.cancelledAt;
+    } else if (finish && scaled(finish.at) <= elapsed) {
+      status = finish.status;
+      output = finish.output(record.metadata, record.input);
+      updatedAt = record.createdAt + scaled(finish.at);
+    }
+
+    return {
+      id: record.id,
+      agent_name: record.agent,
+      status,
+      created_at: createdIso,
+      updated_at: new Date(updatedAt).toISOString(),
+      input_content: [{ type: 'text', content: record.input }],
+      metadata: record.metadata,
+      segments,
+      output_content: output
+    };
+  }
+
+  function agentView(agent) {
+    const current = now();
+    const asleep = agent.responses.some((record) => record.cancelledAt === null &&
+      record.script.sleepAt !== null && record.createdAt + scaled(record.script.sleepAt) <= current);
+    const busy = agent.responses.some((record) => !TERMINAL_STATUSES.has(view(record).status));
+    // Secrets are write-only, as on RA: only their names are shown
+    const { responses, secrets, ...fields } = agent;
+    return { ...fields, secret_names: Object.keys(secrets), state: asleep ? 'slept' : busy ? 'busy' : 'idle' };
+  }
+
+  function newestFirst(agent) {
+    return [...agent.responses].sort((a, b) => b.createdAt - a.createdAt || b.sequence - a.sequence);
+  }
+
+  let sequence = 0;
+
+  async function handleRA(req, res, url, parts) {
+    const [, , , name, collection, responseId, action] = parts;
+    const method = req.method;
+
+    if (!name) {
+      if (method === 'GET') {
+        const tags = (url.searchParams.get('tags') || '').split(',').map((tag) => tag.trim()).filter(Boolean);
+        const limit = Number(url.searchParams.get('limit')) || 50;
+        const items = [...agents.values()]
+          .filter((agent) => tags.every((tag) => agent.tags.includes(tag)))
+          .sort((a, b) => b.created_at.localeCompare(a.created_at))
+          .slice(0, limit)
+          .map(agentView);
+        return sendJson(res, 200, { items });
+      }
+      if (method === 'POST') {
+        const body = await readJson(req);
+        if (!body.name) return sendJson(res, 422, { detail: 'name is required' });
+        if (agents.has(body.name)) return sendJson(res, 409, { detail: `Agent ${body.name} already exists` });
+        const repoName = body.metadata?.repository?.name;
+        const agent = {
+          name: body.name,
+          description: body.description || '',
+          tags: Array.isArray(body.tags) ? body.tags : [],
+          metadata: body.metadata || {},
+          instructions: body.instructions || '',
+          busy_timeout_seconds: body.busy_timeout_seconds ?? null,
+          secrets: body.secrets && typeof body.secrets === 'object' ? { ...body.secrets } : {},
+          created_at: new Date(now()).toISOString(),
+          scenario: SCENARIOS[repoName] ? repoName : scenario,
+          responses: []
+        };
+        agents.set(agent.name, agent);
+        return sendJson(res, 201, agentView(agent));
+      }
+      return sendJson(res, 405, { detail: 'Method not allowed' });
+    }
+
+    const agent = agents.get(name);
+    if (!agent) return sendJson(res, 404, { detail: `Agent ${name} not found` });
+
+    if (!collection) {
+      if (method === 'GET') return sendJson(res, 200, agentView(agent));
+      if (method === 'PATCH') {
+        const body = await readJson(req);
+        for (const key of ['description', 'tags', 'metadata', 'instructions', 'busy_timeout_seconds']) {
+          if (body[key] !== undefined) agent[key] = body[key];
+        }
+        if (body.secrets && typeof body.secrets === 'object') agent.secrets = { ...agent.secrets, ...body.secrets };
+        return sendJson(res, 200, agentView(agent));
+      }
+      return sendJson(res, 405, { detail: 'Method not allowed' });
+    }
+
+    if (collection !== 'responses') return sendJson(res, 404, { detail: 'Not found' });
+
+    if (!responseId) {
+      if (method === 'GET') {
+        const limit = Number(url.searchParams.get('limit')) || 50;
+        return sendJson(res, 200, newestFirst(agent).slice(0, limit).map(view));
+      }
+      if (method === 'POST') {
+        const body = await readJson(req);
+        const metadata = body.metadata || null;
+        const record = {
+          id: `resp_${randomUUID().replace(/-/g, '').slice(0, 16)}`,
+          agent: agent.name,
+          sequence: sequence++,
+          createdAt: now(),
+          cancelledAt: null,
+          input: inputText(body),
+          metadata,
+          script: scriptFor(agent.scenario, metadata?.run_type)
+        };
+        agent.responses.push(record);
+        return sendJson(res, 201, view(record));
+      }
+      return sendJson(res, 405, { detail: 'Method not allowed' });
+    }
+
+    const record = agent.responses.find((entry) => entry.id === responseId);
+    if (!record) return sendJson(res, 404, { detail: `Response ${responseId} not found` });
+
+    if (!action && method === 'GET') return sendJson(res, 200, view(record));
+    if (action === 'cancel' && method === 'POST') {
+      if (record.cancelledAt === null && !TERMINAL_STATUSES.has(view(record).status)) {
+        record.cancelledAt = now();
+      }
+      return sendJson(res, 200, view(record));
+    }
+    return sendJson(res, 405, { detail: 'Method not allowed' });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://mock-ra.local');
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    try {
+      if (parts[0] === 'github') {
+        return await handleGitHub(req, res, url, parts.slice(1));
+      }
+      if (parts[0] === 'gitlab') {
+        return await handleGitLab(req, res, parts.slice(1));
+      }
+      if (parts[0] === 'bitbucket') {
+        return await handleBitbucket(req, res, parts.slice(1));
+      }
+
+      if (parts[0] === '__mock') {
+        if (parts[1] === 'scenarios') {
+          return sendJson(res, 200, Object.entries(SCENARIOS).map(([id, entry]) => ({ id, description: entry.description })));
+        }
+        if (parts[1] === 'reset' && req.method === 'POST') {
+          agents.clear();
+          return sendJson(res, 204);
+        }
+        return sendJson(res, 404, { detail: 'Not found' });
+      }
+
+      if (parts[0] === 'api' && parts[1] === 'v0' && parts[2] === 'agents') {
+        if (req.headers.authorization !== `Bearer ${token}`) {
+          return sendJson(res, 401, { detail: 'Invalid token' });
+        }
+        return await handleRA(req, res, url, parts);
+      }
+
+      return sendJson(res, 404, { detail: 'Not found' });
+    } catch (err) {
+      return sendJson(res, 400, { detail: err.message });
+    }
+  }
+
+  return {
+    agents,
+    handle,
+    reset: () => agents.clear(),
+    listen(port = DEFAULT_PORT, host = '127.0.0.1') {
+      const server = http.createServer(handle);
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          const address = server.address();
+          resolve({
+            server,
+            url: `http://${host}:${address.port}`,
+            close: () => new Promise((done) => server.close(done))
+          });
+        });
+      });
+    }
+  };
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) continue;
+    options[match[1]] = match[2] ?? argv[++i];
+  }
+  return options;
+}
+
+// Settings shared by this CLI and mock/dev.mjs: flags win over MOCK_RA_* environment variables.
+export function mockSettings(argv = process.argv.slice(2), env = process.env) {
+  const args = parseArgs(argv);
+  return {
+    port: Number(args.port ?? env.MOCK_RA_PORT ?? DEFAULT_PORT),
+    scenario: args.scenario ?? env.MOCK_RA_SCENARIO ?? DEFAULT_SCENARIO,
+    speed: Number(args.speed ?? env.MOCK_RA_SPEED ?? 1) || 1,
+    token: env.MOCK_RA_TOKEN || DEFAULT_TOKEN
+  };
+}
+
+export async function startMockRA(settings = mockSettings()) {
+  const mock = createMockRA(settings);
+  const listening = await mock.listen(settings.port);
+  console.log(`[UniTest Mock RA] Listening on ${listening.url} (default scenario: ${settings.scenario}, speed: ${settings.speed}x)`);
+  console.log(`[UniTest Mock RA] Scenarios: ${Object.keys(SCENARIOS).join(', ')}`);
+  return { ...mock, ...listening };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  startMockRA().then(({ close }) => {
+    const shutdown = () => close().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  }).catch((err) => {
+    console.error('[UniTest Mock RA]', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,215 @@
+// Scripted behaviours for the mock RA server. A response's state is derived from how long
+// ago it was created, so scenarios need no timers: each step becomes visible once `at`
+// milliseconds have passed (divided by the server's speed factor).
+//
+//   steps   - { at, status?, segment? } applied in order
+//   finish  - { at, status, output } terminal state, or null to never finish
+//   sleepAt - when the agent's state turns to `slept`, or null
+
+const RESULTS_SCHEMA_ID = 'unitest.results/v1';
+const FILES_SCHEMA_ID = 'unitest.files/v1';
+
+function commentary(text) {
+  return { type: 'commentary', text };
+}
+
+function command(cmd) {
+  return { type: 'tool_call', tool: 'shell', args: { command: cmd } };
+}
+
+function toolOutput(output) {
+  return { type: 'tool_result', tool: 'shell', output };
+}
+
+function describeTarget(metadata) {
+  const target = metadata?.target || {};
+  const ref = target.type === 'pull' ? `pull request #${target.number}` : target.ref || 'default branch';
+  return { ref, sha: target.sha || '0000000000000000000000000000000000000000' };
+}
+
+function successResults() {
+  return {
+    schema: RESULTS_SCHEMA_ID,
+    scenario: 'B',
+    frameworks: ['Jest'],
+    coverage: { before: 42.5, after: 86.1 },
+    totals: { total: 24, passed: 23, failed: 1, skipped: 0, duration_ms: 4210 },
+    files: [
+      { path: 'src/index.js', coverage: 95.2, coverage_before: 60.1, lines_total: 84, lines_covered: 80, lines_uncovered: 4, uncovered_ranges: ['71-74'] },
+      { path: 'src/parser.js', coverage: 88.4, coverage_before: 35, lines_total: 121, lines_covered: 107, lines_uncovered: 14, uncovered_ranges: ['12-18', '95-101'] },
+      { path: 'src/utils/format.js', coverage: 61.3, coverage_before: 20.4, lines_total: 31, lines_covered: 19, lines_uncovered: 12, uncovered_ranges: ['3-14'] }
+    ],
+    tests: [
+      { name: 'parses an empty document', file: 'test/parser.test.js', status: 'passed', duration_ms: 12, message: null, generated: true },
+      { name: 'rejects unterminated strings', file: 'test/parser.test.js', status: 'passed', duration_ms: 9, message: null, generated: true },
+      { name: 'formats negative numbers', file: 'test/format.test.js', status: 'failed', duration_ms: 15, message: 'Expected "-1.00" but received "-1"', generated: true },
+      { name: 'exports the public API', file: 'test/index.test.js', status: 'passed', duration_ms: 4, message: null, generated: false }
+    ]
+  };
+}
+
+function generatedFiles() {
+  return {
+    schema: FILES_SCHEMA_ID,
+    files: [
+      {
+        path: 'test/parser.test.js',
+        status: 'created',
+        content: "const { parse } = require('../src/parser');\n\ntest('parses an empty document', () => {\n  expect(parse('')).toEqual([]);\n});\n\ntest('rejects unterminated strings', () => {\n  expect(() => parse('\"abc')).toThrow('Unterminated string');\n});\n",
+        diff: null
+      },
+      {
+        path: 'test/format.test.js',
+        status: 'created',
+        content: "const { formatNumber } = require('../src/utils/format');\n\ntest('formats negative numbers', () => {\n  expect(formatNumber(-1)).toBe('-1.00');\n});\n",
+        diff: null
+      },
+      {
+        path: 'jest.config.js',
+        status: 'modified',
+        content: "module.exports = {\n  collectCoverage: true,\n  testEnvironment: 'node'\n};\n",
+        diff: "diff --git a/jest.config.js b/jest.config.js\n--- a/jest.config.js\n+++ b/jest.config.js\n@@ -1,3 +1,4 @@\n module.exports = {\n+  collectCoverage: true,\n   testEnvironment: 'node'\n };\n"
+      }
+    ]
+  };
+}
+
+function successReport(metadata) {
+  const { ref, sha } = describeTarget(metadata);
+  return `**Ref:** ${ref}
+**Commit:** ${sha}
+
+## Executive Summary
+
+- **Scenario:** B (partial tests)
+- **Coverage:** 42.5% → 86.1%
+- **Total tests:** 24 (23 passed, 1 failed, 0 skipped)
+- **Framework:** Jest
+
+## Coverage by File
+
+| File | Before | After |
+| --- | --- | --- |
+| src/index.js | 60.1% | 95.2% |
+| src/parser.js | 35.0% | 88.4% |
+| src/utils/format.js | 20.4% | 61.3% |
+
+## Failing Tests
+
+- ❌ formats negative numbers - Expected "-1.00" but received "-1"
+
+## Recommendations
+
+1. Fix rounding in \`formatNumber\` for negative values.
+2. Cover the error branches in \`src/utils/format.js\`.
+
+**HTML Report:** https://content.example.invalid/mock-report.html`;
+}
+
+function successOutput(metadata) {
+  return [
+    { type: 'markdown', content: successReport(metadata) },
+    { type: 'json', content: JSON.stringify(successResults()) },
+    { type: 'json', content: JSON.stringify(generatedFiles()) }
+  ];
+}
+
+function failureOutput(metadata) {
+  const { ref, sha } = describeTarget(metadata);
+  return [{
+    type: 'markdown',
+    content: `**Ref:** ${ref}\n**Commit:** ${sha}\n\n## Test run failed\n\n\`npm install\` exited with code 1:\n\n\`\`\`\nnpm ERR! code ERESOLVE\nnpm ERR! Could not resolve dependency: peer react@"^17" from legacy-widget@2.1.0\n\`\`\``
+  }];
+}
+
+const SETUP_STEPS = [
+  { at: 300, status: 'processing' },
+  { at: 600, segment: commentary('Cloning the repository and checking out the requested commit.') },
+  { at: 900, segment: command('git clone --depth 50 https://github.com/mock/repo && git checkout <sha>') },
+  { at: 1200, segment: toolOutput('Cloning into \'repo\'...\nHEAD is now at 1a2b3c4') }
+];
+
+function longRunSteps() {
+  const steps = [...SETUP_STEPS];
+  const phases = [
+    'Detecting test frameworks: found jest.config.js and 6 existing test files.',
+    'Installing dependencies with npm ci.',
+    'Measuring baseline coverage.',
+    'Baseline coverage is 42.5%; generating tests for src/parser.js.',
+    'Generating tests for src/utils/format.js.',
+    'Running the full suite with coverage.',
+    'One generated test fails; investigating the rounding behaviour in formatNumber.',
+    'Writing the HTML report and uploading it to the content server.'
+  ];
+  phases.forEach((text, index) => {
+    const at = 5000 + index * 6000;
+    steps.push({ at, segment: commentary(text) });
+    steps.push({ at: at + 2000, segment: command(index % 2 ? 'npx jest --coverage' : 'npm ci') });
+    steps.push({ at: at + 4000, segment: toolOutput(`step ${index + 1} of ${phases.length} done`) });
+  });
+  return steps;
+}
+
+function chatOutput(input) {
+  return [{ type: 'markdown', content: `Mock reply to: "${input}"\n\nThe failing test is caused by \`formatNumber\` dropping trailing zeros for negative values.` }];
+}
+
+export const SCENARIOS = {
+  success: {
+    description: 'Completes a test run in about three seconds with a full report',
+    run: {
+      steps: [...SETUP_STEPS, { at: 2000, segment: commentary('Running the test suite with coverage.') }],
+      finish: { at: 3000, status: 'completed', output: successOutput },
+      sleepAt: null
+    }
+  },
+  'long-run': {
+    description: 'Runs for about a minute, posting commentary and commands along the way',
+    run: {
+      steps: longRunSteps(),
+      finish: { at: 55000, status: 'completed', output: successOutput },
+      sleepAt: null
+    }
+  },
+  failure: {
+    description: 'Fails while installing dependencies',
+    run: {
+      steps: [...SETUP_STEPS, { at: 2000, segment: command('npm ci') }, { at: 3000, segment: toolOutput('npm ERR! code ERESOLVE') }],
+      finish: { at: 4000, status: 'failed', output: failureOutput },
+      sleepAt: null
+    }
+  },
+  slept: {
+    description: 'Starts working, then the agent goes to sleep and the run never finishes',
+    run: {
+      steps: [...SETUP_STEPS, { at: 3000, segment: commentary('Installing dependencies with npm ci.') }],
+      finish: null,
+      sleepAt: 8000
+    }
+  },
+  'busy-timeout': {
+    description: 'The agent is busy elsewhere: responses stay pending until the agent times out and sleeps',
+    run: {
+      steps: [],
+      finish: null,
+      sleepAt: 10000
+    }
+  }
+};
+
+export const DEFAULT_SCENARIO = 'success';
+
+// Chat replies follow the agent's scenario only where it matters to the UI: a sleeping or
+// busy agent never answers, anything else replies after a short pause.
+export function scriptFor(scenario, runType) {
+  const definition = SCENARIOS[scenario] || SCENARIOS[DEFAULT_SCENARIO];
+  if (runType !== 'chat') return definition.run;
+  if (definition.run.sleepAt !== null) {
+    return { steps: [], finish: null, sleepAt: scenario === 'slept' ? 0 : definition.run.sleepAt };
+  }
+  return {
+    steps: [{ at: 300, status: 'processing' }, { at: 800, segment: commentary('Looking at the latest test report.') }],
+    finish: { at: 2000, status: 'completed', output: (_metadata, input) => chatOutput(input) },
+    sleepAt: null
+  };
+}
@@ -1,48 +1,23 @@
 import { useEffect, useState, useMemo } from 'react';
 import Link from 'next/link';
-import { marked } from 'marked';
-
-const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
-marked.setOptions({ breaks: true });
-
-function isTerminal(status) {
-  if (!status) return false;
-  return TERMINAL_STATUSES.has(String(status).toLowerCase());
-}
-
-function normalizeResponse(resp) {
-  if (!resp || typeof resp !== 'object') return null;
-  const segments = Array.isArray(resp.segments) ? resp.segments : [];
-  const output = Array.isArray(resp.output_content) ? resp.output_content : [];
-  return { ...resp, segments, output_content: output };
-}
-
-function extractLatestCommentary(segments) {
-  if (!Array.isArray(segments)) return null;
-  for (let idx = segments.length - 1; idx >= 0; idx -= 1) {
-    const entry = segments[idx];
-    if (!entry || typeof entry !== 'object') continue;
-    const type = (entry.type || '').toLowerCase();
-    if (type === 'commentary') {
-      const text = entry?.text || entry?.content || '';
-      if (typeof text === 'string' && text.trim()) return text;
-    }
-  }
-  return null;
-}
-
-function formatCommentary(commentary) {
-  if (!commentary) return null;
-  const cleaned = String(commentary).replace(/\s+/g, ' ').trim();
-  if (!cleaned) return null;
-  if (cleaned.length <= 140) return cleaned;
-  const sentences = cleaned.split(/(?<=[.!?])\s+/).filter(Boolean);
-  if (sentences.length > 0) {
-    const lastSentence = sentences[sentences.length - 1];
-    if (lastSentence.length <= 140) return lastSentence;
-  }
-  return `${cleaned.slice(0, 137)}…`;
-}
+import ActivityLog from '../components/ActivityLog';
+import ReportMarkdown from '../components/ReportMarkdown';
+import ResultsDashboard from '../components/ResultsDashboard';
+import RunOptionsForm, { optionsToDraft } from '../components/RunOptionsForm';
+import RunHistory from '../components/RunHistory';
+import UserMenu from '../components/UserMenu';
+import { grantAccess } from '../lib/access';
+import { accessTokenFor, getSessionUser, isAuthConfigured, signInPath } from '../lib/auth';
+import { formatTimestamp } from '../lib/format';
+import { generatedFilesSummary, isGeneratedFilesItem } from '../lib/generatedFiles';
+import { normalizeRunOptions, optionsFromQuery, optionsToQuery } from '../lib/options';
+import { canOpenPullRequests, commitUrl, fetchRepoInfo, normalizeSubdirectory, parseRepoSlug, providerLabel, repoWebUrl, resolveTarget } from '../lib/providers';
+import { isResultsItem, withResults } from '../lib/results';
+import { agentTag, findAgent, findLatestRun } from '../lib/agents';
+import { isRAConfigured, queryValue } from '../lib/ra';
+import useResponseStream from '../lib/useResponseStream';
+import { findSupersededRun, isChatResponse, isTerminal, normalizeResponse, runSummary } from '../lib/runs';
+import { extractLatestCommentary, formatCommentary } from '../lib/segments';
 
 function renderOutputItems(items, isChat = false) {
   if (!Array.isArray(items) || items.length === 0) {
@@ -62,18 +37,16 @@ function renderOutputItems(items, isChat = false) {
     const type = (item.type || '').toLowerCase();
 
     if (type === 'markdown' || type === 'text') {
-      const markdown = typeof item.content === 'string' ? item.content : '';
-      const html = marked.parse(markdown || '');
       return (
         <section className="output-panel__item" key={`out-${index}`}>
-          <div
-            className="output-panel__markdown"
-            dangerouslySetInnerHTML={{ __html: html }}
-          />
+          <ReportMarkdown content={item.content} html={item.html} outline={item.outline} showOutline={!isChat} />
         </section>
       );
     }
 
+    // Structured results are shown as data, not as a raw JSON dump
+    if (isResultsItem(item) || isGeneratedFilesItem(item)) return null;
+
     if (type === 'json') {
       const value = item.content ?? item;
       const formatted = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
@@ -88,13 +61,30 @@ function renderOutputItems(items, isChat = false) {
   });
 }
 
-export default function RepoTestPage({ owner, name, repoUrl, agentName, response: initialResponse, responseId: initialResponseId, setupError, repoStats }) {
+export default function RepoTestPage({ provider = 'github', host = 'github.com', owner, name, isPrivate = false, repoUrl, target, commitSha, agentName, response: initialResponse, responseId: initialResponseId, supersededRun: initialSupersededRun, pullRequests = {}, setupError, repoStats, initialOptions, user }) {
+  const repo = { provider, host, owner, name };
   const normalizedInitial = useMemo(() => normalizeResponse(initialResponse), [initialResponse]);
   const [response, setResponse] = useState(normalizedInitial);
+  const [startedAgentName, setStartedAgentName] = useState(null);
   const derivedResponseId = response?.id || initialResponseId || null;
-  const derivedAgentName = response?.agent_name || agentName || null;
+  const derivedAgentName = response?.agent_name || startedAgentName || agentName || null;
   const [isPolling, setIsPolling] = useState(() => Boolean(derivedResponseId && !isTerminal((normalizedInitial?.status) || 'pending')));
   const [pollError, setPollError] = useState(null);
+  const [supersededRun, setSupersededRun] = useState(initialSupersededRun || null);
+  const [isStartingRerun, setIsStartingRerun] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [showRerunOptions, setShowRerunOptions] = useState(false);
+  const [rerunOptionsDraft, setRerunOptionsDraft] = useState(() => optionsToDraft(normalizeRunOptions(normalizedInitial?.metadata?.options)));
+  const [cancelError, setCancelError] = useState(null);
+  const [rerunError, setRerunError] = useState(null);
+  const [isStartingRun, setIsStartingRun] = useState(false);
+  const [startError, setStartError] = useState(null);
+  const [showStartOptions, setShowStartOptions] = useState(false);
+  const [startOptionsDraft, setStartOptionsDraft] = useState(() => optionsToDraft(normalizeRunOptions(initialOptions)));
+  // Pull requests opened with generated files, by response id
+  const [openedPullRequests, setOpenedPullRequests] = useState(pullRequests);
+  const [isOpeningPullRequest, setIsOpeningPullRequest] = useState(false);
+  const [pullRequestError, setPullRequestError] = useState(null);
 
   // Chat state
   const [chatMessages, setChatMessages] = useState([]);
@@ -129,17 +119,8 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
               // Skip the current/initial response
               if (r.id === derivedResponseId) return false;
 
-              // Extract user's input using input_content (per API docs)
-              const inputContent = r.input_content?.[0]?.content || '';
-
-              // Filter out the initial test generation prompt
-              // It contains "Clone" and "**Step 1:" keywords and is very long
-              if (inputContent.length > 500 ||
-                  (inputContent.includes('Clone') && inputContent.includes('**Step 1:'))) {
-                return false;
-              }
-
-              return true;
+              // Filter out test generation runs
+              return isChatResponse(r);
             }).sort((a, b) => {
               // Sort by created_at ascending (oldest first)
               const dateA = new Date(a.created_at || 0);
@@ -170,6 +151,7 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
             id: `user-${resp.id}`,
             type: 'user',
             content: userContent,
+            author: resp.metadata?.started_by ?? null,
             timestamp: resp.created_at || new Date().toISOString()
           });
 
@@ -216,107 +198,119 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
     loadChatHistory();
   }, [derivedAgentName, derivedResponseId, isChatHistoryLoaded]);
 
-  // Poll for response updates every 3 seconds
-  useEffect(() => {
-    if (!derivedAgentName || !derivedResponseId || !isPolling) {
-      return undefined;
+  // Follow the main run over SSE (falls back to polling)
+  useResponseStream({
+    agentName: derivedAgentName,
+    responseId: derivedResponseId,
+    enabled: isPolling,
+    onResponse: (payload) => {
+      const data = normalizeResponse(payload);
+      if (!data) return;
+      // Keep run metadata we already know about if the payload omits it
+      setResponse(prev => ({ ...data, metadata: data.metadata ?? prev?.metadata }));
+      setPollError(null);
+      if (isTerminal(data.status)) {
+        setIsPolling(false);
+      }
+    },
+    onError: (err) => {
+      console.error('[UniTest] Polling error', err);
+      setPollError('Temporary issue polling agent status…');
     }
+  });
 
-    let cancelled = false;
-    const interval = setInterval(async () => {
-      try {
-        const res = await fetch(`/api/ra/responses/${encodeURIComponent(derivedAgentName)}/${encodeURIComponent(derivedResponseId)}`);
-        if (!res.ok) {
-          throw new Error(`Polling failed with status ${res.status}`);
-        }
-        const data = normalizeResponse(await res.json());
-        if (!cancelled && data) {
-          setResponse(data);
-          setPollError(null);
-          if (isTerminal(data.status)) {
-            setIsPolling(false);
-            clearInterval(interval);
-          }
-        }
-      } catch (err) {
-        if (!cancelled) {
-          console.error('[UniTest] Polling error', err);
-          setPollError('Temporary issue polling agent status…');
-        }
+  // Follow the pending chat reply, watching for the agent going to sleep
+  useResponseStream({
+    agentName: derivedAgentName,
+    responseId: currentChatResponseId,
+    enabled: isChatPolling,
+    watchAgentState: true,
+    onResponse: (payload) => {
+      const data = normalizeResponse(payload);
+      if (!data) return;
+
+      // Update the chat message with the response
+      setChatMessages(prev => prev.map(msg =>
+        msg.id === currentChatResponseId
+          ? { ...msg, response: data, status: data.status }
+          : msg
+      ));
+
+      if (isTerminal(data.status)) {
+        setIsChatPolling(false);
+        setCurrentChatResponseId(null);
       }
-    }, 3000);
-
-    return () => {
-      cancelled = true;
-      clearInterval(interval);
-    };
-  }, [derivedAgentName, derivedResponseId, isPolling]);
+    },
+    onAgentState: (state) => {
+      // If agent is sleeping, mark this message as timed out
+      if (state !== 'slept') return;
+      setChatMessages(prev => prev.map(msg =>
+        msg.id === currentChatResponseId && !isTerminal(msg.status)
+          ? { ...msg, status: 'busy_timeout', agentState: 'slept' }
+          : msg
+      ));
+      setIsChatPolling(false);
+      setCurrentChatResponseId(null);
+    },
+    onError: (err) => {
+      console.error('[UniTest Chat] Polling error', err);
+    }
+  });
 
-  // Poll for chat response updates every 3 seconds
-  useEffect(() => {
-    if (!derivedAgentName || !currentChatResponseId || !isChatPolling) {
-      return undefined;
+  const requestCancel = async (responseId) => {
+    const res = await fetch(
+      `/api/ra/responses/${encodeURIComponent(derivedAgentName)}/${encodeURIComponent(responseId)}/cancel`,
+      { method: 'POST' }
+    );
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(body.error || 'Failed to cancel');
     }
+    return body;
+  };
 
-    let cancelled = false;
-    const interval = setInterval(async () => {
-      try {
-        const res = await fetch(`/api/ra/responses/${encodeURIComponent(derivedAgentName)}/${encodeURIComponent(currentChatResponseId)}`);
-        if (!res.ok) {
-          throw new Error(`Chat polling failed with status ${res.status}`);
-        }
-        const data = normalizeResponse(await res.json());
-        if (!cancelled && data) {
-          // Check if response is pending for too long - might indicate agent sleep
-          if (data.status === 'pending' || data.status === 'processing') {
-            // Check agent state
-            try {
-              const agentStateRes = await fetch(`/api/ra/agents/${encodeURIComponent(derivedAgentName)}/state`);
-              if (agentStateRes.ok) {
-                const agentData = await agentStateRes.json();
-                // If agent is sleeping, mark this message as timed out
-                if (agentData.state === 'slept') {
-                  setChatMessages(prev => prev.map(msg =>
-                    msg.id === currentChatResponseId
-                      ? { ...msg, response: data, status: 'busy_timeout', agentState: 'slept' }
-                      : msg
-                  ));
-                  setIsChatPolling(false);
-                  setCurrentChatResponseId(null);
-                  clearInterval(interval);
-                  return;
-                }
-              }
-            } catch (stateErr) {
-              console.error('[UniTest Chat] Error checking agent state:', stateErr);
-            }
-          }
+  // Cancel the in-progress test run; if RA cancels asynchronously the stream delivers the final status
+  const handleCancelRun = async () => {
+    if (isCancelling || !derivedAgentName || !derivedResponseId) return;
+    setIsCancelling(true);
+    setCancelError(null);
 
-          // Update the chat message with the response
-          setChatMessages(prev => prev.map(msg =>
-            msg.id === currentChatResponseId
-              ? { ...msg, response: data, status: data.status }
-              : msg
-          ));
-
-          if (isTerminal(data.status)) {
-            setIsChatPolling(false);
-            setCurrentChatResponseId(null);
-            clearInterval(interval);
-          }
-        }
-      } catch (err) {
-        if (!cancelled) {
-          console.error('[UniTest Chat] Polling error', err);
-        }
+    try {
+      const result = await requestCancel(derivedResponseId);
+      if (isTerminal(result.status)) {
+        setResponse(prev => ({ ...prev, status: result.status, updated_at: result.updated_at ?? prev?.updated_at }));
+        setIsPolling(false);
       }
-    }, 3000);
+    } catch (error) {
+      console.error('[UniTest] Error cancelling run:', error);
+      setCancelError('Failed to cancel the run. Please try again.');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
 
-    return () => {
-      cancelled = true;
-      clearInterval(interval);
-    };
-  }, [derivedAgentName, currentChatResponseId, isChatPolling]);
+  const handleCancelChat = async (messageId) => {
+    try {
+      const result = await requestCancel(messageId);
+      if (isTerminal(result.status)) {
+        setChatMessages(prev => prev.map(msg =>
+          msg.id === messageId ? { ...msg, status: result.status } : msg
+        ));
+        if (messageId === currentChatResponseId) {
+          setIsChatPolling(false);
+          setCurrentChatResponseId(null);
+        }
+      }
+    } catch (error) {
+      console.error('[UniTest Chat] Error cancelling message:', error);
+      setChatMessages(prev => [...prev, {
+        id: Date.now().toString(),
+        type: 'error',
+        content: 'Failed to cancel the message. Please try again.',
+        timestamp: new Date().toISOString()
+      }]);
+    }
+  };
 
   // Handle chat submission
   const handleChatSubmit = async (e) => {
@@ -333,6 +327,7 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
       id: userMsgId,
       type: 'user',
       content: userMessage,
+      author: user,
       timestamp: new Date().toISOString()
     }]);
 
@@ -347,7 +342,10 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
       });
 
       if (!res.ok) {
-        throw new Error('Failed to send message');
+        const body = await res.json().catch(() => ({}));
+        const error = new Error(body.error || 'Failed to send message');
+        error.status = res.status;
+        throw error;
       }
 
       const chatResponse = await res.json();
@@ -370,7 +368,8 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
       setChatMessages(prev => [...prev, {
         id: Date.now().toString(),
         type: 'error',
-        content: 'Failed to send message. Please try again.',
+        // Rate limits say when to try again; anything else gets the generic message
+        content: error.status === 429 ? error.message : 'Failed to send message. Please try again.',
         timestamp: new Date().toISOString()
       }]);
     } finally {
@@ -378,6 +377,106 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
     }
   };
 
+  // No run exists for this target yet: start one (creating the agent if needed)
+  const handleStartRun = async () => {
+    if (isStartingRun) return;
+    setIsStartingRun(true);
+    setStartError(null);
+
+    try {
+      const res = await fetch('/api/runs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          host,
+          owner,
+          name,
+          target: { type: target?.type, ref: target?.type === 'tree' ? target.ref : null, number: target?.number ?? null, path: target?.path ?? null },
+          options: normalizeRunOptions(startOptionsDraft)
+        })
+      });
+
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(body.error || 'Failed to start a test run');
+      }
+
+      const nextResponse = normalizeResponse(body.response);
+      setStartedAgentName(body.agentName);
+      setResponse(nextResponse);
+      setPollError(null);
+      setIsPolling(!isTerminal(nextResponse?.status));
+      setShowStartOptions(false);
+    } catch (error) {
+      console.error('[UniTest] Error starting test run:', error);
+      setStartError(error.message);
+    } finally {
+      setIsStartingRun(false);
+    }
+  };
+
+  const handleOpenPullRequest = async () => {
+    if (isOpeningPullRequest || !derivedAgentName || !derivedResponseId) return;
+    setIsOpeningPullRequest(true);
+    setPullRequestError(null);
+
+    try {
+      const res = await fetch(
+        `/api/ra/responses/${encodeURIComponent(derivedAgentName)}/${encodeURIComponent(derivedResponseId)}/pull-request`,
+        { method: 'POST' }
+      );
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(body.error || 'Failed to open a pull request');
+      }
+      setOpenedPullRequests((current) => ({ ...current, [derivedResponseId]: body.pullRequest }));
+    } catch (error) {
+      console.error('[UniTest] Error opening pull request:', error);
+      setPullRequestError(error.message);
+    } finally {
+      setIsOpeningPullRequest(false);
+    }
+  };
+
+  // Start a fresh test run for the same agent; the current report becomes superseded
+  const handleRerun = async () => {
+    if (isStartingRerun || !derivedAgentName) return;
+    setIsStartingRerun(true);
+    setRerunError(null);
+
+    try {
+      const res = await fetch('/api/rerun', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          agentName: derivedAgentName,
+          previousResponseId: derivedResponseId,
+          // Only override the agent's stored options when the user opened the form
+          options: showRerunOptions ? normalizeRunOptions(rerunOptionsDraft) : undefined
+        })
+      });
+
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to start a new test run');
+      }
+
+      const payload = await res.json();
+      const nextResponse = normalizeResponse(payload);
+      // A joined run was started by someone else and does not replace this report
+      if (!payload.joined) setSupersededRun(runSummary(response));
+      setResponse(nextResponse);
+      setPollError(null);
+      setIsPolling(true);
+      setShowRerunOptions(false);
+    } catch (error) {
+      console.error('[UniTest] Error starting re-run:', error);
+      setRerunError(error.message);
+    } finally {
+      setIsStartingRerun(false);
+    }
+  };
+
   const status = (response?.status || 'pending').toLowerCase();
   const commentary = useMemo(() => {
     if (isTerminal(status)) return null;
@@ -389,9 +488,26 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
     return Array.isArray(response?.output_content) ? response.output_content : [];
   }, [response?.output_content, status]);
 
+  const generatedFiles = useMemo(
+    () => (status === 'completed' ? generatedFilesSummary(response) : null),
+    [response, status]
+  );
+  const openedPullRequest = derivedResponseId ? openedPullRequests[derivedResponseId] ?? null : null;
+  const filesUrl = derivedAgentName && derivedResponseId
+    ? `/api/ra/responses/${encodeURIComponent(derivedAgentName)}/${encodeURIComponent(derivedResponseId)}/files`
+    : null;
+  const exportUrl = status === 'completed' && derivedAgentName && derivedResponseId
+    ? `/api/ra/responses/${encodeURIComponent(derivedAgentName)}/${encodeURIComponent(derivedResponseId)}/export`
+    : null;
+
   const isFailed = status === 'failed';
   const isCancelled = status === 'cancelled';
-  const missingSetup = setupError || !derivedAgentName || !derivedResponseId;
+  const missingSetup = Boolean(setupError);
+  const isIdle = !missingSetup && !derivedResponseId;
+  const testedSha = response?.metadata?.target?.sha || commitSha || null;
+  const producedAt = formatTimestamp(response?.updated_at || response?.created_at);
+  const refMoved = Boolean(testedSha && target?.sha && testedSha !== target.sha);
+  const runOptions = normalizeRunOptions(response?.metadata?.options);
 
   const statusMessage = useMemo(() => {
     if (missingSetup) {
@@ -443,26 +559,32 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
             <span className="remoteagent-text">RemoteAgent</span>
           </span>
         </Link>
+        <UserMenu user={user} />
       </div>
 
       <div className="test-card">
         <div className="repo-summary">
           <div className="repo-header">
             <div className="repo-title-container">
-              <svg className="github-icon" viewBox="0 0 16 16" width="28" height="28" aria-hidden="true">
-                <path d="M8 0C3.58 0 0 3.58 0 8c0 3.54 2.29 6.53 5.47 7.59.4.07.55-.17.55-.38 0-.19-.01-.82-.01-1.49-2.01.37-2.53-.49-2.69-.94-.09-.23-.48-.94-.82-1.13-.28-.15-.68-.52-.01-.53.63-.01 1.08.58 1.23.82.72 1.21 1.87.87 2.33.66.07-.52.28-.87.51-1.07-1.78-.2-3.64-.89-3.64-3.95 0-.87.31-1.59.82-2.15-.08-.2-.36-1.02.08-2.12 0 0 .67-.21 2.2.82.64-.18 1.32-.27 2-.27.68 0 1.36.09 2 .27 1.53-1.04 2.2-.82 2.2-.82.44 1.1.16 1.92.08 2.12.51.56.82 1.27.82 2.15 0 3.07-1.87 3.75-3.65 3.95.29.25.54.73.54 1.48 0 1.07-.01 1.93-.01 2.2 0 .21.15.46.55.38A8.013 8.013 0 0016 8c0-4.42-3.58-8-8-8z"></path>
-              </svg>
+              {provider === 'github' ? (
+                <svg className="github-icon" viewBox="0 0 16 16" width="28" height="28" aria-hidden="true">
+                  <path d="M8 0C3.58 0 0 3.58 0 8c0 3.54 2.29 6.53 5.47 7.59.4.07.55-.17.55-.38 0-.19-.01-.82-.01-1.49-2.01.37-2.53-.49-2.69-.94-.09-.23-.48-.94-.82-1.13-.28-.15-.68-.52-.01-.53.63-.01 1.08.58 1.23.82.72 1.21 1.87.87 2.33.66.07-.52.28-.87.51-1.07-1.78-.2-3.64-.89-3.64-3.95 0-.87.31-1.59.82-2.15-.08-.2-.36-1.02.08-2.12 0 0 .67-.21 2.2.82.64-.18 1.32-.27 2-.27.68 0 1.36.09 2 .27 1.53-1.04 2.2-.82 2.2-.82.44 1.1.16 1.92.08 2.12.51.56.82 1.27.82 2.15 0 3.07-1.87 3.75-3.65 3.95.29.25.54.73.54 1.48 0 1.07-.01 1.93-.01 2.2 0 .21.15.46.55.38A8.013 8.013 0 0016 8c0-4.42-3.58-8-8-8z"></path>
+                </svg>
+              ) : (
+                <span className="repo-provider">{providerLabel(repo)}</span>
+              )}
               <h1 className="repo-title">
                 <span className="repo-title__owner">{owner}</span>
                 <span className="repo-title__slash">/</span>
                 <span className="repo-title__name">{name}</span>
               </h1>
+              {isPrivate && <span className="repo-private">Private</span>}
               <a
-                href={repoUrl}
+                href={target?.webUrl || repoUrl}
                 target="_blank"
                 rel="noopener noreferrer"
                 className="repo-link-button"
-                title="View on GitHub"
+                title={`View on ${providerLabel(repo)}`}
               >
                 <svg viewBox="0 0 16 16" width="14" height="14">
                   <path d="M3.75 2A1.75 1.75 0 002 3.75v8.5c0 .966.784 1.75 1.75 1.75h8.5A1.75 1.75 0 0014 12.25v-3.5a.75.75 0 00-1.5 0v3.5a.25.25 0 01-.25.25h-8.5a.25.25 0 01-.25-.25v-8.5a.25.25 0 01.25-.25h3.5a.75.75 0 000-1.5h-3.5z"></path>
@@ -473,12 +595,79 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
             </div>
           </div>
 
+          {target && (
+            <p className="repo-target">
+              <span className={`repo-target__badge repo-target__badge--${target.kind}`}>
+                {target.kind === 'pull' ? 'PR' : target.kind}
+              </span>
+              <span className="repo-target__label">{target.label}</span>
+              {target.path && <code className="repo-target__path" title="Package path">{target.path}/</code>}
+              {target.title && <span className="repo-target__title">{target.title}</span>}
+              {testedSha && (commitUrl(repo, testedSha) ? (
+                <a
+                  className="repo-target__sha"
+                  href={commitUrl(repo, testedSha)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  title={testedSha}
+                >
+                  {testedSha.slice(0, 7)}
+                </a>
+              ) : (
+                <code className="repo-target__sha" title={testedSha}>{testedSha.slice(0, 7)}</code>
+              ))}
+            </p>
+          )}
+
           {repoStats?.description && (
             <p className="repo-description">{repoStats.description}</p>
           )}
         </div>
 
-        {!isTerminal(status) && (
+        {supersededRun && (
+          <p className="report-meta report-meta--superseded">
+            Supersedes the report produced{' '}
+            <time dateTime={supersededRun.producedAt || undefined} suppressHydrationWarning>
+              {formatTimestamp(supersededRun.producedAt) || 'earlier'}
+            </time>
+            {supersededRun.sha && <> against <code>{supersededRun.sha.slice(0, 7)}</code></>}.
+          </p>
+        )}
+
+        {isIdle && (
+          <section className="test-idle">
+            <p className="test-status__message">
+              No test run yet for {owner}/{name}{target?.path ? `/${target.path}` : ''}{target && target.type !== 'default' ? ` (${target.label})` : ''}.
+              Start one to analyze the repository, generate missing tests and produce a report.
+            </p>
+            <div className="test-idle__actions">
+              <button
+                type="button"
+                className="button"
+                onClick={handleStartRun}
+                disabled={isStartingRun}
+              >
+                {isStartingRun ? 'Starting…' : 'Generate Tests'}
+              </button>
+              <button
+                type="button"
+                className="run-history__toggle"
+                onClick={() => setShowStartOptions((open) => !open)}
+                aria-expanded={showStartOptions}
+              >
+                {showStartOptions ? '▾' : '▸'} Options
+              </button>
+            </div>
+            {showStartOptions && (
+              <RunOptionsForm value={startOptionsDraft} onChange={setStartOptionsDraft} idPrefix="start-options" />
+            )}
+            {startError && (
+              <p className="test-status__message">{startError}</p>
+            )}
+          </section>
+        )}
+
+        {!isIdle && !isTerminal(status) && (
           <section className="test-progress" aria-live="polite">
             <p className="test-status__message test-status__message--active">
               {statusMessage}
@@ -486,9 +675,56 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
             {pollError && (
               <p className="test-status__message">{pollError}</p>
             )}
+            <button
+              type="button"
+              className="test-progress__cancel"
+              onClick={handleCancelRun}
+              disabled={isCancelling}
+            >
+              {isCancelling ? 'Cancelling…' : 'Cancel run'}
+            </button>
+            {cancelError && (
+              <p className="test-status__message">{cancelError}</p>
+            )}
           </section>
         )}
 
+        {isTerminal(status) && (
+          <div className="report-meta">
+            <span>
+              Report produced{' '}
+              <time dateTime={response?.updated_at || response?.created_at || undefined} suppressHydrationWarning>
+                {producedAt || 'at an unknown time'}
+              </time>
+              {testedSha ? <> against <code>{testedSha.slice(0, 7)}</code></> : ' against an unrecorded commit'}.
+              {refMoved && <> The ref now points to <code>{target.sha.slice(0, 7)}</code>.</>}
+              {response?.metadata?.started_by && <> Started by {response.metadata.started_by.login}.</>}
+            </span>
+            <span className="report-meta__actions">
+              <button
+                type="button"
+                className="run-history__toggle"
+                onClick={() => setShowRerunOptions((open) => !open)}
+                aria-expanded={showRerunOptions}
+              >
+                {showRerunOptions ? '▾' : '▸'} Options
+              </button>
+              <button
+                type="button"
+                className="report-meta__rerun"
+                onClick={handleRerun}
+                disabled={isStartingRerun}
+              >
+                {isStartingRerun ? 'Starting…' : 'Re-run tests'}
+              </button>
+            </span>
+            {showRerunOptions && (
+              <RunOptionsForm value={rerunOptionsDraft} onChange={setRerunOptionsDraft} idPrefix="rerun-options" />
+            )}
+            {rerunError && <p className="report-meta__error">{rerunError}</p>}
+          </div>
+        )}
+
         {isTerminal(status) && (
           <section className="output-panel" aria-live="polite">
             {isFailed && (
@@ -501,6 +737,37 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
                 The request was cancelled before completion. Please try again.
               </p>
             )}
+            {!isFailed && !isCancelled && <ResultsDashboard results={response?.results} target={runOptions.coverage_target} />}
+            {exportUrl && (
+              <div className="report-export">
+                <span className="report-export__label">Export report</span>
+                <a className="repo-link-button" href={`${exportUrl}?format=html`} download>HTML</a>
+                <a className="repo-link-button" href={`${exportUrl}?format=print`} target="_blank" rel="noopener noreferrer">Print / PDF</a>
+                <a className="repo-link-button" href={`${exportUrl}?format=json`} download>JSON</a>
+              </div>
+            )}
+            {generatedFiles && filesUrl && (
+              <div className="generated-files">
+                <p className="generated-files__summary">
+                  This run wrote {generatedFiles.count} test file{generatedFiles.count === 1 ? '' : 's'}
+                  {generatedFiles.created < generatedFiles.count ? ` (${generatedFiles.count - generatedFiles.created} changed)` : ''}.
+                </p>
+                <div className="generated-files__actions">
+                  <a className="repo-link-button" href={`${filesUrl}?format=zip`} download>Download as .zip</a>
+                  <a className="repo-link-button" href={`${filesUrl}?format=patch`} download>Download as git patch</a>
+                  {openedPullRequest ? (
+                    <a className="repo-link-button" href={openedPullRequest.url} target="_blank" rel="noopener noreferrer">
+                      View pull request #{openedPullRequest.number}
+                    </a>
+                  ) : canOpenPullRequests(repo) && (
+                    <button type="button" className="button" onClick={handleOpenPullRequest} disabled={isOpeningPullRequest}>
+                      {isOpeningPullRequest ? 'Opening pull request…' : 'Open pull request'}
+                    </button>
+                  )}
+                </div>
+                {pullRequestError && <p className="generated-files__error">{pullRequestError}</p>}
+              </div>
+            )}
             {!isFailed && !isCancelled && renderOutputItems(outputItems)}
           </section>
         )}
@@ -518,7 +785,9 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
                   if (msg.type === 'user') {
                     return (
                       <div key={msg.id} className="chat-message chat-message--user">
-                        <div className="chat-message__label">You</div>
+                        <div className="chat-message__label">
+                          {msg.author && msg.author.id !== user?.id ? msg.author.login : 'You'}
+                        </div>
                         <div className="chat-message__content">{msg.content}</div>
                       </div>
                     );
@@ -538,9 +807,21 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
                         <div className="chat-message__label">Agent</div>
                         <div className="chat-message__content">
                           {!isAgentTerminal && (
-                            <p className="chat-message__thinking">
-                              {formatCommentary(extractLatestCommentary(msg.response?.segments)) || 'Thinking...'}
-                            </p>
+                            <div className="chat-message__pending">
+                              <p className="chat-message__thinking">
+                                {formatCommentary(extractLatestCommentary(msg.response?.segments)) || 'Thinking...'}
+                              </p>
+                              <button
+                                type="button"
+                                className="chat-message__cancel"
+                                onClick={() => handleCancelChat(msg.id)}
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          )}
+                          {isAgentTerminal && agentStatus === 'cancelled' && (
+                            <p className="chat-message__error">Cancelled.</p>
                           )}
                           {isBusyTimeout && (
                             <div className="chat-message__timeout">
@@ -599,6 +880,14 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
           </section>
         )}
 
+        <ActivityLog segments={response?.segments} isActive={!isTerminal(status)} />
+
+        <RunHistory
+          agentName={derivedAgentName}
+          currentResponseId={derivedResponseId}
+          refreshKey={`${derivedResponseId}:${status}`}
+        />
+
         <footer className="test-footer">
           <Link href="/">Test another repository</Link>
         </footer>
@@ -607,291 +896,107 @@ export default function RepoTestPage({ owner, name, repoUrl, agentName, response
   );
 }
 
-// Server-side: Create or reuse agent and response
+// Server-side: load the target's agent and latest run for the signed-in user
 export async function getServerSideProps(context) {
   const { params } = context;
-  const slug = Array.isArray(params?.slug) ? params.slug : [];
+  const parsed = parseRepoSlug(Array.isArray(params?.slug) ? params.slug : []);
 
-  if (slug.length < 2) {
+  if (!parsed) {
     return { redirect: { destination: '/', permanent: false } };
   }
 
-  const [owner, name] = slug;
-  const repoUrl = `https://github.com/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`;
+  const { target: routeTarget, ...repo } = parsed;
+  const { provider, host, owner, name } = repo;
 
-  // Validate GitHub repo
-  let repoInfo = null;
-  try {
-    const githubRes = await fetch(`https://api.github.com/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`, {
-      headers: { 'User-Agent': 'unitest-app', Accept: 'application/vnd.github+json' }
-    });
-    if (!githubRes.ok) throw new Error(`GitHub responded with ${githubRes.status}`);
-    repoInfo = await githubRes.json();
-    if (repoInfo?.private) throw new Error('Repository is private');
-  } catch (error) {
-    return { redirect: { destination: `/?error=repo_inaccessible`, permanent: false } };
+  // Package paths follow the ref of tree routes, or come as ?path= for other targets
+  const queryPath = queryValue(context.query?.path);
+  const requestedTarget = queryPath ? { ...routeTarget, path: normalizeSubdirectory(queryPath) } : routeTarget;
+  if (queryPath && !requestedTarget.path) {
+    return { redirect: { destination: '/?error=invalid_path', permanent: false } };
   }
 
-  const repoStats = { description: repoInfo?.description ?? null, language: repoInfo?.language ?? null };
-
-  const adminToken = process.env.RA_APPS_UNITEST_ADMIN_TOKEN;
-  const raHost = process.env.RA_HOST_URL;
-
-  if (!adminToken || !raHost) {
+  if (!isAuthConfigured()) {
     return {
       props: {
-        owner, name, repoUrl, agentName: null, response: null, responseId: null,
-        setupError: 'Required RA credentials are missing. Set RA_HOST_URL and RA_APPS_UNITEST_ADMIN_TOKEN.',
-        repoStats
+        provider, host, owner, name, user: null,
+        setupError: 'Sign-in is not configured. Set AUTH_SECRET, GITHUB_CLIENT_ID and GITHUB_CLIENT_SECRET.'
       }
     };
   }
 
-  const base = raHost.endsWith('/') ? raHost.slice(0, -1) : raHost;
-  const headers = {
-    Authorization: `Bearer ${adminToken}`,
-    Accept: 'application/json',
-    'Content-Type': 'application/json',
-    'User-Agent': 'unitest-app'
-  };
+  const user = getSessionUser(context.req);
+  if (!user) {
+    return { redirect: { destination: signInPath(context.resolvedUrl), permanent: false } };
+  }
 
-  const tagValue = `${owner}/${name}`;
+  const requestedOptions = optionsFromQuery(context.query);
+  const hasRequestedOptions = Object.keys(optionsToQuery(requestedOptions)).length > 0;
+  const repoUrl = repoWebUrl(repo);
 
-  // Try to find existing agent by tag
+  // Validate the repo with its provider; private repositories need the user's token for the host
+  const token = accessTokenFor(context.req, user, host);
+  let repoInfo = null;
   try {
-    const listRes = await fetch(`${base}/api/v0/agents?tags=${encodeURIComponent(tagValue)}&limit=1`, { headers });
-    if (listRes.ok) {
-      const page = await listRes.json();
-      const found = Array.isArray(page.items) && page.items.length ? page.items[0] : null;
-
-      if (found && found.name) {
-        // Agent exists, get latest response
-        const responsesRes = await fetch(`${base}/api/v0/agents/${encodeURIComponent(found.name)}/responses?limit=1`, { headers });
-        if (responsesRes.ok) {
-          const list = await responsesRes.json();
-          if (Array.isArray(list) && list.length > 0) {
-            return {
-              props: { owner, name, repoUrl, agentName: found.name, response: list[0], responseId: list[0].id, setupError: null, repoStats }
-            };
-          }
-        }
-
-        // Create new response for existing agent
-        const messageBody = {
-          input: {
-            content: [{
-              type: 'text',
-              content: `Clone ${repoUrl}. After cloning, follow these steps:
-
-**Step 1: Detect existing tests**
-Search for test files (test*.py, *test*.js, *_spec.rb, test/, tests/, etc.).
-
-**Step 2: Determine scenario and execute:**
-
-**Scenario A** - Has tests with >80% coverage:
-- Run existing tests
-- Generate HTML test report
-- Output report in markdown
-
-**Scenario B** - Has partial tests (<80% coverage):
-- Run tests and measure coverage
-- Generate tests for uncovered code
-- Run all tests (existing + new)
-- Generate HTML report with before/after comparison
-- Output report in markdown
-
-**Scenario C** - No tests:
-- Analyze codebase
-- Generate comprehensive unit tests
-- Run generated tests
-- Generate HTML report
-- Output report in markdown
-
-**IMPORTANT - You must provide TWO complete outputs:**
-
-**1. Detailed Markdown Output (display directly):**
-Write a comprehensive markdown report including:
-- Executive Summary: Key metrics (coverage %, total tests, pass/fail counts, execution time)
-- Repository Analysis: Languages detected, frameworks found, existing test infrastructure
-- Test Execution Details:
-  * All commands you ran (with full output)
-  * Test results by file/module with pass/fail details
-  * Any errors, warnings, or issues encountered
-  * Screenshots or logs of test execution
-- Coverage Analysis:
-  * Overall coverage percentage (before/after if applicable)
-  * Per-file coverage breakdown with specific percentages
-  * Functions/lines covered vs uncovered
-- Generated Tests:
-  * Show 5-10 example tests you created (full code with syntax highlighting)
-  * Explain what each test does and why it's important
-  * List ALL test files created with their full paths
-- Recommendations: Detailed suggestions for improving coverage and code quality
-
-**2. Complete HTML Report (publish to content server):**
-Create a professional, comprehensive HTML report with:
-- Clean, modern design with proper CSS styling and mobile responsiveness
-- Executive summary dashboard (coverage %, test counts, status badges)
-- Full test execution logs (commands, output, timestamps)
-- Complete test results table (all tests with status, assertions, execution time, error messages)
-- Coverage visualization (charts, graphs, per-file breakdowns with color coding)
-- ALL generated test code (syntax highlighted, organized by file)
-- Before/after comparison (if applicable)
-- Detailed recommendations section
-- Navigation menu for easy browsing
-
-Publish the HTML report to the content server and provide the link at the END of your markdown output.
-
-**Both outputs must be complete and detailed. The markdown should be substantial (not just a link), and the HTML should include everything in even greater detail.**`
-            }]
-          }
-        };
-
-        const responseRes = await fetch(`${base}/api/v0/agents/${encodeURIComponent(found.name)}/responses`, {
-          method: 'POST', headers, body: JSON.stringify(messageBody)
-        });
-        if (!responseRes.ok) throw new Error('Failed to enqueue response');
-        const response = await responseRes.json();
-        return { props: { owner, name, repoUrl, agentName: found.name, response, responseId: response.id, setupError: null, repoStats } };
-      }
-    }
-  } catch (e) {
-    console.warn('[UniTest] Agent reuse check failed:', e);
+    repoInfo = await fetchRepoInfo(repo, { token });
+    if (repoInfo?.private && !token) throw new Error('Repository is private');
+  } catch (error) {
+    return { redirect: { destination: `/?error=repo_inaccessible`, permanent: false } };
   }
 
-  // Create new agent with readable naming
-  function sanitizeName(str) {
-    return str.toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '')
-      .slice(0, 30);
+  // Resolve the branch, tag, commit or pull request to an exact commit
+  let target = null;
+  try {
+    target = await resolveTarget(repo, requestedTarget, repoInfo, { token, refMayIncludePath: true });
+  } catch (error) {
+    console.warn('[UniTest] Failed to resolve target ref:', error);
+    return { redirect: { destination: `/?error=ref_not_found`, permanent: false } };
   }
 
-  function createShortHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    return Math.abs(hash).toString().slice(0, 4);
-  }
+  const repoStats = { description: repoInfo?.description ?? null, language: repoInfo?.language ?? null };
+  const isPrivate = Boolean(repoInfo?.private);
+  const idleProps = {
+    provider, host, owner, name, isPrivate, repoUrl, target, commitSha: null, agentName: null, response: null, responseId: null, supersededRun: null,
+    pullRequests: {}, setupError: null, repoStats, initialOptions: requestedOptions, user
+  };
 
-  const cleanName = sanitizeName(name);
-  const shortId = createShortHash(`${owner}/${name}`);
-  const agentName = `ut-${cleanName}-${shortId}`;
+  if (!isRAConfigured()) {
+    return {
+      props: {
+        ...idleProps,
+        setupError: 'Required RA credentials are missing. Set RA_HOST_URL and RA_APPS_UNITEST_ADMIN_TOKEN.'
+      }
+    };
+  }
 
+  // Only read state here: crawlers, link previews and prefetches must never start a run.
+  // Runs are started from the page (or the home page) through POST /api/runs.
   try {
-    const agentPayload = {
-      name: agentName,
-      description: `UniTest agent for ${owner}/${name}`,
-      tags: ['unitest', tagValue],
-      metadata: { source: 'unitest', repository: { owner, name, url: repoUrl } },
-      instructions: `You are UniTest, an intelligent test generation and analysis agent. Your mission is to help developers achieve comprehensive test coverage.
-
-**Core Capabilities:**
-- Detect and analyze existing test suites and measure code coverage
-- Generate comprehensive unit tests for uncovered code (normal paths, edge cases, error handling, input validation)
-- Execute complete test suites and collect detailed results
-- Produce clean, professional HTML reports with proper structure, color coding, and syntax highlighting
-
-**HTML Report Standards:**
-Your reports must be well-structured, visually appealing, and professionally formatted with:
-- Executive Summary (coverage %, total tests, pass/fail counts)
-- Coverage Analysis (before/after comparison, by file/module)
-- Test Results (detailed tables with status, execution time, assertions)
-- Generated Tests (syntax-highlighted code blocks)
-- Recommendations (actionable suggestions for improvement)
-- Clean HTML5 markup, proper CSS styling, color coding (green/red/yellow), progress bars, and mobile-responsive design
-
-Always deliver thorough, professional output that helps developers improve code quality.`,
-      busy_timeout_seconds: 1800
-    };
+    const found = await findAgent(agentTag(repo, target));
+    if (!found) {
+      return { props: idleProps };
+    }
+    // The provider just confirmed this user can read the repository, so its API routes may serve the agent
+    if (isPrivate) grantAccess(context.req, context.res, user, found.name);
 
-    const createAgentRes = await fetch(`${base}/api/v0/agents`, {
-      method: 'POST', headers, body: JSON.stringify(agentPayload)
-    });
-    if (!createAgentRes.ok) throw new Error('Failed to create agent');
-
-    const messageBody = {
-      input: {
-        content: [{
-          type: 'text',
-          content: `Clone ${repoUrl}. After cloning, follow these steps:
-
-**Step 1: Detect existing tests**
-Search for test files (test*.py, *test*.js, *_spec.rb, test/, tests/, etc.).
-
-**Step 2: Determine scenario and execute:**
-
-**Scenario A** - Has tests with >80% coverage:
-- Run existing tests
-- Generate HTML test report
-- Output report in markdown
-
-**Scenario B** - Has partial tests (<80% coverage):
-- Run tests and measure coverage
-- Generate tests for uncovered code
-- Run all tests (existing + new)
-- Generate HTML report with before/after comparison
-- Output report in markdown
-
-**Scenario C** - No tests:
-- Analyze codebase
-- Generate comprehensive unit tests
-- Run generated tests
-- Generate HTML report
-- Output report in markdown
-
-**IMPORTANT - You must provide TWO complete outputs:**
-
-**1. Detailed Markdown Output (display directly):**
-Write a comprehensive markdown report including:
-- Executive Summary: Key metrics (coverage %, total tests, pass/fail counts, execution time)
-- Repository Analysis: Languages detected, frameworks found, existing test infrastructure
-- Test Execution Details:
-  * All commands you ran (with full output)
-  * Test results by file/module with pass/fail details
-  * Any errors, warnings, or issues encountered
-  * Screenshots or logs of test execution
-- Coverage Analysis:
-  * Overall coverage percentage (before/after if applicable)
-  * Per-file coverage breakdown with specific percentages
-  * Functions/lines covered vs uncovered
-- Generated Tests:
-  * Show 5-10 example tests you created (full code with syntax highlighting)
-  * Explain what each test does and why it's important
-  * List ALL test files created with their full paths
-- Recommendations: Detailed suggestions for improving coverage and code quality
-
-**2. Complete HTML Report (publish to content server):**
-Create a professional, comprehensive HTML report with:
-- Clean, modern design with proper CSS styling and mobile responsiveness
-- Executive summary dashboard (coverage %, test counts, status badges)
-- Full test execution logs (commands, output, timestamps)
-- Complete test results table (all tests with status, assertions, execution time, error messages)
-- Coverage visualization (charts, graphs, per-file breakdowns with color coding)
-- ALL generated test code (syntax highlighted, organized by file)
-- Before/after comparison (if applicable)
-- Detailed recommendations section
-- Navigation menu for easy browsing
-
-Publish the HTML report to the content server and provide the link at the END of your markdown output.
-
-**Both outputs must be complete and detailed. The markdown should be substantial (not just a link), and the HTML should include everything in even greater detail.**`
-        }]
+    const { run: latest, responses } = await findLatestRun(found.name);
+    if (!latest) {
+      const options = hasRequestedOptions ? requestedOptions : normalizeRunOptions(found.metadata?.options);
+      return { props: { ...idleProps, agentName: found.name, initialOptions: options } };
+    }
+
+    return {
+      props: {
+        ...idleProps,
+        commitSha: latest.metadata?.target?.sha ?? null,
+        agentName: found.name,
+        response: withResults(latest),
+        responseId: latest.id,
+        supersededRun: findSupersededRun(responses, latest),
+        pullRequests: found.metadata?.pull_requests ?? {}
       }
     };
-
-    const responseRes = await fetch(`${base}/api/v0/agents/${encodeURIComponent(agentName)}/responses`, {
-      method: 'POST', headers, body: JSON.stringify(messageBody)
-    });
-    if (!responseRes.ok) throw new Error('Failed to enqueue response');
-
-    const response = await responseRes.json();
-    return { props: { owner, name, repoUrl, agentName, response, responseId: response.id, setupError: null, repoStats } };
   } catch (error) {
-    console.error('[UniTest] Error preparing agent workflow:', error);
-    return { redirect: { destination: `/?error=setup_failed`, permanent: false } };
+    console.warn('[UniTest] Failed to load agent state:', error.message);
+    return { props: { ...idleProps, setupError: 'Could not load test runs from RA. Please try again shortly.' } };
   }
 }
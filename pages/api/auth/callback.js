@@ -0,0 +1,23 @@
+import { AuthConfigError, completeSignIn, setSessionCookie } from '../../../lib/auth';
+import { debugLog } from '../../../lib/log';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { user, returnTo, accessToken } = await completeSignIn(req, { code: req.query.code, state: req.query.state });
+    setSessionCookie(req, res, user, { accessToken });
+    debugLog(`[UniTest Auth] Signed in ${user.login}`);
+    return res.redirect(302, returnTo);
+  } catch (error) {
+    if (error instanceof AuthConfigError) {
+      console.error('[UniTest Auth]', error.message);
+      return res.status(500).json({ error: 'Server configuration error', code: 'config_error', details: error.message });
+    }
+    console.warn('[UniTest Auth] Sign-in failed:', error.message);
+    return res.redirect(302, '/?error=signin_failed');
+  }
+}
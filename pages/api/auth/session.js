@@ -0,0 +1,11 @@
+import { getSessionUser } from '../../../lib/auth';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).json({ user: getSessionUser(req) });
+}
@@ -0,0 +1,17 @@
+import { AuthConfigError, beginSignIn } from '../../../lib/auth';
+
+// Redirects to GitHub to sign in; ?returnTo=<path> is where the callback sends the user back.
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    return res.redirect(302, beginSignIn(req, res, req.query.returnTo));
+  } catch (error) {
+    if (!(error instanceof AuthConfigError)) throw error;
+    console.error('[UniTest Auth]', error.message);
+    return res.status(500).json({ error: 'Server configuration error', code: 'config_error', details: error.message });
+  }
+}
@@ -0,0 +1,12 @@
+import { clearSessionCookie } from '../../../lib/auth';
+
+// POST only, so links and prefetches cannot sign anyone out.
+export default function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  clearSessionCookie(req, res);
+  return res.redirect(303, '/');
+}
@@ -0,0 +1,36 @@
+import { accessTokenSummary, isValidAccessToken, removeAccessToken, requireUser, setAccessToken } from '../../../lib/auth';
+import { normalizeHost, providerForHost } from '../../../lib/providers';
+
+// The signed-in user's access tokens for private repositories. Token values are write-only:
+// GET lists hosts and where each token came from, POST { host, token } stores one and
+// DELETE ?host= drops it.
+export default function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = requireUser(req, res);
+  if (!user) return;
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ tokens: accessTokenSummary(req, user) });
+  }
+
+  const rawHost = req.method === 'POST' ? req.body?.host : req.query.host;
+  const host = normalizeHost(typeof rawHost === 'string' && rawHost.trim() ? rawHost : 'github.com');
+  if (!providerForHost(host)) {
+    return res.status(400).json({ error: 'Unsupported repository host', code: 'unsupported_repo' });
+  }
+
+  if (req.method === 'DELETE') {
+    return res.status(200).json({ tokens: removeAccessToken(req, res, user, host) });
+  }
+
+  const { token } = req.body || {};
+  if (!isValidAccessToken(token)) {
+    return res.status(400).json({ error: 'Enter an access token', code: 'invalid_token' });
+  }
+  return res.status(200).json({ tokens: setAccessToken(req, res, user, host, token) });
+}
@@ -0,0 +1,43 @@
+import { assertAgentAccess } from '../../../../../lib/access';
+import { requireUser } from '../../../../../lib/auth';
+import { isTestRunResponse, runSummary } from '../../../../../lib/runs';
+import { getResponse, queryValue, sendRAError } from '../../../../../lib/ra';
+import { compareResults, extractResults, summarizeResults } from '../../../../../lib/results';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = requireUser(req, res);
+  if (!user) return;
+
+  const agent = queryValue(req.query?.agent);
+  const baseId = queryValue(req.query?.base);
+  const headId = queryValue(req.query?.head);
+
+  if (!agent || !baseId || !headId) {
+    return res.status(400).json({ error: 'Missing agent name, base or head run' });
+  }
+
+  try {
+    await assertAgentAccess(req, user, agent);
+    const [baseRun, headRun] = await Promise.all([getResponse(agent, baseId), getResponse(agent, headId)]);
+
+    if (!isTestRunResponse(baseRun) || !isTestRunResponse(headRun)) {
+      return res.status(422).json({ error: 'Both responses must be test runs' });
+    }
+
+    const baseResults = extractResults(baseRun);
+    const headResults = extractResults(headRun);
+
+    return res.status(200).json({
+      base: { ...runSummary(baseRun), stats: summarizeResults(baseResults) },
+      head: { ...runSummary(headRun), stats: summarizeResults(headResults) },
+      ...compareResults(baseResults, headResults)
+    });
+  } catch (error) {
+    return sendRAError(res, error, 'Failed to fetch run for comparison');
+  }
+}
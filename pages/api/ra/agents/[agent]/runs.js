@@ -0,0 +1,38 @@
+import { assertAgentAccess } from '../../../../../lib/access';
+import { requireUser } from '../../../../../lib/auth';
+import { isTestRunResponse, runSummary, sortByNewest } from '../../../../../lib/runs';
+import { listResponses, queryValue, sendRAError } from '../../../../../lib/ra';
+import { extractResults, summarizeResults } from '../../../../../lib/results';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = requireUser(req, res);
+  if (!user) return;
+
+  const agent = queryValue(req.query?.agent);
+
+  if (!agent) {
+    return res.status(400).json({ error: 'Missing agent name' });
+  }
+
+  try {
+    await assertAgentAccess(req, user, agent);
+    const responses = await listResponses(agent, { limit: 50 });
+    const runs = sortByNewest(responses)
+      .filter(isTestRunResponse)
+      .map((resp) => ({
+        ...runSummary(resp),
+        createdAt: resp.created_at || null,
+        target: resp.metadata?.target ?? null,
+        stats: summarizeResults(extractResults(resp))
+      }));
+
+    return res.status(200).json({ runs });
+  } catch (error) {
+    return sendRAError(res, error, 'Failed to fetch run history');
+  }
+}
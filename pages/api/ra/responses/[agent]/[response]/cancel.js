@@ -0,0 +1,34 @@
+import { assertAgentAccess } from '../../../../../../lib/access';
+import { requireUser } from '../../../../../../lib/auth';
+import { cancelResponse, getResponse, queryValue, sendRAError } from '../../../../../../lib/ra';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = requireUser(req, res);
+  if (!user) return;
+
+  const agent = queryValue(req.query?.agent);
+  const response = queryValue(req.query?.response);
+  if (!agent || !response) {
+    return res.status(400).json({ error: 'Missing agent or response identifier' });
+  }
+
+  try {
+    await assertAgentAccess(req, user, agent);
+    // Only whoever started a run or message may cancel it; older responses record no owner
+    const current = await getResponse(agent, response);
+    const startedBy = current?.metadata?.started_by;
+    if (startedBy?.id && startedBy.id !== user.id) {
+      return res.status(403).json({ error: `Only ${startedBy.login} can cancel this response`, code: 'forbidden' });
+    }
+
+    const payload = (await cancelResponse(agent, response)) || {};
+    return res.status(200).json({ ...payload, status: payload.status || 'cancelled' });
+  } catch (error) {
+    return sendRAError(res, error, 'Failed to cancel response on RA');
+  }
+}
@@ -0,0 +1,70 @@
+import { assertAgentAccess } from '../../../../../../lib/access';
+import { requireUser } from '../../../../../../lib/auth';
+import { repoFromMetadata } from '../../../../../../lib/providers';
+import { getAgent, getResponse, queryValue, sendRAError } from '../../../../../../lib/ra';
+import { renderStandaloneReport, reportExportData } from '../../../../../../lib/reportExport';
+import { isTestRunResponse } from '../../../../../../lib/runs';
+
+const FORMATS = {
+  html: { type: 'text/html; charset=utf-8', extension: 'html', download: true },
+  print: { type: 'text/html; charset=utf-8', extension: 'html', download: false },
+  json: { type: 'application/json; charset=utf-8', extension: 'json', download: true }
+};
+
+// The exported HTML is opened from this origin (the print view) or from disk, so it may not run
+// scripts or load anything at all; images in the report are exported as links.
+const HTML_POLICY = "default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'";
+
+// Exports a completed test run: ?format=html (standalone file), ?format=print (shown in the
+// browser, ready to print to PDF) or ?format=json (structured data and the markdown report).
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = requireUser(req, res);
+  if (!user) return;
+
+  const agent = queryValue(req.query?.agent);
+  const response = queryValue(req.query?.response);
+  if (!agent || !response) {
+    return res.status(400).json({ error: 'Missing agent or response identifier' });
+  }
+  const formatName = queryValue(req.query?.format) || 'html';
+  const format = FORMATS[formatName];
+  if (!format) {
+    return res.status(400).json({ error: 'format must be html, print or json', code: 'invalid_format' });
+  }
+
+  let agentRecord;
+  let payload;
+  try {
+    await assertAgentAccess(req, user, agent);
+    [agentRecord, payload] = await Promise.all([getAgent(agent), getResponse(agent, response)]);
+  } catch (error) {
+    return sendRAError(res, error, 'Failed to fetch the test run from RA');
+  }
+
+  if (String(payload?.status || '').toLowerCase() !== 'completed' || !isTestRunResponse(payload)) {
+    return res.status(409).json({ error: 'Only completed test runs can be exported', code: 'run_not_completed' });
+  }
+  const repo = repoFromMetadata(agentRecord?.metadata?.repository);
+  if (!repo) {
+    return res.status(404).json({ error: 'The agent has no repository recorded', code: 'not_found' });
+  }
+
+  const data = reportExportData({ agent, repo, resp: payload });
+  const sha = payload.metadata?.target?.sha;
+  const commit = /^[0-9a-f]{7,40}$/i.test(sha || '') ? sha.slice(0, 7) : null;
+  const filename = `${agent.replace(/[^\w.-]/g, '_')}-report${commit ? `-${commit}` : ''}.${format.extension}`;
+
+  res.setHeader('Content-Type', format.type);
+  res.setHeader('Content-Disposition', `${format.download ? 'attachment' : 'inline'}; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  if (formatName === 'json') {
+    return res.status(200).send(`${JSON.stringify(data, null, 2)}\n`);
+  }
+  res.setHeader('Content-Security-Policy', HTML_POLICY);
+  return res.status(200).send(renderStandaloneReport(data, { print: formatName === 'print' }));
+}
@@ -0,0 +1,61 @@
+import { assertAgentAccess } from '../../../../../../lib/access';
+import { requireUser } from '../../../../../../lib/auth';
+import { buildPatch, buildZip, extractGeneratedFiles } from '../../../../../../lib/generatedFiles';
+import { getResponse, queryValue, sendRAError } from '../../../../../../lib/ra';
+import { isTestRunResponse } from '../../../../../../lib/runs';
+
+const FORMATS = {
+  zip: { type: 'application/zip', extension: 'zip' },
+  patch: { type: 'text/x-diff; charset=utf-8', extension: 'patch' }
+};
+
+// Downloads the test files a run generated: ?format=zip (full contents) or ?format=patch.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = requireUser(req, res);
+  if (!user) return;
+
+  const agent = queryValue(req.query?.agent);
+  const response = queryValue(req.query?.response);
+  if (!agent || !response) {
+    return res.status(400).json({ error: 'Missing agent or response identifier' });
+  }
+  const formatName = queryValue(req.query?.format) || 'zip';
+  const format = FORMATS[formatName];
+  if (!format) {
+    return res.status(400).json({ error: 'format must be zip or patch', code: 'invalid_format' });
+  }
+
+  let payload;
+  try {
+    await assertAgentAccess(req, user, agent);
+    payload = await getResponse(agent, response);
+  } catch (error) {
+    return sendRAError(res, error, 'Failed to fetch the test run from RA');
+  }
+
+  const generated = isTestRunResponse(payload) ? extractGeneratedFiles(payload) : null;
+  if (!generated || generated.files.length === 0) {
+    const details = generated?.errors?.length ? generated.errors : undefined;
+    return res.status(404).json({ error: 'This run has no generated test files', code: 'no_files', details });
+  }
+  if (generated.errors.length) {
+    console.warn('[UniTest Files] Skipped invalid generated files:', generated.errors.join('; '));
+  }
+
+  const target = payload.metadata?.target;
+  const commit = /^[0-9a-f]{7,40}$/i.test(target?.sha || '') ? target.sha.slice(0, 7) : null;
+  const filename = `${agent.replace(/[^\w.-]/g, '_')}-tests${commit ? `-${commit}` : ''}.${format.extension}`;
+  const body = formatName === 'zip'
+    ? Buffer.from(buildZip(generated.files))
+    : buildPatch(generated.files, { title: `UniTest generated tests for ${target?.ref || 'the default branch'}${target?.sha ? ` at ${target.sha}` : ''}` });
+
+  res.setHeader('Content-Type', format.type);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).send(body);
+}
@@ -0,0 +1,104 @@
+import { assertAgentAccess } from '../../../../../../lib/access';
+import { accessTokenFor, ownerRef, requestOrigin, requireUser } from '../../../../../../lib/auth';
+import { extractGeneratedFiles } from '../../../../../../lib/generatedFiles';
+import { canOpenPullRequests, fetchRepoInfo, openPullRequest, providerLabel, repoFromMetadata, repoKey, targetFromMetadata, targetPath } from '../../../../../../lib/providers';
+import { pullRequestBase, pullRequestBranch, pullRequestContent } from '../../../../../../lib/pullRequests';
+import { getAgent, getResponse, queryValue, sendRAError, updateAgent } from '../../../../../../lib/ra';
+import { extractResults } from '../../../../../../lib/results';
+import { isTestRunResponse } from '../../../../../../lib/runs';
+
+// Opens a pull request with the test files a run generated, using the signed-in user's access
+// token for the repository's host. Each run opens at most one; asking again returns it.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = requireUser(req, res);
+  if (!user) return;
+
+  const agent = queryValue(req.query?.agent);
+  const response = queryValue(req.query?.response);
+  if (!agent || !response) {
+    return res.status(400).json({ error: 'Missing agent or response identifier' });
+  }
+
+  let agentRecord;
+  let payload;
+  try {
+    await assertAgentAccess(req, user, agent);
+    [agentRecord, payload] = await Promise.all([getAgent(agent), getResponse(agent, response)]);
+  } catch (error) {
+    return sendRAError(res, error, 'Failed to fetch the test run from RA');
+  }
+
+  const existing = agentRecord?.metadata?.pull_requests?.[response];
+  if (existing) {
+    return res.status(200).json({ pullRequest: existing, existing: true });
+  }
+
+  const repo = repoFromMetadata(agentRecord?.metadata?.repository);
+  if (!repo || !canOpenPullRequests(repo)) {
+    return res.status(400).json({ error: 'Pull requests cannot be opened for this repository', code: 'unsupported_provider' });
+  }
+  const target = payload?.metadata?.target;
+  if (String(payload?.status || '').toLowerCase() !== 'completed' || !isTestRunResponse(payload) || !target?.sha) {
+    return res.status(409).json({ error: 'Only completed test runs can open a pull request', code: 'run_not_completed' });
+  }
+  const generated = extractGeneratedFiles(payload);
+  if (!generated || generated.files.length === 0) {
+    return res.status(404).json({ error: 'This run has no generated test files', code: 'no_files' });
+  }
+  if (target.kind === 'pull' && !pullRequestBase(target, null)) {
+    return res.status(409).json({
+      error: 'Pull requests can only be opened for pull requests whose branch is in this repository, not in a fork',
+      code: 'fork_pull_request'
+    });
+  }
+  const token = accessTokenFor(req, user, repo.host);
+  if (!token) {
+    return res.status(403).json({
+      error: `Add an access token for ${repo.host} that can push to ${repoKey(repo)} to open pull requests`,
+      code: 'token_required'
+    });
+  }
+
+  let pullRequest;
+  try {
+    const base = pullRequestBase(target, null) ?? pullRequestBase(target, (await fetchRepoInfo(repo, { token })).defaultBranch);
+    if (!base) throw new Error('Unable to determine the branch to open the pull request against');
+    const reportUrl = `${requestOrigin(req)}${targetPath(repo, targetFromMetadata(agentRecord.metadata.target))}`;
+    const content = pullRequestContent({ target, results: extractResults(payload), files: generated.files, reportUrl });
+    pullRequest = await openPullRequest(repo, {
+      token,
+      base,
+      baseSha: target.sha,
+      branch: pullRequestBranch(target, response),
+      ...content,
+      files: generated.files
+    });
+  } catch (err) {
+    console.warn('[UniTest Pull Requests] Failed to open pull request:', err.message);
+    if (err.status === 401 || err.status === 403 || err.status === 404) {
+      return res.status(403).json({
+        error: `${providerLabel(repo)} did not let your access token push to ${repoKey(repo)}`,
+        code: 'token_rejected',
+        details: err.message
+      });
+    }
+    if (err.status === 409 || err.status === 422) {
+      return res.status(409).json({ error: `${providerLabel(repo)} refused the pull request`, code: 'pull_request_failed', details: err.message });
+    }
+    return res.status(502).json({ error: `Could not open the pull request on ${providerLabel(repo)}`, code: 'provider_error', details: err.message });
+  }
+
+  const record = { ...pullRequest, opened_by: ownerRef(user), opened_at: new Date().toISOString() };
+  try {
+    const pullRequests = { ...agentRecord.metadata.pull_requests, [response]: record };
+    await updateAgent(agent, { metadata: { ...agentRecord.metadata, pull_requests: pullRequests } });
+  } catch (err) {
+    console.warn('[UniTest Pull Requests] Failed to record pull request on agent:', err.message);
+  }
+  return res.status(201).json({ pullRequest: record, existing: false });
+}
@@ -0,0 +1,75 @@
+import { assertAgentAccess } from '../../../../../../lib/access';
+import { requireUser } from '../../../../../../lib/auth';
+import { queryValue, raConfig, sendRAError } from '../../../../../../lib/ra';
+import { subscribe } from '../../../../../../lib/responseStream';
+
+const HEARTBEAT_MS = 15000;
+
+// The response stays open for as long as the browser is connected.
+export const config = {
+  api: { externalResolver: true }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = requireUser(req, res);
+  if (!user) return;
+
+  const agent = queryValue(req.query?.agent);
+  const response = queryValue(req.query?.response);
+  const watchState = queryValue(req.query?.watch_state);
+  if (!agent || !response) {
+    return res.status(400).json({ error: 'Missing agent or response identifier' });
+  }
+
+  try {
+    raConfig();
+  } catch (error) {
+    return sendRAError(res, error, 'Server configuration error');
+  }
+
+  try {
+    await assertAgentAccess(req, user, agent);
+  } catch (error) {
+    return sendRAError(res, error, 'Failed to open response stream');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let unsubscribe = null;
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe?.();
+    res.end();
+  };
+
+  unsubscribe = subscribe(
+    agent,
+    response,
+    (event, data) => {
+      send(event, data);
+      if (event === 'end') close();
+    },
+    { watchAgentState: watchState === '1' }
+  );
+
+  req.on('close', close);
+}
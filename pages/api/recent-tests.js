@@ -1,11 +1,7 @@
-const REQUIRED_ENV_VARS = ['RA_APPS_UNITEST_ADMIN_TOKEN', 'RA_HOST_URL'];
-
-function ensureEnv() {
-  const missing = REQUIRED_ENV_VARS.filter((key) => !process.env[key] || process.env[key].trim() === '');
-  if (missing.length) {
-    throw new Error(`Missing environment variables: ${missing.join(', ')}`);
-  }
-}
+import { hasAccessGrant, isPrivateAgent } from '../../lib/access';
+import { isOwnedBy, requireUser } from '../../lib/auth';
+import { repoFromMetadata } from '../../lib/providers';
+import { listAgents, listResponses, queryValue, sendRAError } from '../../lib/ra';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -13,70 +9,59 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  try {
-    ensureEnv();
-  } catch (err) {
-    return res.status(500).json({ error: err.message });
-  }
+  const user = requireUser(req, res);
+  if (!user) return;
 
-  const token = process.env.RA_APPS_UNITEST_ADMIN_TOKEN;
-  const host = process.env.RA_HOST_URL.replace(/\/$/, '');
+  // ?scope=mine keeps targets the user created or started a run or message on
+  const mineOnly = queryValue(req.query?.scope) === 'mine';
 
   try {
     // Fetch all unitest agents
-    const agentsRes = await fetch(`${host}/api/v0/agents?tags=unitest&limit=50`, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        Accept: 'application/json',
-        'User-Agent': 'unitest-app'
-      }
-    });
-
-    if (!agentsRes.ok) {
-      throw new Error(`Failed to fetch agents: ${agentsRes.status}`);
-    }
-
-    const agentsData = await agentsRes.json();
-    const agents = Array.isArray(agentsData.items) ? agentsData.items : [];
+    const agentsData = await listAgents({ tags: 'unitest', limit: 50 });
+    const agents = Array.isArray(agentsData?.items) ? agentsData.items : [];
 
     // For each agent, get the latest completed response - fetch in parallel
     const responsePromises = agents.map(async (agent) => {
       try {
-        const responsesRes = await fetch(`${host}/api/v0/agents/${encodeURIComponent(agent.name)}/responses?limit=10`, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            Accept: 'application/json',
-            'User-Agent': 'unitest-app'
+        const responses = await listResponses(agent.name, { limit: 10 });
+        if (Array.isArray(responses) && responses.length > 0) {
+          const mine = agent.metadata?.created_by?.id === user.id || responses.some((r) => isOwnedBy(r, user));
+          if (mineOnly && !mine) {
+            return null;
+          }
+          // Private repositories are listed to whoever worked on them or has a current grant
+          if (isPrivateAgent(agent) && !mine && !hasAccessGrant(req, user, agent.name)) {
+            return null;
           }
-        });
 
-        if (responsesRes.ok) {
-          const responses = await responsesRes.json();
-          if (Array.isArray(responses) && responses.length > 0) {
-            // Find most recent completed response
-            const completed = responses.filter(r => String(r?.status || '').toLowerCase() === 'completed');
-            const latest = completed.length > 0 ? completed[0] : responses[0];
+          // Find most recent completed response
+          const completed = responses.filter(r => String(r?.status || '').toLowerCase() === 'completed');
+          const latest = completed.length > 0 ? completed[0] : responses[0];
 
-            if (latest) {
-              // Extract repository info from metadata
-              const repo = agent.metadata?.repository;
-              if (repo?.owner && repo?.name) {
-                return {
-                  owner: repo.owner,
-                  name: repo.name,
-                  url: repo.url,
-                  agentName: agent.name,
-                  responseId: latest.id,
-                  status: latest.status,
-                  createdAt: latest.created_at,
-                  updatedAt: latest.updated_at
-                };
-              }
+          if (latest) {
+            // Extract repository info from metadata
+            const repo = repoFromMetadata(agent.metadata?.repository);
+            if (repo) {
+              return {
+                provider: repo.provider,
+                host: repo.host,
+                owner: repo.owner,
+                name: repo.name,
+                url: agent.metadata.repository.url,
+                private: isPrivateAgent(agent),
+                target: agent.metadata?.target ?? null,
+                agentName: agent.name,
+                responseId: latest.id,
+                status: latest.status,
+                startedBy: latest.metadata?.started_by?.login ?? null,
+                createdAt: latest.created_at,
+                updatedAt: latest.updated_at
+              };
             }
           }
         }
       } catch (err) {
-        console.error(`[UniTest] Failed to fetch responses for agent ${agent.name}:`, err);
+        console.error(`[UniTest] Failed to fetch responses for agent ${agent.name}:`, err.message);
       }
       return null;
     });
@@ -88,12 +73,11 @@ export default async function handler(req, res) {
     // Sort by most recent first
     recentTests.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
 
-    // Cache for 30 seconds to reduce API load
-    res.setHeader('Cache-Control', 'public, max-age=30, stale-while-revalidate=60');
+    // Cache for 30 seconds to reduce API load; the list depends on who is asking
+    res.setHeader('Cache-Control', 'private, max-age=30, stale-while-revalidate=60');
 
     return res.status(200).json({ tests: recentTests.slice(0, 20) }); // Return top 20
   } catch (error) {
-    console.error('[UniTest] Failed to fetch recent tests:', error);
-    return res.status(500).json({ error: 'Failed to fetch recent tests' });
+    return sendRAError(res, error, 'Failed to fetch recent tests');
   }
 }
@@ -0,0 +1,121 @@
+import { grantAccess, isPrivateAgent } from '../../lib/access';
+import { agentTag, findLatestRun, rememberAgentOptions, syncAgentAccess, testRunRequest, withRunLock } from '../../lib/agents';
+import { accessTokenFor, ownerRef, requireUser } from '../../lib/auth';
+import { normalizeRunOptions } from '../../lib/options';
+import { cloneCredentials, cloneUrl, fetchRepoInfo, repoFromMetadata, resolveTarget, targetFromMetadata } from '../../lib/providers';
+import { createResponse, getAgent, getResponse, RAError, raConfig, sendRAError } from '../../lib/ra';
+import { consumeRateLimit, consumeRunQuota, RateLimitError, sendRateLimited } from '../../lib/rateLimit';
+import { isTerminal } from '../../lib/runs';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = requireUser(req, res);
+  if (!user) return;
+
+  const { agentName, previousResponseId, options: requestedOptions } = req.body || {};
+
+  if (!agentName) {
+    return res.status(400).json({ error: 'Missing agentName' });
+  }
+
+  try {
+    raConfig();
+    await consumeRateLimit(req, user, 'run');
+
+    let agent;
+    try {
+      agent = await getAgent(agentName);
+    } catch (error) {
+      return sendRAError(res, error, 'Failed to fetch agent', '[UniTest Rerun]');
+    }
+
+    const repo = repoFromMetadata(agent?.metadata?.repository);
+    if (!repo) {
+      return res.status(422).json({ error: 'Agent is not linked to a repository' });
+    }
+
+    // Private agents are checked with the provider below rather than through a grant, since
+    // re-running needs the user's token anyway. Without access they read as missing.
+    const token = accessTokenFor(req, user, repo.host);
+    const notFound = () => res.status(404).json({ error: 'Failed to fetch agent', code: 'not_found' });
+    if (isPrivateAgent(agent) && !token) return notFound();
+
+    // Refuse to stack a second run on top of one that is still going
+    if (previousResponseId) {
+      try {
+        const previous = await getResponse(agentName, previousResponseId);
+        if (!isTerminal(previous?.status)) {
+          return res.status(409).json({ error: 'A test run is already in progress' });
+        }
+      } catch (error) {
+        // A previous run that no longer exists does not block a new one
+        if (!(error instanceof RAError) || error.upstreamStatus !== 404) throw error;
+      }
+    }
+
+    // Re-resolve the ref so a moved branch or updated pull request is tested at its new head
+    let repoInfo;
+    try {
+      repoInfo = await fetchRepoInfo(repo, { token });
+      if (repoInfo?.private && !token) throw new Error('Repository is private');
+    } catch (err) {
+      if (isPrivateAgent(agent)) return notFound();
+      console.error('[UniTest Rerun] Failed to resolve target:', err);
+      return res.status(502).json({ error: 'Failed to resolve repository ref', details: err.message });
+    }
+
+    let target;
+    try {
+      target = await resolveTarget(repo, targetFromMetadata(agent.metadata.target), repoInfo, { token });
+    } catch (err) {
+      console.error('[UniTest Rerun] Failed to resolve target:', err);
+      return res.status(502).json({ error: 'Failed to resolve repository ref', details: err.message });
+    }
+
+    const options = normalizeRunOptions(requestedOptions ?? agent.metadata.options);
+    const credentials = repoInfo?.private ? cloneCredentials(repo, token) : null;
+    const messageBody = testRunRequest(cloneUrl(repo), target, options, {
+      supersedes: previousResponseId || null,
+      startedBy: ownerRef(user),
+      privateRepo: Boolean(credentials)
+    });
+    const { metadata } = messageBody;
+
+    // Shares the lock with POST /api/runs, so simultaneous clicks start one run between them.
+    // Either route may join the other's start, so this resolves with startTestRun's shape.
+    const result = await withRunLock(agentTag(repo, target), async () => {
+      // Someone else re-ran this target since the page loaded: show their run instead of stacking another
+      const { run: latest } = await findLatestRun(agentName);
+      if (latest && latest.id !== previousResponseId && !isTerminal(latest.status)) {
+        return { agentName, response: latest, reused: true, createdAgent: false };
+      }
+
+      const releaseQuota = await consumeRunQuota(user);
+      try {
+        agent = await syncAgentAccess(agent, repo, credentials);
+        return { agentName, response: await createResponse(agentName, messageBody), reused: false, createdAgent: false };
+      } catch (error) {
+        await releaseQuota().catch((err) => console.warn('[UniTest Rerun] Failed to release daily quota:', err.message));
+        throw error;
+      }
+    });
+
+    const { response } = result;
+    if (credentials) grantAccess(req, res, user, agentName);
+
+    if (result.reused || result.joined) {
+      return res.status(200).json({ ...response, joined: true });
+    }
+
+    if (requestedOptions) await rememberAgentOptions(agent, options);
+
+    return res.status(200).json({ ...response, metadata: response?.metadata ?? metadata, joined: false });
+  } catch (error) {
+    if (error instanceof RateLimitError) return sendRateLimited(res, error, '[UniTest Rerun]');
+    return sendRAError(res, error, 'Failed to start a new test run', '[UniTest Rerun]');
+  }
+}
@@ -0,0 +1,107 @@
+import { grantAccess } from '../../lib/access';
+import { startTestRun } from '../../lib/agents';
+import { accessTokenFor, ownerRef, requireUser } from '../../lib/auth';
+import { normalizeRunOptions } from '../../lib/options';
+import { cloneCredentials, fetchRepoInfo, normalizeSubdirectory, repoFor, resolveTarget, targetFromMetadata } from '../../lib/providers';
+import { raConfig, sendRAError } from '../../lib/ra';
+import { consumeRateLimit, consumeRunQuota, RateLimitError, sendRateLimited } from '../../lib/rateLimit';
+import { withResults } from '../../lib/results';
+
+// Starts work for a repository target. Page GETs only read state, so this is the one place
+// (besides /api/rerun) where agents are created and runs are enqueued.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = requireUser(req, res);
+  if (!user) return;
+
+  const { host, owner, name, target: requestedTarget, options } = req.body || {};
+
+  if (typeof owner !== 'string' || typeof name !== 'string' || !owner.trim() || !name.trim()) {
+    return res.status(400).json({ error: 'Missing owner or name' });
+  }
+
+  // GitHub unless the page names another host; the host decides the provider
+  const repo = repoFor({ host: typeof host === 'string' ? host : null, owner, name });
+  if (!repo) {
+    return res.status(400).json({ error: 'Unsupported repository host or path', code: 'unsupported_repo' });
+  }
+
+  const requested = targetFromMetadata(requestedTarget);
+  if (requestedTarget?.path && !normalizeSubdirectory(requestedTarget.path)) {
+    return res.status(400).json({ error: 'Subdirectory must be a relative path inside the repository', code: 'invalid_path' });
+  }
+
+  try {
+    raConfig();
+  } catch (error) {
+    return sendRAError(res, error, 'Server configuration error');
+  }
+
+  try {
+    await consumeRateLimit(req, user, 'run');
+  } catch (error) {
+    if (error instanceof RateLimitError) return sendRateLimited(res, error, '[UniTest Runs]');
+    return sendRAError(res, error, 'Failed to check rate limits', '[UniTest Runs]');
+  }
+
+  // Private repositories are only found with the user's token for the host, which then
+  // also lets the agent clone
+  const token = accessTokenFor(req, user, repo.host);
+  let repoInfo;
+  try {
+    repoInfo = await fetchRepoInfo(repo, { token });
+    if (repoInfo?.private && !token) throw new Error('Repository is private');
+  } catch (err) {
+    return res.status(404).json({ error: 'Repository not found or not accessible', code: 'repo_inaccessible' });
+  }
+
+  let target;
+  try {
+    // Links pasted on the home page can carry the package path after the ref
+    target = await resolveTarget(repo, requested, repoInfo, { token, refMayIncludePath: true });
+  } catch (err) {
+    console.warn('[UniTest Runs] Failed to resolve target ref:', err.message);
+    return res.status(422).json({ error: 'Ref could not be resolved to a commit', code: 'ref_not_found', details: err.message });
+  }
+
+  // Set once a run is taken from the daily quota, to give it back if none gets started
+  let releaseQuota = null;
+  const giveBackQuota = () => releaseQuota?.().catch((err) => console.warn('[UniTest Runs] Failed to release daily quota:', err.message));
+
+  try {
+    const result = await startTestRun({
+      repo,
+      target,
+      options: options ? normalizeRunOptions(options) : null,
+      startedBy: ownerRef(user),
+      beforeEnqueue: async () => {
+        releaseQuota = await consumeRunQuota(user);
+      },
+      credentials: repoInfo?.private ? cloneCredentials(repo, token) : null
+    });
+
+    // The provider just confirmed this user can read the repository
+    if (repoInfo?.private) grantAccess(req, res, user, result.agentName);
+
+    // Reused runs and runs joined while another request was starting them are not new work
+    const attached = result.reused || Boolean(result.joined);
+    if (attached) await giveBackQuota();
+
+    return res.status(attached ? 200 : 201).json({
+      agentName: result.agentName,
+      responseId: result.response?.id ?? null,
+      response: withResults(result.response),
+      reused: result.reused,
+      joined: Boolean(result.joined),
+      target
+    });
+  } catch (error) {
+    await giveBackQuota();
+    if (error instanceof RateLimitError) return sendRateLimited(res, error, '[UniTest Runs]');
+    return sendRAError(res, error, 'Failed to start a test run', '[UniTest Runs]');
+  }
+}
@@ -1,65 +1,35 @@
 import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
+import AccessTokens from '../components/AccessTokens';
+import RunOptionsForm, { optionsToDraft } from '../components/RunOptionsForm';
+import UserMenu from '../components/UserMenu';
+import { getSessionUser } from '../lib/auth';
+import { formatTimeAgo } from '../lib/format';
+import { extractRepoPath, normalizeSubdirectory, parseRepoSlug, targetKey, targetPath } from '../lib/providers';
+import { normalizeRunOptions } from '../lib/options';
 
-function extractGitHubRepo(value) {
-  const trimmed = value.trim();
-  if (!trimmed) return null;
+// Messages for the ?error= codes other pages redirect here with.
+const QUERY_ERRORS = {
+  repo_inaccessible: 'That repository does not exist or you have no access to it. For a private repository, add an access token under "Private repositories".',
+  ref_not_found: 'That branch, tag, commit or pull request could not be found.',
+  invalid_path: 'The subdirectory must be a relative path inside the repository.',
+  signin_failed: 'Signing in with GitHub failed. Please try again.'
+};
 
-  let pathCandidate = trimmed;
-
-  // Handle full GitHub URLs
-  try {
-    const parsed = new URL(trimmed);
-    if (parsed.protocol !== 'https:' || parsed.hostname.toLowerCase() !== 'github.com') {
-      return null;
-    }
-    pathCandidate = parsed.pathname;
-  } catch (_) {
-    // Not a URL, try to parse as owner/repo format
-    if (/^https?:/i.test(trimmed)) {
-      return null;
-    }
-    // Remove any github.com prefix if present
-    const normalized = trimmed
-      .replace(/^https?:\/\/github\.com\//i, '')
-      .replace(/^github\.com\//i, '');
-    pathCandidate = normalized.startsWith('/') ? normalized : `/${normalized}`;
-  }
-
-  const clean = pathCandidate.replace(/^\/+|\/+$/g, '');
-  const segments = clean.split('/');
-
-  // Must be owner/repo format
-  if (segments.length === 2 && segments[0] && segments[1]) {
-    return `/${segments[0]}/${segments[1]}`;
-  }
-
-  return null;
-}
-
-function formatTimeAgo(dateString) {
-  const date = new Date(dateString);
-  const now = new Date();
-  const diffMs = now - date;
-  const diffMins = Math.floor(diffMs / 60000);
-  const diffHours = Math.floor(diffMs / 3600000);
-  const diffDays = Math.floor(diffMs / 86400000);
-
-  if (diffMins < 1) return 'just now';
-  if (diffMins < 60) return `${diffMins}m ago`;
-  if (diffHours < 24) return `${diffHours}h ago`;
-  if (diffDays < 7) return `${diffDays}d ago`;
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-}
-
-export default function Home() {
+export default function Home({ user, initialError }) {
   const router = useRouter();
   const [input, setInput] = useState('');
-  const [error, setError] = useState(null);
+  const [subdirectory, setSubdirectory] = useState('');
+  const [error, setError] = useState(initialError);
+  const [isSubmitting, setIsSubmitting] = useState(false);
   const [recentTests, setRecentTests] = useState([]);
   const [loadingTests, setLoadingTests] = useState(true);
+  const [scope, setScope] = useState('mine');
   const [hiddenAgents, setHiddenAgents] = useState([]);
+  const [showOptions, setShowOptions] = useState(false);
+  const [optionsDraft, setOptionsDraft] = useState(() => optionsToDraft());
+  const [showTokens, setShowTokens] = useState(false);
 
   useEffect(() => {
     // Load hidden agents from localStorage
@@ -68,9 +38,11 @@ export default function Home() {
   }, []);
 
   useEffect(() => {
+    if (!user) return;
+    setLoadingTests(true);
     async function fetchRecentTests() {
       try {
-        const res = await fetch('/api/recent-tests');
+        const res = await fetch(`/api/recent-tests?scope=${scope}`);
         if (res.ok) {
           const data = await res.json();
           // Filter out hidden agents
@@ -84,7 +56,7 @@ export default function Home() {
       }
     }
     fetchRecentTests();
-  }, [hiddenAgents]);
+  }, [hiddenAgents, scope, user]);
 
   function hideAgent(agentName, event) {
     event.preventDefault();
@@ -96,19 +68,56 @@ export default function Home() {
 
   async function handleSubmit(event) {
     event.preventDefault();
-    const repoPath = extractGitHubRepo(input);
+    const repoPath = extractRepoPath(input);
     if (!repoPath) {
-      setError('Please enter a valid GitHub repository (e.g., owner/repo or https://github.com/owner/repo)');
+      setError('Please enter a valid repository (e.g., owner/repo, owner/repo/tree/<branch>, https://github.com/owner/repo/pull/123 or https://gitlab.com/group/project)');
+      return;
+    }
+    const path = normalizeSubdirectory(subdirectory);
+    if (subdirectory.trim() && !path) {
+      setError(QUERY_ERRORS.invalid_path);
       return;
     }
     setError(null);
-    setInput('');
-    // Navigate to test page with repo
-    await router.push(repoPath);
+    setIsSubmitting(true);
+
+    // Start (or reuse) the run first; the repo page itself only reads state
+    const repo = parseRepoSlug(repoPath.split('/').filter(Boolean));
+    const { host, owner, name } = repo;
+    const target = path ? { ...repo.target, path } : repo.target;
+    try {
+      const res = await fetch('/api/runs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ host, owner, name, target, options: normalizeRunOptions(optionsDraft) })
+      });
+      if (res.status === 401) {
+        window.location.assign(`/api/auth/signin?returnTo=${encodeURIComponent('/')}`);
+        return;
+      }
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        setError(body.error || 'Failed to start a test run. Please try again.');
+        return;
+      }
+      // The resolved target tells where a pasted link's ref ends and its package path starts
+      const { target: resolved } = await res.json().catch(() => ({}));
+      setInput('');
+      setSubdirectory('');
+      await router.push(targetPath(repo, resolved ?? target));
+    } catch (err) {
+      console.error('Failed to start test run:', err);
+      setError('Failed to start a test run. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
   }
 
   return (
     <main>
+      <header className="home-header">
+        <UserMenu user={user} />
+      </header>
       <section className="hero">
         <h1>UniTest</h1>
         <p className="tagline">
@@ -116,21 +125,60 @@ export default function Home() {
           RemoteAgent Showcase
         </p>
 
-        <form className="input-row" onSubmit={handleSubmit}>
-          <input
-            type="text"
-            placeholder="Enter GitHub repo (owner/repo or full URL)"
-            value={input}
-            onChange={(event) => setInput(event.target.value)}
-            aria-label="GitHub Repository"
-            autoFocus
-          />
-          <button className="button" type="submit">
-            Generate Tests
-          </button>
-        </form>
+        {user ? (
+          <form className="input-row" onSubmit={handleSubmit}>
+            <input
+              type="text"
+              placeholder="Enter a repo (owner/repo or a GitHub, GitLab, Bitbucket or Git URL)"
+              value={input}
+              onChange={(event) => setInput(event.target.value)}
+              aria-label="Repository"
+              autoFocus
+            />
+            <input
+              type="text"
+              className="input-row__path"
+              placeholder="Subdirectory (optional)"
+              value={subdirectory}
+              onChange={(event) => setSubdirectory(event.target.value)}
+              aria-label="Subdirectory"
+            />
+            <button className="button" type="submit" disabled={isSubmitting}>
+              {isSubmitting ? 'Starting…' : 'Generate Tests'}
+            </button>
+          </form>
+        ) : (
+          <a className="button" href={`/api/auth/signin?returnTo=${encodeURIComponent('/')}`}>
+            Sign in with GitHub to generate tests
+          </a>
+        )}
         {error && <p className="form-error">{error}</p>}
 
+        {user && (
+          <button
+            type="button"
+            className="run-history__toggle run-options__toggle"
+            onClick={() => setShowOptions((open) => !open)}
+            aria-expanded={showOptions}
+          >
+            {showOptions ? '▾' : '▸'} Test run options
+          </button>
+        )}
+        {user && showOptions && (
+          <RunOptionsForm value={optionsDraft} onChange={setOptionsDraft} idPrefix="home-options" />
+        )}
+        {user && (
+          <button
+            type="button"
+            className="run-history__toggle run-options__toggle"
+            onClick={() => setShowTokens((open) => !open)}
+            aria-expanded={showTokens}
+          >
+            {showTokens ? '▾' : '▸'} Private repositories
+          </button>
+        )}
+        {user && showTokens && <AccessTokens />}
+
         <div className="features">
           <div className="feature-card">
             <div className="feature-icon">🧪</div>
@@ -149,26 +197,48 @@ export default function Home() {
           </div>
         </div>
 
-        {!loadingTests && recentTests.length > 0 && (
+        {user && (
           <div className="recent-tests-section">
             <h2 className="recent-tests-title">Recently Tested Repositories</h2>
+            <div className="recent-tests-scope" role="group" aria-label="Which runs to show">
+              <button type="button" className="recent-tests-scope__tab" aria-pressed={scope === 'mine'} onClick={() => setScope('mine')}>
+                My runs
+              </button>
+              <button type="button" className="recent-tests-scope__tab" aria-pressed={scope === 'all'} onClick={() => setScope('all')}>
+                All runs
+              </button>
+            </div>
+            {!loadingTests && recentTests.length === 0 && (
+              <p className="recent-tests-empty">
+                {scope === 'mine' ? 'You have not tested any repositories yet.' : 'No repositories have been tested yet.'}
+              </p>
+            )}
             <div className="recent-tests-grid">
               {recentTests.map((test) => (
                 <div key={test.agentName} className="recent-test-card-wrapper">
                   <Link
-                    href={`/${test.owner}/${test.name}`}
+                    href={targetPath(test, test.target)}
                     className="recent-test-card"
                   >
                     <div className="recent-test-header">
                       <h3 className="recent-test-repo">
+                        {test.provider && test.provider !== 'github' && <span className="recent-test-host">{test.host}/</span>}
                         {test.owner}/{test.name}
+                        {test.private && <span className="recent-test-private">Private</span>}
+                        {test.target?.path && <span className="recent-test-path">{test.target.path}/</span>}
+                        {targetKey(test.target) && (
+                          <span className="recent-test-ref">{targetKey(test.target)}</span>
+                        )}
                       </h3>
                       <span className={`recent-test-status recent-test-status--${test.status}`}>
                         {test.status}
                       </span>
                     </div>
                     <div className="recent-test-meta">
-                      <span className="recent-test-time">{formatTimeAgo(test.updatedAt)}</span>
+                      <span className="recent-test-time">
+                        {formatTimeAgo(test.updatedAt)}
+                        {scope === 'all' && test.startedBy && <span className="recent-test-owner"> · {test.startedBy}</span>}
+                      </span>
                       <span className="recent-test-link">View Results →</span>
                     </div>
                   </Link>
@@ -189,3 +259,12 @@ export default function Home() {
     </main>
   );
 }
+
+export async function getServerSideProps({ req, query }) {
+  return {
+    props: {
+      user: getSessionUser(req),
+      initialError: QUERY_ERRORS[query.error] ?? null
+    }
+  };
+}